@@ -5,6 +5,7 @@
  *  - nationality (most common), overall, potential, contractEnd (average date), skills,
  *    weakFoot, foot (most common), totalStats, value, wage, appearances, goals,
  *    assists, cleanSheets, yellowCards, redCards, avgRating
+ *  - every detailed attribute (pace, finishing, ...) averaged over the players that have it
  * Returns an object: { POS: { nationality: 'ENG', overall: x, ... }, ... }
  */
 function computePositionAverages(players) {
@@ -14,9 +15,11 @@ function computePositionAverages(players) {
     const footCounts = {};
     const contractSums = {};
     const contractCounts = {};
+    const members = {};
 
     Object.values(players).forEach(p => {
         const pos = p.role || 'Unknown';
+        (members[pos] = members[pos] || []).push(p);
         if (!sums[pos]) {
             sums[pos] = {
                 nationality: {},
@@ -126,6 +129,7 @@ function computePositionAverages(players) {
             redCards: +(sums[pos].redCards / c).toFixed(2),
             avgRating: +(sums[pos].avgRating / c).toFixed(2)
         };
+        Object.assign(averages[pos], computeAttributeAverages(members[pos]));
     });
 
     return averages;
@@ -142,9 +146,11 @@ function computeGroupAverages(players) {
     const footCounts = {};
     const contractSums = {};
     const contractCounts = {};
+    const members = {};
 
     Object.values(players).forEach(p => {
         const group = getPositionGroup(p.role) || 'Unknown';
+        (members[group] = members[group] || []).push(p);
         if (!sums[group]) {
             sums[group] = {
                 overall: 0,
@@ -239,6 +245,7 @@ function computeGroupAverages(players) {
             redCards: +(sums[group].redCards / c).toFixed(2),
             avgRating: +(sums[group].avgRating / c).toFixed(2)
         };
+        Object.assign(averages[group], computeAttributeAverages(members[group]));
     });
 
     return averages;
@@ -283,13 +290,14 @@ function renderPositionAverages(players) {
     html += '<th class="px-2 py-1">Yellow Cards</th>';
     html += '<th class="px-2 py-1">Red Cards</th>';
     html += '<th class="px-2 py-1">Avg Rating</th>';
+    PLAYER_ATTRIBUTES.filter(a => a.face).forEach(a => { html += `<th class="px-2 py-1">${a.label}</th>`; });
     html += '</tr></thead>';
     html += '<tbody>';
 
     positions.forEach(pos => {
         const a = averages[pos];
         const natHtml = renderNationalityHTML(a.nationality, 16);
-        html += `<tr class="border-t"><td class="px-2 py-1">${pos}</td><td class="px-2 py-1">${natHtml} <span class="text-xs text-gray-500">(${a.nationalityCount})</span></td><td class="px-2 py-1">${a.overall}</td><td class="px-2 py-1">${a.potential}</td><td class="px-2 py-1">${a.contractEnd || 'N/A'}</td><td class="px-2 py-1">${a.skills}</td><td class="px-2 py-1">${a.weakFoot}</td><td class="px-2 py-1">${a.foot}</td><td class="px-2 py-1">${a.totalStats}</td><td class="px-2 py-1">${formatNumber(a.value)}</td><td class="px-2 py-1">${formatNumber(a.wage)}</td><td class="px-2 py-1">${a.appearances}</td><td class="px-2 py-1">${a.goals}</td><td class="px-2 py-1">${a.assists}</td><td class="px-2 py-1">${a.cleanSheets}</td><td class="px-2 py-1">${a.yellowCards}</td><td class="px-2 py-1">${a.redCards}</td><td class="px-2 py-1">${a.avgRating}</td></tr>`;
+        html += `<tr class="border-t"><td class="px-2 py-1">${pos}</td><td class="px-2 py-1">${natHtml} <span class="text-xs text-gray-500">(${a.nationalityCount})</span></td><td class="px-2 py-1">${a.overall}</td><td class="px-2 py-1">${a.potential}</td><td class="px-2 py-1">${a.contractEnd || 'N/A'}</td><td class="px-2 py-1">${a.skills}</td><td class="px-2 py-1">${a.weakFoot}</td><td class="px-2 py-1">${a.foot}</td><td class="px-2 py-1">${a.totalStats}</td><td class="px-2 py-1">${formatNumber(a.value)}</td><td class="px-2 py-1">${formatNumber(a.wage)}</td><td class="px-2 py-1">${a.appearances}</td><td class="px-2 py-1">${a.goals}</td><td class="px-2 py-1">${a.assists}</td><td class="px-2 py-1">${a.cleanSheets}</td><td class="px-2 py-1">${a.yellowCards}</td><td class="px-2 py-1">${a.redCards}</td><td class="px-2 py-1">${a.avgRating}</td>${PLAYER_ATTRIBUTES.filter(attr => attr.face).map(attr => `<td class="px-2 py-1">${a[attr.key] !== undefined ? a[attr.key] : '-'}</td>`).join('')}</tr>`;
     });
 
     html += '</tbody></table>';
@@ -793,6 +801,17 @@ const COUNTRY_MAP = Object.assign({}, {
     'UK': { name: 'United Kingdom', flag: 'GB' }
 });
 
+/**
+ * Resolve a nationality code to its English name and flag filename (without extension)
+ */
+function resolveNationality(code) {
+    const c = (code || '').toString().trim();
+    const mapping = COUNTRY_MAP[c] || COUNTRY_MAP[c.toUpperCase()];
+    if (mapping) return { name: mapping.name || c, flagFile: mapping.flag || c };
+    // If it's a 3-letter not in map, try using first 2 letters as flag filename
+    return { name: c, flagFile: c.length === 3 ? c.substring(0,2).toUpperCase() : c };
+}
+
 /**
  * Render nationality as HTML: flag SVG + English name (falls back to code or 'Unknown')
  * Accepts codes like 'ENG', 'IT', 'GB-ENG' and returns an HTML string.
@@ -801,25 +820,12 @@ function renderNationalityHTML(code, imgSize = 18) {
     const c = (code || '').toString().trim();
     if (!c) return '<span class="text-sm text-gray-500">Unknown</span>';
 
-    // Determine mapping
-    const mapping = COUNTRY_MAP[c] || COUNTRY_MAP[c.toUpperCase()];
-    let name = c;
-    let flagFile = c;
-    if (mapping) {
-        name = mapping.name || c;
-        flagFile = mapping.flag || c;
-    } else {
-        // If it's a 3-letter not in map, try using first 2 letters as flag filename
-        if (c.length === 3) {
-            flagFile = c.substring(0,2).toUpperCase();
-        }
-    }
-
+    const { name, flagFile } = resolveNationality(c);
     const imgSrc = `flags/${flagFile}.svg`;
     // Return an inline HTML snippet. img has onerror to hide itself if file missing.
     return `
         <span class="inline-flex items-center gap-2">
-            <img src="${imgSrc}" alt="${name}" style="width:${imgSize}px;height:${Math.round(imgSize*0.64)}px;" onerror="this.style.display='none'" />
+            <img src="${escapeHtml(imgSrc)}" alt="${escapeHtml(name)}" style="width:${imgSize}px;height:${Math.round(imgSize*0.64)}px;" onerror="this.style.display='none'" />
             <span class="text-sm text-gray-700">${escapeHtml(name)}</span>
         </span>
     `;
@@ -833,16 +839,25 @@ const CURRENCY_SYMBOLS = {
 };
 
 // Initialize application
-document.addEventListener('DOMContentLoaded', function() {
-    loadFromStorage();
+document.addEventListener('DOMContentLoaded', async function() {
+    await loadFromStorage();
+    await loadHistory();
+    setupCrossTabSync();
     setupEventListeners();
-    initializeApp();
+    await initializeApp();
+    finishStoredSchemaUpgrade();
     // initialize flag picker UI
     try { setupFlagPicker(); } catch (e) { console.warn('Flag picker init failed', e); }
     // role-types dynamic UI setup
     setupRoleTypesUI();
     // playstyles dynamic UI setup
     setupPlaystylesUI();
+    // detailed attribute inputs and chart options
+    setupAttributesUI();
+    setupPlayerFilters();
+    setupBulkActions();
+    // a share link (#share=...) opens its preview once the app is ready
+    openShareLinkFromUrl();
 });
 
 // Role types UI helpers
@@ -1038,21 +1053,169 @@ function setupPlaystylesUI() {
     });
 }
 
+/**
+ * Playstyle names with their level suffix ('+' for PlayStyle+), e.g. ['Finesse Shot+', 'Trivela']
+ */
+function getPlaystyleLabels(player) {
+    if (!Array.isArray(player.playstyles)) return [];
+    return player.playstyles.filter(ps => ps && ps.name).map(ps => ps.name + (ps.level === '2' ? '+' : ''));
+}
+
 // Render playstyles HTML under nationality similar to role types
 function formatPlaystylesHTML(player) {
-    const items = [];
-    if (Array.isArray(player.playstyles) && player.playstyles.length) {
-        player.playstyles.forEach(ps => {
-            if (ps && ps.name) {
-                const suf = ps.level === '2' ? '+' : '';
-                items.push(escapeHtml(ps.name + suf));
-            }
-        });
-    }
+    const items = getPlaystyleLabels(player).map(escapeHtml);
     if (items.length === 0) return '';
     return `<div class="text-xs text-gray-600 mt-1">${items.join(' • ')}</div>`;
 }
 
+/**
+ * Detailed attributes (optional)
+ * player.attributes maps attribute keys to 1-99 ratings: the six face stats and the in-game
+ * sub-attributes, grouped as on the FC player screen. A missing key means the attribute is not tracked.
+ */
+const PLAYER_ATTRIBUTE_GROUPS = [
+    { key: 'pace', label: 'Pace', attributes: [['acceleration', 'Acceleration'], ['sprintSpeed', 'Sprint Speed']] },
+    { key: 'shooting', label: 'Shooting', attributes: [['positioning', 'Positioning'], ['finishing', 'Finishing'], ['shotPower', 'Shot Power'], ['longShots', 'Long Shots'], ['volleys', 'Volleys'], ['penalties', 'Penalties']] },
+    { key: 'passing', label: 'Passing', attributes: [['vision', 'Vision'], ['crossing', 'Crossing'], ['freeKickAccuracy', 'FK Accuracy'], ['shortPassing', 'Short Passing'], ['longPassing', 'Long Passing'], ['curve', 'Curve']] },
+    { key: 'dribbling', label: 'Dribbling', attributes: [['agility', 'Agility'], ['balance', 'Balance'], ['reactions', 'Reactions'], ['ballControl', 'Ball Control'], ['dribble', 'Dribbling'], ['composure', 'Composure']] },
+    { key: 'defending', label: 'Defending', attributes: [['interceptions', 'Interceptions'], ['headingAccuracy', 'Heading Accuracy'], ['defensiveAwareness', 'Def. Awareness'], ['standingTackle', 'Standing Tackle'], ['slidingTackle', 'Sliding Tackle']] },
+    { key: 'physical', label: 'Physical', attributes: [['jumping', 'Jumping'], ['stamina', 'Stamina'], ['strength', 'Strength'], ['aggression', 'Aggression']] },
+    // goalkeepers have no separate face stat: their card shows these five
+    { key: 'goalkeeping', label: 'Goalkeeping', faceStat: false, attributes: [['gkDiving', 'GK Diving'], ['gkHandling', 'GK Handling'], ['gkKicking', 'GK Kicking'], ['gkPositioning', 'GK Positioning'], ['gkReflexes', 'GK Reflexes']] }
+];
+
+// Flat list of every attribute: { key, label, group, face }
+const PLAYER_ATTRIBUTES = PLAYER_ATTRIBUTE_GROUPS.flatMap(group =>
+    (group.faceStat === false ? [] : [{ key: group.key, label: group.label, group: group.key, face: true }])
+        .concat(group.attributes.map(([key, label]) => ({ key, label, group: group.key, face: false })))
+);
+const PLAYER_ATTRIBUTE_RULE = { min: 1, max: 99, integer: true };
+
+function getPlayerAttribute(player, key) {
+    const value = player && isPlainObject(player.attributes) ? player.attributes[key] : undefined;
+    if (isBlank(value)) return null;
+    const n = Number(value);
+    return isNaN(n) ? null : n;
+}
+
+function hasPlayerAttributes(player) {
+    return PLAYER_ATTRIBUTES.some(({ key }) => getPlayerAttribute(player, key) !== null);
+}
+
+/**
+ * Keep known attributes with whole-number values from 1 to 99; anything else is dropped
+ */
+function cleanPlayerAttributes(attributes) {
+    const cleaned = {};
+    if (!isPlainObject(attributes)) return cleaned;
+    PLAYER_ATTRIBUTES.forEach(({ key }) => {
+        const n = getPlayerAttribute({ attributes }, key);
+        if (n !== null && n >= PLAYER_ATTRIBUTE_RULE.min && n <= PLAYER_ATTRIBUTE_RULE.max) cleaned[key] = Math.round(n);
+    });
+    return cleaned;
+}
+
+/**
+ * Average of each attribute over the players that have it; attributes nobody has are left out
+ */
+function computeAttributeAverages(players) {
+    const averages = {};
+    PLAYER_ATTRIBUTES.forEach(({ key }) => {
+        const values = players.map(p => getPlayerAttribute(p, key)).filter(v => v !== null);
+        if (values.length) averages[key] = +(values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2);
+    });
+    return averages;
+}
+
+function attributeColor(value) {
+    if (value >= 80) return '#10B981';
+    if (value >= 70) return '#84CC16';
+    if (value >= 50) return '#F59E0B';
+    return '#EF4444';
+}
+
+/**
+ * Attribute inputs in the player form and attribute options in the chart selectors
+ */
+function setupAttributesUI() {
+    const container = document.getElementById('attributesContainer');
+    if (container) {
+        container.innerHTML = PLAYER_ATTRIBUTE_GROUPS.map(group => `
+            <fieldset class="border border-gray-200 rounded p-2">
+                <legend class="text-xs font-semibold px-1">${group.label}</legend>
+                <div class="grid grid-cols-2 gap-2">
+                    ${PLAYER_ATTRIBUTES.filter(a => a.group === group.key).map(a => `
+                        <label class="text-xs ${a.face ? 'col-span-2 font-semibold' : 'text-gray-600'}">${a.face ? `${a.label} (face stat)` : a.label}
+                            <input type="number" id="attr_${a.key}" min="1" max="99" class="w-full border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-black">
+                        </label>`).join('')}
+                </div>
+            </fieldset>`).join('');
+    }
+
+    const statSelect = document.getElementById('statSelect');
+    if (statSelect) {
+        statSelect.insertAdjacentHTML('beforeend', PLAYER_ATTRIBUTE_GROUPS.map(group => `
+            <optgroup label="Attributes: ${group.label}">
+                ${PLAYER_ATTRIBUTES.filter(a => a.group === group.key).map(a => `<option value="${a.key}">${a.face ? `${a.label} (face stat)` : a.label}</option>`).join('')}
+            </optgroup>`).join(''));
+    }
+    const generalStatSelect = document.getElementById('generalStatSelect');
+    if (generalStatSelect) {
+        generalStatSelect.insertAdjacentHTML('beforeend', `
+            <optgroup label="Attributes">
+                ${PLAYER_ATTRIBUTES.filter(a => a.face).map(a => `<option value="${a.key}">${a.label} (rating band)</option>`).join('')}
+            </optgroup>`);
+    }
+}
+
+function getAttributeFormData() {
+    const attributes = {};
+    PLAYER_ATTRIBUTES.forEach(({ key }) => {
+        const input = document.getElementById(`attr_${key}`);
+        if (input && input.value !== '') attributes[key] = Number(input.value);
+    });
+    return attributes;
+}
+
+function populateAttributeInputs(player) {
+    PLAYER_ATTRIBUTES.forEach(({ key }) => {
+        const input = document.getElementById(`attr_${key}`);
+        const value = getPlayerAttribute(player, key);
+        if (input) input.value = value === null ? '' : value;
+    });
+    // show the section straight away when the player has attributes
+    const details = document.getElementById('attributesDetails');
+    if (details) details.open = hasPlayerAttributes(player);
+}
+
+/**
+ * Attribute block for the player profile: face stat per group and a bar per sub-attribute
+ */
+function renderPlayerAttributesHTML(player) {
+    if (!hasPlayerAttributes(player)) return '';
+    const groups = PLAYER_ATTRIBUTE_GROUPS.filter(group =>
+        PLAYER_ATTRIBUTES.some(a => a.group === group.key && getPlayerAttribute(player, a.key) !== null));
+    return `
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            ${groups.map(group => {
+                const face = group.faceStat === false ? null : getPlayerAttribute(player, group.key);
+                const rows = group.attributes.map(([key, label]) => {
+                    const value = getPlayerAttribute(player, key);
+                    return `
+                        <div class="text-xs mt-1">
+                            <div class="flex justify-between"><span class="text-gray-600">${label}</span><span class="font-medium">${value === null ? '-' : value}</span></div>
+                            <div class="attribute-bar"><div style="width:${value || 0}%;background:${attributeColor(value)}"></div></div>
+                        </div>`;
+                }).join('');
+                return `
+                    <div class="bg-gray-50 rounded p-3">
+                        <div class="flex justify-between text-sm font-semibold"><span>${group.label}</span><span>${face === null ? '' : face}</span></div>
+                        ${rows}
+                    </div>`;
+            }).join('')}
+        </div>`;
+}
+
 // Initialize flag picker after DOM is ready
 function setupFlagPicker() {
     const picker = document.getElementById('flagPicker');
@@ -1281,6 +1444,17 @@ function setupFlagPicker() {
         toBuyReleased: 'toBuyReleased'
     };
 
+    // Display labels for transfer lists (used in history step labels and dialogs)
+    const TRANSFER_LABELS = {
+        forSale: 'For Sale',
+        sold: 'Sold',
+        released: 'Released',
+        retired: 'Retired',
+        loan: 'On Loan',
+        toBuyClub: 'To Buy (Club)',
+        toBuyReleased: 'To Buy (Released)'
+    };
+
 /**
  * Setup all event listeners
  */
@@ -1301,6 +1475,14 @@ function setupEventListeners() {
     document.getElementById('addPlayerBtn').addEventListener('click', () => openPlayerModal());
     const nextSeasonBtn = document.getElementById('nextSeasonBtn');
     if (nextSeasonBtn) nextSeasonBtn.addEventListener('click', () => nextSeason());
+    const confirmRolloverBtn = document.getElementById('confirmRolloverBtn');
+    if (confirmRolloverBtn) confirmRolloverBtn.addEventListener('click', rolloverNext);
+    const rolloverBackBtn = document.getElementById('rolloverBackBtn');
+    if (rolloverBackBtn) rolloverBackBtn.addEventListener('click', rolloverBack);
+    const cancelRolloverBtn = document.getElementById('cancelRolloverBtn');
+    if (cancelRolloverBtn) cancelRolloverBtn.addEventListener('click', closeRolloverModal);
+    const closeRolloverModalBtn = document.getElementById('closeRolloverModalBtn');
+    if (closeRolloverModalBtn) closeRolloverModalBtn.addEventListener('click', closeRolloverModal);
     document.getElementById('savePlayerBtn').addEventListener('click', savePlayer);
     document.getElementById('cancelBtn').addEventListener('click', closePlayerModal);
     document.getElementById('closeModalBtn').addEventListener('click', closePlayerModal);
@@ -1308,6 +1490,61 @@ function setupEventListeners() {
     // Charts
     document.getElementById('showChartsBtn').addEventListener('click', showCharts);
     document.getElementById('hideChartsBtn').addEventListener('click', hideCharts);
+    // Print report
+    const printReportBtn = document.getElementById('printReportBtn');
+    if (printReportBtn) printReportBtn.addEventListener('click', openPrintReport);
+    const printReportPrintBtn = document.getElementById('printReportPrintBtn');
+    if (printReportPrintBtn) printReportPrintBtn.addEventListener('click', () => window.print());
+    const closePrintReportBtn = document.getElementById('closePrintReportBtn');
+    if (closePrintReportBtn) closePrintReportBtn.addEventListener('click', closePrintReport);
+    // Share squad as image
+    const shareSquadImageBtn = document.getElementById('shareSquadImageBtn');
+    if (shareSquadImageBtn) shareSquadImageBtn.addEventListener('click', shareSquadImage);
+    // Player history
+    const closePlayerHistoryBtn = document.getElementById('closePlayerHistoryBtn');
+    if (closePlayerHistoryBtn) closePlayerHistoryBtn.addEventListener('click', closePlayerHistory);
+    // Squad search, filters and sort
+    const playerFilterBar = document.getElementById('playerFilterBar');
+    if (playerFilterBar) playerFilterBar.addEventListener('input', (e) => { if (e.target.id !== 'playerSortSelect') applyPlayerFilters(); });
+    const playerSortSelect = document.getElementById('playerSortSelect');
+    if (playerSortSelect) playerSortSelect.addEventListener('change', () => {
+        playerSort = { key: null, dir: 'asc' };
+        if (playerSortSelect.value) setPlayerSort(playerSortSelect.value); else renderPlayers();
+    });
+    const playerSortDirBtn = document.getElementById('playerSortDirBtn');
+    if (playerSortDirBtn) playerSortDirBtn.addEventListener('click', togglePlayerSortDirection);
+    const columnsBtn = document.getElementById('columnsBtn');
+    if (columnsBtn) columnsBtn.addEventListener('click', openColumnsModal);
+    const closeColumnsModalBtn = document.getElementById('closeColumnsModalBtn');
+    if (closeColumnsModalBtn) closeColumnsModalBtn.addEventListener('click', closeColumnsModal);
+    // Bulk selection
+    const bulkActionSelect = document.getElementById('bulkActionSelect');
+    if (bulkActionSelect) bulkActionSelect.addEventListener('change', updateBulkActionBar);
+    const bulkApplyBtn = document.getElementById('bulkApplyBtn');
+    if (bulkApplyBtn) bulkApplyBtn.addEventListener('click', applyBulkAction);
+    const bulkClearBtn = document.getElementById('bulkClearBtn');
+    if (bulkClearBtn) bulkClearBtn.addEventListener('click', clearPlayerSelection);
+    const clearPlayerFiltersBtn = document.getElementById('clearPlayerFiltersBtn');
+    if (clearPlayerFiltersBtn) clearPlayerFiltersBtn.addEventListener('click', clearPlayerFilters);
+    // Compare
+    const compareBtn = document.getElementById('compareBtn');
+    if (compareBtn) compareBtn.addEventListener('click', openCompareModal);
+    const closeCompareModalBtn = document.getElementById('closeCompareModalBtn');
+    if (closeCompareModalBtn) closeCompareModalBtn.addEventListener('click', closeCompareModal);
+    // Share links
+    const shareLinkBtn = document.getElementById('shareLinkBtn');
+    if (shareLinkBtn) shareLinkBtn.addEventListener('click', () => openShareLinkModal());
+    const closeShareLinkModalBtn = document.getElementById('closeShareLinkModalBtn');
+    if (closeShareLinkModalBtn) closeShareLinkModalBtn.addEventListener('click', closeShareLinkModal);
+    const copyShareLinkBtn = document.getElementById('copyShareLinkBtn');
+    if (copyShareLinkBtn) copyShareLinkBtn.addEventListener('click', copyShareLink);
+    const closeLinkImportModalBtn = document.getElementById('closeLinkImportModalBtn');
+    if (closeLinkImportModalBtn) closeLinkImportModalBtn.addEventListener('click', closeLinkImportModal);
+    const cancelLinkImportBtn = document.getElementById('cancelLinkImportBtn');
+    if (cancelLinkImportBtn) cancelLinkImportBtn.addEventListener('click', closeLinkImportModal);
+    const confirmLinkImportBtn = document.getElementById('confirmLinkImportBtn');
+    if (confirmLinkImportBtn) confirmLinkImportBtn.addEventListener('click', commitLinkImport);
+    window.addEventListener('hashchange', openShareLinkFromUrl);
     // Transfers
     const showTransfersBtn = document.getElementById('showTransfersBtn');
     if (showTransfersBtn) showTransfersBtn.addEventListener('click', showTransfers);
@@ -1330,6 +1567,24 @@ function setupEventListeners() {
     if (addAwardBtn) addAwardBtn.addEventListener('click', () => {
         const c = document.getElementById('awardsContainer'); if (c) addAwardRow(c);
     });
+    const addMatchBtn = document.getElementById('addMatchBtn');
+    if (addMatchBtn) addMatchBtn.addEventListener('click', () => openMatchModal());
+    const addMatchPlayerBtn = document.getElementById('addMatchPlayerBtn');
+    if (addMatchPlayerBtn) addMatchPlayerBtn.addEventListener('click', () => {
+        const c = document.getElementById('matchPlayersContainer'); if (c) addMatchPlayerRow(c);
+    });
+    const copyLastLineupBtn = document.getElementById('copyLastLineupBtn');
+    if (copyLastLineupBtn) copyLastLineupBtn.addEventListener('click', copyLastMatchLineup);
+    const manualStatsInput = document.getElementById('manualStats');
+    if (manualStatsInput) manualStatsInput.addEventListener('change', updatePlayerStatsLock);
+    const playerRoleInput = document.getElementById('role');
+    if (playerRoleInput) playerRoleInput.addEventListener('change', updatePlayerStatsLock);
+    const saveMatchBtn = document.getElementById('saveMatchBtn');
+    if (saveMatchBtn) saveMatchBtn.addEventListener('click', saveMatch);
+    const cancelMatchBtn = document.getElementById('cancelMatchBtn');
+    if (cancelMatchBtn) cancelMatchBtn.addEventListener('click', closeMatchModal);
+    const closeMatchModalBtn = document.getElementById('closeMatchModalBtn');
+    if (closeMatchModalBtn) closeMatchModalBtn.addEventListener('click', closeMatchModal);
     const saveSeasonStatsSaveBtn = document.getElementById('saveSeasonStatsSaveBtn');
     if (saveSeasonStatsSaveBtn) saveSeasonStatsSaveBtn.addEventListener('click', saveSeasonStatsEdits);
     const saveSeasonStatsEditsBtn = document.getElementById('saveSeasonStatsEditsBtn');
@@ -1338,6 +1593,16 @@ function setupEventListeners() {
     if (exportSeasonStatsCSVBtn) exportSeasonStatsCSVBtn.addEventListener('click', exportSeasonStatsCSV);
     const exportSeasonStatsJSONBtn = document.getElementById('exportSeasonStatsJSON');
     if (exportSeasonStatsJSONBtn) exportSeasonStatsJSONBtn.addEventListener('click', exportSeasonStatsJSON);
+    const csvDelimiterSelect = document.getElementById('csvDelimiterSelect');
+    if (csvDelimiterSelect) {
+        csvDelimiterSelect.value = getCsvOptions().delimiter;
+        csvDelimiterSelect.addEventListener('change', (e) => setCsvOptions({ delimiter: e.target.value }));
+    }
+    const csvBomToggle = document.getElementById('csvBomToggle');
+    if (csvBomToggle) {
+        csvBomToggle.checked = getCsvOptions().bom;
+        csvBomToggle.addEventListener('change', (e) => setCsvOptions({ bom: e.target.checked }));
+    }
     // Stat selector for position-based averages (if present)
     const statSelect = document.getElementById('statSelect');
     if (statSelect) {
@@ -1359,13 +1624,52 @@ function setupEventListeners() {
 
     // Import/Export
     document.getElementById('exportBtn').addEventListener('click', exportData);
+    const exportXlsxBtn = document.getElementById('exportXlsxBtn');
+    if (exportXlsxBtn) exportXlsxBtn.addEventListener('click', exportCareerXLSX);
     document.getElementById('importBtn').addEventListener('change', importData);
+    const closeImportModalBtn = document.getElementById('closeImportModalBtn');
+    if (closeImportModalBtn) closeImportModalBtn.addEventListener('click', closeImportModal);
+    const cancelImportBtn = document.getElementById('cancelImportBtn');
+    if (cancelImportBtn) cancelImportBtn.addEventListener('click', closeImportModal);
+    const replaceImportBtn = document.getElementById('replaceImportBtn');
+    if (replaceImportBtn) replaceImportBtn.addEventListener('click', commitReplaceImport);
+    const mergeImportBtn = document.getElementById('mergeImportBtn');
+    if (mergeImportBtn) mergeImportBtn.addEventListener('click', commitMergeImport);
+    const newCareerImportBtn = document.getElementById('newCareerImportBtn');
+    if (newCareerImportBtn) newCareerImportBtn.addEventListener('click', commitNewCareerImport);
+    const importCsvInput = document.getElementById('importCsvInput');
+    if (importCsvInput) importCsvInput.addEventListener('change', importPlayersCSV);
+    const closeCsvImportModalBtn = document.getElementById('closeCsvImportModalBtn');
+    if (closeCsvImportModalBtn) closeCsvImportModalBtn.addEventListener('click', closeCsvImportModal);
+    const cancelCsvImportBtn = document.getElementById('cancelCsvImportBtn');
+    if (cancelCsvImportBtn) cancelCsvImportBtn.addEventListener('click', closeCsvImportModal);
+    const confirmCsvImportBtn = document.getElementById('confirmCsvImportBtn');
+    if (confirmCsvImportBtn) confirmCsvImportBtn.addEventListener('click', commitCsvImport);
+
+    // Careers
+    const careerSelect = document.getElementById('careerSelect');
+    if (careerSelect) careerSelect.addEventListener('change', (e) => switchCareer(e.target.value));
+    const newCareerBtn = document.getElementById('newCareerBtn');
+    if (newCareerBtn) newCareerBtn.addEventListener('click', createCareer);
+    const renameCareerBtn = document.getElementById('renameCareerBtn');
+    if (renameCareerBtn) renameCareerBtn.addEventListener('click', renameCareer);
+    const deleteCareerBtn = document.getElementById('deleteCareerBtn');
+    if (deleteCareerBtn) deleteCareerBtn.addEventListener('click', deleteCareer);
+
+    // Undo / redo
+    const undoBtn = document.getElementById('undoBtn');
+    if (undoBtn) undoBtn.addEventListener('click', undo);
+    const redoBtn = document.getElementById('redoBtn');
+    if (redoBtn) redoBtn.addEventListener('click', redo);
+    document.addEventListener('keydown', handleHistoryShortcut);
 
     // Storage management
     document.getElementById('storageInfoBtn').addEventListener('click', showStorageInfo);
     document.getElementById('closeStorageModalBtn').addEventListener('click', closeStorageModal);
     document.getElementById('closeStorageBtn').addEventListener('click', closeStorageModal);
     document.getElementById('clearStorageBtn').addEventListener('click', clearStorage);
+    const takeSnapshotBtn = document.getElementById('takeSnapshotBtn');
+    if (takeSnapshotBtn) takeSnapshotBtn.addEventListener('click', takeManualSnapshot);
 
     // Modal backdrop clicks
     document.getElementById('playerModal').addEventListener('click', (e) => {
@@ -1377,6 +1681,33 @@ function setupEventListeners() {
     document.getElementById('storageModal').addEventListener('click', (e) => {
         if (e.target.id === 'storageModal') closeStorageModal();
     });
+    document.getElementById('importModal') && document.getElementById('importModal').addEventListener('click', (e) => {
+        if (e.target.id === 'importModal') closeImportModal();
+    });
+    document.getElementById('csvImportModal') && document.getElementById('csvImportModal').addEventListener('click', (e) => {
+        if (e.target.id === 'csvImportModal') closeCsvImportModal();
+    });
+    document.getElementById('shareLinkModal') && document.getElementById('shareLinkModal').addEventListener('click', (e) => {
+        if (e.target.id === 'shareLinkModal') closeShareLinkModal();
+    });
+    document.getElementById('linkImportModal') && document.getElementById('linkImportModal').addEventListener('click', (e) => {
+        if (e.target.id === 'linkImportModal') closeLinkImportModal();
+    });
+    document.getElementById('playerHistoryModal') && document.getElementById('playerHistoryModal').addEventListener('click', (e) => {
+        if (e.target.id === 'playerHistoryModal') closePlayerHistory();
+    });
+    document.getElementById('rolloverModal') && document.getElementById('rolloverModal').addEventListener('click', (e) => {
+        if (e.target.id === 'rolloverModal') closeRolloverModal();
+    });
+    document.getElementById('matchModal') && document.getElementById('matchModal').addEventListener('click', (e) => {
+        if (e.target.id === 'matchModal') closeMatchModal();
+    });
+    document.getElementById('columnsModal') && document.getElementById('columnsModal').addEventListener('click', (e) => {
+        if (e.target.id === 'columnsModal') closeColumnsModal();
+    });
+    document.getElementById('compareModal') && document.getElementById('compareModal').addEventListener('click', (e) => {
+        if (e.target.id === 'compareModal') closeCompareModal();
+    });
 
     // Notes UI
     const addNoteBtn = document.getElementById('addNoteBtn');
@@ -1400,22 +1731,15 @@ async function initializeApp() {
         try {
             const response = await fetch('data/sample.json');
             const data = await response.json();
-            currentSeasons = data.seasons || [];
+            adoptSchemaVersion(migrateData(data));
+            currentSeasons = validateAndCleanSeasons(data.seasons);
+            resetHistoryBaseline();
             saveToStorage();
         } catch (error) {
             console.warn('Could not load sample data:', error);
             // Create default season if no data available
-            const nowYear = new Date().getFullYear();
-            currentSeasons = [{
-                id: generateId(),
-                name: `${nowYear}/${nowYear+1}`,
-                year: nowYear,
-                currency: 'USD',
-                roster: {
-                    main_squad: { players: {} },
-                    youth_academy: { players: {} }
-                }
-            }];
+            currentSeasons = [createDefaultSeason()];
+            resetHistoryBaseline();
             saveToStorage();
         }
     }
@@ -1424,9 +1748,11 @@ async function initializeApp() {
         currentSeasonId = currentSeasons[0].id;
     }
 
+    renderCareerSwitcher();
     renderSeasonTabs();
     renderPlayers();
     renderTransfers();
+    ensureDailySnapshot();
 }
 
 /**
@@ -1455,11 +1781,417 @@ function getCurrentPlayers() {
 }
 
 /**
- * Save data to localStorage with error handling
+ * Persistence layer
+ * Seasons are stored in IndexedDB, one record per season in the 'seasons' object store
+ * (keyed by [careerId, seasonId], see Careers below). The 'meta' store keeps small app-level values
+ * such as the season order; 'snapshots'/'snapshotData' hold automatic backups.
+ * Browsers without IndexedDB fall back to localStorage, one key per career.
+ */
+const LEGACY_STORAGE_KEY = 'cmutils_data';
+const DB_NAME = 'cmutils';
+const DB_VERSION = 2;
+const DB_STORES = {
+    seasons: 'seasons',
+    meta: 'meta',
+    snapshots: 'snapshots',
+    snapshotData: 'snapshotData'
+};
+
+let storageBackend = 'indexedDB'; // 'indexedDB' | 'localStorage'
+let dbPromise = null;
+let persistedSeasonJson = {}; // season id -> JSON last read or written for the current career; skips unchanged records and is the base when merging other tabs' changes
+let storageWriteQueue = Promise.resolve();
+
+/**
+ * Open (and upgrade if needed) the IndexedDB database. The promise is cached.
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.values(DB_STORES).forEach(name => {
+                if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => console.warn('IndexedDB upgrade is blocked by another open CMutils tab');
+    });
+    // allow a later retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits, reject when it fails or aborts (e.g. QuotaExceededError)
+ */
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+/**
+ * Read all season records of a career in their saved order
+ */
+async function readSeasonsFromDB(careerId = currentCareerId) {
+    const db = await openDatabase();
+    const tx = db.transaction([DB_STORES.seasons, DB_STORES.meta], 'readonly');
+    const seasonsStore = tx.objectStore(DB_STORES.seasons);
+    const range = careerKeyRange(careerId);
+    const [records, keys, order] = await Promise.all([
+        idbRequest(seasonsStore.getAll(range)),
+        idbRequest(seasonsStore.getAllKeys(range)),
+        idbRequest(tx.objectStore(DB_STORES.meta).get(careerMetaKey('seasonOrder', careerId)))
+    ]);
+
+    const byId = {};
+    keys.forEach((key, i) => { byId[key[1]] = records[i]; });
+
+    const ordered = [];
+    (Array.isArray(order) ? order : []).forEach(id => {
+        if (byId[id]) {
+            ordered.push(byId[id]);
+            delete byId[id];
+        }
+    });
+    // Records missing from the order list are appended so no season is ever dropped
+    Object.values(byId).forEach(season => ordered.push(season));
+
+    if (careerId === currentCareerId) {
+        persistedSeasonJson = {};
+        keys.forEach((key, i) => { persistedSeasonJson[key[1]] = JSON.stringify(records[i]); });
+    }
+    return ordered;
+}
+
+/**
+ * Read the stored JSON of a career's seasons as { id: json } through the seasons store of an open
+ * transaction. Only the records in fetchIds are read; the others are assumed to still match
+ * persistedSeasonJson.
+ */
+async function readStoredSeasonJson(store, careerId, fetchIds) {
+    const keys = await idbRequest(store.getAllKeys(careerKeyRange(careerId)));
+    const ids = keys.map(key => key[1]);
+    const toFetch = ids.filter(id => fetchIds.includes(id) || persistedSeasonJson[id] === undefined);
+    const records = await Promise.all(toFetch.map(id => idbRequest(store.get([careerId, id]))));
+
+    const stored = {};
+    ids.forEach(id => { stored[id] = persistedSeasonJson[id]; });
+    toFetch.forEach((id, i) => { if (records[i] !== undefined) stored[id] = JSON.stringify(records[i]); else delete stored[id]; });
+    return stored;
+}
+
+/**
+ * Write serialized seasons ([{ id, json }]) of a career to IndexedDB in a single transaction.
+ * For the current career the entries are first reconciled with what another tab may have stored
+ * since this tab last read or wrote; only records whose JSON differs from the stored one are put
+ * and removed seasons are deleted. The read, the reconcile and the writes share one readwrite
+ * transaction, so another tab's write cannot land in between.
+ */
+async function writeSeasonsToDB(entries, careerId = currentCareerId, schemaVersion = SCHEMA_VERSION) {
+    const db = await openDatabase();
+    const tx = db.transaction([DB_STORES.seasons, DB_STORES.meta], 'readwrite');
+    const seasonsStore = tx.objectStore(DB_STORES.seasons);
+    let known = {};
+    let written = entries;
+    const conflicts = [];
+    if (careerId === currentCareerId) {
+        try {
+            const changedIds = entries.filter(e => persistedSeasonJson[e.id] !== e.json).map(e => e.id);
+            known = await readStoredSeasonJson(seasonsStore, careerId, changedIds);
+            written = reconcileSeasonEntries(entries, known, persistedSeasonJson, conflicts);
+        } catch (e) {
+            tx.abort();
+            throw e;
+        }
+    }
+    const ids = written.map(e => e.id);
+
+    written.forEach(e => {
+        if (known[e.id] !== e.json) seasonsStore.put(JSON.parse(e.json), [careerId, e.id]);
+    });
+    Object.keys(known).forEach(id => {
+        if (!ids.includes(id)) seasonsStore.delete([careerId, id]);
+    });
+    tx.objectStore(DB_STORES.meta).put(ids, careerMetaKey('seasonOrder', careerId));
+    tx.objectStore(DB_STORES.meta).put(schemaVersion, careerMetaKey('schemaVersion', careerId));
+
+    await idbTransactionDone(tx);
+
+    if (careerId === currentCareerId) {
+        applyReconciledSeasons(entries, written);
+        persistedSeasonJson = {};
+        written.forEach(e => { persistedSeasonJson[e.id] = e.json; });
+    }
+    // announced once the queue drains so a history write queued right behind this one has landed too
+    storageWriteQueue.then(() => broadcastSync('seasons', careerId));
+    if (conflicts.length) storageWriteQueue.then(() => addSyncConflicts(conflicts));
+}
+
+/**
+ * Read a single value from the meta store
  */
-function saveToStorage() {
+async function readMetaValue(key) {
+    const db = await openDatabase();
+    return idbRequest(db.transaction(DB_STORES.meta, 'readonly').objectStore(DB_STORES.meta).get(key));
+}
+
+/**
+ * Write a single value to the meta store
+ */
+async function writeMetaValue(key, value) {
+    const db = await openDatabase();
+    const tx = db.transaction(DB_STORES.meta, 'readwrite');
+    tx.objectStore(DB_STORES.meta).put(value, key);
+    await idbTransactionDone(tx);
+}
+
+/**
+ * Careers
+ * Each career is an independent save slot with its own seasons, season order, undo history and
+ * schema version. Season records are keyed [careerId, seasonId]; per-career meta values are stored
+ * under careerMetaKey(name) ('seasonOrder:<careerId>' etc.). The career list and the active career
+ * are kept in the meta value 'careers' (localStorage fallback: CAREERS_STORAGE_KEY).
+ */
+const CAREERS_STORAGE_KEY = 'cmutils_careers'; // localStorage fallback only
+const CAREER_META_NAMES = ['seasonOrder', 'history', 'schemaVersion'];
+const DEFAULT_CAREER_NAME = 'My Career';
+let careers = []; // [{ id, name, createdAt }]
+let currentCareerId = null;
+
+function careerMetaKey(name, careerId = currentCareerId) {
+    return `${name}:${careerId}`;
+}
+
+function careerLocalStorageKey(careerId = currentCareerId) {
+    return `${LEGACY_STORAGE_KEY}:${careerId}`;
+}
+
+/**
+ * Key range covering every season record of one career
+ */
+function careerKeyRange(careerId) {
+    return IDBKeyRange.bound([careerId], [careerId, []]);
+}
+
+function getCurrentCareer() {
+    return careers.find(c => c.id === currentCareerId) || null;
+}
+
+function persistCareers() {
+    const data = { careers, currentCareerId };
+    if (storageBackend === 'localStorage') {
+        try { localStorage.setItem(CAREERS_STORAGE_KEY, JSON.stringify(data)); } catch (e) { console.warn('Could not save careers', e); }
+        return Promise.resolve();
+    }
+    storageWriteQueue = storageWriteQueue
+        .then(() => writeMetaValue('careers', data))
+        .then(() => broadcastSync('careers'))
+        .catch(e => console.warn('Could not save careers', e));
+    return storageWriteQueue;
+}
+
+/**
+ * Load the career list. Data saved before careers existed becomes the default career.
+ */
+async function loadCareers() {
+    const stored = storageBackend === 'localStorage'
+        ? JSON.parse(localStorage.getItem(CAREERS_STORAGE_KEY) || 'null')
+        : await readMetaValue('careers');
+
+    if (stored && Array.isArray(stored.careers) && stored.careers.length > 0) {
+        careers = stored.careers;
+        currentCareerId = careers.some(c => c.id === stored.currentCareerId) ? stored.currentCareerId : careers[0].id;
+        return;
+    }
+
+    const career = { id: generateId(), name: DEFAULT_CAREER_NAME, createdAt: new Date().toISOString() };
+    careers = [career];
+    currentCareerId = career.id;
+
+    if (storageBackend === 'localStorage') {
+        const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (legacy) {
+            localStorage.setItem(careerLocalStorageKey(career.id), legacy);
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+        }
+        const history = localStorage.getItem(HISTORY_STORAGE_KEY);
+        if (history) {
+            localStorage.setItem(`${HISTORY_STORAGE_KEY}:${career.id}`, history);
+            localStorage.removeItem(HISTORY_STORAGE_KEY);
+        }
+        await persistCareers();
+        return;
+    }
+
+    // move season records keyed by season id and the global meta values into the default career
+    const db = await openDatabase();
+    const readTx = db.transaction([DB_STORES.seasons, DB_STORES.meta], 'readonly');
+    const [records, keys, ...metaValues] = await Promise.all([
+        idbRequest(readTx.objectStore(DB_STORES.seasons).getAll()),
+        idbRequest(readTx.objectStore(DB_STORES.seasons).getAllKeys()),
+        ...CAREER_META_NAMES.map(name => idbRequest(readTx.objectStore(DB_STORES.meta).get(name)))
+    ]);
+
+    const tx = db.transaction([DB_STORES.seasons, DB_STORES.meta], 'readwrite');
+    const seasonsStore = tx.objectStore(DB_STORES.seasons);
+    const metaStore = tx.objectStore(DB_STORES.meta);
+    keys.forEach((key, i) => {
+        if (typeof key !== 'string') return;
+        seasonsStore.put(records[i], [career.id, key]);
+        seasonsStore.delete(key);
+    });
+    CAREER_META_NAMES.forEach((name, i) => {
+        if (metaValues[i] === undefined) return;
+        metaStore.put(metaValues[i], careerMetaKey(name, career.id));
+        metaStore.delete(name);
+    });
+    metaStore.put({ careers, currentCareerId }, 'careers');
+    await idbTransactionDone(tx);
+}
+
+/**
+ * Remove every stored record of a career (seasons and per-career meta values)
+ */
+async function deleteCareerData(careerId) {
+    if (storageBackend === 'localStorage') {
+        localStorage.removeItem(careerLocalStorageKey(careerId));
+        localStorage.removeItem(`${HISTORY_STORAGE_KEY}:${careerId}`);
+        return;
+    }
+    const db = await openDatabase();
+    const tx = db.transaction([DB_STORES.seasons, DB_STORES.meta], 'readwrite');
+    tx.objectStore(DB_STORES.seasons).delete(careerKeyRange(careerId));
+    CAREER_META_NAMES.forEach(name => tx.objectStore(DB_STORES.meta).delete(careerMetaKey(name, careerId)));
+    await idbTransactionDone(tx);
+}
+
+/**
+ * Read the seasons of any career without touching the loaded one (used for usage and snapshots)
+ */
+async function readCareerSeasons(careerId) {
+    if (careerId === currentCareerId) return currentSeasons;
+    if (storageBackend === 'localStorage') {
+        const data = JSON.parse(localStorage.getItem(careerLocalStorageKey(careerId)) || 'null');
+        return data && Array.isArray(data.seasons) ? data.seasons : [];
+    }
+    return readSeasonsFromDB(careerId);
+}
+
+/**
+ * Remove every season record and meta value of all careers from IndexedDB (snapshots are kept)
+ */
+async function clearDatabase() {
+    const db = await openDatabase();
+    const storeNames = [DB_STORES.seasons, DB_STORES.meta];
+    const tx = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => tx.objectStore(name).clear());
+    await idbTransactionDone(tx);
+    persistedSeasonJson = {};
+}
+
+/**
+ * One-time migration of the legacy `cmutils_data` localStorage key into IndexedDB.
+ * The key is removed only after the seasons were committed to the database.
+ */
+async function migrateLegacyStorage() {
+    const stored = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!stored) return [];
+
+    const data = JSON.parse(stored);
+    const seasons = validateAndCleanSeasons(upgradeStoredData(data));
+    await writeSeasonsToDB(seasons.map(s => ({ id: s.id, json: JSON.stringify(s) })), currentCareerId, storedSchemaVersion);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    console.info(`Migrated ${seasons.length} season(s) from localStorage to IndexedDB`);
+    return seasons;
+}
+
+/**
+ * Give every season an id so it can be stored as its own record.
+ * Keeps the current selection when the selected season had no id (e.g. sample data).
+ */
+function ensureSeasonIds() {
+    currentSeasons.forEach(season => {
+        if (season.id) return;
+        const wasCurrent = getCurrentSeason() === season;
+        season.id = generateId();
+        if (wasCurrent) currentSeasonId = season.id;
+    });
+}
+
+/**
+ * Save data to IndexedDB (or localStorage fallback) with error handling.
+ * Seasons are serialized synchronously so later mutations don't leak into a queued write.
+ * historyLabel describes the change for the undo/redo history (e.g. 'Delete season').
+ * Returns a promise that resolves once the write has been attempted.
+ */
+function saveToStorage(historyLabel) {
+    ensureSeasonIds();
+    try { renderSeasonStatsPanel(getCurrentSeason()); } catch (e) { /* no-op */ }
+
+    let entries;
     try {
-        const dataString = JSON.stringify({ seasons: currentSeasons });
+        entries = currentSeasons.map(season => ({ id: season.id, json: JSON.stringify(season) }));
+    } catch (error) {
+        console.error('Error serializing data:', error);
+        alert('Error saving data. Please try exporting your data as a backup.');
+        return Promise.resolve();
+    }
+
+    recordHistoryStep(entries, historyLabel);
+    // long-running sessions still get one snapshot per day
+    if (lastDailySnapshotDate !== null && lastDailySnapshotDate !== new Date().toISOString().split('T')[0]) ensureDailySnapshot();
+
+    if (storageBackend === 'localStorage') {
+        saveToLocalStorage(entries);
+        return Promise.resolve();
+    }
+
+    const careerId = currentCareerId;
+    const schemaVersion = storedSchemaVersion;
+    storageWriteQueue = storageWriteQueue
+        .then(() => writeSeasonsToDB(entries, careerId, schemaVersion))
+        .catch(error => {
+            if (error && error.name === 'QuotaExceededError') {
+                handleStorageQuotaExceeded();
+            } else {
+                console.error('Error saving to IndexedDB:', error);
+                alert('Error saving data. Please try exporting your data as a backup.');
+            }
+        });
+    return storageWriteQueue;
+}
+
+/**
+ * Save the current career to its localStorage key (used when IndexedDB is unavailable).
+ * The serialized entries are reconciled with what another tab may have saved in the meantime.
+ */
+function saveToLocalStorage(entries) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(careerLocalStorageKey()) || 'null');
+        const storedJson = {};
+        if (stored && Array.isArray(stored.seasons)) {
+            stored.seasons.forEach(s => { if (s && s.id) storedJson[s.id] = JSON.stringify(s); });
+        }
+        const conflicts = [];
+        applyReconciledSeasons(entries, reconcileSeasonEntries(entries, storedJson, persistedSeasonJson, conflicts));
+
+        const dataString = JSON.stringify({ schemaVersion: storedSchemaVersion, seasons: currentSeasons });
         const dataSize = new Blob([dataString]).size;
         
         // Check if data size is reasonable (warn if > 4MB, most browsers allow 5-10MB)
@@ -1467,8 +2199,10 @@ function saveToStorage() {
             console.warn(`Warning: Data size is ${Math.round(dataSize / 1024 / 1024 * 100) / 100}MB, approaching localStorage limits`);
         }
         
-    localStorage.setItem('cmutils_data', dataString);
-    try { renderSeasonStatsPanel(getCurrentSeason()); } catch (e) { /* no-op */ }
+        localStorage.setItem(careerLocalStorageKey(), dataString);
+        persistedSeasonJson = {};
+        currentSeasons.forEach(s => { persistedSeasonJson[s.id] = JSON.stringify(s); });
+        if (conflicts.length) setTimeout(() => addSyncConflicts(conflicts), 0);
     } catch (error) {
         if (error.name === 'QuotaExceededError') {
             handleStorageQuotaExceeded();
@@ -1480,10 +2214,11 @@ function saveToStorage() {
 }
 
 /**
- * Handle localStorage quota exceeded error
+ * Handle storage quota exceeded error
  */
 function handleStorageQuotaExceeded() {
-    alert(`Storage quota exceeded! Your data is too large for localStorage.
+    const where = storageBackend === 'localStorage' ? 'localStorage' : 'the browser storage quota for this site';
+    alert(`Storage quota exceeded! Your data is too large for ${where}.
 
 Options:
 1. Export your data now as a backup (recommended)
@@ -1499,14 +2234,82 @@ The app will continue to work, but changes won't be saved automatically.`);
 }
 
 /**
- * Load data from localStorage with error handling
+ * Load data from IndexedDB with error handling, migrating legacy localStorage data on first run.
+ * Falls back to localStorage when IndexedDB cannot be opened.
+ */
+async function loadFromStorage() {
+    if (typeof indexedDB === 'undefined' || !indexedDB) {
+        storageBackend = 'localStorage';
+        await loadCareersAndLocalStorage();
+        return;
+    }
+
+    try {
+        await openDatabase();
+    } catch (error) {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        storageBackend = 'localStorage';
+        await loadCareersAndLocalStorage();
+        return;
+    }
+
+    try {
+        await loadCareers();
+        await loadCareerSeasons();
+
+        // Ask the browser not to evict our data under storage pressure (best effort)
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => { /* not granted */ });
+        }
+    } catch (error) {
+        console.error('Error loading from storage:', error);
+        alert('Error loading saved data. Starting with empty data.');
+        currentSeasons = [];
+    }
+}
+
+/**
+ * Load the current career's seasons from IndexedDB into currentSeasons (migrated and cleaned)
+ */
+async function loadCareerSeasons() {
+    storedSchemaVersion = SCHEMA_VERSION;
+    let seasons = await readSeasonsFromDB();
+    if (seasons.length > 0) {
+        seasons = upgradeStoredData({ schemaVersion: await readMetaValue(careerMetaKey('schemaVersion')), seasons });
+    } else {
+        seasons = await migrateLegacyStorage();
+    }
+
+    // Validate and clean data
+    currentSeasons = validateAndCleanSeasons(seasons);
+    currentSeasonId = currentSeasons.length > 0 ? currentSeasons[0].id : null;
+}
+
+async function loadCareersAndLocalStorage() {
+    try {
+        await loadCareers();
+    } catch (error) {
+        console.error('Error loading careers:', error);
+    }
+    loadFromLocalStorage();
+}
+
+/**
+ * Load the current career from localStorage with error handling
  */
-function loadFromStorage() {
-    const stored = localStorage.getItem('cmutils_data');
+function loadFromLocalStorage() {
+    storedSchemaVersion = SCHEMA_VERSION;
+    currentSeasons = [];
+    currentSeasonId = null;
+    persistedSeasonJson = {};
+    const stored = localStorage.getItem(careerLocalStorageKey());
     if (stored) {
         try {
             const data = JSON.parse(stored);
-            currentSeasons = data.seasons || [];
+            if (data && Array.isArray(data.seasons)) {
+                data.seasons.forEach(s => { if (s && s.id) persistedSeasonJson[s.id] = JSON.stringify(s); });
+            }
+            currentSeasons = upgradeStoredData(data);
             
             // Validate and clean data
             currentSeasons = validateAndCleanSeasons(currentSeasons);
@@ -1523,2437 +2326,7734 @@ function loadFromStorage() {
 }
 
 /**
- * Validate and clean seasons data
+ * Cross-tab sync
+ * Writes are announced to other open tabs (BroadcastChannel, or a ping through a localStorage key
+ * where it is missing; the localStorage backend relies on the native storage event). A tab showing
+ * the changed career reloads it and re-renders. Saves are reconciled with the stored data season by
+ * season and player by player, so only edits to the same player or the same season details made in
+ * two tabs ask which version to keep.
  */
-function validateAndCleanSeasons(seasons) {
-    if (!Array.isArray(seasons)) {
-        return [];
+const SYNC_CHANNEL_NAME = 'cmutils';
+const SYNC_STORAGE_KEY = 'cmutils_sync'; // ping key when BroadcastChannel is unavailable
+const TAB_ID = generateId();
+let syncChannel = null;
+let openEditRecord = null; // { seasonId, playerId, json, changedElsewhere, close } of the record an open edit dialog started from
+
+function getSyncChannel() {
+    if (!syncChannel && typeof BroadcastChannel !== 'undefined') syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    return syncChannel;
+}
+
+function setupCrossTabSync() {
+    const channel = getSyncChannel();
+    if (channel) channel.onmessage = e => handleSyncMessage(e.data);
+    window.addEventListener('storage', handleSyncStorageEvent);
+}
+
+/**
+ * Tell other tabs that the career list ('careers') or a career's seasons ('seasons') changed
+ */
+function broadcastSync(type, careerId = currentCareerId) {
+    if (storageBackend === 'localStorage') return; // other tabs get the native storage event
+    const message = { tabId: TAB_ID, type, careerId };
+    try {
+        const channel = getSyncChannel();
+        if (channel) channel.postMessage(message);
+        else localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ ...message, at: Date.now() }));
+    } catch (e) {
+        console.warn('Could not notify other tabs', e);
     }
-    
-    return seasons.map(season => {
-        // Ensure season has required structure
-        if (!season.id) season.id = generateId();
-        if (!season.name) season.name = 'Unnamed Season';
-        if (!season.currency) season.currency = 'USD';
-        // Ensure season.year exists and is numeric; default to current year
-        const nowYear = new Date().getFullYear();
-        if (season.year === undefined || season.year === null || season.year === '') {
-            season.year = nowYear;
-        } else {
-            const y = Number(season.year);
-            season.year = (!isNaN(y) && y >= 1900 && y <= 2100) ? Math.floor(y) : nowYear;
-        }
-        if (!season.roster) season.roster = { main_squad: { players: {} }, youth_academy: { players: {} } };
-        
-        // Validate roster structure
-        if (!season.roster.main_squad) season.roster.main_squad = { players: {} };
-        if (!season.roster.youth_academy) season.roster.youth_academy = { players: {} };
-        if (!season.roster.main_squad.players) season.roster.main_squad.players = {};
-        if (!season.roster.youth_academy.players) season.roster.youth_academy.players = {};
-
-        // Ensure transfers structure exists at season level
-        if (!season.transfers) {
-            season.transfers = {
-                forSale: [],
-                sold: [],
-                released: [],
-                retired: [],
-                loan: [],
-                toBuyClub: [],
-                toBuyReleased: []
-            };
-        }
-    // Ensure notes structure exists
-    if (!season.notes) season.notes = [];
-        
-        // Validate and clean players
-        ['main_squad', 'youth_academy'].forEach(squadType => {
-            const originalPlayers = season.roster[squadType].players || {};
-            const rebuiltPlayers = {};
-
-            Object.keys(originalPlayers).forEach(oldKey => {
-                const player = originalPlayers[oldKey];
-
-                // If player object doesn't have an id, generate one.
-                if (!player.id) player.id = generateId();
+}
 
-                if (!player.firstName) player.firstName = 'Unknown';
-                if (!player.lastName) player.lastName = 'Player';
-                if (!player.role) player.role = 'ST';
+function handleSyncStorageEvent(e) {
+    if (e.key === SYNC_STORAGE_KEY) {
+        try { handleSyncMessage(JSON.parse(e.newValue)); } catch (err) { /* malformed ping */ }
+        return;
+    }
+    if (storageBackend !== 'localStorage') return;
+    if (e.key === CAREERS_STORAGE_KEY) handleSyncMessage({ type: 'careers' });
+    else if (e.key === careerLocalStorageKey()) handleSyncMessage({ type: 'seasons', careerId: currentCareerId });
+    else if (e.key === `${HISTORY_STORAGE_KEY}:${currentCareerId}`) loadHistory();
+}
 
-                // Ensure numeric fields are numbers
-                ['overall', 'potential', 'age', 'skills', 'weakFoot', 'value', 'wage', 
-                 'appearances', 'goals', 'assists', 'cleanSheets', 'yellowCards', 'redCards'].forEach(field => {
-                    if (player[field] && typeof player[field] !== 'number') {
-                        player[field] = parseInt(player[field]) || 0;
-                    }
-                });
-                if (player.avgRating && typeof player.avgRating !== 'number') {
-                    player.avgRating = parseFloat(player.avgRating) || 0;
-                }
+function handleSyncMessage(message) {
+    if (!message || message.tabId === TAB_ID) return Promise.resolve();
+    if (message.type === 'careers') {
+        return reloadCareersFromSync().catch(e => console.warn('Could not reload careers changed in another tab', e));
+    }
+    if (message.type === 'seasons' && message.careerId === currentCareerId) {
+        // queued so this tab's pending writes land (and are merged) before the reload
+        storageWriteQueue = storageWriteQueue
+            .then(() => { if (message.careerId === currentCareerId) return reloadCareerFromSync(); })
+            .catch(e => console.warn('Could not reload changes from another tab', e));
+        return storageWriteQueue;
+    }
+    return Promise.resolve();
+}
 
-                // Use the (possibly newly generated) player.id as the key in the rebuilt object
-                rebuiltPlayers[player.id] = player;
-            });
+/**
+ * Re-read the career list after another tab added, renamed or deleted a career
+ */
+async function reloadCareersFromSync() {
+    const stored = storageBackend === 'localStorage'
+        ? JSON.parse(localStorage.getItem(CAREERS_STORAGE_KEY) || 'null')
+        : await readMetaValue('careers');
+    if (!stored || !Array.isArray(stored.careers) || stored.careers.length === 0) return;
+
+    careers = stored.careers;
+    if (!getCurrentCareer()) {
+        const next = careers.find(c => c.id === stored.currentCareerId) || careers[0];
+        alert(`The career you had open was deleted in another tab. Switching to "${next.name}".`);
+        await switchCareer(next.id);
+    }
+    renderCareerSwitcher();
+}
 
-            // After rebuilding players, migrate legacy roleType fields into roleTypes array if present
-            Object.values(rebuiltPlayers).forEach(p => {
-                try {
-                    if (!Array.isArray(p.roleTypes) && (p.roleType || p.roleFocus || p.roleTypeLevel)) {
-                        p.roleTypes = [];
-                        if (p.roleType) p.roleTypes.push({ type: p.roleType, focus: p.roleFocus || '', level: p.roleTypeLevel || '' });
-                        // remove legacy fields to avoid duplication (keep for compatibility if needed)
-                        delete p.roleType;
-                        delete p.roleFocus;
-                        delete p.roleTypeLevel;
-                    }
-                } catch (e) { /* ignore migration errors */ }
-            });
+/**
+ * Reload the current career after another tab saved it, keeping the selected season and squad
+ */
+async function reloadCareerFromSync() {
+    const seasonId = currentSeasonId;
+    if (storageBackend === 'localStorage') loadFromLocalStorage();
+    else await loadCareerSeasons();
+    if (currentSeasons.some(s => s.id === seasonId)) currentSeasonId = seasonId;
+    await loadHistory();
+
+    checkOpenEditAfterSync();
+    refreshAllViews();
+    finishStoredSchemaUpgrade();
+}
 
-            // Replace the players object with the rebuilt one (this ensures keys match player.id)
-            season.roster[squadType].players = rebuiltPlayers;
+/**
+ * Split a serialized season into its details (the season with emptied squads) and its players
+ * keyed by JSON [squad, playerId], so two versions can be compared player by player
+ */
+function splitSeasonJson(json) {
+    const season = JSON.parse(json);
+    const players = {};
+    Object.keys(isPlainObject(season.roster) ? season.roster : {}).forEach(squad => {
+        const squadData = season.roster[squad];
+        if (!isPlainObject(squadData) || !isPlainObject(squadData.players)) return;
+        Object.keys(squadData.players).forEach(id => {
+            players[JSON.stringify([squad, id])] = JSON.stringify(squadData.players[id]);
         });
-        
-        return season;
+        squadData.players = {};
     });
+    return { season, details: JSON.stringify(season), players };
 }
 
 /**
- * Notes management
+ * Three-way pick between this tab's value and the stored one, given the value this tab started
+ * from. Returns undefined when both sides changed it differently.
  */
-function getSeasonNotes() {
-    const season = getCurrentSeason();
-    if (!season) return [];
-    if (!Array.isArray(season.notes)) season.notes = [];
-    return season.notes;
+function pickMergedValue(base, mine, theirs) {
+    if (mine === theirs || theirs === base) return mine;
+    if (mine === base) return theirs;
+    return undefined;
 }
 
-function renderNotes() {
-    const notesContainer = document.getElementById('notesContainer');
-    const notesList = document.getElementById('notesList');
-    if (!notesContainer || !notesList) return;
+/**
+ * Merge two edited versions of a season player by player. When both changed the same player or
+ * the season details this tab's side wins, and the version where the other tab's side wins is
+ * recorded in `conflicts` so it can be picked after the write (see addSyncConflicts)
+ */
+function mergeSeasonJson(base, mine, theirs, conflicts) {
+    const b = splitSeasonJson(base);
+    const m = splitSeasonJson(mine);
+    const t = splitSeasonJson(theirs);
+
+    const items = [{ label: 'Season details', base: b.details, mine: m.details, theirs: t.details }];
+    new Set(Object.keys(m.players).concat(Object.keys(t.players))).forEach(key => {
+        const mineJson = m.players[key] ?? null;
+        const theirsJson = t.players[key] ?? null;
+        const player = JSON.parse(mineJson || theirsJson);
+        const label = `${player.firstName || ''} ${player.lastName || ''}`.trim() || 'Unnamed player';
+        items.push({ key, label, base: b.players[key] ?? null, mine: mineJson, theirs: theirsJson });
+    });
 
-    const notes = getSeasonNotes();
+    const build = keepMine => {
+        const resolve = item => {
+            const picked = pickMergedValue(item.base, item.mine, item.theirs);
+            if (picked !== undefined) return picked;
+            return keepMine ? item.mine : item.theirs;
+        };
+        const season = JSON.parse(resolve(items[0]));
+        if (!isPlainObject(season.roster)) season.roster = {};
+        items.slice(1).forEach(item => {
+            const json = resolve(item);
+            if (json === null) return;
+            const [squad, id] = JSON.parse(item.key);
+            if (!isPlainObject(season.roster[squad])) season.roster[squad] = { players: {} };
+            if (!isPlainObject(season.roster[squad].players)) season.roster[squad].players = {};
+            season.roster[squad].players[id] = JSON.parse(json);
+        });
+        return JSON.stringify(season);
+    };
 
-    if (notes.length === 0) {
-        notesList.innerHTML = `<div class="empty-state"><h3>No notes yet</h3><p>Create a new note to get started.</p></div>`;
-        return;
+    const clashes = items.filter(item => pickMergedValue(item.base, item.mine, item.theirs) === undefined);
+    const merged = build(true);
+    if (clashes.length > 0) {
+        conflicts.push({
+            seasonId: m.season.id,
+            name: m.season.name,
+            message: `Both tabs changed ${clashes.map(item => item.label).join(', ')}.`,
+            written: merged,
+            alternative: build(false)
+        });
     }
+    return merged;
+}
 
-    const html = notes.map(n => {
-        const title = n.title || 'Untitled';
-        const content = (n.content || '').replace(/\n/g, '<br>');
-        return `
-            <div class="note-card p-4" data-note-id="${n.id}">
-                <div class="flex justify-between items-start mb-2">
-                    <div class="font-semibold">${escapeHtml(title)}</div>
-                    <div class="space-x-2">
-                        <button onclick="editNote('${n.id}')" class="text-blue-600 text-sm">✏️</button>
-                        <button onclick="deleteNote('${n.id}')" class="text-red-600 text-sm">🗑️</button>
-                    </div>
-                </div>
-                <div class="text-sm text-gray-700 note-content">${content}</div>
-            </div>
-        `;
-    }).join('');
+/**
+ * Merge one season (JSON, null when absent) as this tab started from it, as this tab saves it and
+ * as it is stored now. Conflicts are decided for this tab and recorded in `conflicts`.
+ */
+function mergeSeasonVersions(base, mine, theirs, conflicts) {
+    const picked = pickMergedValue(base, mine, theirs);
+    if (picked !== undefined) return picked;
+    if (base !== null && mine !== null && theirs !== null) return mergeSeasonJson(base, mine, theirs, conflicts);
+
+    const season = JSON.parse(mine || theirs);
+    const messages = {
+        deletedHere: 'It was deleted in this tab but changed in another tab.',
+        deletedThere: 'It was changed in this tab but deleted in another tab.',
+        savedBoth: 'It was also saved in another tab.'
+    };
+    const message = mine === null ? messages.deletedHere : (theirs === null ? messages.deletedThere : messages.savedBoth);
+    conflicts.push({ seasonId: season.id, name: season.name, message, written: mine, alternative: theirs });
+    return mine;
+}
 
-    notesList.innerHTML = html;
+/**
+ * Reconcile this tab's serialized seasons with the stored ones ({ id: json }), given the stored
+ * state this tab last read or wrote (base). Returns the entries to write in this tab's order;
+ * seasons added by another tab are appended.
+ */
+function reconcileSeasonEntries(entries, stored, base, conflicts = []) {
+    const mine = {};
+    entries.forEach(e => { mine[e.id] = e.json; });
+    const ids = new Set(entries.map(e => e.id).concat(Object.keys(stored), Object.keys(base)));
+    const merged = [];
+    ids.forEach(id => {
+        const json = mergeSeasonVersions(base[id] ?? null, mine[id] ?? null, stored[id] ?? null, conflicts);
+        if (json !== null) merged.push({ id, json });
+    });
+    return merged;
 }
 
-let editingNoteId = null;
+/**
+ * Bring the in-memory seasons in line with the reconciled result of a save. Seasons edited again
+ * since the save was queued are left alone; the next save merges them.
+ */
+function applyReconciledSeasons(entries, merged) {
+    const mine = {};
+    entries.forEach(e => { mine[e.id] = e.json; });
+    if (merged.length === entries.length && merged.every(e => mine[e.id] === e.json)) return;
+
+    const inMemory = {};
+    currentSeasons.forEach(s => { inMemory[s.id] = s; });
+    const next = [];
+    merged.forEach(e => {
+        const current = inMemory[e.id];
+        delete inMemory[e.id];
+        if (e.id in mine && (!current || mine[e.id] === e.json || JSON.stringify(current) !== mine[e.id])) {
+            if (current) next.push(current);
+            return;
+        }
+        next.push(JSON.parse(e.json));
+        if (historyBaseline) historyBaseline.seasons[e.id] = e.json;
+    });
+    // seasons added since the save was queued stay; seasons the merge removed go unless edited since
+    Object.values(inMemory).forEach(season => {
+        if (!(season.id in mine) || JSON.stringify(season) !== mine[season.id]) next.push(season);
+        else if (historyBaseline) delete historyBaseline.seasons[season.id];
+    });
 
-function openNoteModal(note = null) {
-    const modal = document.getElementById('noteModal');
-    const titleEl = document.getElementById('noteModalTitle');
-    const titleInput = document.getElementById('noteTitle');
-    const contentInput = document.getElementById('noteContent');
+    currentSeasons = next;
+    if (historyBaseline) historyBaseline.order = currentSeasons.map(s => s.id);
+    if (!getCurrentSeason()) currentSeasonId = currentSeasons.length > 0 ? currentSeasons[0].id : null;
+    refreshAllViews();
+}
 
-    if (note) {
-        editingNoteId = note.id;
-        titleEl.textContent = 'Edit Note';
-        titleInput.value = note.title || '';
-        contentInput.value = note.content || '';
-    } else {
-        editingNoteId = null;
-        titleEl.textContent = 'Add Note';
-        titleInput.value = '';
-        contentInput.value = '';
-    }
+/**
+ * Sync conflicts
+ * Saves never stop to ask: a season both tabs changed keeps this tab's version, and the conflict
+ * ({ id, seasonId, name, message, written, alternative }) is listed in the conflict bar once the
+ * write has settled, where the other tab's version can still be picked.
+ */
+let syncConflicts = [];
 
-    modal.classList.remove('hidden');
-    setTimeout(() => titleInput.focus(), 50);
+function addSyncConflicts(conflicts) {
+    conflicts.forEach(conflict => {
+        syncConflicts = syncConflicts.filter(c => c.seasonId !== conflict.seasonId);
+        syncConflicts.push(Object.assign({ id: generateId() }, conflict));
+    });
+    renderSyncConflicts();
 }
 
-function closeNoteModal() {
-    const modal = document.getElementById('noteModal');
-    modal.classList.add('hidden');
-    editingNoteId = null;
+function renderSyncConflicts() {
+    const bar = document.getElementById('syncConflictBar');
+    if (!bar) return;
+    bar.classList.toggle('hidden', syncConflicts.length === 0);
+    bar.innerHTML = syncConflicts.map(c => `
+        <div class="flex flex-col sm:flex-row sm:items-center justify-between gap-2 py-1">
+            <div class="text-sm">
+                <strong>"${escapeHtml(c.name)}" was changed in another tab too.</strong> ${escapeHtml(c.message)} This tab's version was saved.
+            </div>
+            <div class="flex gap-2 shrink-0">
+                <button onclick="resolveSyncConflict('${c.id}', false)" class="text-sm px-3 py-1 border border-gray-300 rounded bg-white hover:bg-gray-50">Keep this tab's</button>
+                <button onclick="resolveSyncConflict('${c.id}', true)" class="text-sm px-3 py-1 bg-black text-white rounded hover:bg-gray-800">Use the other tab's</button>
+            </div>
+        </div>
+    `).join('');
 }
 
-function saveNote() {
-    const titleInput = document.getElementById('noteTitle');
-    const contentInput = document.getElementById('noteContent');
-    const season = getCurrentSeason();
-    if (!season) return;
-
-    const notes = getSeasonNotes();
-
-    if (editingNoteId) {
-        const note = notes.find(n => n.id === editingNoteId);
-        if (note) {
-            note.title = titleInput.value.trim();
-            note.content = contentInput.value.trim();
-            note.updatedAt = new Date().toISOString();
+/**
+ * Close a conflict, optionally replacing the saved season with the other tab's version (one undo step).
+ * Not applied when the season changed again since the conflict was saved.
+ */
+function resolveSyncConflict(conflictId, useOther) {
+    const conflict = syncConflicts.find(c => c.id === conflictId);
+    if (!conflict) return;
+    syncConflicts = syncConflicts.filter(c => c !== conflict);
+    if (useOther) {
+        const index = currentSeasons.findIndex(s => s.id === conflict.seasonId);
+        const currentJson = index >= 0 ? JSON.stringify(currentSeasons[index]) : null;
+        if (currentJson !== conflict.written) {
+            alert(`The season "${conflict.name}" was changed again since, so the other tab's version can no longer be applied.`);
+        } else {
+            if (conflict.alternative === null) currentSeasons.splice(index, 1);
+            else if (index >= 0) currentSeasons[index] = JSON.parse(conflict.alternative);
+            else currentSeasons.push(JSON.parse(conflict.alternative));
+            if (!getCurrentSeason()) currentSeasonId = currentSeasons.length > 0 ? currentSeasons[0].id : null;
+            saveToStorage(`Use the other tab's version of "${conflict.name}"`);
+            refreshAllViews();
         }
-    } else {
-        const newNote = {
-            id: generateId(),
-            title: titleInput.value.trim(),
-            content: contentInput.value.trim(),
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-        notes.unshift(newNote);
     }
-
-    season.notes = notes;
-    saveToStorage();
-    renderNotes();
-    closeNoteModal();
+    renderSyncConflicts();
 }
 
-function editNote(noteId) {
-    const notes = getSeasonNotes();
-    const note = notes.find(n => n.id === noteId);
-    if (!note) return alert('Note not found');
-    openNoteModal(note);
+/**
+ * JSON of the record an edit dialog works on: a player, or the season details when playerId is null
+ */
+function editRecordJson(seasonId, playerId) {
+    const season = currentSeasons.find(s => s.id === seasonId);
+    if (!season) return null;
+    if (!playerId) return splitSeasonJson(JSON.stringify(season)).details;
+    const entry = findPlayerInSeason(season, playerId);
+    return entry ? JSON.stringify(entry.player) : null;
 }
 
-function deleteNote(noteId) {
-    if (!confirm('Delete this note?')) return;
-    const season = getCurrentSeason();
-    if (!season) return;
-    season.notes = (season.notes || []).filter(n => n.id !== noteId);
-    saveToStorage();
-    renderNotes();
+/**
+ * Remember what an edit dialog started from so a reload from another tab can be detected on save
+ */
+function trackOpenEdit(seasonId, playerId, close) {
+    openEditRecord = { seasonId, playerId, json: editRecordJson(seasonId, playerId), changedElsewhere: false, close };
 }
 
-function switchToNotes() {
-    // update tab classes
-    document.querySelectorAll('.squad-tab').forEach(tab => {
-        tab.classList.remove('active');
-        tab.classList.add('border-transparent', 'text-gray-500');
-        tab.classList.remove('border-black', 'text-black');
-    });
-    const notesTab = document.getElementById('notesTab');
-    notesTab.classList.add('active', 'border-black', 'text-black');
-    notesTab.classList.remove('border-transparent', 'text-gray-500');
+function checkOpenEditAfterSync() {
+    const record = openEditRecord;
+    if (!record) return;
+    if (!currentSeasons.some(s => s.id === record.seasonId)) {
+        record.close();
+        alert('The season you were editing was deleted in another tab, so your edits were discarded.');
+        return;
+    }
+    if (editRecordJson(record.seasonId, record.playerId) !== record.json) record.changedElsewhere = true;
+}
 
-    // show notes, hide players
-    document.getElementById('playersContainer').classList.add('hidden');
-    document.getElementById('notesContainer').classList.remove('hidden');
-    document.getElementById('squadTitle').textContent = 'Your Notes';
-    renderNotes();
+/**
+ * Ask before an edit dialog saves over changes another tab made while it was open.
+ * Returns false when the edits should be discarded.
+ */
+function confirmOpenEditSave(what) {
+    const record = openEditRecord;
+    if (!record || !record.changedElsewhere) return true;
+    if (editRecordJson(record.seasonId, record.playerId) === null) {
+        return confirm(`${what} was deleted in another tab while you were editing.\n\nOK: save your edits anyway\nCancel: discard your edits`);
+    }
+    return confirm(`${what} was changed in another tab while you were editing.\n\nOK: save your edits over those changes\nCancel: discard your edits and keep the other tab's version`);
 }
 
-// When switching squad, ensure notes panel is hidden
-const _origSwitchSquad = switchSquad;
-switchSquad = function(squad) {
-    _origSwitchSquad && _origSwitchSquad(squad);
-    // hide notes UI when switching back to squads
-    const notesContainer = document.getElementById('notesContainer');
-    if (notesContainer) notesContainer.classList.add('hidden');
-    const playersContainer = document.getElementById('playersContainer');
-    if (playersContainer) playersContainer.classList.remove('hidden');
-    // ensure Notes tab not active
-    const notesTab = document.getElementById('notesTab');
-    if (notesTab) notesTab.classList.remove('active');
-};
+/**
+ * Undo / redo history
+ * Each saveToStorage() call is diffed against the previously saved state and the seasons that
+ * changed are recorded as one step ({ label, before, after }, each side holding the season order
+ * and the JSON of the changed seasons, null when absent). Undo/redo re-applies one side of a step.
+ * The steps closest to the current state, up to HISTORY_LIMIT and HISTORY_PERSIST_MAX_CHARS, are
+ * persisted so history survives reloads.
+ */
+const HISTORY_LIMIT = 50;
+const HISTORY_STORAGE_KEY = 'cmutils_history'; // localStorage fallback only, suffixed with ':<careerId>'
+// cap of the stored history per backend, so a save of a large career never rewrites tens of MB
+const HISTORY_PERSIST_MAX_CHARS = { indexedDB: 2 * 1024 * 1024, localStorage: 1024 * 1024 };
+const historyStepSizes = new WeakMap();
+let undoStack = [];
+let redoStack = [];
+let historyBaseline = null; // { order: [ids], seasons: { id: json } } as of the last save
+let applyingHistory = false;
+
+function historySnapshotFromEntries(entries) {
+    const seasons = {};
+    entries.forEach(e => { seasons[e.id] = e.json; });
+    return { order: entries.map(e => e.id), seasons };
+}
 
 /**
- * Transfer helper functions
+ * Anchor history at the current in-memory data (after load, sample data or a clear)
  */
-function getSeasonTransfers(season) {
-    if (!season) return null;
-    if (!season.transfers) season.transfers = { forSale: [], sold: [], released: [], retired: [], loan: [], toBuyClub: [], toBuyReleased: [] };
-    return season.transfers;
+function resetHistoryBaseline() {
+    historyBaseline = historySnapshotFromEntries(currentSeasons.map(s => ({ id: s.id, json: JSON.stringify(s) })));
 }
 
-function addPlayerToTransferList(playerId, key) {
-    const season = getCurrentSeason();
-    if (!season) return;
-    const players = Object.assign({}, season.roster.main_squad.players, season.roster.youth_academy.players);
-    const player = players[playerId];
-    if (!player) return alert('Player not found');
+/**
+ * Record the difference between the last saved state and the serialized entries as one step
+ */
+function recordHistoryStep(entries, label) {
+    const prev = historyBaseline;
+    const next = historySnapshotFromEntries(entries);
+    historyBaseline = next;
+    if (!prev || applyingHistory) return;
+
+    const before = { order: prev.order, seasons: {} };
+    const after = { order: next.order, seasons: {} };
+    let changed = prev.order.join('|') !== next.order.join('|');
+    new Set(Object.keys(prev.seasons).concat(Object.keys(next.seasons))).forEach(id => {
+        const a = prev.seasons[id] !== undefined ? prev.seasons[id] : null;
+        const b = next.seasons[id] !== undefined ? next.seasons[id] : null;
+        if (a === b) return;
+        before.seasons[id] = a;
+        after.seasons[id] = b;
+        changed = true;
+    });
+    if (!changed) return;
 
-    const transfers = getSeasonTransfers(season);
+    undoStack.push({ label: label || 'Edit', at: new Date().toISOString(), before, after });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.splice(0, undoStack.length - HISTORY_LIMIT);
+    redoStack = [];
+    persistHistory();
+    updateHistoryButtons();
+}
 
-    // Ensure the target transfer list exists
-    if (!Array.isArray(transfers[key])) transfers[key] = [];
+/**
+ * Replace the affected seasons with one side of a history step and select the season it touched
+ */
+function applyHistoryState(state) {
+    const byId = {};
+    currentSeasons.forEach(s => { byId[s.id] = s; });
+    Object.keys(state.seasons).forEach(id => {
+        if (state.seasons[id] === null) delete byId[id];
+        else byId[id] = JSON.parse(state.seasons[id]);
+    });
+    currentSeasons = state.order.map(id => byId[id]).filter(Boolean);
 
-    // snapshot of player
-    const snapshot = Object.assign({}, player);
+    const touched = Object.keys(state.seasons).find(id => state.seasons[id] !== null && state.order.includes(id));
+    if (touched) currentSeasonId = touched;
+    else if (!getCurrentSeason()) currentSeasonId = currentSeasons.length > 0 ? currentSeasons[0].id : null;
+}
 
-    // Handle one-way permanent actions explicitly
-    if (key === TRANSFER_KEYS.retired) {
-        // Confirm retire action with the user
-        if (!confirm(`Are you sure you want to retire ${player.firstName} ${player.lastName}? This will remove them from your squads.`)) return;
-        // mark snapshot as retired for clarity
-        snapshot.retired = true;
-        snapshot.retiredAt = new Date().toISOString().split('T')[0];
-        // remove from all squads for permanent changes
-        delete season.roster.main_squad.players[playerId];
-        delete season.roster.youth_academy.players[playerId];
-    } else if (key === TRANSFER_KEYS.sold || key === TRANSFER_KEYS.released) {
-        // remove from all squads for permanent changes (sold/released)
-        delete season.roster.main_squad.players[playerId];
-        delete season.roster.youth_academy.players[playerId];
+function undo() {
+    const step = undoStack.pop();
+    if (!step) return;
+    applyingHistory = true;
+    try {
+        applyHistoryState(step.before);
+        saveToStorage();
+    } finally {
+        applyingHistory = false;
     }
+    redoStack.push(step);
+    persistHistory();
+    refreshAllViews();
+    updateHistoryButtons();
+}
 
-    // Toggle behavior for 'forSale' list: if already present, remove it (and update UI), otherwise add.
-    if (key === TRANSFER_KEYS.forSale) {
-        if (!Array.isArray(transfers.forSale)) transfers.forSale = [];
-        const exists = transfers.forSale.some(item => item.id && item.id.toString() === snapshot.id.toString());
-        if (exists) {
-            transfers.forSale = transfers.forSale.filter(item => !(item.id && item.id.toString() === snapshot.id.toString()));
-            saveToStorage();
-            renderPlayers();
-            renderTransfers();
-            return;
+function redo() {
+    const step = redoStack.pop();
+    if (!step) return;
+    applyingHistory = true;
+    try {
+        applyHistoryState(step.after);
+        saveToStorage();
+    } finally {
+        applyingHistory = false;
+    }
+    undoStack.push(step);
+    persistHistory();
+    refreshAllViews();
+    updateHistoryButtons();
+}
+
+function historyStepSize(step) {
+    if (!historyStepSizes.has(step)) historyStepSizes.set(step, JSON.stringify(step).length);
+    return historyStepSizes.get(step);
+}
+
+/**
+ * The newest undo steps and the next redo steps that fit in maxChars together. The in-memory
+ * stacks stay complete for this session.
+ */
+function historyWithinSize(maxChars) {
+    let size = 0;
+    const newestFirst = stack => {
+        const kept = [];
+        for (let i = stack.length - 1; i >= 0 && kept.length < HISTORY_LIMIT; i--) {
+            if (size + historyStepSize(stack[i]) > maxChars) break;
+            size += historyStepSize(stack[i]);
+            kept.unshift(stack[i]);
         }
+        return kept;
+    };
+    // undo steps take the budget first
+    const undo = newestFirst(undoStack);
+    return { undo, redo: newestFirst(redoStack) };
+}
+
+function persistHistory() {
+    const data = historyWithinSize(HISTORY_PERSIST_MAX_CHARS[storageBackend]);
+    if (storageBackend === 'localStorage') {
+        persistHistoryLocally(data);
+        return;
     }
-    // Toggle behavior for 'loan' list: add if missing, remove if present
-    if (key === TRANSFER_KEYS.loan) {
-        if (!Array.isArray(transfers.loan)) transfers.loan = [];
-        const existsLoan = transfers.loan.some(item => item.id && item.id.toString() === snapshot.id.toString());
-        if (existsLoan) {
-            transfers.loan = transfers.loan.filter(item => !(item.id && item.id.toString() === snapshot.id.toString()));
-            saveToStorage();
-            renderPlayers();
-            renderTransfers();
+    const key = careerMetaKey('history');
+    storageWriteQueue = storageWriteQueue
+        .then(() => writeMetaValue(key, data))
+        .catch(e => console.warn('Could not persist undo history', e));
+}
+
+/**
+ * The localStorage fallback shares its quota with the seasons, so when the size cap is not enough
+ * the oldest steps (undo first, then the farthest redo) are dropped until the write succeeds.
+ */
+function persistHistoryLocally(data) {
+    const key = `${HISTORY_STORAGE_KEY}:${currentCareerId}`;
+    const undo = data.undo.slice();
+    const redo = data.redo.slice();
+    for (;;) {
+        const empty = undo.length === 0 && redo.length === 0;
+        try {
+            localStorage.setItem(key, JSON.stringify({ undo, redo }));
             return;
+        } catch (e) {
+            if (e.name !== 'QuotaExceededError' || empty) {
+                console.warn('Could not persist undo history', e);
+                try { localStorage.removeItem(key); } catch (removeError) { /* nothing stored to remove */ }
+                return;
+            }
         }
+        if (undo.length) undo.shift();
+        else redo.shift();
     }
+}
 
-    // prevent duplicate snapshot ids
-    if (!transfers[key].some(item => item.id && item.id.toString() === snapshot.id.toString())) {
-        transfers[key].push(snapshot);
+/**
+ * Load persisted history and anchor it at the loaded data
+ */
+async function loadHistory() {
+    try {
+        const data = storageBackend === 'localStorage'
+            ? JSON.parse(localStorage.getItem(`${HISTORY_STORAGE_KEY}:${currentCareerId}`) || 'null')
+            : await readMetaValue(careerMetaKey('history'));
+        undoStack = data && Array.isArray(data.undo) ? data.undo : [];
+        redoStack = data && Array.isArray(data.redo) ? data.redo : [];
+        // steps recorded before a schema upgrade would re-apply the old shapes
+        if (storageMigrationReport && (undoStack.length || redoStack.length)) {
+            undoStack = [];
+            redoStack = [];
+            storageMigrationReport.historyDiscarded = true;
+            persistHistory();
+        }
+    } catch (e) {
+        console.warn('Could not load undo history', e);
+        undoStack = [];
+        redoStack = [];
     }
-    saveToStorage();
-    renderPlayers();
-    renderTransfers();
+    resetHistoryBaseline();
+    updateHistoryButtons();
 }
 
-function addPlayerCopyToBuyList(playerId, key) {
-    const season = getCurrentSeason();
-    if (!season) return;
-    const players = Object.assign({}, season.roster.main_squad.players, season.roster.youth_academy.players);
-    const player = players[playerId];
-    if (!player) return alert('Player not found');
+function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    localStorage.removeItem(`${HISTORY_STORAGE_KEY}:${currentCareerId}`);
+    resetHistoryBaseline();
+    updateHistoryButtons();
+}
 
-    const transfers = getSeasonTransfers(season);
-    const snapshot = Object.assign({}, player, { id: generateId() });
-    if (!transfers[key].some(item => item.id && item.id.toString() === snapshot.id.toString())) {
-        transfers[key].push(snapshot);
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) {
+        const step = undoStack[undoStack.length - 1];
+        undoBtn.disabled = !step;
+        undoBtn.title = step ? `Undo: ${step.label} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    if (redoBtn) {
+        const step = redoStack[redoStack.length - 1];
+        redoBtn.disabled = !step;
+        redoBtn.title = step ? `Redo: ${step.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
     }
-    saveToStorage();
-    renderTransfers();
 }
 
 /**
- * Take a transfer snapshot and add it into the main_squad players if not present.
- * This lets the user 'show' a transfer snapshot in their main player list.
+ * Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y). Text fields keep their native undo.
  */
-function showTransferInPlayers(listKey, snapshotId) {
-    const season = getCurrentSeason();
-    if (!season) return;
-    const transfers = getSeasonTransfers(season);
-    const list = transfers[listKey] || [];
-    const snapshot = list.find(p => p.id && p.id.toString() === snapshotId.toString());
-    if (!snapshot) return alert('Snapshot not found');
-
-    // If a player with the same id already exists in any squad, warn and do nothing
-    const allPlayers = Object.assign({}, season.roster.main_squad.players, season.roster.youth_academy.players);
-    if (allPlayers[snapshot.id]) {
-        return alert('This player snapshot already exists in your squads.');
-    }
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = (e.key || '').toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    const t = e.target;
+    if (t && (t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName))) return;
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) redo();
+    else undo();
+}
 
-    // Insert into main_squad with same snapshot id to preserve link
-    season.roster.main_squad.players[snapshot.id] = Object.assign({}, snapshot);
-    // Normalize ordering so the new player appears correctly grouped
-    normalizePlayerOrder(season, 'main_squad');
-    saveToStorage();
+/**
+ * Re-render every view that depends on season data
+ */
+function refreshAllViews() {
+    renderSeasonTabs();
     renderPlayers();
-    alert(`Added ${snapshot.firstName} ${snapshot.lastName} to Main Squad`);
+    renderTransfers();
+    const notesContainer = document.getElementById('notesContainer');
+    if (notesContainer && !notesContainer.classList.contains('hidden')) renderNotes();
+    try { renderSeasonStatsPanel(getCurrentSeason()); } catch (e) { /* no-op */ }
 }
 
-function removeFromTransferList(listKey, playerSnapshotId) {
-    const season = getCurrentSeason();
-    if (!season) return;
-    const transfers = getSeasonTransfers(season);
-    transfers[listKey] = (transfers[listKey] || []).filter(p => !(p.id && p.id.toString() === playerSnapshotId.toString()));
-    saveToStorage();
-    renderTransfers();
-    // Re-render players so any 'for-sale' highlighting is updated/removed immediately
-    renderPlayers();
+/**
+ * Career switcher
+ */
+function renderCareerSwitcher() {
+    const select = document.getElementById('careerSelect');
+    if (!select) return;
+    select.innerHTML = careers.map(c =>
+        `<option value="${c.id}" ${c.id === currentCareerId ? 'selected' : ''}>${escapeHtml(c.name)}</option>`
+    ).join('');
+    const deleteBtn = document.getElementById('deleteCareerBtn');
+    if (deleteBtn) deleteBtn.disabled = careers.length <= 1;
 }
 
-function clearTransferList(listKey) {
-    const season = getCurrentSeason();
-    if (!season) return;
-    const transfers = getSeasonTransfers(season);
-    transfers[listKey] = [];
-    saveToStorage();
-    renderTransfers();
-    // Re-render players to reflect cleared For Sale list
-    renderPlayers();
+function createDefaultSeason() {
+    const nowYear = new Date().getFullYear();
+    return {
+        id: generateId(),
+        name: `${nowYear}/${nowYear+1}`,
+        year: nowYear,
+        currency: 'USD',
+        roster: {
+            main_squad: { players: {} },
+            youth_academy: { players: {} }
+        }
+    };
 }
 
 /**
- * Render transfers UI into #transfersContainer
+ * Make another career the active one: pending writes finish first, then its seasons and
+ * undo history are loaded and every view is re-rendered.
  */
-function renderTransfers() {
-    const container = document.getElementById('transfersContainer');
-    if (!container) return;
-    const season = getCurrentSeason();
-    if (!season) { container.innerHTML = ''; return; }
-    const transfers = getSeasonTransfers(season);
+async function switchCareer(careerId) {
+    if (careerId === currentCareerId || !careers.some(c => c.id === careerId)) {
+        renderCareerSwitcher();
+        return;
+    }
+    await storageWriteQueue;
 
-    const currency = CURRENCY_SYMBOLS[season.currency] || '$';
+    currentCareerId = careerId;
+    persistCareers();
+    syncConflicts = [];
+    renderSyncConflicts();
+    lastDailySnapshotDate = null;
+    try {
+        if (storageBackend === 'localStorage') loadFromLocalStorage();
+        else await loadCareerSeasons();
+    } catch (error) {
+        console.error('Error loading career:', error);
+        alert('Error loading this career.');
+        currentSeasons = [];
+        currentSeasonId = null;
+    }
+    await loadHistory();
 
-    function renderList(title, listKey) {
-        const list = transfers[listKey] || [];
-        // Add an "Add Player" button for the 'toBuy' lists which opens the player modal
-        const isToBuy = listKey === TRANSFER_KEYS.toBuyClub || listKey === TRANSFER_KEYS.toBuyReleased;
-        let addBtnHtml = '';
-        if (isToBuy) {
-            addBtnHtml = `<button onclick="openTransferPlayerModal('${listKey}')" class="text-xs text-blue-600">Add Player</button>`;
-        }
+    switchSquad('main_squad');
+    refreshAllViews();
+    hideCharts();
+    renderCareerSwitcher();
+    finishStoredSchemaUpgrade();
+    ensureDailySnapshot();
+}
 
-        let html = `<div class="position-group mb-4">
-            <div class="position-group-header flex justify-between items-center">${title} <div class="space-x-2">${addBtnHtml}<button onclick="clearTransferList('${listKey}')" class="text-xs text-red-600">Clear</button></div></div>`;
-            if (list.length === 0) { 
-                html += `<div class="p-4 text-sm text-gray-600">No players available</div>`;
-            } else { 
-            list.forEach(p => {
-                // compute group class so styling matches main player cards
-                const grp = getPositionGroup(p.role) || 'Unknown';
-                const groupClass = 'group-' + grp.toLowerCase().replace(/\s+/g, '-');
+function addCareer(name) {
+    const career = { id: generateId(), name, createdAt: new Date().toISOString() };
+    careers.push(career);
+    persistCareers();
+    return career;
+}
 
-                html += `
-                    <div class="player-card ${groupClass}" style="margin:8px;" data-transfer-id="${p.id}">
-                        <div class="flex justify-between items-start mb-2">
-                            <div>
-                                <div class="font-semibold">${p.firstName} ${p.lastName}</div>
-                                <div class="text-sm text-gray-500">${renderNationalityHTML(p.nationality)} • ${p.role || '-'}</div>
-                            </div>
-                            <div class="flex items-center gap-2">
-                                <button onclick="showTransferInPlayers('${listKey}','${p.id}')" class="text-blue-600" title="Add the player to the main squad">➕</button>
-                                <button onclick="removeFromTransferList('${listKey}','${p.id}')" class="text-red-600" title="Remove">🗑️</button>
-                            </div>
-                        </div>
-                        <div class="grid grid-cols-2 gap-2 text-sm">
-                            <div>OVR: <span class="font-medium">${p.overall || '-'}</span></div>
-                            <div>POT: <span class="font-medium">${p.potential || '-'}</span></div>
-                            <div>Age: <span class="font-medium">${p.age || '-'}</span></div>
-                            <div>Contract: <span class="font-medium">${(p.contractEnd !== undefined && p.contractEnd !== null && p.contractEnd !== '') ? p.contractEnd : '-'}</span></div>
-                            <div>Skills: ${renderStars(p.skills)}</div>
-                            <div>Weak Foot: ${renderStars(p.weakFoot)}</div>
-                            <div>Value: <span class="font-medium">${currency}${formatNumber(p.value)}</span></div>
-                            <div>Wage: <span class="font-medium">${currency}${formatNumber(p.wage)}</span></div>
-                        </div>
-                    </div>
-                `;
-            });
-        }
-        html += '</div>';
-        return html;
-    }
+async function createCareer() {
+    const name = prompt('Name of the new career (e.g. Wrexham):', '');
+    if (!name || !name.trim()) return;
+    const career = addCareer(name.trim());
+    await switchCareer(career.id);
 
-    let html = '<div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">';
-    html += renderList('Players For Sale', 'forSale');
-    html += renderList('Players Sold', 'sold');
-    html += renderList('Players Released', 'released');
-    html += renderList('Players Retired', 'retired');
-    html += renderList('Players On Loan', 'loan');
-    html += renderList('Players To Buy (Club)', 'toBuyClub');
-    html += renderList('Players To Buy (Released)', 'toBuyReleased');
-    html += '</div>';
+    currentSeasons = [createDefaultSeason()];
+    currentSeasonId = currentSeasons[0].id;
+    resetHistoryBaseline();
+    saveToStorage();
+    refreshAllViews();
+}
 
-    container.innerHTML = html;
+function renameCareer() {
+    const career = getCurrentCareer();
+    if (!career) return;
+    const name = prompt('Rename career:', career.name);
+    if (!name || !name.trim()) return;
+    career.name = name.trim();
+    persistCareers();
+    renderCareerSwitcher();
+}
+
+async function deleteCareer() {
+    const career = getCurrentCareer();
+    if (!career) return;
+    if (careers.length <= 1) {
+        alert('This is your only career. Use Clear Storage in Storage Info to start over.');
+        return;
+    }
+    if (!confirm(`Delete the career "${career.name}" and all of its seasons?\n\nA snapshot is kept so you can restore it from Storage Info.`)) return;
+
+    await createSnapshot(`Before deleting career ${career.name}`);
+    await storageWriteQueue;
+    try {
+        await deleteCareerData(career.id);
+    } catch (error) {
+        console.error('Error deleting career:', error);
+        alert('Error deleting career.');
+        return;
+    }
+    careers = careers.filter(c => c.id !== career.id);
+    await switchCareer(careers[0].id);
 }
 
 /**
- * Render season tabs
+ * Automatic snapshots
+ * Full copies of the dataset taken before destructive actions (import, next season, season delete,
+ * clear storage, restore) and once per day. Metadata lives in the 'snapshots' store and the JSON in
+ * 'snapshotData', so the list can be rendered without reading every dataset.
+ * Each snapshot belongs to one career. Snapshots are rolling: only the newest
+ * SNAPSHOT_LIMITS[kind] of each kind are kept per career.
  */
-function renderSeasonTabs() {
-    const container = document.getElementById('seasonTabs');
-    container.innerHTML = '';
+const SNAPSHOT_LIMITS = {
+    event: 15,
+    daily: 7
+};
+let lastDailySnapshotDate = null; // 'YYYY-MM-DD' of the current career's newest daily snapshot, '' when none
 
-    currentSeasons.forEach(season => {
-        const tab = document.createElement('div');
-        tab.className = `season-tab ${season.id === currentSeasonId ? 'active' : ''}`;
-        const yearLabel = season.year ? ` <span class="text-xs text-gray-400">(${season.year})</span>` : '';
-        tab.innerHTML = `
-            <span>${season.name}${yearLabel}</span>
-            <button class="delete-btn" onclick="deleteSeason('${season.id}')" title="Delete Season">×</button>
-        `;
+/**
+ * Snapshot a career's seasons (the current career by default). Serialization happens immediately;
+ * the write is queued after pending saves. Resolves with the snapshot metadata, or null when
+ * skipped or failed.
+ */
+function createSnapshot(reason, kind = 'event', seasons = currentSeasons, careerId = currentCareerId) {
+    if (storageBackend !== 'indexedDB' || seasons.length === 0) return Promise.resolve(null);
+
+    const career = careers.find(c => c.id === careerId);
+    const json = JSON.stringify({ schemaVersion: careerId === currentCareerId ? storedSchemaVersion : SCHEMA_VERSION, career: { name: career ? career.name : '' }, seasons });
+    const meta = {
+        id: generateId(),
+        createdAt: new Date().toISOString(),
+        reason,
+        kind,
+        careerId,
+        careerName: career ? career.name : '',
+        size: new Blob([json]).size,
+        seasonCount: seasons.length
+    };
 
-        // Single click: switch season (only on single clicks, not the first click of a double-click)
-        tab.addEventListener('click', (e) => {
-            if (e.detail === 2) return; // ignore the first click of a double-click
-            if (!e.target.classList.contains('delete-btn')) {
-                switchSeason(season.id);
-            }
-        });
+    const task = storageWriteQueue.then(async () => {
+        const db = await openDatabase();
+        const tx = db.transaction([DB_STORES.snapshots, DB_STORES.snapshotData], 'readwrite');
+        tx.objectStore(DB_STORES.snapshots).put(meta, meta.id);
+        tx.objectStore(DB_STORES.snapshotData).put(json, meta.id);
+        await idbTransactionDone(tx);
+        await pruneSnapshots();
+        return meta;
+    });
+    storageWriteQueue = task.catch(e => console.warn('Could not create snapshot', e));
+    return task.catch(() => null);
+}
 
-        // Double click: open season modal to edit the season (rename, change currency)
-        tab.addEventListener('dblclick', (e) => {
-            e.stopPropagation();
-            openSeasonModal(season.id);
-        });
+/**
+ * List snapshot metadata, newest first
+ */
+async function listSnapshots() {
+    if (storageBackend !== 'indexedDB') return [];
+    const db = await openDatabase();
+    const all = await idbRequest(db.transaction(DB_STORES.snapshots, 'readonly').objectStore(DB_STORES.snapshots).getAll());
+    return all.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
 
-        container.appendChild(tab);
+async function readSnapshotData(id) {
+    const db = await openDatabase();
+    return idbRequest(db.transaction(DB_STORES.snapshotData, 'readonly').objectStore(DB_STORES.snapshotData).get(id));
+}
+
+async function deleteSnapshotRecords(ids) {
+    if (ids.length === 0) return;
+    const db = await openDatabase();
+    const tx = db.transaction([DB_STORES.snapshots, DB_STORES.snapshotData], 'readwrite');
+    ids.forEach(id => {
+        tx.objectStore(DB_STORES.snapshots).delete(id);
+        tx.objectStore(DB_STORES.snapshotData).delete(id);
     });
+    await idbTransactionDone(tx);
 }
 
 /**
- * Switch to different season
+ * Drop the oldest snapshots beyond the per-kind limits of each career
  */
-function switchSeason(seasonId) {
-    currentSeasonId = seasonId;
-    renderSeasonTabs();
-    renderPlayers();
-    hideCharts();
+async function pruneSnapshots() {
+    const snapshots = await listSnapshots();
+    const seen = {};
+    const stale = snapshots.filter(s => {
+        const kind = SNAPSHOT_LIMITS[s.kind] ? s.kind : 'event';
+        const bucket = `${s.careerId || ''}/${kind}`;
+        seen[bucket] = (seen[bucket] || 0) + 1;
+        return seen[bucket] > SNAPSHOT_LIMITS[kind];
+    }).map(s => s.id);
+    await deleteSnapshotRecords(stale);
 }
 
 /**
- * Switch squad type
+ * Take the daily snapshot if none was taken today
  */
-function switchSquad(squad) {
-    currentSquad = squad;
-    
-    // Update tab styles
-    document.querySelectorAll('.squad-tab').forEach(tab => {
-        tab.classList.remove('active');
-        tab.classList.add('border-transparent', 'text-gray-500');
-        tab.classList.remove('border-black', 'text-black');
-    });
-    
-    const activeTab = squad === 'main_squad' ? 'mainSquadTab' : 'youthAcademyTab';
-    const activeTabEl = document.getElementById(activeTab);
-    activeTabEl.classList.add('active', 'border-black', 'text-black');
-    activeTabEl.classList.remove('border-transparent', 'text-gray-500');
-    
-    // Update squad title
-    document.getElementById('squadTitle').textContent = squad === 'main_squad' ? 'Main Squad' : 'Youth Academy';
-    
-    renderPlayers();
-    hideCharts();
+async function ensureDailySnapshot() {
+    if (storageBackend !== 'indexedDB' || currentSeasons.length === 0) return;
+    const today = new Date().toISOString().split('T')[0];
+    if (lastDailySnapshotDate === null) {
+        try {
+            const daily = (await listSnapshots()).find(s => s.kind === 'daily' && s.careerId === currentCareerId);
+            lastDailySnapshotDate = daily ? daily.createdAt.split('T')[0] : '';
+        } catch (e) {
+            console.warn('Could not read snapshots', e);
+            return;
+        }
+    }
+    if (lastDailySnapshotDate === today) return;
+    lastDailySnapshotDate = today;
+    await createSnapshot('Daily snapshot', 'daily');
 }
 
 /**
- * Render players table/cards
+ * Render the snapshot list inside the storage modal
  */
-function renderPlayers() {
-    const container = document.getElementById('playersContainer');
-    const players = getCurrentPlayers();
-    const playersArray = Object.values(players);
+async function renderSnapshotsPanel() {
+    const container = document.getElementById('snapshotsList');
+    if (!container) return;
 
-    if (playersArray.length === 0) {
-        container.innerHTML = `
-            <div class="empty-state">
-                <h3>No players found</h3>
-                <p>Add your first player to get started</p>
-                <button onclick="openPlayerModal()" class="mt-4 bg-black text-white px-6 py-2 rounded hover:bg-gray-800">
-                    Add Player
-                </button>
-            </div>
-        `;
-        // still render transfers section even if no players
-        renderTransfers();
-        try { renderSeasonStatsPanel(getCurrentSeason()); } catch (e) { /* no-op */ }
+    if (storageBackend !== 'indexedDB') {
+        container.innerHTML = '<div class="text-sm text-gray-500">Snapshots require IndexedDB, which is not available in this browser.</div>';
         return;
     }
 
-    // Group players by position
-    const groupedPlayers = {};
-    Object.entries(POSITION_GROUPS).forEach(([groupName, positions]) => {
-        groupedPlayers[groupName] = playersArray.filter(player => positions.includes(player.role));
-    });
+    let snapshots = [];
+    try {
+        snapshots = await listSnapshots();
+    } catch (e) {
+        console.warn('Could not list snapshots', e);
+    }
 
-    // Desktop table view
-    const tableHTML = renderPlayersTable(groupedPlayers);
-    
-    // Mobile cards view
-    const cardsHTML = renderPlayersCards(groupedPlayers);
-    
-    container.innerHTML = `
-        <div class="players-table-container">
-            ${tableHTML}
-        </div>
-        <div class="mobile-cards">
-            ${cardsHTML}
+    if (snapshots.length === 0) {
+        container.innerHTML = '<div class="text-sm text-gray-500">No snapshots yet.</div>';
+        return;
+    }
+
+    container.innerHTML = snapshots.map(s => `
+        <div class="snapshot-row flex justify-between items-center gap-2 py-2 border-b border-gray-100 text-sm">
+            <div>
+                <div class="font-medium">${escapeHtml(new Date(s.createdAt).toLocaleString())}</div>
+                <div class="text-xs text-gray-500">${s.careerName ? `${escapeHtml(s.careerName)} • ` : ''}${escapeHtml(s.reason || '')} • ${formatBytes(s.size || 0)} • ${s.seasonCount || 0} season(s)</div>
+            </div>
+            <div class="flex items-center gap-2 flex-shrink-0">
+                <button onclick="restoreSnapshot('${s.id}')" class="text-blue-600 hover:text-blue-800" title="Restore this snapshot">Restore</button>
+                <button onclick="downloadSnapshot('${s.id}')" class="text-gray-700 hover:text-black" title="Download as JSON">⬇️</button>
+                <button onclick="deleteSnapshot('${s.id}')" class="text-red-600 hover:text-red-800" title="Delete snapshot">🗑️</button>
+            </div>
         </div>
-    `;
+    `).join('');
+}
 
-    setupDragAndDrop();
-    // If charts panel is visible, refresh charts to reflect current roster
-    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
-        renderCharts();
-    }
+async function takeManualSnapshot() {
+    const meta = await createSnapshot('Manual snapshot');
+    if (!meta) alert('No snapshot was taken (no data, or browser storage is unavailable).');
+    renderSnapshotsPanel();
 }
 
 /**
- * Render players table for desktop
+ * Replace the current career's data with a snapshot (which may come from another or a deleted career).
+ * The current data is snapshotted first and the restore is undoable.
  */
-function renderPlayersTable(groupedPlayers) {
-    const season = getCurrentSeason();
-    const currency = season ? CURRENCY_SYMBOLS[season.currency] || '$' : '$';
-    
-    let html = `
-        <table class="players-table">
-            <thead>
-                <tr>
-                    <th>Player</th>
-                    <th>Role</th>
-                    <th>OVR</th>
-                    <th>POT</th>
-                    <th>Age</th>
-                    <th>App</th>
-                    <th>Goals</th>
-                    <th>Assists</th>
-                    <th>CS</th>
-                    <th>YC</th>
-                    <th>RC</th>
-                    <th>Rating</th>
-                    <th>Skills</th>
-                    <th>Weak Foot</th>
-                    <th>Foot</th>
-                    <th>Wage</th>
-                    <th>Value</th>
-                    <th>Contract End</th>
-                    <th>Actions</th>
-                </tr>
-            </thead>
-            <tbody>
-    `;
-
-    // Helper: render a table cell whose classes adapt to the value (compact for short numeric values)
-    function renderAdaptiveCell(value) {
-        // Normalize value for display
-        const v = (value === 0 || value === '0') ? '0' : (value || '-') ;
-        const s = String(v);
-
-        // Simple numeric check (integers / decimals)
-        const isNumeric = /^-?\d+(?:\.\d+)?$/.test(s.replace(/,/g, ''));
-
-        // Determine classes based on length and type
-        let classes = 'px-2 py-1';
-        if (isNumeric) {
-            // compact widths for short numbers
-            if (s.length <= 3) classes += ' text-center w-12';
-            else if (s.length <= 5) classes += ' text-center w-20';
-            else classes += ' text-center';
-        } else {
-            // non-numeric: allow more room but keep padding
-            if (s.length <= 6) classes += ' text-center';
-            else classes += ' text-left';
-        }
-
-        // escapeHtml is declared later but hoisted as a function declaration; use it to be safe
-        return `<td class="${classes}">${escapeHtml(s)}</td>`;
+async function restoreSnapshot(id) {
+    try {
+        const meta = (await listSnapshots()).find(s => s.id === id);
+        if (!meta) return alert('Snapshot not found');
+        const career = getCurrentCareer();
+        const source = meta.careerName ? ` of "${meta.careerName}"` : '';
+        if (!confirm(`Restore the snapshot${source} from ${new Date(meta.createdAt).toLocaleString()} into the career "${career ? career.name : ''}"?\n\nAll of this career's data will be replaced. A snapshot of it is taken first.`)) return;
+
+        const json = await readSnapshotData(id);
+        const data = JSON.parse(json);
+        const report = migrateData(data);
+        await createSnapshot('Before restore');
+
+        adoptSchemaVersion(report);
+        currentSeasons = validateAndCleanSeasons(data.seasons);
+        currentSeasonId = currentSeasons.length > 0 ? currentSeasons[0].id : null;
+        currentSquad = 'main_squad';
+
+        saveToStorage(`Restore snapshot (${meta.reason})`);
+        refreshAllViews();
+        hideCharts();
+        renderSnapshotsPanel();
+        const upgrades = formatMigrationReport(report);
+        alert(upgrades.length ? `Snapshot restored and upgraded:\n\n${upgrades.join('\n')}` : 'Snapshot restored.');
+    } catch (e) {
+        console.error('restoreSnapshot', e);
+        alert('Error restoring snapshot.');
     }
+}
 
-    Object.entries(groupedPlayers).forEach(([groupName, players]) => {
-        if (players.length > 0) {
-            const groupClass = 'group-' + groupName.toLowerCase().replace(/\s+/g, '-');
-            html += `
-                <tr class="position-group-row ${groupClass}">
-                    <td colspan="19" class="position-group-header">${groupName}</td>
-                </tr>
-            `;
-            
-            players.forEach(player => {
-                const isForSale = season && season.transfers && Array.isArray(season.transfers.forSale) && season.transfers.forSale.some(item => item.id && item.id.toString() === player.id.toString());
-                const isOnLoan = season && season.transfers && Array.isArray(season.transfers.loan) && season.transfers.loan.some(item => item.id && item.id.toString() === player.id.toString());
-                html += `
-                    <tr draggable="true" data-player-id="${player.id}" data-position-group="${groupName}" class="player-row ${groupClass} ${isForSale ? 'for-sale' : ''}${isOnLoan ? ' on-loan' : ''}">
-                        <td>
-                            <div class="font-medium">${player.firstName} ${player.lastName} ${isOnLoan ? `<span class="on-loan-badge" onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.loan}')" title="Toggle Loan">Loan</span>` : ''} ${isForSale ? `<span class="for-sale-badge" onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.forSale}')" title="Toggle For Sale">For Sale</span>` : ''}</div>
-                            <div class="text-sm text-gray-500">${renderNationalityHTML(player.nationality)}${formatRoleTypesHTML(player)}${formatPlaystylesHTML(player)}</div>
-                        </td>
-                        <td><span class="font-mono text-sm">${player.role}</span></td>
-                        ${renderAdaptiveCell(player.overall || '-')}
-                        ${renderAdaptiveCell(player.potential || '-')}
-                        ${renderAdaptiveCell(player.age || '-')}
-                        ${renderAdaptiveCell(player.appearances || 0)}
-                        ${renderAdaptiveCell(player.goals || 0)}
-                        ${renderAdaptiveCell(player.assists || 0)}
-                        ${renderAdaptiveCell(player.cleanSheets || 0)}
-                        ${renderAdaptiveCell(player.yellowCards || 0)}
-                        ${renderAdaptiveCell(player.redCards || 0)}
-                        ${renderAdaptiveCell(player.avgRating || '-')}
-                        <td>${renderStars(player.skills)}</td>
-                        <td>${renderStars(player.weakFoot)}</td>
-                        ${renderAdaptiveCell(player.foot || '-')}
-                        <td class="currency" data-currency="${currency}">${formatNumber(player.wage)}</td>
-                        <td class="currency" data-currency="${currency}">${formatNumber(player.value)}</td>
-                        ${ (function(){ const c = (player.contractEnd !== undefined && player.contractEnd !== null && player.contractEnd !== '') ? player.contractEnd : '-'; const inner = `${escapeHtml(String(c))}`; return `<td class="px-2 py-1 text-center">${inner}</td>`; })() }
-                        <td>
-                            <div class="flex space-x-1">
-                                <button onclick="editPlayer('${player.id}')" class="text-blue-600 hover:text-blue-800" title="Edit">✏️</button>
-                                <button onclick="deletePlayer('${player.id}')" class="text-red-600 hover:text-red-800" title="Delete">🗑️</button>
-                                ${currentSquad === 'youth_academy' ? 
-                                    `<button onclick="promotePlayer('${player.id}')" class="promote-btn bg-green-100 text-green-700 hover:bg-green-200 hover:text-green-800 px-2 py-1 rounded text-xs font-medium border border-green-300" title="Promote to Main Squad">
-                                        <span class="promote-icon">🚀</span> Promote
-                                    </button>` : 
-                                    ''
-                                }
-                                <button onclick="movePlayerUp('${player.id}')" class="text-gray-600 hover:text-gray-800" title="Move Up">↑</button>
-                                <button onclick="movePlayerDown('${player.id}')" class="text-gray-600 hover:text-gray-800" title="Move Down">↓</button>
-                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.forSale}')" class="text-yellow-600" title="Mark For Sale">💰</button>
-                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.sold}')" class="text-green-700" title="Mark Sold">🏷️</button>
-                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.released}')" class="text-red-600" title="Release">🚫</button>
-                                ${player.age >= 32 ? `<button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.retired}')" class="text-pink-600" title="Retire">🏁</button>` : ''}
-                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.loan}')" class="text-indigo-600" title="Loan">🔁</button>
-                            </div>
-                        </td>
-                    </tr>
-                `;
-            });
-        }
-    });
+async function downloadSnapshot(id) {
+    try {
+        const meta = (await listSnapshots()).find(s => s.id === id);
+        const json = await readSnapshotData(id);
+        if (!json) return alert('Snapshot not found');
+        const blob = new Blob([JSON.stringify(JSON.parse(json), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.setAttribute('href', url);
+        a.setAttribute('download', `cmutils_snapshot_${(meta ? meta.createdAt : new Date().toISOString()).replace(/[:.]/g, '-')}.json`);
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+        console.error('downloadSnapshot', e);
+        alert('Error downloading snapshot.');
+    }
+}
 
-    html += '</tbody></table>';
-    return html;
+async function deleteSnapshot(id) {
+    if (!confirm('Delete this snapshot?')) return;
+    try {
+        await deleteSnapshotRecords([id]);
+    } catch (e) {
+        console.error('deleteSnapshot', e);
+    }
+    renderSnapshotsPanel();
 }
 
 /**
- * Render players cards for mobile
+ * Schema versioning
+ * Stored data, exports and snapshots carry a schemaVersion. Data without one is version 0.
+ * migrateData() runs every registered migration newer than the data's version, in order, and
+ * returns a report of what each step changed. Add new migrations to the end of SCHEMA_MIGRATIONS
+ * and bump SCHEMA_VERSION; a migration receives { seasons } and returns how many items it changed.
  */
-function renderPlayersCards(groupedPlayers) {
-    const season = getCurrentSeason();
-    const currency = season ? CURRENCY_SYMBOLS[season.currency] || '$' : '$';
-    
-    let html = '';
-
-    Object.entries(groupedPlayers).forEach(([groupName, players]) => {
-        if (players.length > 0) {
-            const groupClass = 'group-' + groupName.toLowerCase().replace(/\s+/g, '-');
-            html += `<div class="position-group ${groupClass}">`;
-            html += `<div class="position-group-header">${groupName}</div>`;
-            
-            players.forEach(player => {
-                const isForSale = season && season.transfers && Array.isArray(season.transfers.forSale) && season.transfers.forSale.some(item => item.id && item.id.toString() === player.id.toString());
-                const isOnLoan = season && season.transfers && Array.isArray(season.transfers.loan) && season.transfers.loan.some(item => item.id && item.id.toString() === player.id.toString());
-                html += `
-                    <div class="player-card ${groupClass} ${isForSale ? 'for-sale' : ''}${isOnLoan ? ' on-loan' : ''}" draggable="true" data-player-id="${player.id}" data-position-group="${groupName}">
-                        <div class="flex justify-between items-start mb-2">
-                            <div>
-                                <div class="font-semibold">${player.firstName} ${player.lastName} ${isOnLoan ? `<span class="on-loan-badge" onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.loan}')" title="Toggle Loan">Loan</span>` : ''} ${isForSale ? `<span class="for-sale-badge" onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.forSale}')" title="Toggle For Sale">For Sale</span>` : ''}</div>
-                                <div class="text-sm text-gray-500">${renderNationalityHTML(player.nationality)} • ${player.role}${formatRoleTypesHTML(player)}${formatPlaystylesHTML(player)}</div>
-                            </div>
-                            <div class="flex space-x-1 items-center">
-                                <button onclick="editPlayer('${player.id}')" class="text-blue-600" title="Edit">✏️</button>
-                                <button onclick="deletePlayer('${player.id}')" class="text-red-600" title="Delete">🗑️</button>
-                                ${currentSquad === 'youth_academy' ? 
-                                    `<button onclick="promotePlayer('${player.id}')" class="promote-btn-mobile bg-green-100 text-green-700 hover:bg-green-200 px-2 py-1 rounded text-xs font-medium border border-green-300" title="Promote to Main Squad">
-                                        <span class="promote-icon">🚀</span>
-                                    </button>` : 
-                                    ''
-                                }
-                                <!-- Add move up/down buttons for mobile view -->
-                                <button onclick="movePlayerUp('${player.id}')" class="text-gray-600 hover:text-gray-800 px-2 py-1 rounded" title="Move Up">↑</button>
-                                <button onclick="movePlayerDown('${player.id}')" class="text-gray-600 hover:text-gray-800 px-2 py-1 rounded" title="Move Down">↓</button>
-                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.forSale}')" class="text-yellow-600 px-2" title="Mark For Sale">💰</button>
-                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.sold}')" class="text-green-700 px-2" title="Mark Sold">🏷️</button>
-                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.released}')" class="text-red-600 px-2" title="Release">🚫</button>
-                                ${player.age >= 32 ? `<button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.retired}')" class="text-pink-600 px-2" title="Retire">🏁</button>` : ''}
-                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.loan}')" class="text-indigo-600 px-2" title="Loan">🔁</button>
-                            </div>
-                        </div>
-                        <div class="grid grid-cols-2 gap-2 text-sm">
-                            <div>OVR: <span class="font-medium">${player.overall || '-'}</span></div>
-                            <div>POT: <span class="font-medium">${player.potential || '-'}</span></div>
-                            <div>Age: <span class="font-medium">${player.age || '-'}</span></div>
-                            <div>Contract: <span class="font-medium">${(player.contractEnd !== undefined && player.contractEnd !== null && player.contractEnd !== '') ? player.contractEnd : '-'}</span></div>
-                            <div>Skills: ${renderStars(player.skills)}</div>
-                            <div>Weak Foot: ${renderStars(player.weakFoot)}</div>
-                            <div>Value: <span class="font-medium">${currency}${formatNumber(player.value)}</span></div>
-                            <div>Wage: <span class="font-medium">${currency}${formatNumber(player.wage)}</span></div>
-                        </div>
-                        <div class="mt-2 pt-2 border-t text-xs text-gray-600">
-                            Apps: ${player.appearances || 0} | Goals: ${player.goals || 0} | Assists: ${player.assists || 0} | Rating: ${player.avgRating || '-'}
-                            <div class="mt-1">
-                                <span class="card-badge badge-Y" title="Yellow Cards">${player.yellowCards || 0}</span>
-                                <span class="card-badge badge-R" title="Red Cards">${player.redCards || 0}</span>
-                            </div>
-                        </div>
-                    </div>
-                `;
-            });
-            
-            html += '</div>';
-        }
+const SCHEMA_VERSION = 4;
+let storageMigrationReport = null; // set when data read from storage was upgraded during load
+let storedSchemaVersion = SCHEMA_VERSION; // version the current career's data is saved with (lower after a failed migration)
+
+function forEachRosterPlayer(season, fn) {
+    ['main_squad', 'youth_academy'].forEach(squad => {
+        const players = season && season.roster && season.roster[squad] && season.roster[squad].players;
+        if (players) Object.values(players).forEach(p => { if (p) fn(p, squad); });
     });
+}
 
-    return html;
+function getSeasonStartYear(season) {
+    const y = Number(season.year);
+    if (!isNaN(y) && y >= 1900 && y <= 2100) return Math.floor(y);
+    const match = String(season.name || '').match(/(19|20)\d{2}/);
+    return match ? Number(match[0]) : new Date().getFullYear();
 }
 
-/**
- * Render star rating
- */
-function renderStars(rating) {
-    if (!rating) return '-';
-    
-    let html = '<div class="stars">';
-    for (let i = 1; i <= 5; i++) {
-        html += `<div class="star ${i <= rating ? 'filled' : ''}"></div>`;
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Legacy roleType/roleFocus/roleTypeLevel fields moved into roleTypes',
+        migrate(data) {
+            let changed = 0;
+            data.seasons.forEach(season => forEachRosterPlayer(season, p => {
+                if (!('roleType' in p || 'roleFocus' in p || 'roleTypeLevel' in p)) return;
+                if (!Array.isArray(p.roleTypes)) {
+                    p.roleTypes = [];
+                    if (p.roleType) p.roleTypes.push({ type: p.roleType, focus: p.roleFocus || '', level: p.roleTypeLevel || '' });
+                }
+                delete p.roleType;
+                delete p.roleFocus;
+                delete p.roleTypeLevel;
+                changed++;
+            }));
+            return changed;
+        }
+    },
+    {
+        version: 2,
+        description: 'Contract end dates converted to years remaining',
+        migrate(data) {
+            let changed = 0;
+            data.seasons.forEach(season => {
+                // a season named 2025/2026 ends in mid-2026, so a contract ending 2027-06-30 has 1 year left
+                const seasonEndYear = getSeasonStartYear(season) + 1;
+                forEachRosterPlayer(season, p => {
+                    if (typeof p.contractEnd !== 'string' || p.contractEnd.trim() === '') return;
+                    const value = p.contractEnd.trim();
+                    if (/^\d{1,2}$/.test(value)) {
+                        p.contractEnd = Number(value);
+                    } else if (/^\d{4}/.test(value)) {
+                        p.contractEnd = Math.max(0, Number(value.slice(0, 4)) - seasonEndYear);
+                    } else {
+                        return;
+                    }
+                    changed++;
+                });
+            });
+            return changed;
+        }
+    },
+    {
+        version: 3,
+        description: 'Match records normalized (draws/losses on season summaries, goalsFor/goalsAgainst/result on single matches)',
+        migrate(data) {
+            let changed = 0;
+            data.seasons.forEach(season => {
+                if (season.matches && !Array.isArray(season.matches) && typeof season.matches === 'object') {
+                    season.matches = [season.matches];
+                    changed++;
+                }
+                if (!Array.isArray(season.matches)) return;
+                season.matches.forEach(m => {
+                    if (!m || typeof m !== 'object') return;
+                    const before = JSON.stringify(m);
+                    if (isMatchSummary(m)) {
+                        // aggregated season summary; legacy spares/loss keys are kept for the stats editor
+                        if (m.draws === undefined && (m.spares !== undefined || m.spare !== undefined)) m.draws = Number(m.spares || m.spare || 0);
+                        if (m.losses === undefined && m.loss !== undefined) m.losses = Number(m.loss || 0);
+                        if (m.goals_for === undefined && m.goalsFor !== undefined) m.goals_for = Number(m.goalsFor || 0);
+                        if (m.goals_against === undefined && m.goalsAgainst !== undefined) m.goals_against = Number(m.goalsAgainst || 0);
+                    } else {
+                        // single match in any older shape, read the same way as the match log does
+                        const { goalsFor, goalsAgainst, venue, result } = normalizeMatch(m);
+                        ['homeGoals', 'awayGoals', 'ourTeam', 'goals', 'goals_for', 'goals_against'].forEach(key => delete m[key]);
+                        Object.assign(m, { goalsFor, goalsAgainst, result });
+                        if (venue) m.venue = venue;
+                    }
+                    if (JSON.stringify(m) !== before) changed++;
+                });
+            });
+            return changed;
+        }
+    },
+    {
+        version: 4,
+        description: 'Trophies stored as a list of { name, scope }',
+        migrate(data) {
+            let changed = 0;
+            data.seasons.forEach(season => {
+                const t = season.trophies;
+                if (!t) return;
+                const before = JSON.stringify(t);
+                let list = [];
+                if (Array.isArray(t)) {
+                    list = t.map(item => typeof item === 'string'
+                        ? { name: item, scope: 'domestic' }
+                        : Object.assign({}, item, { name: item.name || item.competition || item.competitionName || item.title || 'Unknown' }));
+                } else if (typeof t === 'object') {
+                    (Array.isArray(t.local) ? t.local : []).forEach(it => {
+                        list.push({ name: (it && (it.name || it.title)) || String(it || 'Unknown'), scope: it && it.type === 'league' ? 'league' : 'domestic' });
+                    });
+                    (Array.isArray(t.international) ? t.international : []).forEach(it => {
+                        list.push({ name: (it && (it.name || it.title)) || String(it || 'Unknown'), scope: 'international' });
+                    });
+                }
+                season.trophies = list;
+                if (JSON.stringify(list) !== before) changed++;
+            });
+            return changed;
+        }
     }
-    html += '</div>';
-    return html;
-}
+];
 
 /**
- * Format player's roleTypes (supports legacy single fields) as inline HTML to render under nationality
+ * Upgrade data ({ schemaVersion, seasons }) in place to SCHEMA_VERSION.
+ * Returns { fromVersion, toVersion, newer, steps: [{ version, description, changed }] }.
+ * Data from a newer version is left untouched (newer: true).
  */
-function formatRoleTypesHTML(player) {
-    const items = [];
-    if (Array.isArray(player.roleTypes) && player.roleTypes.length) {
-        player.roleTypes.forEach(rt => {
-            if (rt && rt.type) {
-                const suf = rt.level === '1' ? '+' : rt.level === '2' ? '++' : '';
-                items.push(escapeHtml(rt.type + suf));
-            }
-        });
-    } else if (player.roleType) {
-        const suf = player.roleTypeLevel === '1' ? '+' : player.roleTypeLevel === '2' ? '++' : '';
-        items.push(escapeHtml(player.roleType + suf));
+function migrateData(data) {
+    const fromVersion = Number(data.schemaVersion) || 0;
+    const report = { fromVersion, toVersion: SCHEMA_VERSION, newer: fromVersion > SCHEMA_VERSION, steps: [] };
+    if (report.newer) {
+        report.toVersion = fromVersion;
+        return report;
     }
+    if (!Array.isArray(data.seasons)) data.seasons = [];
 
-    if (items.length === 0) return '';
-    // join with separator
-    return `<div class="text-xs text-gray-600 mt-1">${items.join(' • ')}</div>`;
+    // stop at a failing step: the data keeps the last version that was reached, so the step runs again later
+    report.toVersion = fromVersion;
+    for (const m of SCHEMA_MIGRATIONS.filter(step => step.version > fromVersion)) {
+        try {
+            const changed = m.migrate(data);
+            report.steps.push({ version: m.version, description: m.description, changed });
+            report.toVersion = m.version;
+        } catch (e) {
+            console.warn(`Schema migration to v${m.version} failed`, e);
+            report.failed = { version: m.version, description: m.description, error: e && e.message ? e.message : String(e) };
+            break;
+        }
+    }
+    if (!report.failed) report.toVersion = SCHEMA_VERSION;
+    data.schemaVersion = report.toVersion;
+    return report;
+}
+
+function hasMigrationChanges(report) {
+    return !!report && (!!report.failed || report.steps.some(step => step.changed > 0));
 }
 
 /**
- * Format number with commas
+ * Remember which schema version the current career's data is written with: the version a failed
+ * migration stopped at, so the failed step runs again on the next load, else SCHEMA_VERSION
  */
-function formatNumber(num) {
-    if (!num) return '0';
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+function adoptSchemaVersion(report) {
+    storedSchemaVersion = report && report.failed ? report.toVersion : SCHEMA_VERSION;
 }
 
 /**
- * Setup drag and drop functionality
+ * Human-readable lines describing a migration report
  */
-function setupDragAndDrop() {
-    const draggableElements = document.querySelectorAll('[draggable="true"]');
-    
-    draggableElements.forEach(element => {
-        element.addEventListener('dragstart', handleDragStart);
-        element.addEventListener('dragend', handleDragEnd);
-        element.addEventListener('dragover', handleDragOver);
-        element.addEventListener('drop', handleDrop);
-    });
+function formatMigrationReport(report) {
+    if (!report) return [];
+    if (report.newer) return [`Data uses schema version ${report.fromVersion}, newer than this app (${SCHEMA_VERSION}). Unknown fields may be lost.`];
+    const lines = report.steps
+        .filter(step => step.changed > 0)
+        .map(step => `v${step.version}: ${step.description} (${step.changed} item(s))`);
+    if (report.failed) lines.push(`v${report.failed.version}: ${report.failed.description} FAILED (${report.failed.error}). The data stays at schema version ${report.toVersion}.`);
+    return lines;
 }
 
 /**
- * Handle drag start
+ * Migrate data read from storage. The report is shown, and the upgraded data saved,
+ * by finishStoredSchemaUpgrade() once the app has started.
  */
-function handleDragStart(e) {
-    draggedElement = e.target;
-    e.target.classList.add('dragging');
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/html', e.target.outerHTML);
+function upgradeStoredData(data) {
+    const report = migrateData(data);
+    adoptSchemaVersion(report);
+    if (hasMigrationChanges(report)) storageMigrationReport = report;
+    else if (report.newer) console.warn(formatMigrationReport(report)[0]);
+    return data.seasons;
 }
 
-/**
- * Handle drag end
- */
-function handleDragEnd(e) {
-    e.target.classList.remove('dragging');
-    draggedElement = null;
+function finishStoredSchemaUpgrade() {
+    if (!storageMigrationReport) return;
+    const report = storageMigrationReport;
+    storageMigrationReport = null;
+    saveToStorage();
+    const historyNote = (report.historyDiscarded ? '\n\nUndo history from before the upgrade was discarded.' : '')
+        + (report.failed ? '\n\nThe failed step is tried again the next time the data is loaded.' : '');
+    alert(`Your saved data was upgraded from schema version ${report.fromVersion} to ${report.toVersion}:\n\n${formatMigrationReport(report).join('\n')}${historyNote}`);
 }
 
 /**
- * Handle drag over
+ * Strict import validation
+ * validateImportData() checks a whole file against the data model without changing it and returns
+ * { errors, warnings }, each a list of { path, message } with a JSON path such as
+ * seasons[0].roster.main_squad.players.p1.overall. Errors are values that would be lost or
+ * replaced on import; warnings are values that get a default or that the app doesn't recognize.
  */
-function handleDragOver(e) {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
+const PLAYER_NUMBER_RULES = {
+    overall: { min: 1, max: 99, integer: true },
+    potential: { min: 1, max: 99, integer: true },
+    age: { min: 10, max: 60, integer: true },
+    contractEnd: { min: 0, max: 20, integer: true },
+    skills: { min: 1, max: 5, integer: true },
+    weakFoot: { min: 1, max: 5, integer: true },
+    totalStats: { min: 0, integer: true },
+    value: { min: 0 },
+    wage: { min: 0 },
+    appearances: { min: 0, integer: true },
+    goals: { min: 0, integer: true },
+    assists: { min: 0, integer: true },
+    cleanSheets: { min: 0, integer: true },
+    yellowCards: { min: 0, integer: true },
+    redCards: { min: 0, integer: true },
+    avgRating: { min: 0, max: 10 }
+};
+const MATCH_SUMMARY_FIELDS = ['totals_games', 'wins', 'draws', 'losses', 'goals_for', 'goals_against', 'clean_sheets'];
+const TROPHY_SCOPES = ['league', 'domestic', 'international'];
+const LEVEL_VALUES = ['', '1', '2'];
+
+function jsonPath(base, key) {
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
 }
 
-/**
- * Handle drop
- */
-function handleDrop(e) {
-    e.preventDefault();
-    
-    if (!draggedElement) return;
-    
-    const dropTarget = e.target.closest('[data-player-id]');
-    if (!dropTarget || dropTarget === draggedElement) return;
-    
-    const draggedId = draggedElement.getAttribute('data-player-id');
-    const targetId = dropTarget.getAttribute('data-player-id');
-    const draggedGroup = draggedElement.getAttribute('data-position-group');
-    const targetGroup = dropTarget.getAttribute('data-position-group');
-    
-    // Only allow reordering within same position group
-    if (draggedGroup !== targetGroup) {
-        alert('Players can only be reordered within the same position group');
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function validateNumberField(value, rule, path, report) {
+    if (isBlank(value)) return;
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if (typeof value !== 'number' && typeof value !== 'string') {
+        report.error(path, `expected a number, got ${Array.isArray(value) ? 'array' : typeof value}`);
         return;
     }
-    
-    reorderPlayers(draggedId, targetId);
+    if (isNaN(n)) {
+        report.error(path, `"${value}" is not a number (would be saved as 0)`);
+        return;
+    }
+    if (typeof value === 'string') report.warn(path, `number stored as text ("${value}"), will be converted`);
+    if (rule.integer && !Number.isInteger(n)) report.warn(path, `${n} is not a whole number`);
+    if (rule.min !== undefined && n < rule.min) report.error(path, `${n} is below the minimum of ${rule.min}`);
+    if (rule.max !== undefined && n > rule.max) report.error(path, `${n} is above the maximum of ${rule.max}`);
 }
 
-/**
- * Reorder players in the data
- */
-function reorderPlayers(draggedId, targetId) {
-    const season = getCurrentSeason();
-    if (!season) return;
-    
-    const players = season.roster[currentSquad].players;
-    const playersArray = Object.values(players);
-    
-    const draggedIndex = playersArray.findIndex(p => p.id === draggedId);
-    const targetIndex = playersArray.findIndex(p => p.id === targetId);
-    
-    if (draggedIndex === -1 || targetIndex === -1) return;
-    
-    // Remove dragged player and insert at target position
-    const [draggedPlayer] = playersArray.splice(draggedIndex, 1);
-    playersArray.splice(targetIndex, 0, draggedPlayer);
-    
-    // Rebuild players object maintaining order
-    const newPlayers = {};
-    playersArray.forEach(player => {
-        newPlayers[player.id] = player;
+function validatePlayer(player, key, path, seasonCtx, report) {
+    if (!isPlainObject(player)) {
+        report.error(path, 'player must be an object (would be dropped)');
+        return;
+    }
+
+    if (isBlank(player.id)) {
+        report.warn(jsonPath(path, 'id'), 'missing id, a new one will be generated');
+    } else {
+        if (String(player.id) !== String(key)) report.warn(jsonPath(path, 'id'), `player is keyed as "${key}" but its id is "${player.id}", it will be re-keyed by id`);
+        if (seasonCtx.playerPaths[player.id]) report.error(jsonPath(path, 'id'), `duplicate player id "${player.id}" (also at ${seasonCtx.playerPaths[player.id]}), the copy would get a new id`);
+        else seasonCtx.playerPaths[player.id] = path;
+    }
+
+    ['firstName', 'lastName'].forEach(field => {
+        if (!isBlank(player[field]) && typeof player[field] !== 'string') report.error(jsonPath(path, field), `expected text, got ${typeof player[field]}`);
     });
-    
-    season.roster[currentSquad].players = newPlayers;
-    saveToStorage();
-    renderPlayers();
-    // Refresh charts if visible
-    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
-        renderCharts();
+    if (isBlank(player.firstName) && isBlank(player.lastName)) {
+        report.error(path, 'player has no name (would be saved as "Unknown Player")');
+    } else if (isBlank(player.firstName)) {
+        report.warn(jsonPath(path, 'firstName'), 'missing first name (would be saved as "Unknown")');
+    } else if (isBlank(player.lastName)) {
+        report.warn(jsonPath(path, 'lastName'), 'missing last name (would be saved as "Player")');
     }
-}
 
-/**
- * Move player up in order
- */
-function movePlayerUp(playerId) {
-    const season = getCurrentSeason();
-    if (!season) return;
-    
-    const players = Object.values(season.roster[currentSquad].players);
-    const currentIndex = players.findIndex(p => p.id === playerId);
-    
-    if (currentIndex > 0) {
-        // Find previous player in same position group
-        const currentPlayer = players[currentIndex];
-        const currentGroup = getPositionGroup(currentPlayer.role);
-        
-        for (let i = currentIndex - 1; i >= 0; i--) {
-            if (getPositionGroup(players[i].role) === currentGroup) {
-                reorderPlayers(playerId, players[i].id);
-                break;
-            }
+    const roles = Object.values(POSITION_GROUPS).flat();
+    if (isBlank(player.role)) {
+        report.error(jsonPath(path, 'role'), 'missing role (would be saved as ST)');
+    } else if (!roles.includes(player.role)) {
+        report.error(jsonPath(path, 'role'), `unknown role "${player.role}", expected one of ${roles.join(', ')}`);
+    }
+
+    if (!isBlank(player.nationality)) {
+        const code = String(player.nationality).trim();
+        if (!COUNTRY_MAP[code] && !COUNTRY_MAP[code.toUpperCase()]) report.warn(jsonPath(path, 'nationality'), `unknown nationality code "${code}"`);
+    }
+    if (!isBlank(player.foot) && !['Left', 'Right'].includes(player.foot)) {
+        report.warn(jsonPath(path, 'foot'), `"${player.foot}" is not Left or Right`);
+    }
+
+    Object.keys(PLAYER_NUMBER_RULES).forEach(field => {
+        validateNumberField(player[field], PLAYER_NUMBER_RULES[field], jsonPath(path, field), report);
+    });
+    if (player.manualStats !== undefined && typeof player.manualStats !== 'boolean') {
+        report.warn(jsonPath(path, 'manualStats'), `expected true or false, got ${typeof player.manualStats}`);
+    }
+
+    if (player.roleTypes !== undefined) {
+        const rtPath = jsonPath(path, 'roleTypes');
+        if (!Array.isArray(player.roleTypes)) {
+            report.error(rtPath, 'roleTypes must be a list');
+        } else {
+            const defs = ROLE_DEFINITIONS[player.role] || [];
+            player.roleTypes.forEach((rt, i) => {
+                const p = jsonPath(rtPath, i);
+                if (!isPlainObject(rt) || isBlank(rt.type)) {
+                    report.error(p, 'role type must be an object with a type');
+                    return;
+                }
+                if (defs.length && !defs.some(d => d.type === rt.type && (isBlank(rt.focus) || d.focus === rt.focus))) {
+                    report.warn(p, `"${rt.type}${rt.focus ? ` (${rt.focus})` : ''}" is not a role type for ${player.role}`);
+                }
+                if (!LEVEL_VALUES.includes(isBlank(rt.level) ? '' : String(rt.level))) report.warn(jsonPath(p, 'level'), `unknown level "${rt.level}"`);
+            });
         }
-    // charts refreshed in reorderPlayers
     }
-}
 
-/**
- * Move player down in order
- */
-function movePlayerDown(playerId) {
-    const season = getCurrentSeason();
-    if (!season) return;
-    
-    const players = Object.values(season.roster[currentSquad].players);
-    const currentIndex = players.findIndex(p => p.id === playerId);
-    
-    if (currentIndex < players.length - 1) {
-        // Find next player in same position group
-        const currentPlayer = players[currentIndex];
-        const currentGroup = getPositionGroup(currentPlayer.role);
-        
-        for (let i = currentIndex + 1; i < players.length; i++) {
-            if (getPositionGroup(players[i].role) === currentGroup) {
-                reorderPlayers(players[i].id, playerId);
-                break;
-            }
+    if (player.playstyles !== undefined) {
+        const psPath = jsonPath(path, 'playstyles');
+        if (!Array.isArray(player.playstyles)) {
+            report.error(psPath, 'playstyles must be a list');
+        } else {
+            player.playstyles.forEach((ps, i) => {
+                const p = jsonPath(psPath, i);
+                if (!isPlainObject(ps) || isBlank(ps.name)) {
+                    report.error(p, 'playstyle must be an object with a name');
+                    return;
+                }
+                const def = PLAYSTYLE_DEFINITIONS.find(d => d.name === ps.name);
+                if (!def) report.warn(p, `unknown playstyle "${ps.name}"`);
+                else if (def.category === 'Mental' && String(ps.level) === '2') report.warn(jsonPath(p, 'level'), `mental playstyle "${ps.name}" has no + level`);
+                if (!LEVEL_VALUES.includes(isBlank(ps.level) ? '' : String(ps.level))) report.warn(jsonPath(p, 'level'), `unknown level "${ps.level}"`);
+            });
         }
-    // charts refreshed in reorderPlayers
     }
-}
 
-/**
- * Get position group for a role
- */
-function getPositionGroup(role) {
-    for (const [groupName, positions] of Object.entries(POSITION_GROUPS)) {
-        if (positions.includes(role)) {
-            return groupName;
+    if (player.attributes !== undefined) {
+        const attrPath = jsonPath(path, 'attributes');
+        if (!isPlainObject(player.attributes)) {
+            report.error(attrPath, 'attributes must be an object (would be dropped)');
+        } else {
+            Object.keys(player.attributes).forEach(key => {
+                if (!PLAYER_ATTRIBUTES.some(a => a.key === key)) report.warn(jsonPath(attrPath, key), `unknown attribute "${key}" (would be dropped)`);
+                else validateNumberField(player.attributes[key], PLAYER_ATTRIBUTE_RULE, jsonPath(attrPath, key), report);
+            });
+        }
+    }
+
+    if (player.statsHistory !== undefined) {
+        const historyPath = jsonPath(path, 'statsHistory');
+        if (!Array.isArray(player.statsHistory)) {
+            report.error(historyPath, 'statsHistory must be a list (would be dropped)');
+        } else {
+            player.statsHistory.forEach((entry, i) => {
+                const entryPath = jsonPath(historyPath, i);
+                if (!isPlainObject(entry) || isBlank(entry.seasonId)) {
+                    report.warn(entryPath, 'archived season without a seasonId (would be dropped)');
+                    return;
+                }
+                ARCHIVED_PLAYER_FIELDS.forEach(field => {
+                    validateNumberField(entry[field], PLAYER_NUMBER_RULES[field], jsonPath(entryPath, field), report);
+                });
+            });
         }
     }
-    return 'Unknown';
 }
 
-/**
- * Normalize player object insertion order by position groups.
- * This rebuilds the players object so Object.values(players) returns a
- * predictable order (grouped by position groups) which makes index-based
- * reordering (move up/down and drag/drop) consistent after role edits.
- */
-function normalizePlayerOrder(season, squad) {
-    if (!season || !season.roster || !season.roster[squad] || !season.roster[squad].players) return;
+function validateSeason(season, index, fileCtx, report) {
+    const path = jsonPath('seasons', index);
+    if (!isPlainObject(season)) {
+        report.error(path, 'season must be an object (would be dropped)');
+        return;
+    }
 
-    const playersObj = season.roster[squad].players;
-    const playersArray = Object.values(playersObj);
+    if (isBlank(season.id)) {
+        report.warn(jsonPath(path, 'id'), 'missing id, a new one will be generated');
+    } else if (fileCtx.seasonPaths[season.id]) {
+        report.error(jsonPath(path, 'id'), `duplicate season id "${season.id}" (also at ${fileCtx.seasonPaths[season.id]}), the copy would get a new id`);
+    } else {
+        fileCtx.seasonPaths[season.id] = path;
+    }
 
-    const ordered = [];
+    if (isBlank(season.name)) report.warn(jsonPath(path, 'name'), 'missing name (would be saved as "Unnamed Season")');
+    else if (typeof season.name !== 'string') report.error(jsonPath(path, 'name'), `expected text, got ${typeof season.name}`);
 
-    // Append players in order of POSITION_GROUPS, preserving original relative order
-    Object.keys(POSITION_GROUPS).forEach(groupName => {
-        playersArray.forEach(p => {
-            if (POSITION_GROUPS[groupName].includes(p.role)) {
-                ordered.push(p);
-            }
-        });
-    });
+    if (isBlank(season.year)) {
+        report.warn(jsonPath(path, 'year'), 'missing year, the current year will be used');
+    } else {
+        const y = Number(season.year);
+        if (isNaN(y) || y < 1900 || y > 2100) report.error(jsonPath(path, 'year'), `"${season.year}" is not a year between 1900 and 2100 (would be replaced by the current year)`);
+    }
 
-    // Add any players that didn't match any group (Unknown roles) preserving order
-    playersArray.forEach(p => {
-        if (!ordered.includes(p)) ordered.push(p);
-    });
+    if (isBlank(season.currency)) report.warn(jsonPath(path, 'currency'), 'missing currency, USD will be used');
+    else if (!CURRENCY_SYMBOLS[season.currency]) report.error(jsonPath(path, 'currency'), `unsupported currency "${season.currency}", expected ${Object.keys(CURRENCY_SYMBOLS).join(', ')} (would be replaced by USD)`);
 
-    // Rebuild object with the new ordering
-    const newPlayers = {};
-    ordered.forEach(p => {
-        newPlayers[p.id] = p;
-    });
+    const seasonCtx = { playerPaths: {} };
+    const rosterPath = jsonPath(path, 'roster');
+    if (season.roster === undefined) {
+        report.warn(rosterPath, 'missing roster, an empty one will be created');
+    } else if (!isPlainObject(season.roster)) {
+        report.error(rosterPath, 'roster must be an object (would be replaced by an empty roster)');
+    } else {
+        Object.keys(season.roster).forEach(squad => {
+            if (!['main_squad', 'youth_academy'].includes(squad)) report.warn(jsonPath(rosterPath, squad), `unknown squad "${squad}" is ignored`);
+        });
+        ['main_squad', 'youth_academy'].forEach(squad => {
+            const squadPath = jsonPath(rosterPath, squad);
+            const squadObj = season.roster[squad];
+            if (squadObj === undefined) return;
+            if (!isPlainObject(squadObj)) {
+                report.error(squadPath, 'squad must be an object with players');
+                return;
+            }
+            const playersPath = jsonPath(squadPath, 'players');
+            if (squadObj.players === undefined) return;
+            if (Array.isArray(squadObj.players)) {
+                report.warn(playersPath, 'players stored as a list, they will be keyed by player id');
+                squadObj.players.forEach((player, i) => {
+                    validatePlayer(player, player && player.id, jsonPath(playersPath, i), seasonCtx, report);
+                });
+                return;
+            }
+            if (!isPlainObject(squadObj.players)) {
+                report.error(playersPath, 'players must be an object keyed by player id (would be emptied)');
+                return;
+            }
+            Object.keys(squadObj.players).forEach(key => {
+                validatePlayer(squadObj.players[key], key, jsonPath(playersPath, key), seasonCtx, report);
+            });
+        });
+    }
 
-    season.roster[squad].players = newPlayers;
-}
+    const transfersPath = jsonPath(path, 'transfers');
+    if (season.transfers !== undefined) {
+        if (!isPlainObject(season.transfers)) {
+            report.error(transfersPath, 'transfers must be an object of lists');
+        } else {
+            Object.keys(season.transfers).forEach(key => {
+                const listPath = jsonPath(transfersPath, key);
+                if (!TRANSFER_KEYS[key]) report.warn(listPath, `unknown transfer list "${key}" is ignored`);
+                const list = season.transfers[key];
+                if (!Array.isArray(list)) {
+                    report.error(listPath, 'transfer list must be a list (would be emptied)');
+                    return;
+                }
+                list.forEach((entry, i) => {
+                    const p = jsonPath(listPath, i);
+                    if (!isPlainObject(entry)) return report.error(p, 'transfer entry must be an object');
+                    if (isBlank(entry.id)) report.warn(jsonPath(p, 'id'), 'missing id');
+                    if (isBlank(entry.firstName) && isBlank(entry.lastName)) report.warn(p, 'transfer entry has no name');
+                });
+            });
+        }
+    }
 
-/**
- * Open season modal
- */
-function openSeasonModal(seasonId = null) {
-    editingSeasonId = seasonId;
-    const modal = document.getElementById('seasonModal');
-    const title = document.getElementById('seasonModalTitle');
-    const form = document.getElementById('seasonForm');
-    
-    if (seasonId) {
-        const season = currentSeasons.find(s => s.id === seasonId);
-        title.textContent = 'Edit Season';
-        document.getElementById('seasonName').value = season.name;
-        document.getElementById('seasonCurrency').value = season.currency;
-        // populate year if present
-        if (season.year !== undefined && season.year !== null) {
-            document.getElementById('seasonYear').value = season.year;
+    const notesPath = jsonPath(path, 'notes');
+    if (season.notes !== undefined) {
+        if (!Array.isArray(season.notes)) {
+            report.error(notesPath, 'notes must be a list (would be emptied)');
         } else {
-            document.getElementById('seasonYear').value = '';
+            season.notes.forEach((note, i) => {
+                const p = jsonPath(notesPath, i);
+                if (!isPlainObject(note)) return report.error(p, 'note must be an object');
+                if (isBlank(note.id)) report.warn(jsonPath(p, 'id'), 'missing id');
+                ['title', 'content'].forEach(field => {
+                    if (!isBlank(note[field]) && typeof note[field] !== 'string') report.error(jsonPath(p, field), `expected text, got ${typeof note[field]}`);
+                });
+            });
         }
-    } else {
-        title.textContent = 'Add Season';
-        form.reset();
     }
-    
-    modal.classList.remove('hidden');
-    // Focus the season name input for quicker renaming when editing
-    setTimeout(() => {
-        const nameInput = document.getElementById('seasonName');
-        if (nameInput) {
-            nameInput.focus();
-            nameInput.select && nameInput.select();
+
+    const matchesPath = jsonPath(path, 'matches');
+    if (season.matches !== undefined) {
+        if (!Array.isArray(season.matches)) {
+            report.error(matchesPath, 'matches must be a list');
+        } else {
+            season.matches.forEach((m, i) => {
+                const p = jsonPath(matchesPath, i);
+                if (!isPlainObject(m)) return report.error(p, 'match record must be an object');
+                if (isMatchSummary(m)) {
+                    MATCH_SUMMARY_FIELDS.forEach(field => validateNumberField(m[field], { min: 0, integer: true }, jsonPath(p, field), report));
+                } else {
+                    ['goalsFor', 'goalsAgainst'].forEach(field => validateNumberField(m[field], { min: 0, integer: true }, jsonPath(p, field), report));
+                    if (!isBlank(m.result) && !['W', 'D', 'L'].includes(String(m.result).toUpperCase())) report.error(jsonPath(p, 'result'), `result "${m.result}" is not W, D or L`);
+                    if (!isBlank(m.venue) && !MATCH_VENUE_LABELS[m.venue]) report.warn(jsonPath(p, 'venue'), `venue "${m.venue}" is not ${Object.keys(MATCH_VENUE_LABELS).join(', ')} (left out of the home/away splits)`);
+                    if (!isBlank(m.date) && !/^\d{4}-\d{2}-\d{2}$/.test(String(m.date))) report.warn(jsonPath(p, 'date'), `date "${m.date}" is not YYYY-MM-DD (sorted last)`);
+                    if (m.players !== undefined) {
+                        if (!Array.isArray(m.players)) {
+                            report.error(jsonPath(p, 'players'), 'match players must be a list');
+                        } else {
+                            m.players.forEach((entry, j) => {
+                                const pp = jsonPath(jsonPath(p, 'players'), j);
+                                if (!isPlainObject(entry) || isBlank(entry.playerId)) return report.error(pp, 'match player must be an object with a playerId');
+                                Object.keys(MATCH_PLAYER_NUMBER_RULES).forEach(field => validateNumberField(entry[field], MATCH_PLAYER_NUMBER_RULES[field], jsonPath(pp, field), report));
+                                if (!isBlank(entry.lineup) && !MATCH_LINEUP_LABELS[entry.lineup]) report.warn(jsonPath(pp, 'lineup'), `lineup "${entry.lineup}" is not ${Object.keys(MATCH_LINEUP_LABELS).join(' or ')}`);
+                            });
+                        }
+                    }
+                }
+            });
         }
-    }, 50);
-}
+    }
 
-/**
- * Close season modal
- */
-function closeSeasonModal() {
-    document.getElementById('seasonModal').classList.add('hidden');
-    document.getElementById('seasonForm').reset();
-    editingSeasonId = null;
-    clearSeasonErrors();
-}
-
-/**
- * Save season
- */
-function saveSeason() {
-    const name = document.getElementById('seasonName').value.trim();
-    const currency = document.getElementById('seasonCurrency').value;
-    const yearVal = document.getElementById('seasonYear').value.trim();
-    const year = yearVal ? Number(yearVal) : null;
-    
-    clearSeasonErrors();
-    
-    // Validation
-    let isValid = true;
-    if (!name) {
-        showSeasonError('seasonName', 'Season name is required');
-        isValid = false;
-    }
-    if (!currency) {
-        showSeasonError('seasonCurrency', 'Currency is required');
-        isValid = false;
+    const trophiesPath = jsonPath(path, 'trophies');
+    if (season.trophies !== undefined) {
+        if (!Array.isArray(season.trophies)) {
+            report.error(trophiesPath, 'trophies must be a list');
+        } else {
+            season.trophies.forEach((t, i) => {
+                const p = jsonPath(trophiesPath, i);
+                if (!isPlainObject(t) || isBlank(t.name)) return report.error(p, 'trophy must be an object with a name');
+                if (!TROPHY_SCOPES.includes(String(t.scope || '').toLowerCase())) report.warn(jsonPath(p, 'scope'), `scope "${t.scope || ''}" is not ${TROPHY_SCOPES.join(', ')} (counted as domestic)`);
+            });
+        }
     }
-    if (!year || isNaN(year) || year < 1900 || year > 2100) {
-        showSeasonError('seasonYear', 'Season year is required (1900-2100)');
-        isValid = false;
+
+    const awardsPath = jsonPath(path, 'playerAwards');
+    if (season.playerAwards !== undefined) {
+        if (!Array.isArray(season.playerAwards)) {
+            report.error(awardsPath, 'playerAwards must be a list');
+        } else {
+            season.playerAwards.forEach((a, i) => {
+                const p = jsonPath(awardsPath, i);
+                if (!isPlainObject(a)) return report.error(p, 'award must be an object');
+                if (isBlank(a.awardName) && isBlank(a.name)) report.warn(p, 'award has no name');
+                const pid = a.playerId || a.id;
+                if (!isBlank(pid) && !seasonCtx.playerPaths[pid]) report.warn(jsonPath(p, 'playerId'), `no player with id "${pid}" in this season`);
+            });
+        }
     }
-    
-    if (!isValid) return;
-    
-    if (editingSeasonId) {
-        // Edit existing season
-        const season = currentSeasons.find(s => s.id === editingSeasonId);
-        season.name = name;
-        season.currency = currency;
-        season.year = year;
+}
+
+function validateImportData(data) {
+    const errors = [];
+    const warnings = [];
+    const report = {
+        error: (path, message) => errors.push({ path, message }),
+        warn: (path, message) => warnings.push({ path, message })
+    };
+
+    if (!isPlainObject(data)) {
+        report.error('$', 'file must contain a JSON object');
+    } else if (!Array.isArray(data.seasons)) {
+        report.error('seasons', 'seasons must be a list');
     } else {
-        // Add new season
-        const newSeason = {
-            id: generateId(),
-            name: name,
-            currency: currency,
-            year: year,
-            roster: {
-                main_squad: { players: {} },
-                youth_academy: { players: {} }
-            }
-        };
-    newSeason.transfers = { forSale: [], sold: [], released: [], retired: [], loan: [], toBuyClub: [], toBuyReleased: [] };
-        currentSeasons.push(newSeason);
-        currentSeasonId = newSeason.id;
+        if (Number(data.schemaVersion) > SCHEMA_VERSION) report.warn('schemaVersion', `file uses schema version ${data.schemaVersion}, newer than this app (${SCHEMA_VERSION})`);
+        const fileCtx = { seasonPaths: {} };
+        data.seasons.forEach((season, i) => validateSeason(season, i, fileCtx, report));
     }
-    
-    saveToStorage();
-    renderSeasonTabs();
-    renderPlayers();
-    closeSeasonModal();
+    return { errors, warnings };
+}
 
-    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
-        renderCharts();
+function renderValidationIssues(issues, colorClass) {
+    return issues.map(issue => `
+        <li><code class="text-xs ${colorClass}">${escapeHtml(issue.path)}</code> ${escapeHtml(issue.message)}</li>
+    `).join('');
+}
+
+/**
+ * Validation summary shown at the top of the import preview
+ */
+function renderImportValidation(validation, ignoreErrors) {
+    const { errors, warnings } = validation;
+    if (errors.length === 0 && warnings.length === 0) {
+        return '<div class="text-sm bg-green-50 border border-green-200 rounded p-3 mb-4">Validation passed: no errors or warnings.</div>';
     }
+
+    const errorHtml = errors.length ? `
+        <div class="text-sm bg-red-50 border border-red-200 rounded p-3 mb-2">
+            <div class="font-medium text-red-800 mb-1">${errors.length} error(s)</div>
+            <ul class="space-y-1 max-h-48 overflow-y-auto">${renderValidationIssues(errors, 'text-red-700')}</ul>
+            <label class="flex items-center gap-2 mt-3">
+                <input type="checkbox" ${ignoreErrors ? 'checked' : ''} onchange="setImportIgnoreErrors(this.checked)">
+                <span>Import anyway (invalid values are replaced with defaults)</span>
+            </label>
+        </div>` : '';
+    const warningHtml = warnings.length ? `
+        <details class="text-sm bg-yellow-50 border border-yellow-200 rounded p-3 mb-2" ${errors.length ? '' : 'open'}>
+            <summary class="font-medium text-yellow-800 cursor-pointer">${warnings.length} warning(s)</summary>
+            <ul class="space-y-1 mt-1 max-h-48 overflow-y-auto">${renderValidationIssues(warnings, 'text-yellow-800')}</ul>
+        </details>` : '';
+    return `<div class="mb-4">${errorHtml}${warningHtml}</div>`;
 }
 
 /**
- * Delete season
+ * Validate and clean seasons data
  */
-function deleteSeason(seasonId) {
-    if (currentSeasons.length <= 1) {
-        alert('Cannot delete the last season');
-        return;
+function validateAndCleanSeasons(seasons) {
+    if (!Array.isArray(seasons)) {
+        return [];
     }
     
-    if (confirm('Are you sure you want to delete this season? This cannot be undone.')) {
-        currentSeasons = currentSeasons.filter(s => s.id !== seasonId);
-        
-        if (currentSeasonId === seasonId) {
-            currentSeasonId = currentSeasons[0].id;
+    const seenSeasonIds = new Set();
+    return seasons.filter(season => season && typeof season === 'object' && !Array.isArray(season)).map(season => {
+        // Ensure season has required structure (ids must be unique, each season is its own stored record)
+        if (!season.id || seenSeasonIds.has(season.id)) season.id = generateId();
+        seenSeasonIds.add(season.id);
+        if (!season.name) season.name = 'Unnamed Season';
+        if (typeof season.name !== 'string') season.name = String(season.name);
+        if (!CURRENCY_SYMBOLS[season.currency]) season.currency = 'USD';
+        // Ensure season.year exists and is numeric; default to current year
+        const nowYear = new Date().getFullYear();
+        if (season.year === undefined || season.year === null || season.year === '') {
+            season.year = nowYear;
+        } else {
+            const y = Number(season.year);
+            season.year = (!isNaN(y) && y >= 1900 && y <= 2100) ? Math.floor(y) : nowYear;
         }
+        if (!season.roster || typeof season.roster !== 'object') season.roster = { main_squad: { players: {} }, youth_academy: { players: {} } };
         
-        saveToStorage();
-        renderSeasonTabs();
-        renderPlayers();
-        if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
-            renderCharts();
+        // Validate roster structure
+        if (!season.roster.main_squad || typeof season.roster.main_squad !== 'object') season.roster.main_squad = { players: {} };
+        if (!season.roster.youth_academy || typeof season.roster.youth_academy !== 'object') season.roster.youth_academy = { players: {} };
+        if (!season.roster.main_squad.players || typeof season.roster.main_squad.players !== 'object') season.roster.main_squad.players = {};
+        if (!season.roster.youth_academy.players || typeof season.roster.youth_academy.players !== 'object') season.roster.youth_academy.players = {};
+
+        // Ensure transfers structure exists at season level
+        if (!season.transfers || typeof season.transfers !== 'object' || Array.isArray(season.transfers)) {
+            season.transfers = {
+                forSale: [],
+                sold: [],
+                released: [],
+                retired: [],
+                loan: [],
+                toBuyClub: [],
+                toBuyReleased: []
+            };
         }
-    }
-}
+    // Ensure notes structure exists
+    if (!Array.isArray(season.notes)) season.notes = [];
+        Object.keys(season.transfers).forEach(key => {
+            if (!Array.isArray(season.transfers[key])) season.transfers[key] = [];
+        });
 
-/**
- * Create a new season by copying the current one, advancing players by one year.
- * - increments numeric ages by 1
- * - decreases contractEnd (digit) by 1 to represent next-season years remaining (clamped to 0)
- * - creates a progressive season name based on current season.name, using suffix (2), (3), ...
- */
-function nextSeason() {
-    const season = getCurrentSeason();
-    if (!season) return alert('No active season to copy');
+        // Logged matches are edited by id
+        const seenMatchIds = new Set();
+        getLoggedMatches(season).forEach(m => {
+            if (!m.id || seenMatchIds.has(m.id)) m.id = generateId();
+            seenMatchIds.add(m.id);
+        });
+        
+        // Validate and clean players (ids are unique across both squads of the season)
+        const seenPlayerIds = new Set();
+        ['main_squad', 'youth_academy'].forEach(squadType => {
+            const originalPlayers = season.roster[squadType].players || {};
+            const rebuiltPlayers = {};
 
-    // Deep clone the season
-    const cloned = JSON.parse(JSON.stringify(season));
-    // Assign new id and reset transfers
-    cloned.id = generateId();
-    cloned.transfers = { forSale: [], sold: [], released: [], retired: [], loan: [], toBuyClub: [], toBuyReleased: [] };
+            Object.keys(originalPlayers).forEach(oldKey => {
+                const player = originalPlayers[oldKey];
+                if (!player || typeof player !== 'object') return;
 
-    // Update players in both squads
-    ['main_squad', 'youth_academy'].forEach(sq => {
-        if (!cloned.roster) cloned.roster = { main_squad: { players: {} }, youth_academy: { players: {} } };
-        if (!cloned.roster[sq]) cloned.roster[sq] = { players: {} };
-        const players = cloned.roster[sq].players || {};
-        Object.keys(players).forEach(pid => {
-            const p = players[pid];
-            // increment age if numeric
-            if (p.age !== undefined && p.age !== null) {
-                const n = Number(p.age);
-                if (!isNaN(n)) p.age = n + 1;
-            }
-            // decrease contractEnd if it's a numeric digit (represents years remaining); clamp at 0
-            if (p.contractEnd !== undefined && p.contractEnd !== null && p.contractEnd !== '') {
-                const c = Number(p.contractEnd);
-                if (!isNaN(c)) {
-                    // ensure integer, then decrement but not below 0
-                    const newC = Math.max(0, Math.floor(c) - 1);
-                    p.contractEnd = newC;
+                // If player object doesn't have an id (or repeats one in this season), generate one.
+                if (!player.id || seenPlayerIds.has(player.id)) player.id = generateId();
+                seenPlayerIds.add(player.id);
+
+                if (!player.firstName) player.firstName = 'Unknown';
+                if (!player.lastName) player.lastName = 'Player';
+                if (!player.role) player.role = 'ST';
+
+                // Ensure numeric fields are numbers
+                ['overall', 'potential', 'age', 'skills', 'weakFoot', 'value', 'wage', 
+                 'appearances', 'goals', 'assists', 'cleanSheets', 'yellowCards', 'redCards'].forEach(field => {
+                    if (player[field] && typeof player[field] !== 'number') {
+                        player[field] = parseInt(player[field]) || 0;
+                    }
+                });
+                if (player.avgRating && typeof player.avgRating !== 'number') {
+                    player.avgRating = parseFloat(player.avgRating) || 0;
                 }
-            }
+                if (player.attributes !== undefined) player.attributes = cleanPlayerAttributes(player.attributes);
+                if (player.statsHistory !== undefined) player.statsHistory = cleanStatsHistory(player.statsHistory);
+
+                // Use the (possibly newly generated) player.id as the key in the rebuilt object
+                rebuiltPlayers[player.id] = player;
+            });
+
+            // Replace the players object with the rebuilt one (this ensures keys match player.id)
+            season.roster[squadType].players = rebuiltPlayers;
         });
+        
+        return season;
     });
+}
 
-    // Determine progressive name: strip any trailing (N) from the current season name
-    // then find the highest existing numeric suffix and add 1.
-    const baseName = (season.name || '').replace(/\s*\(\d+\)\s*$/, '').trim();
-    let maxSuffix = 1; // treat the base name as '1'
-    // escape baseName for regex
-    const escBase = baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const re = new RegExp('^' + escBase + '\\s*\\((\\d+)\\)\\s*$');
-    currentSeasons.forEach(s => {
-        if (!s.name) return;
-        const name = s.name.trim();
-        if (name === baseName) {
-            maxSuffix = Math.max(maxSuffix, 1);
-            return;
-        }
-        const m = name.match(re);
-        if (m && m[1]) {
-            const n = parseInt(m[1], 10);
-            if (!isNaN(n)) maxSuffix = Math.max(maxSuffix, n);
-        }
-    });
-    const suffix = maxSuffix + 1;
-    cloned.name = `${baseName} (${suffix})`;
+/**
+ * Notes management
+ */
+function getSeasonNotes() {
+    const season = getCurrentSeason();
+    if (!season) return [];
+    if (!Array.isArray(season.notes)) season.notes = [];
+    return season.notes;
+}
 
-    // advance year if numeric
-    if (season.year !== undefined && season.year !== null) {
-        const y = Number(season.year);
-        if (!isNaN(y)) cloned.year = y + 1;
-    }
+function renderNotes() {
+    const notesContainer = document.getElementById('notesContainer');
+    const notesList = document.getElementById('notesList');
+    if (!notesContainer || !notesList) return;
 
-    // push and switch
-    currentSeasons.push(cloned);
-    currentSeasonId = cloned.id;
-    // normalize order for squads
-    normalizePlayerOrder(cloned, 'main_squad');
-    normalizePlayerOrder(cloned, 'youth_academy');
-    saveToStorage();
-    renderSeasonTabs();
-    renderPlayers();
-    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
-        renderCharts();
+    const notes = getSeasonNotes();
+
+    if (notes.length === 0) {
+        notesList.innerHTML = `<div class="empty-state"><h3>No notes yet</h3><p>Create a new note to get started.</p></div>`;
+        return;
     }
-    alert(`Created new season: ${cloned.name}`);
+
+    const html = notes.map(n => {
+        const title = n.title || 'Untitled';
+        const content = (n.content || '').replace(/\n/g, '<br>');
+        return `
+            <div class="note-card p-4" data-note-id="${n.id}">
+                <div class="flex justify-between items-start mb-2">
+                    <div class="font-semibold">${escapeHtml(title)}</div>
+                    <div class="space-x-2">
+                        <button onclick="editNote('${n.id}')" class="text-blue-600 text-sm">✏️</button>
+                        <button onclick="deleteNote('${n.id}')" class="text-red-600 text-sm">🗑️</button>
+                    </div>
+                </div>
+                <div class="text-sm text-gray-700 note-content">${content}</div>
+            </div>
+        `;
+    }).join('');
+
+    notesList.innerHTML = html;
+}
+
+let editingNoteId = null;
+
+function openNoteModal(note = null) {
+    const modal = document.getElementById('noteModal');
+    const titleEl = document.getElementById('noteModalTitle');
+    const titleInput = document.getElementById('noteTitle');
+    const contentInput = document.getElementById('noteContent');
+
+    if (note) {
+        editingNoteId = note.id;
+        titleEl.textContent = 'Edit Note';
+        titleInput.value = note.title || '';
+        contentInput.value = note.content || '';
+    } else {
+        editingNoteId = null;
+        titleEl.textContent = 'Add Note';
+        titleInput.value = '';
+        contentInput.value = '';
+    }
+
+    modal.classList.remove('hidden');
+    setTimeout(() => titleInput.focus(), 50);
+}
+
+function closeNoteModal() {
+    const modal = document.getElementById('noteModal');
+    modal.classList.add('hidden');
+    editingNoteId = null;
+}
+
+function saveNote() {
+    const titleInput = document.getElementById('noteTitle');
+    const contentInput = document.getElementById('noteContent');
+    const season = getCurrentSeason();
+    if (!season) return;
+
+    const notes = getSeasonNotes();
+
+    if (editingNoteId) {
+        const note = notes.find(n => n.id === editingNoteId);
+        if (note) {
+            note.title = titleInput.value.trim();
+            note.content = contentInput.value.trim();
+            note.updatedAt = new Date().toISOString();
+        }
+    } else {
+        const newNote = {
+            id: generateId(),
+            title: titleInput.value.trim(),
+            content: contentInput.value.trim(),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        notes.unshift(newNote);
+    }
+
+    season.notes = notes;
+    saveToStorage(editingNoteId ? 'Edit note' : 'Add note');
+    renderNotes();
+    closeNoteModal();
+}
+
+function editNote(noteId) {
+    const notes = getSeasonNotes();
+    const note = notes.find(n => n.id === noteId);
+    if (!note) return alert('Note not found');
+    openNoteModal(note);
+}
+
+function deleteNote(noteId) {
+    if (!confirm('Delete this note?')) return;
+    const season = getCurrentSeason();
+    if (!season) return;
+    season.notes = (season.notes || []).filter(n => n.id !== noteId);
+    saveToStorage('Delete note');
+    renderNotes();
+}
+
+function switchToNotes() {
+    // update tab classes
+    document.querySelectorAll('.squad-tab').forEach(tab => {
+        tab.classList.remove('active');
+        tab.classList.add('border-transparent', 'text-gray-500');
+        tab.classList.remove('border-black', 'text-black');
+    });
+    const notesTab = document.getElementById('notesTab');
+    notesTab.classList.add('active', 'border-black', 'text-black');
+    notesTab.classList.remove('border-transparent', 'text-gray-500');
+
+    // show notes, hide players
+    document.getElementById('playersContainer').classList.add('hidden');
+    document.getElementById('notesContainer').classList.remove('hidden');
+    document.getElementById('squadTitle').textContent = 'Your Notes';
+    renderNotes();
+}
+
+// When switching squad, ensure notes panel is hidden
+const _origSwitchSquad = switchSquad;
+switchSquad = function(squad) {
+    _origSwitchSquad && _origSwitchSquad(squad);
+    // hide notes UI when switching back to squads
+    const notesContainer = document.getElementById('notesContainer');
+    if (notesContainer) notesContainer.classList.add('hidden');
+    const playersContainer = document.getElementById('playersContainer');
+    if (playersContainer) playersContainer.classList.remove('hidden');
+    // ensure Notes tab not active
+    const notesTab = document.getElementById('notesTab');
+    if (notesTab) notesTab.classList.remove('active');
+};
+
+/**
+ * Transfer helper functions
+ */
+function getSeasonTransfers(season) {
+    if (!season) return null;
+    if (!season.transfers) season.transfers = { forSale: [], sold: [], released: [], retired: [], loan: [], toBuyClub: [], toBuyReleased: [] };
+    return season.transfers;
+}
+
+/**
+ * Put a snapshot of the player on a transfer list (once). Sold, released and retired players
+ * leave both squads; retired snapshots are marked with the date.
+ */
+function placePlayerOnTransferList(season, player, key) {
+    const transfers = getSeasonTransfers(season);
+
+    // Ensure the target transfer list exists
+    if (!Array.isArray(transfers[key])) transfers[key] = [];
+
+    // snapshot of player
+    const snapshot = Object.assign({}, player);
+
+    // Handle one-way permanent actions explicitly
+    if (key === TRANSFER_KEYS.retired) {
+        // mark snapshot as retired for clarity
+        snapshot.retired = true;
+        snapshot.retiredAt = new Date().toISOString().split('T')[0];
+    }
+    if (key === TRANSFER_KEYS.retired || key === TRANSFER_KEYS.sold || key === TRANSFER_KEYS.released) {
+        // remove from all squads for permanent changes
+        delete season.roster.main_squad.players[player.id];
+        delete season.roster.youth_academy.players[player.id];
+    }
+
+    // prevent duplicate snapshot ids
+    if (!transfers[key].some(item => item.id && item.id.toString() === snapshot.id.toString())) {
+        transfers[key].push(snapshot);
+    }
+}
+
+function addPlayerToTransferList(playerId, key) {
+    const season = getCurrentSeason();
+    if (!season) return;
+    const players = Object.assign({}, season.roster.main_squad.players, season.roster.youth_academy.players);
+    const player = players[playerId];
+    if (!player) return alert('Player not found');
+
+    const transfers = getSeasonTransfers(season);
+
+    // Confirm retire action with the user
+    if (key === TRANSFER_KEYS.retired && !confirm(`Are you sure you want to retire ${player.firstName} ${player.lastName}? This will remove them from your squads.`)) return;
+
+    // Toggle behavior for 'forSale' list: if already present, remove it (and update UI), otherwise add.
+    if (key === TRANSFER_KEYS.forSale) {
+        if (!Array.isArray(transfers.forSale)) transfers.forSale = [];
+        const exists = transfers.forSale.some(item => item.id && item.id.toString() === player.id.toString());
+        if (exists) {
+            transfers.forSale = transfers.forSale.filter(item => !(item.id && item.id.toString() === player.id.toString()));
+            saveToStorage(`Remove ${player.firstName} ${player.lastName} from For Sale`);
+            renderPlayers();
+            renderTransfers();
+            return;
+        }
+    }
+    // Toggle behavior for 'loan' list: add if missing, remove if present
+    if (key === TRANSFER_KEYS.loan) {
+        if (!Array.isArray(transfers.loan)) transfers.loan = [];
+        const existsLoan = transfers.loan.some(item => item.id && item.id.toString() === player.id.toString());
+        if (existsLoan) {
+            transfers.loan = transfers.loan.filter(item => !(item.id && item.id.toString() === player.id.toString()));
+            saveToStorage(`Remove ${player.firstName} ${player.lastName} from Loan`);
+            renderPlayers();
+            renderTransfers();
+            return;
+        }
+    }
+
+    placePlayerOnTransferList(season, player, key);
+    saveToStorage(`Move ${player.firstName} ${player.lastName} to ${TRANSFER_LABELS[key] || key}`);
+    renderPlayers();
+    renderTransfers();
+}
+
+function addPlayerCopyToBuyList(playerId, key) {
+    const season = getCurrentSeason();
+    if (!season) return;
+    const players = Object.assign({}, season.roster.main_squad.players, season.roster.youth_academy.players);
+    const player = players[playerId];
+    if (!player) return alert('Player not found');
+
+    const transfers = getSeasonTransfers(season);
+    const snapshot = Object.assign({}, player, { id: generateId() });
+    if (!transfers[key].some(item => item.id && item.id.toString() === snapshot.id.toString())) {
+        transfers[key].push(snapshot);
+    }
+    saveToStorage(`Copy ${player.firstName} ${player.lastName} to ${TRANSFER_LABELS[key] || key}`);
+    renderTransfers();
+}
+
+/**
+ * Take a transfer snapshot and add it into the main_squad players if not present.
+ * This lets the user 'show' a transfer snapshot in their main player list.
+ */
+function showTransferInPlayers(listKey, snapshotId) {
+    const season = getCurrentSeason();
+    if (!season) return;
+    const transfers = getSeasonTransfers(season);
+    const list = transfers[listKey] || [];
+    const snapshot = list.find(p => p.id && p.id.toString() === snapshotId.toString());
+    if (!snapshot) return alert('Snapshot not found');
+
+    // If a player with the same id already exists in any squad, warn and do nothing
+    const allPlayers = Object.assign({}, season.roster.main_squad.players, season.roster.youth_academy.players);
+    if (allPlayers[snapshot.id]) {
+        return alert('This player snapshot already exists in your squads.');
+    }
+
+    // Insert into main_squad with same snapshot id to preserve link
+    season.roster.main_squad.players[snapshot.id] = Object.assign({}, snapshot);
+    // Normalize ordering so the new player appears correctly grouped
+    normalizePlayerOrder(season, 'main_squad');
+    saveToStorage(`Add ${snapshot.firstName} ${snapshot.lastName} to Main Squad`);
+    renderPlayers();
+    alert(`Added ${snapshot.firstName} ${snapshot.lastName} to Main Squad`);
+}
+
+function removeFromTransferList(listKey, playerSnapshotId) {
+    const season = getCurrentSeason();
+    if (!season) return;
+    const transfers = getSeasonTransfers(season);
+    transfers[listKey] = (transfers[listKey] || []).filter(p => !(p.id && p.id.toString() === playerSnapshotId.toString()));
+    saveToStorage(`Remove player from ${TRANSFER_LABELS[listKey] || listKey}`);
+    renderTransfers();
+    // Re-render players so any 'for-sale' highlighting is updated/removed immediately
+    renderPlayers();
+}
+
+function clearTransferList(listKey) {
+    const season = getCurrentSeason();
+    if (!season) return;
+    const transfers = getSeasonTransfers(season);
+    transfers[listKey] = [];
+    saveToStorage(`Clear ${TRANSFER_LABELS[listKey] || listKey} list`);
+    renderTransfers();
+    // Re-render players to reflect cleared For Sale list
+    renderPlayers();
+}
+
+/**
+ * Render transfers UI into #transfersContainer
+ */
+function renderTransfers() {
+    const container = document.getElementById('transfersContainer');
+    if (!container) return;
+    const season = getCurrentSeason();
+    if (!season) { container.innerHTML = ''; return; }
+    const transfers = getSeasonTransfers(season);
+
+    const currency = CURRENCY_SYMBOLS[season.currency] || '$';
+
+    function renderList(title, listKey) {
+        const list = transfers[listKey] || [];
+        // Add an "Add Player" button for the 'toBuy' lists which opens the player modal
+        const isToBuy = listKey === TRANSFER_KEYS.toBuyClub || listKey === TRANSFER_KEYS.toBuyReleased;
+        let addBtnHtml = '';
+        if (isToBuy) {
+            addBtnHtml = `<button onclick="openTransferPlayerModal('${listKey}')" class="text-xs text-blue-600">Add Player</button>`;
+        }
+
+        let html = `<div class="position-group mb-4">
+            <div class="position-group-header flex justify-between items-center">${title} <div class="space-x-2">${addBtnHtml}<button onclick="clearTransferList('${listKey}')" class="text-xs text-red-600">Clear</button></div></div>`;
+            if (list.length === 0) { 
+                html += `<div class="p-4 text-sm text-gray-600">No players available</div>`;
+            } else { 
+            list.forEach(p => {
+                // compute group class so styling matches main player cards
+                const grp = getPositionGroup(p.role) || 'Unknown';
+                const groupClass = 'group-' + grp.toLowerCase().replace(/\s+/g, '-');
+
+                html += `
+                    <div class="player-card ${groupClass}" style="margin:8px;" data-transfer-id="${p.id}">
+                        <div class="flex justify-between items-start mb-2">
+                            <div>
+                                <div class="font-semibold">${p.firstName} ${p.lastName}</div>
+                                <div class="text-sm text-gray-500">${renderNationalityHTML(p.nationality)} • ${p.role || '-'}</div>
+                            </div>
+                            <div class="flex items-center gap-2">
+                                <button onclick="showTransferInPlayers('${listKey}','${p.id}')" class="text-blue-600" title="Add the player to the main squad">➕</button>
+                                <button onclick="addToCompare('${p.id}','${listKey}')" class="text-gray-600" title="Compare">⚖️</button>
+                                <button onclick="removeFromTransferList('${listKey}','${p.id}')" class="text-red-600" title="Remove">🗑️</button>
+                            </div>
+                        </div>
+                        <div class="grid grid-cols-2 gap-2 text-sm">
+                            <div>OVR: <span class="font-medium">${p.overall || '-'}</span></div>
+                            <div>POT: <span class="font-medium">${p.potential || '-'}</span></div>
+                            <div>Age: <span class="font-medium">${p.age || '-'}</span></div>
+                            <div>Contract: <span class="font-medium">${(p.contractEnd !== undefined && p.contractEnd !== null && p.contractEnd !== '') ? p.contractEnd : '-'}</span></div>
+                            <div>Skills: ${renderStars(p.skills)}</div>
+                            <div>Weak Foot: ${renderStars(p.weakFoot)}</div>
+                            <div>Value: <span class="font-medium">${currency}${formatNumber(p.value)}</span></div>
+                            <div>Wage: <span class="font-medium">${currency}${formatNumber(p.wage)}</span></div>
+                        </div>
+                    </div>
+                `;
+            });
+        }
+        html += '</div>';
+        return html;
+    }
+
+    let html = '<div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">';
+    html += renderList('Players For Sale', 'forSale');
+    html += renderList('Players Sold', 'sold');
+    html += renderList('Players Released', 'released');
+    html += renderList('Players Retired', 'retired');
+    html += renderList('Players On Loan', 'loan');
+    html += renderList('Players To Buy (Club)', 'toBuyClub');
+    html += renderList('Players To Buy (Released)', 'toBuyReleased');
+    html += '</div>';
+
+    container.innerHTML = html;
+}
+
+/**
+ * Render season tabs
+ */
+function renderSeasonTabs() {
+    const container = document.getElementById('seasonTabs');
+    container.innerHTML = '';
+
+    currentSeasons.forEach(season => {
+        const tab = document.createElement('div');
+        tab.className = `season-tab ${season.id === currentSeasonId ? 'active' : ''}`;
+        const yearLabel = season.year ? ` <span class="text-xs text-gray-400">(${season.year})</span>` : '';
+        tab.innerHTML = `
+            <span>${season.name}${yearLabel}</span>
+            <button class="delete-btn" onclick="deleteSeason('${season.id}')" title="Delete Season">×</button>
+        `;
+
+        // Single click: switch season (only on single clicks, not the first click of a double-click)
+        tab.addEventListener('click', (e) => {
+            if (e.detail === 2) return; // ignore the first click of a double-click
+            if (!e.target.classList.contains('delete-btn')) {
+                switchSeason(season.id);
+            }
+        });
+
+        // Double click: open season modal to edit the season (rename, change currency)
+        tab.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            openSeasonModal(season.id);
+        });
+
+        container.appendChild(tab);
+    });
+}
+
+/**
+ * Switch to different season
+ */
+function switchSeason(seasonId) {
+    currentSeasonId = seasonId;
+    resetPlayerSelection();
+    renderSeasonTabs();
+    renderPlayers();
+    hideCharts();
+}
+
+/**
+ * Switch squad type
+ */
+function switchSquad(squad) {
+    currentSquad = squad;
+    resetPlayerSelection();
+    
+    // Update tab styles
+    document.querySelectorAll('.squad-tab').forEach(tab => {
+        tab.classList.remove('active');
+        tab.classList.add('border-transparent', 'text-gray-500');
+        tab.classList.remove('border-black', 'text-black');
+    });
+    
+    const activeTab = squad === 'main_squad' ? 'mainSquadTab' : 'youthAcademyTab';
+    const activeTabEl = document.getElementById(activeTab);
+    activeTabEl.classList.add('active', 'border-black', 'text-black');
+    activeTabEl.classList.remove('border-transparent', 'text-gray-500');
+    
+    // Update squad title
+    document.getElementById('squadTitle').textContent = squad === 'main_squad' ? 'Main Squad' : 'Youth Academy';
+    
+    renderPlayers();
+    hideCharts();
+}
+
+/**
+ * Squad table columns
+ * Player and Actions are fixed; every other column can be hidden and reordered in the Columns
+ * dialog. The layout and the user's presets are kept in localStorage, like the CSV options.
+ */
+const TABLE_COLUMNS_STORAGE_KEY = 'cmutils_table_columns';
+
+// Derived per-player numbers, shared by the table columns and the sort
+const COMPUTED_PLAYER_STATS = {
+    goalsAssists: p => (Number(p.goals) || 0) + (Number(p.assists) || 0),
+    goalsPerGame: p => Number(p.appearances) > 0 ? (Number(p.goals) || 0) / Number(p.appearances) : null,
+    valuePerOvr: p => Number(p.overall) > 0 && Number(p.value) > 0 ? Math.round(Number(p.value) / Number(p.overall)) : null,
+    wageToValue: p => Number(p.value) > 0 ? (Number(p.wage) || 0) / Number(p.value) * 100 : null
+};
+
+// Helper: render a table cell whose classes adapt to the value (compact for short numeric values)
+function renderAdaptiveCell(value) {
+    // Normalize value for display
+    const v = (value === 0 || value === '0') ? '0' : (value || '-') ;
+    const s = String(v);
+
+    // Simple numeric check (integers / decimals)
+    const isNumeric = /^-?\d+(?:\.\d+)?$/.test(s.replace(/,/g, ''));
+
+    // Determine classes based on length and type
+    let classes = 'px-2 py-1';
+    if (isNumeric) {
+        // compact widths for short numbers
+        if (s.length <= 3) classes += ' text-center w-12';
+        else if (s.length <= 5) classes += ' text-center w-20';
+        else classes += ' text-center';
+    } else {
+        // non-numeric: allow more room but keep padding
+        if (s.length <= 6) classes += ' text-center';
+        else classes += ' text-left';
+    }
+
+    return `<td class="${classes}">${escapeHtml(s)}</td>`;
+}
+
+// key doubles as the PLAYER_SORT_FIELDS key; cell(player, currency) returns the <td>
+const TABLE_COLUMNS = [
+    { key: 'role', header: 'Role', label: 'Role', cell: p => `<td><span class="font-mono text-sm">${p.role}</span></td>` },
+    { key: 'overall', header: 'OVR', label: 'Overall', cell: p => renderAdaptiveCell(p.overall || '-') },
+    { key: 'potential', header: 'POT', label: 'Potential', cell: p => renderAdaptiveCell(p.potential || '-') },
+    { key: 'age', header: 'Age', label: 'Age', cell: p => renderAdaptiveCell(p.age || '-') },
+    { key: 'appearances', header: 'App', label: 'Appearances', cell: p => renderAdaptiveCell(p.appearances || 0) },
+    { key: 'goals', header: 'Goals', label: 'Goals', cell: p => renderAdaptiveCell(p.goals || 0) },
+    { key: 'assists', header: 'Assists', label: 'Assists', cell: p => renderAdaptiveCell(p.assists || 0) },
+    { key: 'cleanSheets', header: 'CS', label: 'Clean sheets', cell: p => renderAdaptiveCell(p.cleanSheets || 0) },
+    { key: 'yellowCards', header: 'YC', label: 'Yellow cards', cell: p => renderAdaptiveCell(p.yellowCards || 0) },
+    { key: 'redCards', header: 'RC', label: 'Red cards', cell: p => renderAdaptiveCell(p.redCards || 0) },
+    { key: 'avgRating', header: 'Rating', label: 'Average rating', cell: p => renderAdaptiveCell(p.avgRating || '-') },
+    { key: 'skills', header: 'Skills', label: 'Skill moves', cell: p => `<td>${renderStars(p.skills)}</td>` },
+    { key: 'weakFoot', header: 'Weak Foot', label: 'Weak foot', cell: p => `<td>${renderStars(p.weakFoot)}</td>` },
+    { key: 'foot', header: 'Foot', label: 'Preferred foot', cell: p => renderAdaptiveCell(p.foot || '-') },
+    { key: 'wage', header: 'Wage', label: 'Wage', cell: (p, currency) => `<td class="currency" data-currency="${currency}">${formatNumber(p.wage)}</td>` },
+    { key: 'value', header: 'Value', label: 'Value', cell: (p, currency) => `<td class="currency" data-currency="${currency}">${formatNumber(p.value)}</td>` },
+    { key: 'contractEnd', header: 'Contract End', label: 'Contract end', cell: p => `<td class="px-2 py-1 text-center">${escapeHtml(isBlank(p.contractEnd) ? '-' : String(p.contractEnd))}</td>` },
+    // computed
+    { key: 'goalsAssists', header: 'G+A', label: 'Goals + assists', computed: true, cell: p => renderAdaptiveCell(COMPUTED_PLAYER_STATS.goalsAssists(p)) },
+    { key: 'goalsPerGame', header: 'G/Game', label: 'Goals per game', computed: true, cell: p => { const v = COMPUTED_PLAYER_STATS.goalsPerGame(p); return renderAdaptiveCell(v === null ? '-' : v.toFixed(2)); } },
+    { key: 'valuePerOvr', header: 'Value/OVR', label: 'Value per OVR point', computed: true, cell: (p, currency) => { const v = COMPUTED_PLAYER_STATS.valuePerOvr(p); return v === null ? renderAdaptiveCell('-') : `<td class="currency" data-currency="${currency}">${formatNumber(v)}</td>`; } },
+    { key: 'wageToValue', header: 'Wage/Value', label: 'Wage-to-value ratio', computed: true, cell: p => { const v = COMPUTED_PLAYER_STATS.wageToValue(p); return renderAdaptiveCell(v === null ? '-' : `${v.toFixed(2)}%`); } }
+];
+
+const DEFAULT_TABLE_COLUMNS = ['role', 'overall', 'potential', 'age', 'appearances', 'goals', 'assists', 'cleanSheets', 'yellowCards', 'redCards', 'avgRating', 'skills', 'weakFoot', 'foot', 'wage', 'value', 'contractEnd'];
+const BUILTIN_COLUMN_PRESETS = {
+    'Default': DEFAULT_TABLE_COLUMNS,
+    'Scouting': ['role', 'overall', 'potential', 'age', 'foot', 'skills', 'weakFoot', 'value', 'valuePerOvr', 'wage', 'wageToValue', 'contractEnd'],
+    'Coaching': ['role', 'overall', 'age', 'appearances', 'goals', 'assists', 'goalsAssists', 'goalsPerGame', 'cleanSheets', 'yellowCards', 'redCards', 'avgRating']
+};
+
+function cleanColumnKeys(keys) {
+    return Array.isArray(keys) ? [...new Set(keys.filter(key => TABLE_COLUMNS.some(c => c.key === key)))] : null;
+}
+
+/**
+ * Stored layout ({ columns: [visible keys in order], presets: { name: [keys] } }), falling back to the default
+ */
+function getTableColumnSettings() {
+    let stored = null;
+    try { stored = JSON.parse(localStorage.getItem(TABLE_COLUMNS_STORAGE_KEY) || 'null'); } catch (e) { /* use defaults */ }
+    const presets = {};
+    if (stored && isPlainObject(stored.presets)) {
+        Object.entries(stored.presets).forEach(([name, keys]) => {
+            const clean = cleanColumnKeys(keys);
+            if (clean && !BUILTIN_COLUMN_PRESETS[name]) presets[name] = clean;
+        });
+    }
+    return { columns: (stored && cleanColumnKeys(stored.columns)) || DEFAULT_TABLE_COLUMNS.slice(), presets };
+}
+
+function saveTableColumnSettings(settings) {
+    try { localStorage.setItem(TABLE_COLUMNS_STORAGE_KEY, JSON.stringify(settings)); } catch (e) { console.warn('Could not save table columns', e); }
+}
+
+function getVisibleTableColumns() {
+    return getTableColumnSettings().columns.map(key => TABLE_COLUMNS.find(c => c.key === key));
+}
+
+function openColumnsModal() {
+    document.getElementById('columnsModal').classList.remove('hidden');
+    renderColumnsModal();
+}
+
+function closeColumnsModal() {
+    document.getElementById('columnsModal').classList.add('hidden');
+}
+
+// Persist a new visible-column list and redraw both the dialog and the table
+function setTableColumns(columns) {
+    const settings = getTableColumnSettings();
+    settings.columns = columns;
+    saveTableColumnSettings(settings);
+    renderColumnsModal();
+    renderPlayers();
+}
+
+function toggleTableColumn(key) {
+    const columns = getTableColumnSettings().columns;
+    setTableColumns(columns.includes(key) ? columns.filter(k => k !== key) : columns.concat(key));
+}
+
+function moveTableColumn(key, delta) {
+    const columns = getTableColumnSettings().columns;
+    const index = columns.indexOf(key);
+    const target = index + delta;
+    if (index < 0 || target < 0 || target >= columns.length) return;
+    columns.splice(index, 1);
+    columns.splice(target, 0, key);
+    setTableColumns(columns);
+}
+
+function applyColumnPreset(name) {
+    const presets = Object.assign({}, BUILTIN_COLUMN_PRESETS, getTableColumnSettings().presets);
+    if (presets[name]) setTableColumns(presets[name].slice());
+}
+
+function saveColumnPreset() {
+    const name = (prompt('Preset name:') || '').trim();
+    if (!name) return;
+    if (BUILTIN_COLUMN_PRESETS[name]) return alert(`"${name}" is a built-in preset. Choose another name.`);
+    const settings = getTableColumnSettings();
+    if (settings.presets[name] && !confirm(`Replace the preset "${name}"?`)) return;
+    settings.presets[name] = settings.columns.slice();
+    saveTableColumnSettings(settings);
+    renderColumnsModal();
+}
+
+function deleteColumnPreset(name) {
+    const settings = getTableColumnSettings();
+    if (!settings.presets[name] || !confirm(`Delete the preset "${name}"?`)) return;
+    delete settings.presets[name];
+    saveTableColumnSettings(settings);
+    renderColumnsModal();
+}
+
+function renderColumnsModal() {
+    const container = document.getElementById('columnsContent');
+    if (!container) return;
+    const settings = getTableColumnSettings();
+    const visible = settings.columns;
+    // shown columns in table order, then the hidden ones
+    const ordered = visible.concat(TABLE_COLUMNS.map(c => c.key).filter(key => !visible.includes(key)));
+    const sameColumns = keys => keys.length === visible.length && keys.every((key, i) => key === visible[i]);
+    const presetButton = (name, keys, custom) => `
+        <span class="inline-flex items-center border rounded ${sameColumns(keys) ? 'border-black bg-gray-100' : 'border-gray-300'}">
+            <button onclick="applyColumnPreset(this.dataset.name)" data-name="${escapeHtml(name)}" class="px-2 py-1 hover:bg-gray-100">${escapeHtml(name)}</button>
+            ${custom ? `<button onclick="deleteColumnPreset(this.dataset.name)" data-name="${escapeHtml(name)}" class="px-1 text-gray-400 hover:text-red-600" title="Delete preset">✕</button>` : ''}
+        </span>`;
+
+    container.innerHTML = `
+        <div class="mb-4">
+            <div class="text-xs text-gray-500 mb-1">Presets</div>
+            <div class="flex flex-wrap gap-2 text-sm">
+                ${Object.entries(BUILTIN_COLUMN_PRESETS).map(([name, keys]) => presetButton(name, keys, false)).join('')}
+                ${Object.entries(settings.presets).map(([name, keys]) => presetButton(name, keys, true)).join('')}
+                <button onclick="saveColumnPreset()" class="px-2 py-1 border border-dashed border-gray-400 rounded text-gray-600 hover:text-black">+ Save current as preset</button>
+            </div>
+        </div>
+        <div class="text-xs text-gray-500 mb-1">Columns (Player and Actions are always shown)</div>
+        <ul class="divide-y divide-gray-100 border border-gray-200 rounded text-sm">
+            ${ordered.map(key => {
+                const column = TABLE_COLUMNS.find(c => c.key === key);
+                const index = visible.indexOf(key);
+                return `
+                <li class="flex items-center gap-2 px-3 py-1 ${index < 0 ? 'text-gray-400' : ''}">
+                    <input type="checkbox" ${index >= 0 ? 'checked' : ''} onchange="toggleTableColumn('${key}')">
+                    <span class="flex-1">${column.label} <span class="text-xs text-gray-400">${column.header}${column.computed ? ' · computed' : ''}</span></span>
+                    <button onclick="moveTableColumn('${key}', -1)" class="px-1 hover:text-black disabled:opacity-30" ${index > 0 ? '' : 'disabled'} title="Move left">↑</button>
+                    <button onclick="moveTableColumn('${key}', 1)" class="px-1 hover:text-black disabled:opacity-30" ${index >= 0 && index < visible.length - 1 ? '' : 'disabled'} title="Move right">↓</button>
+                </li>`;
+            }).join('')}
+        </ul>`;
+}
+
+// Squad search, filters and sort (toolbar above the players table)
+// Sorting applies inside each position group; without a sort key the manual (drag) order is kept.
+const PLAYER_SORT_FIELDS = {
+    name: { label: 'Name', text: true, get: p => `${p.lastName || ''} ${p.firstName || ''}`.trim().toLowerCase() },
+    role: { label: 'Role', get: p => { const i = Object.values(POSITION_GROUPS).flat().indexOf(p.role); return i < 0 ? null : i; } },
+    overall: { label: 'OVR', desc: true },
+    potential: { label: 'POT', desc: true },
+    age: { label: 'Age' },
+    appearances: { label: 'Appearances', desc: true },
+    goals: { label: 'Goals', desc: true },
+    assists: { label: 'Assists', desc: true },
+    cleanSheets: { label: 'Clean Sheets', desc: true },
+    yellowCards: { label: 'Yellow Cards', desc: true },
+    redCards: { label: 'Red Cards', desc: true },
+    avgRating: { label: 'Rating', desc: true },
+    skills: { label: 'Skills', desc: true },
+    weakFoot: { label: 'Weak Foot', desc: true },
+    foot: { label: 'Foot', text: true },
+    wage: { label: 'Wage', desc: true },
+    value: { label: 'Value', desc: true },
+    contractEnd: { label: 'Contract End' },
+    goalsAssists: { label: 'Goals + Assists', desc: true, get: COMPUTED_PLAYER_STATS.goalsAssists },
+    goalsPerGame: { label: 'Goals per Game', desc: true, get: COMPUTED_PLAYER_STATS.goalsPerGame },
+    valuePerOvr: { label: 'Value per OVR', desc: true, get: COMPUTED_PLAYER_STATS.valuePerOvr },
+    wageToValue: { label: 'Wage-to-Value', get: COMPUTED_PLAYER_STATS.wageToValue }
+};
+const DEFAULT_PLAYER_FILTERS = {
+    search: '', role: '', ageMin: '', ageMax: '', ovrMin: '', ovrMax: '', potMin: '', potMax: '',
+    foot: '', contractMax: '', status: '', playstyle: '', roleType: ''
+};
+let playerFilters = Object.assign({}, DEFAULT_PLAYER_FILTERS);
+let playerSort = { key: null, dir: 'asc' };
+
+/**
+ * Fill the filter selects (roles, playstyles, role types) of the squad toolbar
+ */
+function setupPlayerFilters() {
+    const roleSelect = document.getElementById('filterRole');
+    if (roleSelect) {
+        roleSelect.insertAdjacentHTML('beforeend', Object.entries(POSITION_GROUPS).map(([groupName, roles]) => `
+            <optgroup label="${groupName}">${roles.map(r => `<option value="${r}">${r}</option>`).join('')}</optgroup>`).join(''));
+    }
+    const playstyleSelect = document.getElementById('filterPlaystyle');
+    if (playstyleSelect) {
+        const categories = [...new Set(PLAYSTYLE_DEFINITIONS.map(ps => ps.category))];
+        playstyleSelect.insertAdjacentHTML('beforeend', categories.map(category => `
+            <optgroup label="${category}">${PLAYSTYLE_DEFINITIONS.filter(ps => ps.category === category).map(ps => `<option value="${ps.name}">${ps.name}</option>`).join('')}</optgroup>`).join(''));
+    }
+    const roleTypeSelect = document.getElementById('filterRoleType');
+    if (roleTypeSelect) {
+        const types = [...new Set(Object.values(ROLE_DEFINITIONS).flat().map(rd => rd.type))].sort();
+        roleTypeSelect.insertAdjacentHTML('beforeend', types.map(t => `<option value="${t}">${t}</option>`).join(''));
+    }
+    const sortSelect = document.getElementById('playerSortSelect');
+    if (sortSelect) {
+        sortSelect.insertAdjacentHTML('beforeend', Object.entries(PLAYER_SORT_FIELDS).map(([key, f]) => `<option value="${key}">${f.label}</option>`).join(''));
+    }
+}
+
+/**
+ * Read the toolbar inputs into playerFilters and re-render
+ */
+function applyPlayerFilters() {
+    const ids = {
+        search: 'playerSearch', role: 'filterRole', ageMin: 'filterAgeMin', ageMax: 'filterAgeMax',
+        ovrMin: 'filterOvrMin', ovrMax: 'filterOvrMax', potMin: 'filterPotMin', potMax: 'filterPotMax',
+        foot: 'filterFoot', contractMax: 'filterContractMax', status: 'filterStatus',
+        playstyle: 'filterPlaystyle', roleType: 'filterRoleType'
+    };
+    Object.entries(ids).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (el) playerFilters[key] = el.value.trim();
+    });
+    renderPlayers();
+}
+
+function clearPlayerFilters() {
+    playerFilters = Object.assign({}, DEFAULT_PLAYER_FILTERS);
+    document.querySelectorAll('#playerFilterBar input, #playerFilterBar select:not(#playerSortSelect)').forEach(el => { el.value = ''; });
+    renderPlayers();
+}
+
+function countActivePlayerFilters() {
+    return Object.keys(DEFAULT_PLAYER_FILTERS).filter(key => key !== 'search' && playerFilters[key] !== '').length;
+}
+
+// Dragging and ↑/↓ only work on the full squad in manual order; sorted or filtered views would move players past hidden ones
+function isPlayerOrderLocked() {
+    return !!playerSort.key || !!playerFilters.search || countActivePlayerFilters() > 0;
+}
+
+// lower case without accents, so "muller" finds "Müller"
+function normalizeSearchText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Whether a player passes the search and all filters of the toolbar
+ */
+function playerMatchesFilters(player, season) {
+    const f = playerFilters;
+    if (f.search) {
+        const nationality = resolveNationality(player.nationality);
+        const haystack = normalizeSearchText(`${player.firstName} ${player.lastName} ${nationality.name} ${player.nationality}`);
+        if (!normalizeSearchText(f.search).split(/\s+/).every(term => haystack.includes(term))) return false;
+    }
+    if (f.role && player.role !== f.role) return false;
+    if (f.foot && player.foot !== f.foot) return false;
+
+    const inRange = (value, min, max) => {
+        if (min === '' && max === '') return true;
+        if (isBlank(value) || isNaN(Number(value))) return false;
+        return (min === '' || Number(value) >= Number(min)) && (max === '' || Number(value) <= Number(max));
+    };
+    if (!inRange(player.age, f.ageMin, f.ageMax)) return false;
+    if (!inRange(player.overall, f.ovrMin, f.ovrMax)) return false;
+    if (!inRange(player.potential, f.potMin, f.potMax)) return false;
+    if (!inRange(player.contractEnd, '', f.contractMax)) return false;
+
+    if (f.status) {
+        const transfers = (season && season.transfers) || {};
+        const listed = key => Array.isArray(transfers[key]) && transfers[key].some(item => item.id && item.id.toString() === player.id.toString());
+        // a player can be on both lists, so each status is checked on its own
+        const forSale = listed(TRANSFER_KEYS.forSale);
+        const onLoan = listed(TRANSFER_KEYS.loan);
+        const matches = {
+            forSale,
+            loan: onLoan,
+            listed: forSale || onLoan,
+            none: !forSale && !onLoan
+        };
+        if (!matches[f.status]) return false;
+    }
+    if (f.playstyle && !(Array.isArray(player.playstyles) && player.playstyles.some(ps => ps && ps.name === f.playstyle))) return false;
+    if (f.roleType) {
+        const types = Array.isArray(player.roleTypes) && player.roleTypes.length ? player.roleTypes.map(rt => rt && rt.type) : [player.roleType];
+        if (!types.includes(f.roleType)) return false;
+    }
+    return true;
+}
+
+/**
+ * Sort by a field; clicking the active field again flips the direction, a third time restores the manual order
+ */
+function setPlayerSort(key) {
+    const field = PLAYER_SORT_FIELDS[key];
+    if (!field) {
+        playerSort = { key: null, dir: 'asc' };
+    } else if (playerSort.key !== key) {
+        playerSort = { key, dir: field.desc ? 'desc' : 'asc' };
+    } else if (playerSort.dir === (field.desc ? 'desc' : 'asc')) {
+        playerSort.dir = field.desc ? 'asc' : 'desc';
+    } else {
+        playerSort = { key: null, dir: 'asc' };
+    }
+    renderPlayers();
+}
+
+function togglePlayerSortDirection() {
+    if (!playerSort.key) return;
+    playerSort.dir = playerSort.dir === 'asc' ? 'desc' : 'asc';
+    renderPlayers();
+}
+
+/**
+ * Copy of the players ordered by playerSort; blanks always go last and ties keep the manual order
+ */
+function sortPlayers(players) {
+    const field = PLAYER_SORT_FIELDS[playerSort.key];
+    if (!field) return players;
+    const get = field.get || (p => p[playerSort.key]);
+    const valueOf = p => {
+        const v = get(p);
+        if (isBlank(v)) return null;
+        return field.text ? String(v) : (isNaN(Number(v)) ? null : Number(v));
+    };
+    const direction = playerSort.dir === 'desc' ? -1 : 1;
+    return players
+        .map((player, index) => ({ player, index, value: valueOf(player) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) return (a.value === null) - (b.value === null) || a.index - b.index;
+            const cmp = field.text ? a.value.localeCompare(b.value) : a.value - b.value;
+            return cmp * direction || a.index - b.index;
+        })
+        .map(item => item.player);
+}
+
+// Clickable table header with the current sort arrow
+function renderSortableHeader(key, label) {
+    const arrow = playerSort.key === key ? (playerSort.dir === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<th class="sortable-header${playerSort.key === key ? ' sorted' : ''}" onclick="setPlayerSort('${key}')" title="Sort by ${PLAYER_SORT_FIELDS[key].label}">${label}${arrow}</th>`;
+}
+
+// Keep the toolbar's sort select, direction button and counters in line with the state
+function updatePlayerFilterBar(shown, total) {
+    const sortSelect = document.getElementById('playerSortSelect');
+    if (sortSelect) sortSelect.value = playerSort.key || '';
+    const dirBtn = document.getElementById('playerSortDirBtn');
+    if (dirBtn) {
+        dirBtn.disabled = !playerSort.key;
+        dirBtn.textContent = playerSort.dir === 'desc' ? '▼' : '▲';
+    }
+    const active = countActivePlayerFilters();
+    const badge = document.getElementById('playerFilterActiveCount');
+    if (badge) badge.textContent = active ? `(${active})` : '';
+    const count = document.getElementById('playerFilterCount');
+    if (count) count.textContent = shown === total ? `${total} players` : `Showing ${shown} of ${total} players`;
+}
+
+/**
+ * Render players table/cards
+ */
+function renderPlayers() {
+    const container = document.getElementById('playersContainer');
+    const players = getCurrentPlayers();
+    const playersArray = Object.values(players);
+
+    if (playersArray.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <h3>No players found</h3>
+                <p>Add your first player to get started</p>
+                <button onclick="openPlayerModal()" class="mt-4 bg-black text-white px-6 py-2 rounded hover:bg-gray-800">
+                    Add Player
+                </button>
+            </div>
+        `;
+        updatePlayerFilterBar(0, 0);
+        visiblePlayerIds = [];
+        updateBulkActionBar();
+        // still render transfers section even if no players
+        renderTransfers();
+        try { renderSeasonStatsPanel(getCurrentSeason()); } catch (e) { /* no-op */ }
+        return;
+    }
+
+    const season = getCurrentSeason();
+    const visiblePlayers = sortPlayers(playersArray.filter(player => playerMatchesFilters(player, season)));
+    updatePlayerFilterBar(visiblePlayers.length, playersArray.length);
+    visiblePlayerIds = [];
+    if (visiblePlayers.length === 0) {
+        updateBulkActionBar();
+        container.innerHTML = `
+            <div class="empty-state">
+                <h3>No players match the filters</h3>
+                <p>${playersArray.length} players in this squad</p>
+                <button onclick="clearPlayerFilters()" class="mt-4 bg-black text-white px-6 py-2 rounded hover:bg-gray-800">
+                    Clear Filters
+                </button>
+            </div>
+        `;
+        return;
+    }
+
+    // Group players by position
+    const groupedPlayers = {};
+    Object.entries(POSITION_GROUPS).forEach(([groupName, positions]) => {
+        groupedPlayers[groupName] = visiblePlayers.filter(player => positions.includes(player.role));
+        visiblePlayerIds.push(...groupedPlayers[groupName].map(player => player.id));
+    });
+    updateBulkActionBar();
+
+    // Desktop table view
+    const tableHTML = renderPlayersTable(groupedPlayers);
+    
+    // Mobile cards view
+    const cardsHTML = renderPlayersCards(groupedPlayers);
+    
+    container.innerHTML = `
+        <div class="players-table-container">
+            ${tableHTML}
+        </div>
+        <div class="mobile-cards">
+            ${cardsHTML}
+        </div>
+    `;
+
+    setupDragAndDrop();
+    // If charts panel is visible, refresh charts to reflect current roster
+    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
+        renderCharts();
+    }
+}
+
+/**
+ * Render players table for desktop
+ */
+function renderPlayersTable(groupedPlayers) {
+    const season = getCurrentSeason();
+    const currency = season ? CURRENCY_SYMBOLS[season.currency] || '$' : '$';
+    const columns = getVisibleTableColumns();
+    const orderLocked = isPlayerOrderLocked();
+    
+    let html = `
+        <table class="players-table">
+            <thead>
+                <tr>
+                    <th class="w-8"><input type="checkbox" onclick="toggleSelectAllPlayers()" ${visiblePlayerIds.length && visiblePlayerIds.every(id => selectedPlayerIds.has(id)) ? 'checked' : ''} title="Select all shown players"></th>
+                    ${renderSortableHeader('name', 'Player')}
+                    ${columns.map(column => renderSortableHeader(column.key, column.header)).join('')}
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    Object.entries(groupedPlayers).forEach(([groupName, players]) => {
+        if (players.length > 0) {
+            const groupClass = 'group-' + groupName.toLowerCase().replace(/\s+/g, '-');
+            html += `
+                <tr class="position-group-row ${groupClass}">
+                    <td colspan="${columns.length + 3}" class="position-group-header">${groupName}</td>
+                </tr>
+            `;
+            
+            players.forEach(player => {
+                const isForSale = season && season.transfers && Array.isArray(season.transfers.forSale) && season.transfers.forSale.some(item => item.id && item.id.toString() === player.id.toString());
+                const isOnLoan = season && season.transfers && Array.isArray(season.transfers.loan) && season.transfers.loan.some(item => item.id && item.id.toString() === player.id.toString());
+                html += `
+                    <tr draggable="${orderLocked ? 'false' : 'true'}" data-player-id="${player.id}" data-position-group="${groupName}" class="player-row ${groupClass} ${isForSale ? 'for-sale' : ''}${isOnLoan ? ' on-loan' : ''}${selectedPlayerIds.has(player.id) ? ' selected' : ''}">
+                        <td><input type="checkbox" onclick="togglePlayerSelection(event, '${player.id}')" ${selectedPlayerIds.has(player.id) ? 'checked' : ''} title="Select (Shift-click for a range)"></td>
+                        <td>
+                            <div class="font-medium">${player.firstName} ${player.lastName} ${isOnLoan ? `<span class="on-loan-badge" onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.loan}')" title="Toggle Loan">Loan</span>` : ''} ${isForSale ? `<span class="for-sale-badge" onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.forSale}')" title="Toggle For Sale">For Sale</span>` : ''}</div>
+                            <div class="text-sm text-gray-500">${renderNationalityHTML(player.nationality)}${formatRoleTypesHTML(player)}${formatPlaystylesHTML(player)}</div>
+                        </td>
+                        ${columns.map(column => column.cell(player, currency)).join('')}
+                        <td>
+                            <div class="flex space-x-1">
+                                <button onclick="editPlayer('${player.id}')" class="text-blue-600 hover:text-blue-800" title="Edit">✏️</button>
+                                <button onclick="deletePlayer('${player.id}')" class="text-red-600 hover:text-red-800" title="Delete">🗑️</button>
+                                <button onclick="sharePlayerImage('${player.id}')" class="text-gray-600 hover:text-gray-800" title="Share as image">📷</button>
+                                <button onclick="openPlayerHistory('${player.id}')" class="text-gray-600 hover:text-gray-800" title="Profile & history">📈</button>
+                                <button onclick="addToCompare('${player.id}')" class="text-gray-600 hover:text-gray-800" title="Compare">⚖️</button>
+                                <button onclick="openShareLinkModal('${player.id}')" class="text-gray-600 hover:text-gray-800" title="Share link">🔗</button>
+                                ${currentSquad === 'youth_academy' ? 
+                                    `<button onclick="promotePlayer('${player.id}')" class="promote-btn bg-green-100 text-green-700 hover:bg-green-200 hover:text-green-800 px-2 py-1 rounded text-xs font-medium border border-green-300" title="Promote to Main Squad">
+                                        <span class="promote-icon">🚀</span> Promote
+                                    </button>` : 
+                                    ''
+                                }
+                                ${orderLocked ? '' : `<button onclick="movePlayerUp('${player.id}')" class="text-gray-600 hover:text-gray-800" title="Move Up">↑</button>
+                                <button onclick="movePlayerDown('${player.id}')" class="text-gray-600 hover:text-gray-800" title="Move Down">↓</button>`}
+                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.forSale}')" class="text-yellow-600" title="Mark For Sale">💰</button>
+                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.sold}')" class="text-green-700" title="Mark Sold">🏷️</button>
+                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.released}')" class="text-red-600" title="Release">🚫</button>
+                                ${player.age >= 32 ? `<button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.retired}')" class="text-pink-600" title="Retire">🏁</button>` : ''}
+                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.loan}')" class="text-indigo-600" title="Loan">🔁</button>
+                            </div>
+                        </td>
+                    </tr>
+                `;
+            });
+        }
+    });
+
+    html += '</tbody></table>';
+    return html;
+}
+
+/**
+ * Render players cards for mobile
+ */
+function renderPlayersCards(groupedPlayers) {
+    const season = getCurrentSeason();
+    const currency = season ? CURRENCY_SYMBOLS[season.currency] || '$' : '$';
+    const orderLocked = isPlayerOrderLocked();
+    
+    let html = '';
+
+    Object.entries(groupedPlayers).forEach(([groupName, players]) => {
+        if (players.length > 0) {
+            const groupClass = 'group-' + groupName.toLowerCase().replace(/\s+/g, '-');
+            html += `<div class="position-group ${groupClass}">`;
+            html += `<div class="position-group-header">${groupName}</div>`;
+            
+            players.forEach(player => {
+                const isForSale = season && season.transfers && Array.isArray(season.transfers.forSale) && season.transfers.forSale.some(item => item.id && item.id.toString() === player.id.toString());
+                const isOnLoan = season && season.transfers && Array.isArray(season.transfers.loan) && season.transfers.loan.some(item => item.id && item.id.toString() === player.id.toString());
+                html += `
+                    <div class="player-card ${groupClass} ${isForSale ? 'for-sale' : ''}${isOnLoan ? ' on-loan' : ''}${selectedPlayerIds.has(player.id) ? ' selected' : ''}" draggable="${orderLocked ? 'false' : 'true'}" data-player-id="${player.id}" data-position-group="${groupName}">
+                        <div class="flex justify-between items-start mb-2">
+                            <div>
+                                <div class="font-semibold"><input type="checkbox" onclick="togglePlayerSelection(event, '${player.id}')" ${selectedPlayerIds.has(player.id) ? 'checked' : ''} class="mr-1 align-middle" title="Select"> ${player.firstName} ${player.lastName} ${isOnLoan ? `<span class="on-loan-badge" onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.loan}')" title="Toggle Loan">Loan</span>` : ''} ${isForSale ? `<span class="for-sale-badge" onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.forSale}')" title="Toggle For Sale">For Sale</span>` : ''}</div>
+                                <div class="text-sm text-gray-500">${renderNationalityHTML(player.nationality)} • ${player.role}${formatRoleTypesHTML(player)}${formatPlaystylesHTML(player)}</div>
+                            </div>
+                            <div class="flex space-x-1 items-center">
+                                <button onclick="editPlayer('${player.id}')" class="text-blue-600" title="Edit">✏️</button>
+                                <button onclick="deletePlayer('${player.id}')" class="text-red-600" title="Delete">🗑️</button>
+                                <button onclick="sharePlayerImage('${player.id}')" class="text-gray-600" title="Share as image">📷</button>
+                                <button onclick="openPlayerHistory('${player.id}')" class="text-gray-600" title="Profile & history">📈</button>
+                                <button onclick="addToCompare('${player.id}')" class="text-gray-600" title="Compare">⚖️</button>
+                                <button onclick="openShareLinkModal('${player.id}')" class="text-gray-600" title="Share link">🔗</button>
+                                ${currentSquad === 'youth_academy' ? 
+                                    `<button onclick="promotePlayer('${player.id}')" class="promote-btn-mobile bg-green-100 text-green-700 hover:bg-green-200 px-2 py-1 rounded text-xs font-medium border border-green-300" title="Promote to Main Squad">
+                                        <span class="promote-icon">🚀</span>
+                                    </button>` : 
+                                    ''
+                                }
+                                <!-- Add move up/down buttons for mobile view (manual order only) -->
+                                ${orderLocked ? '' : `<button onclick="movePlayerUp('${player.id}')" class="text-gray-600 hover:text-gray-800 px-2 py-1 rounded" title="Move Up">↑</button>
+                                <button onclick="movePlayerDown('${player.id}')" class="text-gray-600 hover:text-gray-800 px-2 py-1 rounded" title="Move Down">↓</button>`}
+                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.forSale}')" class="text-yellow-600 px-2" title="Mark For Sale">💰</button>
+                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.sold}')" class="text-green-700 px-2" title="Mark Sold">🏷️</button>
+                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.released}')" class="text-red-600 px-2" title="Release">🚫</button>
+                                ${player.age >= 32 ? `<button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.retired}')" class="text-pink-600 px-2" title="Retire">🏁</button>` : ''}
+                                <button onclick="addPlayerToTransferList('${player.id}','${TRANSFER_KEYS.loan}')" class="text-indigo-600 px-2" title="Loan">🔁</button>
+                            </div>
+                        </div>
+                        <div class="grid grid-cols-2 gap-2 text-sm">
+                            <div>OVR: <span class="font-medium">${player.overall || '-'}</span></div>
+                            <div>POT: <span class="font-medium">${player.potential || '-'}</span></div>
+                            <div>Age: <span class="font-medium">${player.age || '-'}</span></div>
+                            <div>Contract: <span class="font-medium">${(player.contractEnd !== undefined && player.contractEnd !== null && player.contractEnd !== '') ? player.contractEnd : '-'}</span></div>
+                            <div>Skills: ${renderStars(player.skills)}</div>
+                            <div>Weak Foot: ${renderStars(player.weakFoot)}</div>
+                            <div>Value: <span class="font-medium">${currency}${formatNumber(player.value)}</span></div>
+                            <div>Wage: <span class="font-medium">${currency}${formatNumber(player.wage)}</span></div>
+                        </div>
+                        <div class="mt-2 pt-2 border-t text-xs text-gray-600">
+                            Apps: ${player.appearances || 0} | Goals: ${player.goals || 0} | Assists: ${player.assists || 0} | Rating: ${player.avgRating || '-'}
+                            <div class="mt-1">
+                                <span class="card-badge badge-Y" title="Yellow Cards">${player.yellowCards || 0}</span>
+                                <span class="card-badge badge-R" title="Red Cards">${player.redCards || 0}</span>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            });
+            
+            html += '</div>';
+        }
+    });
+
+    return html;
+}
+
+/**
+ * Render star rating
+ */
+function renderStars(rating) {
+    if (!rating) return '-';
+    
+    let html = '<div class="stars">';
+    for (let i = 1; i <= 5; i++) {
+        html += `<div class="star ${i <= rating ? 'filled' : ''}"></div>`;
+    }
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Format player's roleTypes (supports legacy single fields) as inline HTML to render under nationality
+ */
+function formatRoleTypesHTML(player) {
+    const items = getRoleTypeLabels(player).map(escapeHtml);
+    if (items.length === 0) return '';
+    // join with separator
+    return `<div class="text-xs text-gray-600 mt-1">${items.join(' • ')}</div>`;
+}
+
+/**
+ * Role type names with their level suffix ('+' / '++'), falling back to the legacy single role type
+ */
+function getRoleTypeLabels(player) {
+    const suffix = level => level === '1' ? '+' : level === '2' ? '++' : '';
+    if (Array.isArray(player.roleTypes) && player.roleTypes.length) {
+        return player.roleTypes.filter(rt => rt && rt.type).map(rt => rt.type + suffix(rt.level));
+    }
+    return player.roleType ? [player.roleType + suffix(player.roleTypeLevel)] : [];
+}
+
+/**
+ * Format number with commas
+ */
+function formatNumber(num) {
+    if (!num) return '0';
+    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+/**
+ * Setup drag and drop functionality
+ */
+function setupDragAndDrop() {
+    const draggableElements = document.querySelectorAll('[draggable="true"]');
+    
+    draggableElements.forEach(element => {
+        element.addEventListener('dragstart', handleDragStart);
+        element.addEventListener('dragend', handleDragEnd);
+        element.addEventListener('dragover', handleDragOver);
+        element.addEventListener('drop', handleDrop);
+    });
+}
+
+/**
+ * Handle drag start
+ */
+function handleDragStart(e) {
+    draggedElement = e.target;
+    e.target.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/html', e.target.outerHTML);
+}
+
+/**
+ * Handle drag end
+ */
+function handleDragEnd(e) {
+    e.target.classList.remove('dragging');
+    draggedElement = null;
+}
+
+/**
+ * Handle drag over
+ */
+function handleDragOver(e) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+}
+
+/**
+ * Handle drop
+ */
+function handleDrop(e) {
+    e.preventDefault();
+    
+    if (!draggedElement) return;
+    
+    const dropTarget = e.target.closest('[data-player-id]');
+    if (!dropTarget || dropTarget === draggedElement) return;
+    
+    const draggedId = draggedElement.getAttribute('data-player-id');
+    const targetId = dropTarget.getAttribute('data-player-id');
+    const draggedGroup = draggedElement.getAttribute('data-position-group');
+    const targetGroup = dropTarget.getAttribute('data-position-group');
+    
+    // Only allow reordering within same position group
+    if (draggedGroup !== targetGroup) {
+        alert('Players can only be reordered within the same position group');
+        return;
+    }
+    
+    reorderPlayers(draggedId, targetId);
+}
+
+/**
+ * Reorder players in the data
+ */
+function reorderPlayers(draggedId, targetId) {
+    const season = getCurrentSeason();
+    if (!season || isPlayerOrderLocked()) return;
+    
+    const players = season.roster[currentSquad].players;
+    const playersArray = Object.values(players);
+    
+    const draggedIndex = playersArray.findIndex(p => p.id === draggedId);
+    const targetIndex = playersArray.findIndex(p => p.id === targetId);
+    
+    if (draggedIndex === -1 || targetIndex === -1) return;
+    
+    // Remove dragged player and insert at target position
+    const [draggedPlayer] = playersArray.splice(draggedIndex, 1);
+    playersArray.splice(targetIndex, 0, draggedPlayer);
+    
+    // Rebuild players object maintaining order
+    const newPlayers = {};
+    playersArray.forEach(player => {
+        newPlayers[player.id] = player;
+    });
+    
+    season.roster[currentSquad].players = newPlayers;
+    saveToStorage('Reorder players');
+    renderPlayers();
+    // Refresh charts if visible
+    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
+        renderCharts();
+    }
+}
+
+/**
+ * Move player up in order
+ */
+function movePlayerUp(playerId) {
+    const season = getCurrentSeason();
+    if (!season) return;
+    
+    const players = Object.values(season.roster[currentSquad].players);
+    const currentIndex = players.findIndex(p => p.id === playerId);
+    
+    if (currentIndex > 0) {
+        // Find previous player in same position group
+        const currentPlayer = players[currentIndex];
+        const currentGroup = getPositionGroup(currentPlayer.role);
+        
+        for (let i = currentIndex - 1; i >= 0; i--) {
+            if (getPositionGroup(players[i].role) === currentGroup) {
+                reorderPlayers(playerId, players[i].id);
+                break;
+            }
+        }
+    // charts refreshed in reorderPlayers
+    }
+}
+
+/**
+ * Move player down in order
+ */
+function movePlayerDown(playerId) {
+    const season = getCurrentSeason();
+    if (!season) return;
+    
+    const players = Object.values(season.roster[currentSquad].players);
+    const currentIndex = players.findIndex(p => p.id === playerId);
+    
+    if (currentIndex < players.length - 1) {
+        // Find next player in same position group
+        const currentPlayer = players[currentIndex];
+        const currentGroup = getPositionGroup(currentPlayer.role);
+        
+        for (let i = currentIndex + 1; i < players.length; i++) {
+            if (getPositionGroup(players[i].role) === currentGroup) {
+                reorderPlayers(players[i].id, playerId);
+                break;
+            }
+        }
+    // charts refreshed in reorderPlayers
+    }
+}
+
+/**
+ * Get position group for a role
+ */
+function getPositionGroup(role) {
+    for (const [groupName, positions] of Object.entries(POSITION_GROUPS)) {
+        if (positions.includes(role)) {
+            return groupName;
+        }
+    }
+    return 'Unknown';
+}
+
+/**
+ * Normalize player object insertion order by position groups.
+ * This rebuilds the players object so Object.values(players) returns a
+ * predictable order (grouped by position groups) which makes index-based
+ * reordering (move up/down and drag/drop) consistent after role edits.
+ */
+function normalizePlayerOrder(season, squad) {
+    if (!season || !season.roster || !season.roster[squad] || !season.roster[squad].players) return;
+
+    const playersObj = season.roster[squad].players;
+    const playersArray = Object.values(playersObj);
+
+    const ordered = [];
+
+    // Append players in order of POSITION_GROUPS, preserving original relative order
+    Object.keys(POSITION_GROUPS).forEach(groupName => {
+        playersArray.forEach(p => {
+            if (POSITION_GROUPS[groupName].includes(p.role)) {
+                ordered.push(p);
+            }
+        });
+    });
+
+    // Add any players that didn't match any group (Unknown roles) preserving order
+    playersArray.forEach(p => {
+        if (!ordered.includes(p)) ordered.push(p);
+    });
+
+    // Rebuild object with the new ordering
+    const newPlayers = {};
+    ordered.forEach(p => {
+        newPlayers[p.id] = p;
+    });
+
+    season.roster[squad].players = newPlayers;
+}
+
+/**
+ * Open season modal
+ */
+function openSeasonModal(seasonId = null) {
+    editingSeasonId = seasonId;
+    const modal = document.getElementById('seasonModal');
+    const title = document.getElementById('seasonModalTitle');
+    const form = document.getElementById('seasonForm');
+    
+    if (seasonId) {
+        const season = currentSeasons.find(s => s.id === seasonId);
+        title.textContent = 'Edit Season';
+        document.getElementById('seasonName').value = season.name;
+        document.getElementById('seasonCurrency').value = season.currency;
+        // populate year if present
+        if (season.year !== undefined && season.year !== null) {
+            document.getElementById('seasonYear').value = season.year;
+        } else {
+            document.getElementById('seasonYear').value = '';
+        }
+    } else {
+        title.textContent = 'Add Season';
+        form.reset();
+    }
+    
+    modal.classList.remove('hidden');
+    // Focus the season name input for quicker renaming when editing
+    setTimeout(() => {
+        const nameInput = document.getElementById('seasonName');
+        if (nameInput) {
+            nameInput.focus();
+            nameInput.select && nameInput.select();
+        }
+    }, 50);
+}
+
+/**
+ * Close season modal
+ */
+function closeSeasonModal() {
+    document.getElementById('seasonModal').classList.add('hidden');
+    document.getElementById('seasonForm').reset();
+    editingSeasonId = null;
+    clearSeasonErrors();
+}
+
+/**
+ * Save season
+ */
+function saveSeason() {
+    const name = document.getElementById('seasonName').value.trim();
+    const currency = document.getElementById('seasonCurrency').value;
+    const yearVal = document.getElementById('seasonYear').value.trim();
+    const year = yearVal ? Number(yearVal) : null;
+    
+    clearSeasonErrors();
+    
+    // Validation
+    let isValid = true;
+    if (!name) {
+        showSeasonError('seasonName', 'Season name is required');
+        isValid = false;
+    }
+    if (!currency) {
+        showSeasonError('seasonCurrency', 'Currency is required');
+        isValid = false;
+    }
+    if (!year || isNaN(year) || year < 1900 || year > 2100) {
+        showSeasonError('seasonYear', 'Season year is required (1900-2100)');
+        isValid = false;
+    }
+    
+    if (!isValid) return;
+    
+    if (editingSeasonId) {
+        // Edit existing season
+        const season = currentSeasons.find(s => s.id === editingSeasonId);
+        season.name = name;
+        season.currency = currency;
+        season.year = year;
+    } else {
+        // Add new season
+        const newSeason = {
+            id: generateId(),
+            name: name,
+            currency: currency,
+            year: year,
+            roster: {
+                main_squad: { players: {} },
+                youth_academy: { players: {} }
+            }
+        };
+    newSeason.transfers = { forSale: [], sold: [], released: [], retired: [], loan: [], toBuyClub: [], toBuyReleased: [] };
+        currentSeasons.push(newSeason);
+        currentSeasonId = newSeason.id;
+    }
+    
+    saveToStorage(editingSeasonId ? 'Edit season' : 'Add season');
+    renderSeasonTabs();
+    renderPlayers();
+    closeSeasonModal();
+
+    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
+        renderCharts();
+    }
+}
+
+/**
+ * Delete season
+ */
+function deleteSeason(seasonId) {
+    if (currentSeasons.length <= 1) {
+        alert('Cannot delete the last season');
+        return;
+    }
+    
+    if (confirm('Are you sure you want to delete this season? You can undo this with Ctrl+Z.')) {
+        const deleted = currentSeasons.find(s => s.id === seasonId);
+        createSnapshot(`Before deleting season ${deleted ? deleted.name : ''}`.trim());
+        currentSeasons = currentSeasons.filter(s => s.id !== seasonId);
+        
+        if (currentSeasonId === seasonId) {
+            currentSeasonId = currentSeasons[0].id;
+        }
+        
+        saveToStorage(`Delete season ${deleted ? deleted.name : ''}`.trim());
+        renderSeasonTabs();
+        renderPlayers();
+        if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
+            renderCharts();
+        }
+    }
+}
+
+/**
+ * Season rollover wizard
+ * Next Season walks through: setup (name, stats to reset, what carries over), expiring contracts,
+ * retirements, loan returns and OVR/POT updates, then creates the season in one step. Review steps
+ * without players are skipped. The finished season's numbers are archived on each player
+ * (statsHistory), so the player history keeps them even if that season is deleted later.
+ * The setup choices are remembered in localStorage.
+ */
+const ROLLOVER_OPTIONS_STORAGE_KEY = 'cmutils_rollover_options';
+const ROLLOVER_STAT_FIELDS = ['appearances', 'goals', 'assists', 'cleanSheets', 'yellowCards', 'redCards', 'avgRating'];
+// numbers kept per archived season besides the reset stats
+const ARCHIVED_PLAYER_FIELDS = ['age', 'overall', 'potential', 'value', 'wage'].concat(ROLLOVER_STAT_FIELDS);
+const ROLLOVER_CARRY_LABELS = {
+    notes: 'Notes',
+    trophies: 'Trophies',
+    record: 'Season record summary and player awards (the match log starts empty)',
+    transfers: 'Open transfer lists (For Sale, To Buy)'
+};
+// carried transfer lists; sold, released and retired belong to the finished season, loans are reviewed per player
+const ROLLOVER_OPEN_TRANSFER_LISTS = ['forSale', 'toBuyClub', 'toBuyReleased'];
+const ROLLOVER_NAMING_LABELS = {
+    numbered: 'Numbered: "Name (2)", "Name (3)"',
+    yearFull: 'Year-based: "2026/2027"',
+    yearShort: 'Year-based, short: "2026/27"',
+    custom: 'Custom name'
+};
+const ROLLOVER_STEP_TITLES = {
+    setup: 'Setup',
+    contracts: 'Expiring contracts',
+    retirements: 'Retirements',
+    loans: 'Loaned players',
+    ratings: 'OVR / POT updates',
+    summary: 'Summary'
+};
+let rolloverWizard = null; // { seasonId, step, options, decisions: { contracts, retirements, loans, ratings } } while the wizard is open
+
+function getRolloverOptions() {
+    let stored = null;
+    try { stored = JSON.parse(localStorage.getItem(ROLLOVER_OPTIONS_STORAGE_KEY) || 'null'); } catch (e) { /* use defaults */ }
+    const carry = { notes: true, trophies: false, record: false, transfers: false };
+    if (stored && isPlainObject(stored.carry)) Object.keys(carry).forEach(key => { if (typeof stored.carry[key] === 'boolean') carry[key] = stored.carry[key]; });
+    const retireAge = stored ? Number(stored.retireAge) : NaN;
+    return {
+        resetFields: stored && Array.isArray(stored.resetFields) ? stored.resetFields.filter(f => ROLLOVER_STAT_FIELDS.includes(f)) : ROLLOVER_STAT_FIELDS.slice(),
+        archive: !(stored && stored.archive === false),
+        carry,
+        naming: stored && ROLLOVER_NAMING_LABELS[stored.naming] && stored.naming !== 'custom' ? stored.naming : 'numbered',
+        customName: '',
+        retireAge: Number.isInteger(retireAge) && retireAge >= 10 && retireAge <= 60 ? retireAge : 34
+    };
+}
+
+function setRolloverOptions(options) {
+    // a custom name only fits one season
+    const { customName, ...stored } = options;
+    try { localStorage.setItem(ROLLOVER_OPTIONS_STORAGE_KEY, JSON.stringify(stored)); } catch (e) { console.warn('Could not save rollover options', e); }
+}
+
+/**
+ * Record the player's numbers of a season in player.statsHistory (one entry per season id)
+ */
+function archivePlayerSeasonStats(player, season, squad) {
+    const entry = { seasonId: season.id, seasonName: season.name || '', year: season.year ?? '', currency: season.currency || '', squad };
+    ARCHIVED_PLAYER_FIELDS.forEach(field => { entry[field] = player[field] ?? ''; });
+    const history = Array.isArray(player.statsHistory) ? player.statsHistory.filter(h => h && h.seasonId !== season.id) : [];
+    player.statsHistory = history.concat(entry);
+}
+
+function cleanStatsHistory(history) {
+    if (!Array.isArray(history)) return [];
+    return history.filter(h => isPlainObject(h) && !isBlank(h.seasonId)).map(h => {
+        const entry = { seasonId: String(h.seasonId), seasonName: String(h.seasonName ?? ''), year: h.year ?? '', currency: String(h.currency ?? ''), squad: h.squad === 'youth_academy' ? 'youth_academy' : 'main_squad' };
+        ARCHIVED_PLAYER_FIELDS.forEach(field => {
+            const n = Number(h[field]);
+            entry[field] = isBlank(h[field]) || isNaN(n) ? '' : n;
+        });
+        return entry;
+    });
+}
+
+/**
+ * Progressive name: strip any trailing (N) from the season name, then take the highest existing
+ * numeric suffix and add 1
+ */
+function getNumberedSeasonName(season) {
+    const baseName = (season.name || '').replace(/\s*\(\d+\)\s*$/, '').trim();
+    let maxSuffix = 1; // treat the base name as '1'
+    // escape baseName for regex
+    const escBase = baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const re = new RegExp('^' + escBase + '\\s*\\((\\d+)\\)\\s*$');
+    currentSeasons.forEach(s => {
+        if (!s.name) return;
+        const name = s.name.trim();
+        if (name === baseName) {
+            maxSuffix = Math.max(maxSuffix, 1);
+            return;
+        }
+        const m = name.match(re);
+        if (m && m[1]) {
+            const n = parseInt(m[1], 10);
+            if (!isNaN(n)) maxSuffix = Math.max(maxSuffix, n);
+        }
+    });
+    return `${baseName} (${maxSuffix + 1})`;
+}
+
+/**
+ * Name of the season after `season` for a naming pattern; year-based names start at the new season's year
+ */
+function getNextSeasonName(season, options) {
+    const year = Number(season.year) + 1;
+    if (options.naming === 'custom' && options.customName.trim()) return options.customName.trim();
+    if (options.naming === 'yearFull' && !isNaN(year)) return `${year}/${year + 1}`;
+    if (options.naming === 'yearShort' && !isNaN(year)) return `${year}/${String(year + 1).slice(-2)}`;
+    return getNumberedSeasonName(season);
+}
+
+// contractEnd after the rollover, or null when the player has no numeric contract
+function getRolloverContract(player) {
+    if (isBlank(player.contractEnd) || isNaN(Number(player.contractEnd))) return null;
+    return Math.max(0, Math.floor(Number(player.contractEnd)) - 1);
+}
+
+function getRolloverCandidates(season, options) {
+    const entries = getSeasonRosterEntries(season);
+    const loanIds = new Set(((season.transfers && season.transfers.loan) || []).filter(p => p && p.id).map(p => p.id.toString()));
+    return {
+        contracts: entries.filter(({ player }) => getRolloverContract(player) === 0),
+        retirements: entries.filter(({ player }) => !isBlank(player.age) && Number(player.age) + 1 >= options.retireAge),
+        loans: entries.filter(({ player }) => loanIds.has(player.id.toString())),
+        ratings: entries
+    };
+}
+
+/**
+ * Copy of the season for the next year: new id, players one year older with one contract year
+ * less, the chosen stats archived and reset, only the chosen season data carried over, and the
+ * wizard's per-player decisions applied
+ */
+function buildNextSeason(season, options, decisions = { contracts: {}, retirements: {}, loans: {}, ratings: {} }) {
+    // Deep clone the season
+    const cloned = JSON.parse(JSON.stringify(season));
+    cloned.id = generateId();
+
+    // Transfers start empty; open lists can be carried, loans stay when kept in the wizard
+    const oldTransfers = cloned.transfers || {};
+    cloned.transfers = { forSale: [], sold: [], released: [], retired: [], loan: [], toBuyClub: [], toBuyReleased: [] };
+    if (options.carry.transfers) {
+        ROLLOVER_OPEN_TRANSFER_LISTS.forEach(key => {
+            if (Array.isArray(oldTransfers[key])) cloned.transfers[key] = oldTransfers[key];
+        });
+    }
+    cloned.transfers.loan = (Array.isArray(oldTransfers.loan) ? oldTransfers.loan : []).filter(p => p && p.id && decisions.loans[p.id] === 'keep');
+    if (!options.carry.notes) cloned.notes = [];
+    if (!options.carry.trophies) cloned.trophies = [];
+    // logged matches belong to the finished season; only the aggregated summary can carry over, and
+    // the new season asks again before its first lineup takes over the player stats
+    cloned.matches = options.carry.record && Array.isArray(cloned.matches) ? cloned.matches.filter(isMatchSummary) : [];
+    delete cloned.statsFromLog;
+    if (!options.carry.record) cloned.playerAwards = [];
+
+    // Update players in both squads
+    ['main_squad', 'youth_academy'].forEach(sq => {
+        if (!cloned.roster) cloned.roster = { main_squad: { players: {} }, youth_academy: { players: {} } };
+        if (!cloned.roster[sq]) cloned.roster[sq] = { players: {} };
+        const players = cloned.roster[sq].players || {};
+        Object.keys(players).forEach(pid => {
+            const p = players[pid];
+            if (options.archive) archivePlayerSeasonStats(p, season, sq);
+            options.resetFields.forEach(field => { p[field] = 0; });
+            // increment age if numeric
+            if (p.age !== undefined && p.age !== null) {
+                const n = Number(p.age);
+                if (!isNaN(n)) p.age = n + 1;
+            }
+            // decrease contractEnd (years remaining), clamped at 0
+            const contract = getRolloverContract(p);
+            if (contract !== null) p.contractEnd = contract;
+
+            const rating = decisions.ratings[pid];
+            if (rating) Object.assign(p, rating);
+            // retiring wins over a contract decision
+            if (decisions.retirements[pid] === 'retire') {
+                placePlayerOnTransferList(cloned, p, TRANSFER_KEYS.retired);
+                return;
+            }
+            const contractDecision = decisions.contracts[pid];
+            if (contractDecision && contractDecision.action === 'renew') p.contractEnd = contractDecision.years;
+            else if (contractDecision && contractDecision.action === 'release') placePlayerOnTransferList(cloned, p, TRANSFER_KEYS.released);
+            else if (contractDecision && contractDecision.action === 'leave') delete players[pid];
+        });
+    });
+
+    cloned.name = getNextSeasonName(season, options);
+
+    // advance year if numeric
+    if (season.year !== undefined && season.year !== null) {
+        const y = Number(season.year);
+        if (!isNaN(y)) cloned.year = y + 1;
+    }
+    return cloned;
+}
+
+/**
+ * Open the rollover wizard for the current season
+ */
+function nextSeason() {
+    const season = getCurrentSeason();
+    if (!season) return alert('No active season to copy');
+    rolloverWizard = {
+        seasonId: season.id,
+        step: 'setup',
+        options: getRolloverOptions(),
+        decisions: { contracts: {}, retirements: {}, loans: {}, ratings: {} }
+    };
+    renderRolloverStep();
+    document.getElementById('rolloverModal').classList.remove('hidden');
+}
+
+function closeRolloverModal() {
+    rolloverWizard = null;
+    document.getElementById('rolloverModal').classList.add('hidden');
+}
+
+function getRolloverSeason() {
+    return rolloverWizard && currentSeasons.find(s => s.id === rolloverWizard.seasonId);
+}
+
+// Steps of the wizard for the current setup; review steps only when they have players
+function getRolloverSteps() {
+    const candidates = getRolloverCandidates(getRolloverSeason(), rolloverWizard.options);
+    return ['setup']
+        .concat(['contracts', 'retirements', 'loans', 'ratings'].filter(step => candidates[step].length > 0))
+        .concat('summary');
+}
+
+function rolloverPlayerName(player) {
+    return escapeHtml(`${player.firstName || ''} ${player.lastName || ''}`.trim());
+}
+
+function renderRolloverSetupHTML(season, options) {
+    const statLabel = key => (CSV_PLAYER_FIELDS.find(f => f.key === key) || { label: key }).label;
+    const checkbox = (name, value, checked, label) => `
+        <label class="flex items-center gap-2"><input type="checkbox" name="${name}" value="${value}" ${checked ? 'checked' : ''}> ${label}</label>`;
+    return `
+        <p class="text-sm text-gray-600 mb-4">
+            Creates the season after ${escapeHtml(season.name)} (${escapeHtml(season.year)}): players are one year older and have one contract year less.
+        </p>
+        <fieldset class="border border-gray-200 rounded p-3 mb-4 text-sm">
+            <legend class="text-xs font-semibold px-1">Season name</legend>
+            ${Object.entries(ROLLOVER_NAMING_LABELS).map(([value, label]) => `
+                <label class="flex items-center gap-2">
+                    <input type="radio" name="rolloverNaming" value="${value}" ${options.naming === value ? 'checked' : ''}> ${label}
+                    ${value === 'custom' ? `<input type="text" id="rolloverCustomName" value="${escapeHtml(options.customName)}" class="border border-gray-300 rounded px-2 py-1 text-sm flex-1">` : `<span class="text-gray-400">→ ${escapeHtml(getNextSeasonName(season, Object.assign({}, options, { naming: value })))}</span>`}
+                </label>`).join('')}
+        </fieldset>
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+            <fieldset class="border border-gray-200 rounded p-3">
+                <legend class="text-xs font-semibold px-1">Reset to 0</legend>
+                ${ROLLOVER_STAT_FIELDS.map(key => checkbox('rolloverReset', key, options.resetFields.includes(key), statLabel(key))).join('')}
+                <div class="border-t border-gray-100 mt-2 pt-2">
+                    ${checkbox('rolloverArchive', 'archive', options.archive, 'Archive this season\'s stats in the player history')}
+                </div>
+            </fieldset>
+            <fieldset class="border border-gray-200 rounded p-3">
+                <legend class="text-xs font-semibold px-1">Carry over to the new season</legend>
+                ${Object.entries(ROLLOVER_CARRY_LABELS).map(([key, label]) => checkbox('rolloverCarry', key, options.carry[key], label)).join('')}
+                <label class="flex items-center gap-2 border-t border-gray-100 mt-2 pt-2">
+                    Review retirements from age
+                    <input type="number" id="rolloverRetireAge" min="10" max="60" value="${options.retireAge}" class="w-16 border border-gray-300 rounded px-2 py-1 text-sm">
+                </label>
+            </fieldset>
+        </div>`;
+}
+
+function renderRolloverContractsHTML(entries, decisions) {
+    return `
+        <p class="text-sm text-gray-600 mb-3">These contracts run out with the new season (0 years left).</p>
+        <table class="report-table">
+            <thead><tr><th>Player</th><th>Role</th><th>Age</th><th>OVR</th><th>Decision</th><th>Years</th></tr></thead>
+            <tbody>${entries.map(({ player }) => {
+                const decision = decisions[player.id] || { action: 'keep', years: 2 };
+                return `
+                <tr data-player-id="${escapeHtml(player.id)}">
+                    <td>${rolloverPlayerName(player)}</td>
+                    <td>${escapeHtml(player.role || '-')}</td>
+                    <td>${escapeHtml(player.age || '-')}</td>
+                    <td>${escapeHtml(player.overall || '-')}</td>
+                    <td>
+                        <select class="rolloverContractAction border border-gray-300 rounded px-2 py-1 text-sm">
+                            ${[['keep', 'Keep (0 years left)'], ['renew', 'Renew'], ['release', 'Release'], ['leave', 'Let leave']].map(([value, label]) =>
+                                `<option value="${value}" ${decision.action === value ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td><input type="number" class="rolloverContractYears w-16 border border-gray-300 rounded px-2 py-1 text-sm" min="1" max="20" value="${decision.years}"></td>
+                </tr>`;
+            }).join('')}</tbody>
+        </table>
+        <p class="text-xs text-gray-500 mt-2">Released players go to the new season's Released list; players who leave are simply not in the new season.</p>`;
+}
+
+function renderRolloverRetirementsHTML(entries, decisions, retireAge) {
+    return `
+        <p class="text-sm text-gray-600 mb-3">Players who will be ${retireAge} or older.</p>
+        <table class="report-table">
+            <thead><tr><th>Player</th><th>Role</th><th>New age</th><th>OVR</th><th>Decision</th></tr></thead>
+            <tbody>${entries.map(({ player }) => `
+                <tr data-player-id="${escapeHtml(player.id)}">
+                    <td>${rolloverPlayerName(player)}</td>
+                    <td>${escapeHtml(player.role || '-')}</td>
+                    <td>${escapeHtml(Number(player.age) + 1)}</td>
+                    <td>${escapeHtml(player.overall || '-')}</td>
+                    <td>
+                        <select class="rolloverRetireAction border border-gray-300 rounded px-2 py-1 text-sm">
+                            <option value="keep">Keep playing</option>
+                            <option value="retire" ${decisions[player.id] === 'retire' ? 'selected' : ''}>Retire</option>
+                        </select>
+                    </td>
+                </tr>`).join('')}</tbody>
+        </table>`;
+}
+
+function renderRolloverLoansHTML(entries, decisions) {
+    return `
+        <p class="text-sm text-gray-600 mb-3">Players on loan this season. Returned players are back in the squad without the loan status.</p>
+        <table class="report-table">
+            <thead><tr><th>Player</th><th>Role</th><th>OVR</th><th>Decision</th></tr></thead>
+            <tbody>${entries.map(({ player }) => `
+                <tr data-player-id="${escapeHtml(player.id)}">
+                    <td>${rolloverPlayerName(player)}</td>
+                    <td>${escapeHtml(player.role || '-')}</td>
+                    <td>${escapeHtml(player.overall || '-')}</td>
+                    <td>
+                        <select class="rolloverLoanAction border border-gray-300 rounded px-2 py-1 text-sm">
+                            <option value="return">Return from loan</option>
+                            <option value="keep" ${decisions[player.id] === 'keep' ? 'selected' : ''}>Stay on loan</option>
+                        </select>
+                    </td>
+                </tr>`).join('')}</tbody>
+        </table>`;
+}
+
+function renderRolloverRatingsHTML(entries, decisions, retirements) {
+    const squadLabels = { main_squad: 'Main Squad', youth_academy: 'Youth Academy' };
+    const input = (cls, value) => `<input type="number" class="${cls} w-16 border border-gray-300 rounded px-2 py-1 text-sm" min="1" max="99" value="${escapeHtml(value ?? '')}">`;
+    return `
+        <p class="text-sm text-gray-600 mb-3">New OVR and POT for the next season (leave as is to keep them).</p>
+        <table class="report-table">
+            <thead><tr><th>Player</th><th>Squad</th><th>Role</th><th>OVR</th><th>POT</th></tr></thead>
+            <tbody>${entries.filter(({ player }) => retirements[player.id] !== 'retire').map(({ player, squad }) => {
+                const rating = decisions[player.id] || {};
+                return `
+                <tr data-player-id="${escapeHtml(player.id)}">
+                    <td>${rolloverPlayerName(player)}</td>
+                    <td>${squadLabels[squad]}</td>
+                    <td>${escapeHtml(player.role || '-')}</td>
+                    <td>${input('rolloverOverall', rating.overall ?? player.overall)}</td>
+                    <td>${input('rolloverPotential', rating.potential ?? player.potential)}</td>
+                </tr>`;
+            }).join('')}</tbody>
+        </table>`;
+}
+
+function renderRolloverSummaryHTML(season, options, decisions) {
+    const count = (map, test) => Object.values(map).filter(test).length;
+    const statLabels = options.resetFields.map(key => (CSV_PLAYER_FIELDS.find(f => f.key === key) || { label: key }).label.toLowerCase());
+    const carried = Object.keys(ROLLOVER_CARRY_LABELS).filter(key => options.carry[key]).map(key => ROLLOVER_CARRY_LABELS[key].toLowerCase());
+    const loanCount = ((season.transfers && season.transfers.loan) || []).length;
+    const items = [
+        `New season: <strong>${escapeHtml(getNextSeasonName(season, options))}</strong> (${escapeHtml(Number(season.year) + 1)})`,
+        statLabels.length ? `Reset to 0: ${statLabels.join(', ')}` : 'No stats reset',
+        options.archive ? 'This season\'s stats are archived in the player history' : 'Stats are not archived',
+        carried.length ? `Carried over: ${carried.join(', ')}` : 'Nothing carried over besides the squads',
+        `Contracts: ${count(decisions.contracts, d => d.action === 'renew')} renewed, ${count(decisions.contracts, d => d.action === 'release')} released, ${count(decisions.contracts, d => d.action === 'leave')} leaving`,
+        `Retirements: ${count(decisions.retirements, d => d === 'retire')}`,
+        `Loans: ${loanCount - count(decisions.loans, d => d === 'keep')} returning, ${count(decisions.loans, d => d === 'keep')} staying on loan`,
+        `OVR/POT updated for ${Object.keys(decisions.ratings).length} players`
+    ];
+    return `<ul class="list-disc pl-5 space-y-1 text-sm">${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+}
+
+function renderRolloverStep() {
+    const season = getRolloverSeason();
+    if (!season) return closeRolloverModal();
+    const { step, options, decisions } = rolloverWizard;
+    const steps = getRolloverSteps();
+    const candidates = getRolloverCandidates(season, options);
+    const index = steps.indexOf(step);
+
+    document.getElementById('rolloverTitle').textContent = `Next Season · ${index + 1}/${steps.length} ${ROLLOVER_STEP_TITLES[step]}`;
+    let html = '';
+    if (step === 'setup') html = renderRolloverSetupHTML(season, options);
+    else if (step === 'contracts') html = renderRolloverContractsHTML(candidates.contracts, decisions.contracts);
+    else if (step === 'retirements') html = renderRolloverRetirementsHTML(candidates.retirements, decisions.retirements, options.retireAge);
+    else if (step === 'loans') html = renderRolloverLoansHTML(candidates.loans, decisions.loans);
+    else if (step === 'ratings') html = renderRolloverRatingsHTML(candidates.ratings, decisions.ratings, decisions.retirements);
+    else html = renderRolloverSummaryHTML(season, options, decisions);
+    document.getElementById('rolloverContent').innerHTML = `<div class="overflow-x-auto">${html}</div>`;
+
+    document.getElementById('rolloverBackBtn').classList.toggle('hidden', index === 0);
+    document.getElementById('confirmRolloverBtn').textContent = step === 'summary' ? 'Create Season' : 'Next';
+}
+
+/**
+ * Store the inputs of the shown step in rolloverWizard; returns an error message when they are invalid
+ */
+function readRolloverStep() {
+    const { step, options, decisions } = rolloverWizard;
+    const content = document.getElementById('rolloverContent');
+    const rows = selector => Array.from(content.querySelectorAll(`tr[data-player-id]`)).map(row => ({ id: row.dataset.playerId, el: sel => row.querySelector(sel) })).filter(r => r.el(selector));
+
+    if (step === 'setup') {
+        const checked = name => Array.from(content.querySelectorAll(`input[name="${name}"]:checked`)).map(el => el.value);
+        const carried = checked('rolloverCarry');
+        options.naming = checked('rolloverNaming')[0] || 'numbered';
+        options.customName = document.getElementById('rolloverCustomName').value;
+        if (options.naming === 'custom' && !options.customName.trim()) return 'Enter a name for the new season.';
+        if (currentSeasons.some(s => s.name === getNextSeasonName(getRolloverSeason(), options)) && !confirm(`A season named "${getNextSeasonName(getRolloverSeason(), options)}" already exists. Use the name anyway?`)) return '';
+        options.resetFields = checked('rolloverReset');
+        options.archive = checked('rolloverArchive').length > 0;
+        options.carry = Object.fromEntries(Object.keys(ROLLOVER_CARRY_LABELS).map(key => [key, carried.includes(key)]));
+        const retireAge = Number(document.getElementById('rolloverRetireAge').value);
+        if (!Number.isInteger(retireAge) || retireAge < 10 || retireAge > 60) return 'Retirement age must be a whole number between 10 and 60.';
+        options.retireAge = retireAge;
+        // a changed retirement age drops the decisions for players no longer in range
+        const retiring = new Set(getRolloverCandidates(getRolloverSeason(), options).retirements.map(({ player }) => player.id));
+        Object.keys(decisions.retirements).forEach(id => { if (!retiring.has(id)) delete decisions.retirements[id]; });
+    } else if (step === 'contracts') {
+        for (const row of rows('.rolloverContractAction')) {
+            const action = row.el('.rolloverContractAction').value;
+            const years = Number(row.el('.rolloverContractYears').value);
+            if (action === 'renew' && (!Number.isInteger(years) || years < 1 || years > 20)) return 'Renewed contracts need 1 to 20 years.';
+            decisions.contracts[row.id] = { action, years: action === 'renew' ? years : 2 };
+        }
+    } else if (step === 'retirements') {
+        rows('.rolloverRetireAction').forEach(row => { decisions.retirements[row.id] = row.el('.rolloverRetireAction').value; });
+    } else if (step === 'loans') {
+        rows('.rolloverLoanAction').forEach(row => { decisions.loans[row.id] = row.el('.rolloverLoanAction').value; });
+    } else if (step === 'ratings') {
+        const players = Object.fromEntries(getSeasonRosterEntries(getRolloverSeason()).map(({ player }) => [player.id, player]));
+        for (const row of rows('.rolloverOverall')) {
+            const rating = {};
+            for (const [field, sel] of [['overall', '.rolloverOverall'], ['potential', '.rolloverPotential']]) {
+                const text = row.el(sel).value.trim();
+                if (text === '' || Number(text) === Number(players[row.id][field])) continue;
+                const n = Number(text);
+                if (!Number.isInteger(n) || n < 1 || n > 99) return `${field === 'overall' ? 'OVR' : 'POT'} must be a whole number between 1 and 99.`;
+                rating[field] = n;
+            }
+            if (Object.keys(rating).length) decisions.ratings[row.id] = rating;
+            else delete decisions.ratings[row.id];
+        }
+    }
+    return null;
+}
+
+function rolloverBack() {
+    if (!rolloverWizard) return;
+    readRolloverStep();
+    const steps = getRolloverSteps();
+    rolloverWizard.step = steps[Math.max(0, steps.indexOf(rolloverWizard.step) - 1)];
+    renderRolloverStep();
+}
+
+function rolloverNext() {
+    if (!rolloverWizard) return;
+    const error = readRolloverStep();
+    if (error !== null) {
+        if (error) alert(error);
+        return;
+    }
+    if (rolloverWizard.step === 'summary') return confirmNextSeason();
+    const steps = getRolloverSteps();
+    rolloverWizard.step = steps[steps.indexOf(rolloverWizard.step) + 1] || 'summary';
+    renderRolloverStep();
+}
+
+/**
+ * Create the next season from the wizard's choices and switch to it
+ */
+function confirmNextSeason() {
+    const season = getRolloverSeason();
+    if (!season) return closeRolloverModal();
+    const { options, decisions } = rolloverWizard;
+    setRolloverOptions(options);
+
+    const cloned = buildNextSeason(season, options, decisions);
+
+    // push and switch
+    createSnapshot('Before next season');
+    currentSeasons.push(cloned);
+    currentSeasonId = cloned.id;
+    // normalize order for squads
+    normalizePlayerOrder(cloned, 'main_squad');
+    normalizePlayerOrder(cloned, 'youth_academy');
+    saveToStorage(`Create season ${cloned.name}`);
+    closeRolloverModal();
+    renderSeasonTabs();
+    renderPlayers();
+    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
+        renderCharts();
+    }
+    alert(`Created new season: ${cloned.name}`);
+}
+
+/**
+ * Show season validation error
+ */
+function showSeasonError(fieldId, message) {
+    const errorElement = document.getElementById(fieldId + 'Error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+}
+
+/**
+ * Clear season validation errors
+ */
+function clearSeasonErrors() {
+    document.querySelectorAll('#seasonForm .text-red-500').forEach(el => {
+        el.classList.add('hidden');
+    });
+}
+
+/**
+ * Open player modal
+ */
+function openPlayerModal(playerId = null) {
+    editingPlayerId = playerId;
+    const modal = document.getElementById('playerModal');
+    const title = document.getElementById('modalTitle');
+    const form = document.getElementById('playerForm');
+    
+    if (playerId) {
+        const player = getCurrentPlayers()[playerId];
+        title.textContent = 'Edit Player';
+        populatePlayerForm(player);
+        trackOpenEdit(currentSeasonId, playerId, closePlayerModal);
+    } else {
+        title.textContent = 'Add Player';
+        form.reset();
+    }
+    updatePlayerStatsLock();
+    
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Open player modal in 'transfer-only' mode. When saved, the player will be
+ * added as a snapshot to the specified transfer list (without adding to any squad).
+ */
+function openTransferPlayerModal(listKey) {
+    // Clear any editing player id and set transfer key
+    editingPlayerId = null;
+    editingTransferKey = listKey;
+    const modal = document.getElementById('playerModal');
+    const title = document.getElementById('modalTitle');
+    const form = document.getElementById('playerForm');
+
+    title.textContent = 'Add Player (To Buy)';
+    form.reset();
+    updatePlayerStatsLock();
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Populate player form with data
+ */
+function populatePlayerForm(player) {
+    document.getElementById('firstName').value = player.firstName || '';
+    document.getElementById('lastName').value = player.lastName || '';
+    document.getElementById('nationality').value = player.nationality || '';
+    document.getElementById('role').value = player.role || '';
+    // Populate role types container (support legacy single fields)
+    try {
+        const container = document.getElementById('roleTypesContainer');
+        if (container) {
+            container.innerHTML = '';
+            // If player has new-style array, use it; otherwise map legacy fields
+            const roleTypes = Array.isArray(player.roleTypes) ? player.roleTypes : (player.roleType ? [{ type: player.roleType, focus: player.roleFocus || '', level: player.roleTypeLevel || '' }] : []);
+            if (roleTypes.length === 0) {
+                // add an empty row so user can add
+                const row = createRoleTypeRow(player.role || '', {});
+                container.appendChild(row);
+            } else {
+                roleTypes.forEach(rt => {
+                    const row = createRoleTypeRow(player.role || '', { type: rt.type || '', focus: rt.focus || '', level: rt.level || rt.level || '' });
+                    container.appendChild(row);
+                });
+            }
+        }
+    } catch (e) { console.warn('populatePlayerForm roleTypes error', e); }
+    // Populate playstyles container
+    try {
+        const psContainer = document.getElementById('playstylesContainer');
+        if (psContainer) {
+            psContainer.innerHTML = '';
+            const playstyles = Array.isArray(player.playstyles) ? player.playstyles : [];
+            if (playstyles.length === 0) {
+                const row = createPlaystyleRow({});
+                psContainer.appendChild(row);
+            } else {
+                playstyles.forEach(ps => {
+                    // Mental playstyles do not support '+' (level '2')
+                    let lvl = ps.level || '';
+                    if ((ps.category || '') === 'Mental' && lvl === '2') lvl = '';
+                    const row = createPlaystyleRow({ category: ps.category || '', name: ps.name || '', level: lvl });
+                    psContainer.appendChild(row);
+                });
+            }
+        }
+    } catch (e) { console.warn('populatePlayerForm playstyles error', e); }
+    document.getElementById('overall').value = player.overall || '';
+    document.getElementById('potential').value = player.potential || '';
+    document.getElementById('age').value = player.age || '';
+    // contractEnd is stored as a single digit number; display as string if present
+    document.getElementById('contractEnd').value = (player.contractEnd !== undefined && player.contractEnd !== null && player.contractEnd !== '') ? String(player.contractEnd) : '';
+    document.getElementById('skills').value = player.skills || '';
+    document.getElementById('weakFoot').value = player.weakFoot || '';
+    document.getElementById('foot').value = player.foot || '';
+    document.getElementById('totalStats').value = player.totalStats || '';
+    document.getElementById('value').value = player.value || '';
+    document.getElementById('wage').value = player.wage || '';
+    document.getElementById('appearances').value = player.appearances || '';
+    document.getElementById('goals').value = player.goals || '';
+    document.getElementById('assists').value = player.assists || '';
+    document.getElementById('cleanSheets').value = player.cleanSheets || '';
+    document.getElementById('yellowCards').value = player.yellowCards || '';
+    document.getElementById('redCards').value = player.redCards || '';
+    document.getElementById('avgRating').value = player.avgRating || '';
+    const manualStatsInput = document.getElementById('manualStats');
+    if (manualStatsInput) manualStatsInput.checked = !!player.manualStats;
+    populateAttributeInputs(player);
+
+    // Show selected flag if available
+    const selectedImg = document.getElementById('selectedFlag');
+    const selectedText = document.getElementById('selectedFlagText');
+    if (selectedImg && selectedText) {
+        const nat = (player.nationality || '').trim();
+        if (nat) {
+            selectedImg.src = `flags/${nat}.svg`;
+            selectedImg.style.display = '';
+            selectedText.textContent = nat;
+        } else {
+            selectedImg.style.display = 'none';
+            selectedText.textContent = 'Select nationality';
+        }
+    }
+}
+
+/**
+ * Close player modal
+ */
+function closePlayerModal() {
+    document.getElementById('playerModal').classList.add('hidden');
+    document.getElementById('playerForm').reset();
+    editingPlayerId = null;
+    editingTransferKey = null;
+    openEditRecord = null;
+    clearPlayerErrors();
+    const attributesDetails = document.getElementById('attributesDetails');
+    if (attributesDetails) attributesDetails.open = false;
+
+    // Reset flag picker display
+    const selectedImg = document.getElementById('selectedFlag');
+    const selectedText = document.getElementById('selectedFlagText');
+    if (selectedImg && selectedText) {
+        selectedImg.style.display = 'none';
+        selectedText.textContent = 'Select nationality';
+    }
+}
+
+/**
+ * Save player
+ */
+function savePlayer() {
+    const formData = getPlayerFormData();
+    
+    clearPlayerErrors();
+    
+    // Validation
+    if (!validatePlayerForm(formData)) {
+        return;
+    }
+    
+    const season = getCurrentSeason();
+    if (!season) return;
+    // If editingTransferKey is set, create a snapshot and add to that transfer list
+    if (editingTransferKey) {
+        const transfers = getSeasonTransfers(season);
+        const snapshot = Object.assign({ id: generateId() }, formData);
+        // prevent duplicate snapshot ids (should be unique since generated)
+        if (!transfers[editingTransferKey].some(item => item.id && item.id.toString() === snapshot.id.toString())) {
+            transfers[editingTransferKey].push(snapshot);
+        }
+        saveToStorage(`Add ${formData.firstName} ${formData.lastName} to ${TRANSFER_LABELS[editingTransferKey] || editingTransferKey}`);
+        renderTransfers();
+        editingTransferKey = null;
+        closePlayerModal();
+        return;
+    }
+
+    if (editingPlayerId) {
+        // Edit existing player
+        if (!confirmOpenEditSave(`${formData.firstName} ${formData.lastName}`)) {
+            closePlayerModal();
+            return;
+        }
+        const players = season.roster[currentSquad].players;
+        // deleted in another tab while the dialog was open and saved anyway
+        if (!players[editingPlayerId]) {
+            players[editingPlayerId] = { id: editingPlayerId, squad: currentSquad === 'main_squad' ? 'Main Squad' : 'Youth Academy' };
+        }
+        Object.assign(players[editingPlayerId], formData);
+        setPlayerManualStats(players[editingPlayerId]);
+    } else {
+        // Add new player
+        const newPlayer = {
+            id: generateId(),
+            squad: currentSquad === 'main_squad' ? 'Main Squad' : 'Youth Academy',
+            ...formData
+        };
+        setPlayerManualStats(newPlayer);
+        season.roster[currentSquad].players[newPlayer.id] = newPlayer;
+    }
+    applyMatchLogStats(season);
+    // Normalize object insertion order so grouping and index-based reordering
+    // behave consistently after role changes.
+    normalizePlayerOrder(season, currentSquad);
+    
+    saveToStorage(editingPlayerId ? `Edit ${formData.firstName} ${formData.lastName}` : `Add ${formData.firstName} ${formData.lastName}`);
+    renderPlayers();
+    // If charts panel is visible, refresh charts to reflect changes
+    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
+        renderCharts();
+    }
+    closePlayerModal();
+}
+
+// Keep the "manual stats" choice of the player dialog (only stored when set)
+function setPlayerManualStats(player) {
+    const manualStatsInput = document.getElementById('manualStats');
+    if (manualStatsInput && manualStatsInput.checked) player.manualStats = true;
+    else delete player.manualStats;
+}
+
+/**
+ * Get form data as object
+ */
+function getPlayerFormData() {
+    const roleTypesContainer = document.getElementById('roleTypesContainer');
+    const roleTypes = [];
+    if (roleTypesContainer) {
+        const rows = roleTypesContainer.querySelectorAll('.role-type-row');
+        rows.forEach(r => {
+            const type = r.querySelector('.roleTypeSelect') ? r.querySelector('.roleTypeSelect').value : '';
+            const focus = r.querySelector('.roleFocusSelect') ? r.querySelector('.roleFocusSelect').value : '';
+            const level = r.querySelector('.roleLevelSelect') ? r.querySelector('.roleLevelSelect').value : '';
+            if (type) roleTypes.push({ type, focus, level });
+        });
+    }
+    // collect playstyles
+    const playstylesContainer = document.getElementById('playstylesContainer');
+    const playstyles = [];
+    if (playstylesContainer) {
+        const rows = playstylesContainer.querySelectorAll('.playstyle-row');
+        rows.forEach(r => {
+            const category = r.querySelector('.playstyleCategorySelect') ? r.querySelector('.playstyleCategorySelect').value : '';
+            const name = r.querySelector('.playstyleNameSelect') ? r.querySelector('.playstyleNameSelect').value : '';
+            const level = r.querySelector('.playstyleLevelSelect') ? r.querySelector('.playstyleLevelSelect').value : '';
+            if (name) playstyles.push({ category, name, level });
+        });
+    }
+
+    return {
+        firstName: document.getElementById('firstName').value.trim(),
+        lastName: document.getElementById('lastName').value.trim(),
+        nationality: document.getElementById('nationality').value.trim(),
+        role: document.getElementById('role').value,
+        // new fields
+        // roleTypes: array of {type, focus, level}
+        roleTypes: roleTypes,
+    playstyles: playstyles,
+        overall: parseInt(document.getElementById('overall').value) || 0,
+        potential: parseInt(document.getElementById('potential').value) || 0,
+        age: parseInt(document.getElementById('age').value) || 0,
+    // store contractEnd as Number when possible; leave empty string as ''
+    contractEnd: (function(){ const v = document.getElementById('contractEnd').value; if (v === '' || v === null || v === undefined) return ''; const n = Number(v); return Number.isNaN(n) ? '' : n; })(),
+        skills: parseInt(document.getElementById('skills').value) || 0,
+        weakFoot: parseInt(document.getElementById('weakFoot').value) || 0,
+        foot: document.getElementById('foot').value,
+        totalStats: parseInt(document.getElementById('totalStats').value) || 0,
+        value: parseInt(document.getElementById('value').value) || 0,
+        wage: parseInt(document.getElementById('wage').value) || 0,
+        appearances: parseInt(document.getElementById('appearances').value) || 0,
+        goals: parseInt(document.getElementById('goals').value) || 0,
+        assists: parseInt(document.getElementById('assists').value) || 0,
+        cleanSheets: parseInt(document.getElementById('cleanSheets').value) || 0,
+        yellowCards: parseInt(document.getElementById('yellowCards').value) || 0,
+        redCards: parseInt(document.getElementById('redCards').value) || 0,
+        avgRating: parseFloat(document.getElementById('avgRating').value) || 0,
+        // optional detailed ratings, only the filled-in ones
+        attributes: getAttributeFormData()
+    };
+}
+
+/**
+ * Validate player form
+ */
+function validatePlayerForm(data) {
+    let isValid = true;
+    
+    if (!data.firstName) {
+        showPlayerError('firstName', 'First name is required');
+        isValid = false;
+    }
+    
+    if (!data.lastName) {
+        showPlayerError('lastName', 'Last name is required');
+        isValid = false;
+    }
+    
+    if (!data.role) {
+        showPlayerError('role', 'Role is required');
+        isValid = false;
+    }
+
+    const invalidAttributes = PLAYER_ATTRIBUTES.filter(({ key }) => {
+        const value = data.attributes[key];
+        return value !== undefined && (!Number.isInteger(value) || value < PLAYER_ATTRIBUTE_RULE.min || value > PLAYER_ATTRIBUTE_RULE.max);
+    });
+    if (invalidAttributes.length) {
+        showPlayerError('attributes', `Attributes must be whole numbers from 1 to 99: ${invalidAttributes.map(a => a.label).join(', ')}`);
+        isValid = false;
+    }
+    
+    return isValid;
+}
+
+/**
+ * Show player validation error
+ */
+function showPlayerError(fieldId, message) {
+    const errorElement = document.getElementById(fieldId + 'Error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+}
+
+/**
+ * Clear player validation errors
+ */
+function clearPlayerErrors() {
+    document.querySelectorAll('#playerForm .text-red-500').forEach(el => {
+        el.classList.add('hidden');
+    });
+}
+
+/**
+ * Edit player
+ */
+function editPlayer(playerId) {
+    openPlayerModal(playerId);
+}
+
+/**
+ * Delete player
+ */
+function deletePlayer(playerId) {
+    if (confirm('Are you sure you want to delete this player?')) {
+        const season = getCurrentSeason();
+        if (season) {
+            const player = season.roster[currentSquad].players[playerId];
+            delete season.roster[currentSquad].players[playerId];
+            saveToStorage(player ? `Delete ${player.firstName} ${player.lastName}` : 'Delete player');
+            renderPlayers();
+        }
+    }
+}
+
+/**
+ * Promote player from youth academy to main squad
+ */
+function promotePlayer(playerId) {
+    if (currentSquad !== 'youth_academy') {
+        alert('This action is only available for youth academy players.');
+        return;
+    }
+    
+    const season = getCurrentSeason();
+    if (!season) {
+        alert('No season selected.');
+        return;
+    }
+    
+    const player = season.roster.youth_academy.players[playerId];
+    if (!player) {
+        alert('Player not found.');
+        return;
+    }
+    
+    if (confirm(`Are you sure you want to promote ${player.firstName} ${player.lastName} to the main squad?\n\nThis player will be moved from Youth Academy to Main Squad.`)) {
+        // Add to main squad
+        season.roster.main_squad.players[playerId] = player;
+        // Remove from youth academy
+        delete season.roster.youth_academy.players[playerId];
+    // Normalize ordering in both squads so the moved player is placed
+    // consistently within the main squad grouping
+    normalizePlayerOrder(season, 'main_squad');
+    normalizePlayerOrder(season, 'youth_academy');
+        saveToStorage(`Promote ${player.firstName} ${player.lastName}`);
+        renderPlayers();
+        if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
+            renderCharts();
+        }
+        
+    // Show success message
+    alert(`${player.firstName} ${player.lastName} has been promoted to the main squad.`);
+    }
+}
+
+/**
+ * Bulk selection
+ * Checkboxes on the table rows and cards pick players of the current squad (shift-click selects
+ * the range of visible players in between). A batch action is saved once, so it is one undo step.
+ * The selection belongs to one season and squad, and batch actions only act on the selected
+ * players that are shown (a search or filter hides the others).
+ */
+let selectedPlayerIds = new Set();
+let lastSelectedPlayerId = null;
+let selectionScope = null; // '<seasonId>:<squad>' the selection was made in
+let visiblePlayerIds = []; // ids of the shown players in display order, set by renderPlayers()
+
+const BULK_TRANSFER_ACTIONS = ['forSale', 'loan', 'sold', 'released', 'retired'];
+const BULK_EDIT_FIELDS = ['appearances', 'goals', 'assists', 'cleanSheets', 'yellowCards', 'redCards', 'avgRating',
+    'overall', 'potential', 'age', 'contractEnd', 'skills', 'weakFoot', 'totalStats', 'value', 'wage', 'foot'];
+
+function setupBulkActions() {
+    const actionSelect = document.getElementById('bulkActionSelect');
+    if (actionSelect) {
+        actionSelect.innerHTML = `
+            <option value="">Choose an action…</option>
+            <optgroup label="Transfer lists">
+                ${BULK_TRANSFER_ACTIONS.map(key => `<option value="list:${key}">Move to ${TRANSFER_LABELS[key]}</option>`).join('')}
+                <option value="unlist">Remove from For Sale / On Loan</option>
+            </optgroup>
+            <optgroup label="Squad">
+                <option value="squad:main_squad">Promote to Main Squad</option>
+                <option value="squad:youth_academy">Move to Youth Academy</option>
+                <option value="delete">Delete</option>
+            </optgroup>
+            <option value="edit">Set a field for all…</option>
+            <option value="export">Export selection as CSV</option>`;
+    }
+    const fieldSelect = document.getElementById('bulkEditField');
+    if (fieldSelect) {
+        fieldSelect.innerHTML = BULK_EDIT_FIELDS.map(key => {
+            const field = CSV_PLAYER_FIELDS.find(f => f.key === key);
+            return `<option value="${key}">${field ? field.label : key}</option>`;
+        }).join('');
+    }
+}
+
+function getSelectedPlayers() {
+    const players = getCurrentPlayers();
+    return visiblePlayerIds.filter(id => selectedPlayerIds.has(id)).map(id => players[id]).filter(Boolean);
+}
+
+// Seasons share player ids (Next Season copies them), so a selection never follows into another season or squad
+function resetPlayerSelection() {
+    selectedPlayerIds.clear();
+    lastSelectedPlayerId = null;
+    selectionScope = `${currentSeasonId}:${currentSquad}`;
+}
+
+/**
+ * Checkbox click on a row or card; with Shift the visible players between the last click and this one follow
+ */
+function togglePlayerSelection(event, playerId) {
+    const checked = !selectedPlayerIds.has(playerId);
+    const from = visiblePlayerIds.indexOf(lastSelectedPlayerId);
+    const to = visiblePlayerIds.indexOf(playerId);
+    const ids = event && event.shiftKey && from >= 0 && to >= 0
+        ? visiblePlayerIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+        : [playerId];
+    ids.forEach(id => checked ? selectedPlayerIds.add(id) : selectedPlayerIds.delete(id));
+    lastSelectedPlayerId = playerId;
+    renderPlayers();
+}
+
+function toggleSelectAllPlayers() {
+    const allSelected = visiblePlayerIds.length > 0 && visiblePlayerIds.every(id => selectedPlayerIds.has(id));
+    visiblePlayerIds.forEach(id => allSelected ? selectedPlayerIds.delete(id) : selectedPlayerIds.add(id));
+    renderPlayers();
+}
+
+function clearPlayerSelection() {
+    resetPlayerSelection();
+    renderPlayers();
+}
+
+// Drop ids that left the squad (or the whole selection when another season or squad is shown) and show/hide the action bar
+function updateBulkActionBar() {
+    if (selectionScope !== `${currentSeasonId}:${currentSquad}`) resetPlayerSelection();
+    const players = getCurrentPlayers();
+    selectedPlayerIds = new Set([...selectedPlayerIds].filter(id => players[id]));
+    const selectedCount = getSelectedPlayers().length;
+    const hiddenCount = selectedPlayerIds.size - selectedCount;
+    const bar = document.getElementById('bulkActionBar');
+    if (!bar) return;
+    bar.classList.toggle('hidden', selectedCount === 0);
+    const count = document.getElementById('bulkSelectionCount');
+    if (count) count.textContent = `${selectedCount} selected${hiddenCount ? ` (${hiddenCount} more hidden by the filters)` : ''}`;
+    const actionSelect = document.getElementById('bulkActionSelect');
+    if (actionSelect) {
+        const squadOption = actionSelect.querySelector(`option[value="squad:${currentSquad}"]`);
+        actionSelect.querySelectorAll('option[value^="squad:"]').forEach(option => { option.disabled = option === squadOption; });
+        if (actionSelect.selectedOptions && actionSelect.selectedOptions[0] && actionSelect.selectedOptions[0].disabled) actionSelect.value = '';
+        const editFields = document.getElementById('bulkEditFields');
+        if (editFields) editFields.classList.toggle('hidden', actionSelect.value !== 'edit');
+    }
+}
+
+// Save, redraw and keep the selection of the players still in the squad
+function finishBulkAction(label) {
+    saveToStorage(label);
+    renderPlayers();
+    renderTransfers();
+    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
+        renderCharts();
+    }
+}
+
+function bulkMoveToTransferList(players, key) {
+    const season = getCurrentSeason();
+    if (key === TRANSFER_KEYS.retired || key === TRANSFER_KEYS.sold || key === TRANSFER_KEYS.released) {
+        if (!confirm(`Move ${players.length} players to ${TRANSFER_LABELS[key]}? This will remove them from your squads.`)) return;
+    }
+    players.forEach(player => placePlayerOnTransferList(season, player, key));
+    finishBulkAction(`Move ${players.length} players to ${TRANSFER_LABELS[key]}`);
+}
+
+function bulkRemoveTransferStatus(players) {
+    const transfers = getSeasonTransfers(getCurrentSeason());
+    const ids = new Set(players.map(p => p.id.toString()));
+    [TRANSFER_KEYS.forSale, TRANSFER_KEYS.loan].forEach(key => {
+        if (Array.isArray(transfers[key])) transfers[key] = transfers[key].filter(item => !(item.id && ids.has(item.id.toString())));
+    });
+    finishBulkAction(`Remove ${players.length} players from For Sale / On Loan`);
+}
+
+function bulkChangeSquad(players, targetSquad) {
+    const season = getCurrentSeason();
+    const label = targetSquad === 'main_squad' ? 'Main Squad' : 'Youth Academy';
+    if (targetSquad === currentSquad || !confirm(`Move ${players.length} players to the ${label}?`)) return;
+    players.forEach(player => {
+        season.roster[targetSquad].players[player.id] = player;
+        delete season.roster[currentSquad].players[player.id];
+    });
+    normalizePlayerOrder(season, 'main_squad');
+    normalizePlayerOrder(season, 'youth_academy');
+    finishBulkAction(targetSquad === 'main_squad' ? `Promote ${players.length} players` : `Move ${players.length} players to the Youth Academy`);
+}
+
+function bulkDeletePlayers(players) {
+    if (!confirm(`Are you sure you want to delete ${players.length} players?`)) return;
+    const season = getCurrentSeason();
+    players.forEach(player => { delete season.roster[currentSquad].players[player.id]; });
+    finishBulkAction(`Delete ${players.length} players`);
+}
+
+function bulkSetField(players, field, text) {
+    const label = (CSV_PLAYER_FIELDS.find(f => f.key === field) || { label: field }).label;
+    let value = String(text).trim();
+    if (field === 'foot') {
+        if (value && !['Left', 'Right'].includes(value)) return alert('Preferred foot must be Left or Right.');
+    } else {
+        const rule = PLAYER_NUMBER_RULES[field];
+        // fields with a minimum above 0 (overall, potential, age, skills, weak foot) cannot be blanked
+        if (value === '' && rule.min > 0) return alert(`${label} cannot be empty (minimum ${rule.min}).`);
+        const errors = [];
+        validateNumberField(value, rule, label, { error: (path, message) => errors.push(message), warn: () => {} });
+        // no review step here, so a fraction in a whole-number field is refused instead of warned about
+        if (!errors.length && value !== '' && rule.integer && !Number.isInteger(Number(value))) errors.push(`${value} is not a whole number`);
+        if (errors.length) return alert(`${label}: ${errors[0]}`);
+        // empty contract stays empty, like the player form; counts default to 0
+        value = value === '' ? (field === 'contractEnd' ? '' : 0) : Number(value);
+    }
+    // the match log would overwrite a season stat set here, so players it feeds switch to manual stats
+    const toManual = matchLogDrivesStats(getCurrentSeason())
+        ? players.filter(player => !player.manualStats && getMatchLogStatFields(player.role).includes(field))
+        : [];
+    const manualNote = toManual.length ? `\n\n${toManual.length} of them get their season stats from the match log and will switch to manual stats.` : '';
+    if (!confirm(`Set ${label} to "${value}" for ${players.length} players?${manualNote}`)) return;
+    players.forEach(player => { player[field] = value; });
+    toManual.forEach(player => { player.manualStats = true; });
+    finishBulkAction(`Set ${label} for ${players.length} players`);
+}
+
+function exportSelectedPlayersCSV(players) {
+    const csv = toCSV([['id', 'squad'].concat(CSV_PLAYER_FIELDS.map(f => f.key))].concat(
+        players.map(player => [player.id, currentSquad].concat(playerCsvRow(player)))
+    ));
+    const season = getCurrentSeason();
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.setAttribute('href', url);
+    a.setAttribute('download', `players_${String((season && season.name) || 'selection').replace(/[^\w.-]+/g, '_')}_${players.length}.csv`);
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Run the action chosen in the bulk action bar on the selected players
+ */
+function applyBulkAction() {
+    const players = getSelectedPlayers();
+    const action = (document.getElementById('bulkActionSelect') || {}).value || '';
+    if (!getCurrentSeason() || players.length === 0) return;
+    if (!action) return alert('Choose an action first.');
+
+    if (action.startsWith('list:')) bulkMoveToTransferList(players, action.slice(5));
+    else if (action === 'unlist') bulkRemoveTransferStatus(players);
+    else if (action.startsWith('squad:')) bulkChangeSquad(players, action.slice(6));
+    else if (action === 'delete') bulkDeletePlayers(players);
+    else if (action === 'edit') bulkSetField(players, document.getElementById('bulkEditField').value, document.getElementById('bulkEditValue').value);
+    else if (action === 'export') exportSelectedPlayersCSV(players);
+}
+
+/**
+ * Show charts panel
+ */
+function showCharts() {
+    document.getElementById('chartsPanel').classList.remove('hidden');
+    renderCharts();
+}
+
+/**
+ * Hide charts panel
+ */
+function hideCharts() {
+    document.getElementById('chartsPanel').classList.add('hidden');
+    destroyCharts();
+}
+
+/**
+ * Show transfers panel
+ */
+function showTransfers() {
+    document.getElementById('transfersPanel').classList.remove('hidden');
+    renderTransfers();
+}
+
+/**
+ * Hide transfers panel
+ */
+function hideTransfers() {
+    document.getElementById('transfersPanel').classList.add('hidden');
+}
+
+/**
+ * Show season stats panel
+ */
+function showSeasonStats() {
+    const el = document.getElementById('seasonStatsPanel');
+    if (!el) return;
+    el.classList.remove('hidden');
+    try { renderSeasonStatsPanel(getCurrentSeason()); } catch (e) { console.warn(e); }
+}
+
+/**
+ * Hide season stats panel
+ */
+function hideSeasonStats() {
+    const el = document.getElementById('seasonStatsPanel');
+    if (!el) return;
+    el.classList.add('hidden');
+}
+
+// Season stats edit modal handlers
+function openSeasonStatsEditModal() {
+    const season = getCurrentSeason();
+    if (!season) return alert('No season selected');
+    // Populate structured fields
+    document.getElementById('recordWins').value = '';
+    document.getElementById('recordDraws').value = '';
+    document.getElementById('recordLosses').value = '';
+    document.getElementById('recordGF').value = '';
+    document.getElementById('recordGA').value = '';
+
+    // If the season has aggregated matches data, use it to fill record fields
+    if (season.matches && Array.isArray(season.matches) && season.matches.length > 0) {
+        const m0 = season.matches.find(isMatchSummary);
+        if (m0) {
+            document.getElementById('recordWins').value = m0.wins || m0.won || '';
+            document.getElementById('recordDraws').value = m0.draws || m0.spares || m0.spare || '';
+            document.getElementById('recordLosses').value = m0.losses || m0.loss || '';
+            document.getElementById('recordGF').value = m0.goals_for || m0.goalsFor || '';
+            document.getElementById('recordGA').value = m0.goals_against || m0.goalsAgainst || '';
+            // populate extended fields (only if inputs exist in the modal)
+            function setIfExists(id, value) {
+                const el = document.getElementById(id);
+                if (!el) return;
+                el.value = value == null ? '' : value;
+            }
+
+            setIfExists('totalsGames', m0.totals_games || m0.totalsGames || '');
+            setIfExists('totalsGamesHome', m0.totals_games_at_home || m0.totals_games_home || '');
+            setIfExists('totalsGamesAway', m0.totals_games_away || '');
+            setIfExists('winsHome', m0.wins_at_home || m0.winsHome || '');
+            setIfExists('drawsHome', m0.spares_at_home || m0.draws_at_home || '');
+            setIfExists('lossesHome', m0.loss_at_home || m0.losses_at_home || '');
+            setIfExists('winsAway', m0.wins_away || '');
+            setIfExists('drawsAway', m0.spares_away || '');
+            setIfExists('lossesAway', m0.loss_away || '');
+            setIfExists('goalsForHome', m0.goals_for_home || '');
+            setIfExists('goalsAgainstHome', m0.goals_against_home || '');
+            setIfExists('goalsForAway', m0.goals_for_away || '');
+            setIfExists('goalsAgainstAway', m0.goals_against_away || '');
+            setIfExists('cleanSheetsTotal', m0.clean_sheets || '');
+            setIfExists('cleanSheetsHome', m0.clean_sheets_home || '');
+            setIfExists('cleanSheetsAway', m0.clean_sheets_away || '');
+            setIfExists('recordSpares', m0.spares || m0.draws || '');
+        }
+    }
+
+    // with a match log the record is derived and not edited here
+    const loggedCount = getLoggedMatches(season).length;
+    const derived = loggedCount > 0 ? computeSeasonRecord(season) : null;
+    [['recordWins', 'wins'], ['recordDraws', 'draws'], ['recordLosses', 'losses'], ['recordGF', 'goalsFor'], ['recordGA', 'goalsAgainst']].forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        input.disabled = !!derived;
+        if (derived) input.value = derived[key];
+    });
+    const recordNote = document.getElementById('recordFromLogNote');
+    if (recordNote) {
+        recordNote.textContent = `The record is derived from the ${loggedCount} logged match${loggedCount === 1 ? '' : 'es'}.`;
+        recordNote.classList.toggle('hidden', loggedCount === 0);
+    }
+
+    const trophiesContainer = document.getElementById('trophiesContainer');
+    trophiesContainer.innerHTML = '';
+    const trophies = season.trophies || [];
+    if (Array.isArray(trophies)) {
+        trophies.forEach((t, idx) => {
+            addTrophyRow(trophiesContainer, t.name || t, t.scope || '', idx === 0);
+        });
+    } else if (typeof trophies === 'object') {
+        // show object as entries
+        Object.keys(trophies).forEach(k => {
+            const arr = trophies[k] || [];
+            arr.forEach((t, idx) => addTrophyRow(trophiesContainer, t.name || t || '', k || '', false));
+        });
+    }
+
+    const awardsContainer = document.getElementById('awardsContainer');
+    awardsContainer.innerHTML = '';
+    const awards = season.playerAwards || [];
+    (Array.isArray(awards) ? awards : []).forEach(a => addAwardRow(awardsContainer, a));
+
+    trackOpenEdit(season.id, null, closeSeasonStatsEditModal);
+    document.getElementById('seasonStatsEditModal').classList.remove('hidden');
+}
+
+function closeSeasonStatsEditModal() {
+    document.getElementById('seasonStatsEditModal').classList.add('hidden');
+    openEditRecord = null;
+}
+
+function saveSeasonStatsEdits() {
+    const season = getCurrentSeason();
+    if (!season) return alert('No season selected');
+    if (!confirmOpenEditSave(`The season "${season.name}"`)) {
+        closeSeasonStatsEditModal();
+        return;
+    }
+    try {
+        // record
+        const w = parseInt(document.getElementById('recordWins').value) || 0;
+        const d = parseInt(document.getElementById('recordDraws').value) || 0;
+        const l = parseInt(document.getElementById('recordLosses').value) || 0;
+        const gf = parseInt(document.getElementById('recordGF').value) || 0;
+        const ga = parseInt(document.getElementById('recordGA').value) || 0;
+
+        // write the aggregated summary entry (preserves historical structures)
+        if (!season.matches || !Array.isArray(season.matches)) season.matches = [];
+        // helper to safely read optional numeric inputs
+        function getIntIfExists(id) {
+            const el = document.getElementById(id);
+            if (!el) return undefined;
+            const v = parseInt(el.value);
+            return isNaN(v) ? undefined : v;
+        }
+
+        // a match log owns the record, so the summary entry is only written without one
+        const summaryIndex = season.matches.findIndex(isMatchSummary);
+        if (getLoggedMatches(season).length === 0) season.matches[summaryIndex >= 0 ? summaryIndex : season.matches.length] = Object.assign({}, season.matches[summaryIndex] || {}, {
+            totals_games: (w + d + l),
+            wins: w,
+            draws: d,
+            losses: l,
+            goals_for: gf,
+            goals_against: ga,
+            totals_games_at_home: getIntIfExists('totalsGamesHome'),
+            totals_games_away: getIntIfExists('totalsGamesAway'),
+            wins_at_home: getIntIfExists('winsHome'),
+            spares_at_home: getIntIfExists('drawsHome'),
+            loss_at_home: getIntIfExists('lossesHome'),
+            wins_away: getIntIfExists('winsAway'),
+            spares_away: getIntIfExists('drawsAway'),
+            loss_away: getIntIfExists('lossesAway'),
+            goals_for_home: getIntIfExists('goalsForHome'),
+            goals_against_home: getIntIfExists('goalsAgainstHome'),
+            goals_for_away: getIntIfExists('goalsForAway'),
+            goals_against_away: getIntIfExists('goalsAgainstAway'),
+            clean_sheets: getIntIfExists('cleanSheetsTotal'),
+            clean_sheets_home: getIntIfExists('cleanSheetsHome'),
+            clean_sheets_away: getIntIfExists('cleanSheetsAway'),
+            spares: getIntIfExists('recordSpares')
+        });
+
+        // trophies
+        const trophiesContainer = document.getElementById('trophiesContainer');
+        const trophyEls = trophiesContainer.querySelectorAll('[data-trophy-row]');
+        const newTrophies = [];
+        trophyEls.forEach(el => {
+            const name = el.querySelector('.trophy-name').value.trim();
+            const scope = el.querySelector('.trophy-scope').value.trim();
+            if (name) newTrophies.push({ name, scope });
+        });
+        season.trophies = newTrophies;
+
+        // awards
+        const awardsContainer = document.getElementById('awardsContainer');
+        const awardEls = awardsContainer.querySelectorAll('[data-award-row]');
+        const newAwards = [];
+        awardEls.forEach(el => {
+            const playerId = el.querySelector('.award-playerId').value.trim();
+            const awardName = el.querySelector('.award-name').value.trim();
+            const note = el.querySelector('.award-note').value.trim();
+            if (awardName) newAwards.push({ playerId: playerId || null, awardName, note: note || '' });
+        });
+        season.playerAwards = newAwards;
+
+        saveToStorage('Edit season stats');
+        renderSeasonTabs();
+        renderPlayers();
+        try { renderSeasonStatsPanel(season); } catch (e) { console.warn(e); }
+        closeSeasonStatsEditModal();
+    } catch (e) {
+        console.warn('saveSeasonStatsEdits error', e);
+        alert('Error saving season edits.');
+    }
+}
+
+// helpers to add/remove trophy and award rows
+function addTrophyRow(container, name = '', scope = '') {
+    const idx = Math.random().toString(36).slice(2,8);
+    const row = document.createElement('div');
+    row.setAttribute('data-trophy-row', idx);
+    row.className = 'flex gap-2 items-center';
+    row.innerHTML = `
+        <input class="trophy-name border border-gray-300 rounded px-2 py-1" value="${escapeHtml(name)}" placeholder="Trophy name">
+        <input class="trophy-scope border border-gray-300 rounded px-2 py-1" value="${escapeHtml(scope)}" placeholder="scope (league/domestic/international)">
+        <button type="button" class="text-red-600 remove-trophy">Remove</button>
+    `;
+    container.appendChild(row);
+    row.querySelector('.remove-trophy').addEventListener('click', () => row.remove());
+}
+
+function addAwardRow(container, award = {}) {
+    const idx = Math.random().toString(36).slice(2,8);
+    const row = document.createElement('div');
+    row.setAttribute('data-award-row', idx);
+    row.className = 'grid grid-cols-1 md:grid-cols-4 gap-2 items-center';
+    // Build player select from current season players
+    const season = getCurrentSeason();
+    let playerSelectHtml = '';
+    if (season && season.roster) {
+        const playersObj = Object.assign({}, (season.roster.main_squad && season.roster.main_squad.players) || {}, (season.roster.youth_academy && season.roster.youth_academy.players) || {});
+        playerSelectHtml += `<select class="award-playerId border border-gray-300 rounded px-2 py-1"><option value="">-- Select player --</option>`;
+        Object.keys(playersObj).forEach(pid => {
+            const p = playersObj[pid] || {};
+            const name = `${p.firstName || ''} ${p.lastName || ''}`.trim() || pid;
+            const role = p.role ? ` (${p.role})` : '';
+            const selected = String(pid) === String(award.playerId) ? 'selected' : '';
+            playerSelectHtml += `<option value="${escapeHtml(pid)}" ${selected}>${escapeHtml(name + role)}</option>`;
+        });
+        playerSelectHtml += '</select>';
+    } else {
+        // fallback to text input if no season/players
+        playerSelectHtml = `<input class="award-playerId border border-gray-300 rounded px-2 py-1" value="${escapeHtml(award.playerId || '')}" placeholder="playerId">`;
+    }
+
+    row.innerHTML = `
+        ${playerSelectHtml}
+        <input class="award-name border border-gray-300 rounded px-2 py-1" value="${escapeHtml(award.awardName || '')}" placeholder="award name">
+        <input class="award-note border border-gray-300 rounded px-2 py-1" value="${escapeHtml(award.note || '')}" placeholder="note">
+        <div><button type="button" class="text-red-600 remove-award">Remove</button></div>
+    `;
+    container.appendChild(row);
+    row.querySelector('.remove-award').addEventListener('click', () => row.remove());
+}
+
+function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+
+/**
+ * Match log
+ * Logged matches live in season.matches next to the optional aggregated summary written by the
+ * season stats editor: { id, date, competition, opponent, venue: 'home' | 'away' | 'neutral',
+ * goalsFor, goalsAgainst, result, players: [{ playerId, lineup: 'starter' | 'sub', goals, assists,
+ * yellowCards, redCards, rating }] }.
+ * As soon as one match is logged the season record is derived from the log only. The per-season
+ * stats of every player without manualStats follow the log once the user agreed to it when saving
+ * the first match with a lineup (season.statsFromLog), see matchLogDrivesStats().
+ */
+const MATCH_VENUE_LABELS = { home: 'Home', away: 'Away', neutral: 'Neutral' };
+const MATCH_LINEUP_LABELS = { starter: 'Started', sub: 'Sub' };
+const MATCH_MAX_STARTERS = 11;
+let editingMatchId = null;
+
+// keys only the aggregated summary has; goals_for / goals_against also appear on older single matches
+const MATCH_SUMMARY_KEYS = ['wins', 'draws', 'losses', 'spares', 'spare', 'loss', 'totals_games'];
+
+function isMatchSummary(match) {
+    return isPlainObject(match) && MATCH_SUMMARY_KEYS.some(key => key in match);
+}
+
+function getLoggedMatches(season) {
+    return (season && Array.isArray(season.matches) ? season.matches : []).filter(m => isPlainObject(m) && !isMatchSummary(m));
+}
+
+function getMatchResult(goalsFor, goalsAgainst) {
+    return goalsFor > goalsAgainst ? 'W' : (goalsFor === goalsAgainst ? 'D' : 'L');
+}
+
+/**
+ * Score, venue and result of a single match in any stored shape: goalsFor/goalsAgainst, the legacy
+ * homeGoals/awayGoals/ourTeam form or goals/goals_for/goals_against. A stored W/D/L result wins over
+ * the score; venue is '' when unknown.
+ */
+function normalizeMatch(match) {
+    let goalsFor, goalsAgainst;
+    let venue = match.venue;
+    if (!('goalsFor' in match) && ('homeGoals' in match || 'awayGoals' in match)) {
+        const home = Number(match.homeGoals) || 0;
+        const away = Number(match.awayGoals) || 0;
+        goalsFor = match.ourTeam ? home : away;
+        goalsAgainst = match.ourTeam ? away : home;
+        if (!venue) venue = match.ourTeam ? 'home' : 'away';
+    } else {
+        goalsFor = Number(match.goalsFor ?? match.goals_for ?? match.goals) || 0;
+        goalsAgainst = Number(match.goalsAgainst ?? match.goals_against) || 0;
+    }
+    const stored = String(match.result || '').toUpperCase();
+    return {
+        goalsFor,
+        goalsAgainst,
+        venue: MATCH_VENUE_LABELS[venue] ? venue : '',
+        result: ['W', 'D', 'L'].includes(stored) ? stored : getMatchResult(goalsFor, goalsAgainst)
+    };
+}
+
+// Logged matches by date (undated ones last, in the order they were added)
+function sortMatchesByDate(matches) {
+    return matches
+        .map((match, index) => ({ match, index }))
+        .sort((a, b) => (a.match.date || '\uffff').localeCompare(b.match.date || '\uffff') || a.index - b.index)
+        .map(item => item.match);
+}
+
+/**
+ * Played, clean sheets and home/away records of logged matches
+ */
+function computeMatchLogSplits(matches) {
+    const empty = () => ({ played: 0, wins: 0, draws: 0, losses: 0, goalsFor: 0, goalsAgainst: 0, cleanSheets: 0 });
+    const splits = { total: empty(), home: empty(), away: empty() };
+    matches.forEach(m => {
+        const { goalsFor: gf, goalsAgainst: ga, venue, result } = normalizeMatch(m);
+        [splits.total, splits[venue]].filter(Boolean).forEach(s => {
+            s.played++;
+            if (result === 'W') s.wins++;
+            else if (result === 'D') s.draws++;
+            else s.losses++;
+            s.goalsFor += gf;
+            s.goalsAgainst += ga;
+            if (ga === 0) s.cleanSheets++;
+        });
+    });
+    return splits;
+}
+
+function matchPlayerName(season, playerId) {
+    const entry = findPlayerInSeason(season, playerId);
+    return entry ? `${entry.player.firstName || ''} ${entry.player.lastName || ''}`.trim() : 'Unknown player';
+}
+
+// "Name (2), Name" for the players of a match with a count in `field`
+function formatMatchContributors(season, match, field) {
+    return (Array.isArray(match.players) ? match.players : [])
+        .filter(p => Number(p[field]) > 0)
+        .map(p => `${matchPlayerName(season, p.playerId)}${Number(p[field]) > 1 ? ` (${p[field]})` : ''}`)
+        .join(', ');
+}
+
+function renderMatchLogHTML(season) {
+    const matches = sortMatchesByDate(getLoggedMatches(season));
+    if (matches.length === 0) return '<div class="text-sm text-gray-500">No matches logged. The record above comes from the season stats editor until you add one.</div>';
+    const resultClass = { W: 'bg-green-100 text-green-800', D: 'bg-gray-200 text-gray-800', L: 'bg-red-100 text-red-800' };
+    return `
+        <div class="overflow-x-auto">
+            <table class="min-w-full text-sm">
+                <thead class="bg-gray-50 text-left"><tr>${['Date', 'Competition', 'Opponent', 'Venue', 'Score', '', 'Scorers', 'Assists', 'Cards', ''].map(h => `<th class="px-2 py-1">${h}</th>`).join('')}</tr></thead>
+                <tbody class="divide-y divide-gray-200">${matches.map(m => {
+                    const { goalsFor, goalsAgainst, venue, result } = normalizeMatch(m);
+                    return `
+                    <tr>
+                        <td class="px-2 py-1">${escapeHtml(m.date || '-')}</td>
+                        <td class="px-2 py-1">${escapeHtml(m.competition || '-')}</td>
+                        <td class="px-2 py-1">${escapeHtml(m.opponent || '-')}</td>
+                        <td class="px-2 py-1">${MATCH_VENUE_LABELS[venue] || '-'}</td>
+                        <td class="px-2 py-1 font-mono">${goalsFor}–${goalsAgainst}</td>
+                        <td class="px-2 py-1"><span class="px-2 rounded text-xs font-semibold ${resultClass[result]}">${result}</span></td>
+                        <td class="px-2 py-1">${escapeHtml(formatMatchContributors(season, m, 'goals'))}</td>
+                        <td class="px-2 py-1">${escapeHtml(formatMatchContributors(season, m, 'assists'))}</td>
+                        <td class="px-2 py-1">${[['yellowCards', '🟨'], ['redCards', '🟥']].map(([field, icon]) => {
+                            const names = formatMatchContributors(season, m, field);
+                            return names ? `${icon} ${escapeHtml(names)}` : '';
+                        }).filter(Boolean).join(' ')}</td>
+                        <td class="px-2 py-1 whitespace-nowrap">
+                            <button onclick="openMatchModal('${escapeHtml(m.id)}')" class="text-blue-600" title="Edit">✏️</button>
+                            <button onclick="deleteMatch('${escapeHtml(m.id)}')" class="text-red-600" title="Delete">🗑️</button>
+                        </td>
+                    </tr>`;
+                }).join('')}</tbody>
+            </table>
+        </div>`;
+}
+
+/**
+ * Open the match dialog, empty or for a logged match
+ */
+function openMatchModal(matchId = null) {
+    const season = getCurrentSeason();
+    if (!season) return alert('No season selected');
+    const match = matchId ? getLoggedMatches(season).find(m => m.id === matchId) : null;
+    if (matchId && !match) return alert('Match not found');
+    editingMatchId = match ? match.id : null;
+    const score = match ? normalizeMatch(match) : null;
+
+    document.getElementById('matchModalTitle').textContent = match ? 'Edit Match' : 'Add Match';
+    document.getElementById('matchDate').value = match ? match.date || '' : new Date().toISOString().split('T')[0];
+    document.getElementById('matchCompetition').value = match ? match.competition || '' : '';
+    document.getElementById('matchOpponent').value = match ? match.opponent || '' : '';
+    document.getElementById('matchVenue').value = score && score.venue ? score.venue : 'home';
+    document.getElementById('matchGoalsFor').value = score ? score.goalsFor : '';
+    document.getElementById('matchGoalsAgainst').value = score ? score.goalsAgainst : '';
+    document.getElementById('matchError').classList.add('hidden');
+
+    // competitions used anywhere in the career as suggestions
+    const competitions = [...new Set(currentSeasons.flatMap(s => getLoggedMatches(s).map(m => m.competition)).filter(Boolean))].sort();
+    document.getElementById('matchCompetitionList').innerHTML = competitions.map(c => `<option value="${escapeHtml(c)}">`).join('');
+
+    const container = document.getElementById('matchPlayersContainer');
+    container.innerHTML = '';
+    (match && Array.isArray(match.players) ? match.players : []).forEach(entry => addMatchPlayerRow(container, entry));
+
+    trackOpenEdit(season.id, null, closeMatchModal);
+    document.getElementById('matchModal').classList.remove('hidden');
+}
+
+function closeMatchModal() {
+    document.getElementById('matchModal').classList.add('hidden');
+    editingMatchId = null;
+    openEditRecord = null;
+}
+
+// One player line of the match dialog: player, started or came on, goals, assists, cards, match rating
+function addMatchPlayerRow(container, entry = {}) {
+    const season = getCurrentSeason();
+    const row = document.createElement('div');
+    row.setAttribute('data-match-player-row', '');
+    row.className = 'grid grid-cols-4 md:grid-cols-9 gap-2 items-center';
+    const options = (season ? getSeasonRosterEntries(season) : []).map(({ player }) => {
+        const name = `${player.firstName || ''} ${player.lastName || ''}`.trim() || player.id;
+        return `<option value="${escapeHtml(player.id)}" ${String(player.id) === String(entry.playerId) ? 'selected' : ''}>${escapeHtml(name)}${player.role ? ` (${escapeHtml(player.role)})` : ''}</option>`;
+    }).join('');
+    const lineup = MATCH_LINEUP_LABELS[entry.lineup] ? entry.lineup : 'starter';
+    const numberInput = (field, placeholder, attrs) => `<input type="number" ${attrs} class="match-${field} border border-gray-300 rounded px-2 py-1 w-full" value="${escapeHtml(entry[field] ?? '')}" placeholder="${placeholder}" title="${placeholder}">`;
+    row.innerHTML = `
+        <select class="match-playerId border border-gray-300 rounded px-2 py-1 col-span-3"><option value="">-- Select player --</option>${options}</select>
+        <select class="match-lineup border border-gray-300 rounded px-2 py-1">${Object.entries(MATCH_LINEUP_LABELS).map(([key, label]) => `<option value="${key}" ${key === lineup ? 'selected' : ''}>${label}</option>`).join('')}</select>
+        ${numberInput('goals', 'goals', 'min="0"')}
+        ${numberInput('assists', 'assists', 'min="0"')}
+        ${numberInput('yellowCards', 'yellow', 'min="0" max="2"')}
+        ${numberInput('redCards', 'red', 'min="0" max="1"')}
+        <div class="flex gap-2 items-center">
+            ${numberInput('rating', 'rating', 'min="0" max="10" step="0.1"')}
+            <button type="button" class="text-red-600 remove-match-player" title="Remove">✕</button>
+        </div>
+    `;
+    container.appendChild(row);
+    row.querySelector('.remove-match-player').addEventListener('click', () => row.remove());
+}
+
+// Lineup of the latest logged match as player lines, so only the changes need typing
+function copyLastMatchLineup() {
+    const season = getCurrentSeason();
+    const container = document.getElementById('matchPlayersContainer');
+    const last = sortMatchesByDate(getLoggedMatches(season).filter(m => m.id !== editingMatchId)).pop();
+    if (!season || !container) return;
+    if (!last || !Array.isArray(last.players) || last.players.length === 0) return alert('No earlier match with a lineup');
+    const listed = new Set(Array.from(container.querySelectorAll('.match-playerId')).map(select => select.value).filter(Boolean));
+    last.players
+        .filter(p => (p.lineup || 'starter') === 'starter' && !listed.has(String(p.playerId)) && findPlayerInSeason(season, p.playerId))
+        .forEach(p => addMatchPlayerRow(container, { playerId: p.playerId, lineup: 'starter' }));
+}
+
+const MATCH_PLAYER_NUMBER_RULES = {
+    goals: { min: 0, integer: true, label: 'Goals' },
+    assists: { min: 0, integer: true, label: 'Assists' },
+    yellowCards: { min: 0, max: 2, integer: true, label: 'Yellow cards' },
+    redCards: { min: 0, max: 1, integer: true, label: 'Red cards' },
+    rating: { min: 0, max: 10, label: 'Match ratings' }
+};
+
+/**
+ * Read and check the match dialog; returns { match } or { error }
+ */
+function getMatchFormData() {
+    const number = id => document.getElementById(id).value.trim();
+    const goalsFor = number('matchGoalsFor');
+    const goalsAgainst = number('matchGoalsAgainst');
+    const opponent = document.getElementById('matchOpponent').value.trim();
+    if (!opponent) return { error: 'Enter the opponent.' };
+    for (const [label, text] of [['Goals for', goalsFor], ['Goals against', goalsAgainst]]) {
+        if (text === '' || !Number.isInteger(Number(text)) || Number(text) < 0) return { error: `${label} must be a whole number of 0 or more.` };
+    }
+
+    const players = [];
+    const seen = new Set();
+    for (const row of document.querySelectorAll('#matchPlayersContainer [data-match-player-row]')) {
+        const playerId = row.querySelector('.match-playerId').value;
+        const entry = { playerId, lineup: row.querySelector('.match-lineup').value };
+        let hasNumbers = false;
+        for (const [field, rule] of Object.entries(MATCH_PLAYER_NUMBER_RULES)) {
+            const text = row.querySelector(`.match-${field}`).value.trim();
+            if (text === '') continue;
+            const n = Number(text);
+            if (isNaN(n) || n < rule.min || (rule.max !== undefined && n > rule.max) || (rule.integer && !Number.isInteger(n))) {
+                return { error: `${rule.label} must be ${rule.integer ? 'whole numbers' : 'numbers'} ${rule.max !== undefined ? `from ${rule.min} to ${rule.max}` : `of ${rule.min} or more`}.` };
+            }
+            entry[field] = n;
+            hasNumbers = true;
+        }
+        if (!playerId) {
+            if (hasNumbers) return { error: 'Select a player for every line with goals, assists, cards or a rating.' };
+            continue;
+        }
+        if (seen.has(playerId)) return { error: `${matchPlayerName(getCurrentSeason(), playerId)} is listed twice.` };
+        seen.add(playerId);
+        players.push(entry);
+    }
+    const total = field => players.reduce((sum, p) => sum + (p[field] || 0), 0);
+    if (total('goals') > Number(goalsFor)) return { error: `The players scored ${total('goals')} goals but the team only ${goalsFor}.` };
+    if (total('assists') > Number(goalsFor)) return { error: `There are ${total('assists')} assists for ${goalsFor} goals.` };
+    const starters = players.filter(p => p.lineup === 'starter').length;
+    if (starters > MATCH_MAX_STARTERS) return { error: `${starters} players started; a lineup has at most ${MATCH_MAX_STARTERS}.` };
+
+    return {
+        match: {
+            date: document.getElementById('matchDate').value,
+            competition: document.getElementById('matchCompetition').value.trim(),
+            opponent,
+            venue: document.getElementById('matchVenue').value,
+            goalsFor: Number(goalsFor),
+            goalsAgainst: Number(goalsAgainst),
+            result: getMatchResult(Number(goalsFor), Number(goalsAgainst)),
+            players
+        }
+    };
+}
+
+/**
+ * Season totals of every player in the match log, keyed by player id: an appearance per match the
+ * player started or came on in, a clean sheet per such match without a goal against (only used for
+ * MATCH_CLEAN_SHEET_GROUPS, see getMatchLogStatFields) and the average of the match ratings given
+ * (0 without ratings).
+ */
+function computeMatchLogPlayerStats(season) {
+    const stats = {};
+    getLoggedMatches(season).forEach(match => {
+        const cleanSheet = normalizeMatch(match).goalsAgainst === 0;
+        (Array.isArray(match.players) ? match.players : []).forEach(entry => {
+            if (!isPlainObject(entry) || isBlank(entry.playerId)) return;
+            const s = stats[entry.playerId] = stats[entry.playerId] || { appearances: 0, goals: 0, assists: 0, cleanSheets: 0, yellowCards: 0, redCards: 0, ratings: [] };
+            s.appearances++;
+            s.goals += Number(entry.goals) || 0;
+            s.assists += Number(entry.assists) || 0;
+            s.yellowCards += Number(entry.yellowCards) || 0;
+            s.redCards += Number(entry.redCards) || 0;
+            if (cleanSheet) s.cleanSheets++;
+            if (!isBlank(entry.rating) && !isNaN(Number(entry.rating))) s.ratings.push(Number(entry.rating));
+        });
+    });
+    Object.values(stats).forEach(s => {
+        s.avgRating = s.ratings.length ? Math.round(s.ratings.reduce((a, b) => a + b, 0) / s.ratings.length * 10) / 10 : 0;
+        delete s.ratings;
+    });
+    return stats;
+}
+
+// roles credited with a clean sheet; the log leaves the cleanSheets of other players as they are
+const MATCH_CLEAN_SHEET_GROUPS = ['Goalkeepers', 'Defenders'];
+
+function getMatchLogStatFields(role) {
+    return MATCH_CLEAN_SHEET_GROUPS.includes(getPositionGroup(role)) ? ROLLOVER_STAT_FIELDS : ROLLOVER_STAT_FIELDS.filter(field => field !== 'cleanSheets');
+}
+
+/**
+ * Player stats follow the match log only after the user agreed to it for the season (saveMatch asks
+ * with the first match that has a lineup) and while a logged match has a lineup, so older single
+ * matches without players never replace typed-in stats.
+ */
+function matchLogDrivesStats(season) {
+    return !!season && season.statsFromLog === true
+        && getLoggedMatches(season).some(m => Array.isArray(m.players) && m.players.length > 0);
+}
+
+// Per-season stats of a player as the match log has them (all 0 when the player never played)
+function getMatchLogStatsFor(logStats, playerId) {
+    const s = logStats[playerId] || {};
+    return Object.fromEntries(ROLLOVER_STAT_FIELDS.map(field => [field, s[field] || 0]));
+}
+
+/**
+ * Write the match log totals into every squad player without manual stats.
+ * Does nothing unless matchLogDrivesStats(). Returns the number of players changed.
+ */
+function applyMatchLogStats(season) {
+    if (!matchLogDrivesStats(season)) return 0;
+    const logStats = computeMatchLogPlayerStats(season);
+    let changed = 0;
+    getSeasonRosterEntries(season).forEach(({ player }) => {
+        if (player.manualStats) return;
+        const derived = getMatchLogStatsFor(logStats, player.id);
+        const fields = getMatchLogStatFields(player.role);
+        if (fields.some(field => (Number(player[field]) || 0) !== derived[field])) changed++;
+        fields.forEach(field => { player[field] = derived[field]; });
+    });
+    return changed;
+}
+
+function saveMatch() {
+    const season = getCurrentSeason();
+    if (!season) return alert('No season selected');
+    const { match, error } = getMatchFormData();
+    const errorEl = document.getElementById('matchError');
+    if (error) {
+        errorEl.textContent = error;
+        errorEl.classList.remove('hidden');
+        return;
+    }
+    if (!confirmOpenEditSave(`The season "${season.name}"`)) {
+        closeMatchModal();
+        return;
+    }
+    // the first match with a lineup takes over the player stats typed in so far, unless they are kept
+    if (!season.statsFromLog && match.players.length > 0) {
+        const typedIn = getSeasonRosterEntries(season).filter(({ player }) => !player.manualStats && getMatchLogStatFields(player.role).some(field => Number(player[field]) > 0));
+        if (typedIn.length && !confirm(`${typedIn.length} player${typedIn.length === 1 ? ' has' : 's have'} appearances, goals or other stats typed in. From now on these are computed from the match log.\n\nOK: compute them from the log\nCancel: keep the typed-in stats (marked as manual for ${typedIn.length === 1 ? 'this player' : 'these players'})`)) {
+            typedIn.forEach(({ player }) => { player.manualStats = true; });
+        }
+        season.statsFromLog = true;
+    }
+    if (!Array.isArray(season.matches)) season.matches = [];
+    const existing = editingMatchId ? season.matches.find(m => isPlainObject(m) && m.id === editingMatchId) : null;
+    if (existing) {
+        Object.assign(existing, match);
+    } else {
+        season.matches.push(Object.assign({ id: generateId() }, match));
+    }
+    applyMatchLogStats(season);
+    saveToStorage(`${existing ? 'Edit' : 'Add'} match vs ${match.opponent}`);
+    closeMatchModal();
+    renderPlayers();
+    try { renderSeasonStatsPanel(season); } catch (e) { console.warn(e); }
+}
+
+function deleteMatch(matchId) {
+    const season = getCurrentSeason();
+    const match = getLoggedMatches(season).find(m => m.id === matchId);
+    if (!match || !confirm(`Delete the match against ${match.opponent || 'unknown opponent'}${match.date ? ` on ${match.date}` : ''}?`)) return;
+    season.matches = season.matches.filter(m => m !== match);
+    applyMatchLogStats(season);
+    saveToStorage(`Delete match vs ${match.opponent || 'unknown opponent'}`);
+    renderPlayers();
+    try { renderSeasonStatsPanel(season); } catch (e) { console.warn(e); }
+}
+
+/**
+ * Lock the stat inputs of the player dialog to the match log totals, unless the player keeps
+ * manual stats. Transfer list entries and seasons whose stats do not follow the log are not
+ * affected; clean sheets stay editable for roles the log does not credit.
+ */
+function updatePlayerStatsLock() {
+    const season = getCurrentSeason();
+    const section = document.getElementById('matchLogStatsSection');
+    const manualInput = document.getElementById('manualStats');
+    if (!section || !manualInput) return;
+    const logged = editingTransferKey || !matchLogDrivesStats(season) ? 0 : getLoggedMatches(season).length;
+    section.classList.toggle('hidden', logged === 0);
+    document.getElementById('matchLogStatsNote').textContent = `computed from the ${logged} logged match${logged === 1 ? '' : 'es'}.`;
+    const locked = logged > 0 && !manualInput.checked;
+    const derived = locked ? getMatchLogStatsFor(computeMatchLogPlayerStats(season), editingPlayerId) : null;
+    const roleInput = document.getElementById('role');
+    const fields = getMatchLogStatFields(roleInput ? roleInput.value : '');
+    ROLLOVER_STAT_FIELDS.forEach(field => {
+        const input = document.getElementById(field);
+        if (!input) return;
+        const fieldLocked = locked && fields.includes(field);
+        if (fieldLocked) input.value = derived[field] || '';
+        input.disabled = fieldLocked;
+    });
+}
+
+/**
+ * Render charts
+ */
+function renderCharts() {
+    const players = getCurrentPlayers();
+    const playersArray = Object.values(players);
+    
+    if (playersArray.length === 0) {
+        return;
+    }
+    
+    renderAgeChart(playersArray);
+    renderRoleChart(playersArray);
+    // Position stat chart
+    renderPositionStatChart(playersArray);
+    // General categorical distribution donut (nationality, role, foot, contract year)
+    renderGeneralDonutChart(playersArray);
+}
+
+/**
+ * Render average of selected stat by position (role code)
+ */
+function renderPositionStatChart(players) {
+    const select = document.getElementById('statSelect');
+    const stat = select ? select.value : 'overall';
+    const ctxEl = document.getElementById('positionStatChart');
+    if (!ctxEl) return;
+    const ctx = ctxEl.getContext('2d');
+
+    // destroy existing chart
+    if (charts.positionStatChart) charts.positionStatChart.destroy();
+
+    // compute averages per position
+    // compute group averages for position groups
+    const averages = computeGroupAverages(players.reduce((acc, p) => { acc[p.id || generateId()] = p; return acc; }, {}));
+    // Use POSITION_GROUPS order for labels so charts match other chart ordering
+    const labels = Object.keys(POSITION_GROUPS).filter(g => averages[g]);
+    // include any extra groups at the end
+    const extra = Object.keys(averages).filter(k => !labels.includes(k)).sort();
+    labels.push(...extra);
+    const data = [];
+    const bg = [];
+
+    labels.forEach(pos => {
+        const a = averages[pos];
+        let value = 0;
+        if (stat === 'nationality') {
+            value = a.nationalityCount || 0;
+        } else if (stat === 'foot') {
+            value = a.footCount || 0;
+        } else if (stat === 'contractEnd') {
+            // contractEnd avg is stored as a numeric value (digit or rounded decimal)
+            value = a.contractEnd !== null && a.contractEnd !== undefined && a.contractEnd !== '' ? Number(a.contractEnd) : 0;
+        } else {
+            value = Number(a[stat]) || 0;
+        }
+
+    data.push(value);
+    // color by position group using GROUP_COLORS mapping
+    const color = GROUP_COLORS[pos] ? GROUP_COLORS[pos].color : '#9CA3AF';
+    bg.push(color);
+    });
+
+    charts.positionStatChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [{
+                label: `Average ${stat} by Position Group`,
+                data,
+                backgroundColor: bg,
+                borderColor: bg,
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: { legend: { display: false } },
+            scales: { y: { beginAtZero: true } }
+        }
+    });
+}
+
+/**
+ * Render average age by position chart
+ */
+function renderAgeChart(players) {
+    const ctx = document.getElementById('ageChart').getContext('2d');
+    
+    // Destroy existing chart
+    if (charts.ageChart) {
+        charts.ageChart.destroy();
+    }
+    
+    // Calculate average age by position group
+    const ageData = {};
+    Object.entries(POSITION_GROUPS).forEach(([groupName, positions]) => {
+        const groupPlayers = players.filter(p => positions.includes(p.role));
+        if (groupPlayers.length > 0) {
+            const avgAge = groupPlayers.reduce((sum, p) => sum + (p.age || 0), 0) / groupPlayers.length;
+            ageData[groupName] = Math.round(avgAge * 10) / 10;
+        }
+    });
+    
+    charts.ageChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: Object.keys(ageData),
+            datasets: [{
+                label: 'Average Age',
+                data: Object.values(ageData),
+                backgroundColor: Object.keys(ageData).map(g => (GROUP_COLORS[g] ? GROUP_COLORS[g].color : '#9CA3AF')),
+                borderColor: Object.keys(ageData).map(g => (GROUP_COLORS[g] ? GROUP_COLORS[g].color : '#6B7280')),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                legend: {
+                    display: false
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Age'
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Render role distribution chart
+ */
+function renderRoleChart(players) {
+    const ctx = document.getElementById('roleChart').getContext('2d');
+    
+    // Destroy existing chart
+    if (charts.roleChart) {
+        charts.roleChart.destroy();
+    }
+    
+    // Count players by role
+    const roleCounts = {};
+    players.forEach(player => {
+        const role = player.role || 'Unknown';
+        roleCounts[role] = (roleCounts[role] || 0) + 1;
+    });
+    
+    charts.roleChart = new Chart(ctx, {
+        type: 'doughnut',
+        data: {
+            labels: Object.keys(roleCounts),
+            datasets: [{
+                data: Object.values(roleCounts),
+                // Map each role to its position group color, fallback to gray
+                backgroundColor: Object.keys(roleCounts).map(role => {
+                    // find which group contains this role
+                    for (const [groupName, positions] of Object.entries(POSITION_GROUPS)) {
+                        if (positions.includes(role)) return GROUP_COLORS[groupName].color;
+                    }
+                    return '#9CA3AF';
+                }),
+                borderWidth: 2,
+                borderColor: '#ffffff'
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                legend: {
+                    position: 'right'
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Render donut chart showing total value (or count fallback) by position group.
+ * Uses GROUP_COLORS for slice colors so groups match other visuals.
+ */
+
+/**
+ * Render a general donut chart for categorical distributions (nationality, role, foot, contract year)
+ */
+function renderGeneralDonutChart(players) {
+    const select = document.getElementById('generalStatSelect');
+    const stat = select ? select.value : 'nationality';
+    const ctxEl = document.getElementById('generalDonutChart');
+    if (!ctxEl) return;
+    const ctx = ctxEl.getContext('2d');
+
+    // destroy existing chart
+    if (charts.generalDonutChart) charts.generalDonutChart.destroy();
+
+    // build counts
+    const counts = {};
+    const inc = k => { counts[k] = (counts[k] || 0) + 1; };
+
+    players.forEach(p => {
+        // categorical
+        if (stat === 'nationality') { inc(p.nationality || 'Unknown'); return; }
+        if (stat === 'role') { inc(p.role || 'Unknown'); return; }
+        if (stat === 'foot') { inc(p.foot || 'Unknown'); return; }
+        if (stat === 'contractEnd') {
+            if (p.contractEnd !== undefined && p.contractEnd !== null && p.contractEnd !== '') {
+                const c = Number(p.contractEnd);
+                if (!isNaN(c)) inc(String(c)); else inc('Unknown');
+            } else inc('Unknown');
+            return;
+        }
+
+        // numeric: show every single value for overall/potential (e.g. 80,85,90)
+        if (stat === 'overall' || stat === 'potential') {
+            const val = parseInt(p[stat]);
+            if (!val || isNaN(val) || val <= 0) { inc('Unknown'); return; }
+            inc(String(val));
+            return;
+        }
+
+        // attributes: 10-point rating bands (e.g. 70-79)
+        if (PLAYER_ATTRIBUTES.some(a => a.key === stat)) {
+            const v = getPlayerAttribute(p, stat);
+            if (v === null) { inc('Unknown'); return; }
+            const band = Math.floor(v / 10) * 10;
+            inc(`${band}-${band + 9}`);
+            return;
+        }
+
+        // skills and weakFoot: treat as exact counts (1-5)
+        if (stat === 'skills' || stat === 'weakFoot') {
+            const v = p[stat];
+            if (v === null || v === undefined || v === '') { inc('Unknown'); return; }
+            inc(String(v));
+            return;
+        }
+
+        // fallback
+        inc('Unknown');
+    });
+
+    // sort keys by count desc and include all categories (no 'Other' grouping)
+    const entries = Object.entries(counts).sort((a,b) => b[1] - a[1]);
+    const labels = entries.map(e => e[0]);
+    const data = entries.map(e => e[1]);
+
+    // build colors (reuse GROUP_COLORS when possible, otherwise generate palette)
+    const palette = ['#4F46E5','#10B981','#F59E0B','#EF4444','#3B82F6','#8B5CF6','#06B6D4','#F97316','#14B8A6','#6366F1','#9CA3AF'];
+    const bg = labels.map((lbl, i) => {
+        // try match group color by label (if label matches a POSITION_GROUP name)
+        if (GROUP_COLORS[lbl]) return GROUP_COLORS[lbl].color;
+        // try to map common values
+        if (/^Unknown$/i.test(lbl)) return '#9CA3AF';
+        return palette[i % palette.length];
+    });
+
+    charts.generalDonutChart = new Chart(ctx, {
+        type: 'doughnut',
+        data: {
+            labels,
+            datasets: [{
+                data,
+                backgroundColor: bg,
+                borderColor: '#ffffff',
+                borderWidth: 2
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                legend: { position: 'right' },
+                tooltip: {
+                    // Disable built-in tooltip when showing nationality so only the custom tooltip appears.
+                    // For other stats keep the normal built-in Chart.js tooltip enabled.
+                    enabled: (stat !== 'nationality'),
+                    external: function(context) {
+                        // Only show the rich custom tooltip for nationality stat
+                        if (stat !== 'nationality') {
+                            // If a custom tooltip element exists from a previous hover, hide it
+                            const existing = document.getElementById('chartjs-tooltip-general');
+                            if (existing) existing.style.opacity = 0;
+                            return;
+                        }
+
+                        const tooltipModel = context.tooltip;
+                        let tooltipEl = document.getElementById('chartjs-tooltip-general');
+
+                        // Create tooltip element if not present
+                        if (!tooltipEl) {
+                            tooltipEl = document.createElement('div');
+                            tooltipEl.id = 'chartjs-tooltip-general';
+                            tooltipEl.style.position = 'absolute';
+                            tooltipEl.style.zIndex = 9999;
+                            tooltipEl.style.pointerEvents = 'none';
+                            tooltipEl.style.transition = 'opacity 0.08s ease';
+                            document.body.appendChild(tooltipEl);
+                        }
+
+                        // Hide if no tooltip
+                        if (tooltipModel.opacity === 0) {
+                            tooltipEl.style.opacity = 0;
+                            return;
+                        }
+
+                        // Use first dataPoint if present
+                        const dp = (tooltipModel.dataPoints && tooltipModel.dataPoints[0]) || null;
+                        if (!dp) { tooltipEl.style.opacity = 0; return; }
+
+                        const label = dp.label || 'Unknown';
+                        const value = Number(dp.parsed || dp.raw || dp.formattedValue || 0);
+
+                        // Compute total for percent
+                        const chart = context.chart;
+                        const dataset = (chart.data && chart.data.datasets && chart.data.datasets[0]) || null;
+                        const total = dataset ? dataset.data.reduce((s, v) => s + Number(v || 0), 0) : 0;
+                        const percent = total ? Math.round((value / total) * 100) : 0;
+
+                        // Resolve country mapping to get display name and flag filename
+                        let mapping = COUNTRY_MAP[label] || COUNTRY_MAP[label.toUpperCase()];
+                        // If not found by code, try matching by English name (case-insensitive)
+                        if (!mapping) {
+                            const byName = Object.values(COUNTRY_MAP).find(c => (c.name || '').toLowerCase() === String(label || '').toLowerCase());
+                            if (byName) mapping = byName;
+                        }
+
+                        let displayName = label;
+                        let flagFile = label;
+                        if (mapping) {
+                            displayName = mapping.name || label;
+                            flagFile = mapping.flag || label;
+                        } else {
+                            // fallback heuristics: 3-letter codes -> first 2 letters; 2-letter codes use directly
+                            const L = (label || '').toString();
+                            if (L.length === 3) flagFile = L.substring(0,2).toUpperCase();
+                            else if (L.length === 2) flagFile = L.toUpperCase();
+                        }
+
+                        const imgSrc = `flags/${flagFile}.svg`;
+
+                        // Build HTML
+                        tooltipEl.innerHTML = `
+                            <div style="display:flex;align-items:center;gap:8px;padding:6px 8px;background:rgba(255,255,255,0.98);border:1px solid rgba(0,0,0,0.08);box-shadow:0 4px 12px rgba(0,0,0,0.12);border-radius:6px;font-family:inherit;font-size:13px;color:#111">
+                                <img src="${imgSrc}" alt="${escapeHtml(displayName)}" style="width:22px;height:14px;object-fit:cover;flex-shrink:0;" onerror="this.style.display='none'" />
+                                <div style="line-height:1">
+                                    <div style="font-weight:600">${escapeHtml(displayName)}</div>
+                                    <div style="font-size:12px;color:#555">${value} (${percent}%)</div>
+                                </div>
+                            </div>
+                        `;
+
+                        // Position tooltip near the caret
+                        const canvasRect = chart.canvas.getBoundingClientRect();
+                        const left = canvasRect.left + window.pageXOffset + (tooltipModel.caretX || 0);
+                        const top = canvasRect.top + window.pageYOffset + (tooltipModel.caretY || 0);
+                        tooltipEl.style.left = (left + 12) + 'px';
+                        tooltipEl.style.top = (top + 12) + 'px';
+                        tooltipEl.style.opacity = 1;
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Destroy all charts
+ */
+function destroyCharts() {
+    Object.values(charts).forEach(chart => {
+        if (chart) chart.destroy();
+    });
+    charts = {};
+}
+
+/**
+ * Player history
+ * nextSeason() keeps player ids, so the same person can be followed through every season of the career.
+ */
+let playerHistoryCharts = {};
+
+/**
+ * One entry per season (in career order) that has the player in a squad or a transfer list:
+ * { season, squad: 'main_squad' | 'youth_academy' | null, player, transferLabels }
+ * Seasons only known from a rollover archive (player.statsHistory) come first, labelled 'archived'.
+ */
+function getPlayerHistory(playerId) {
+    const history = [];
+    const seasonIds = new Set(currentSeasons.map(s => s.id));
+    // seasons archived on the player by a rollover whose season is no longer in the career
+    const archived = {};
+    currentSeasons.forEach(season => {
+        const entry = findPlayerInSeason(season, playerId);
+        if (!entry || !Array.isArray(entry.player.statsHistory)) return;
+        entry.player.statsHistory.forEach(h => {
+            if (h && !seasonIds.has(h.seasonId)) archived[h.seasonId] = h;
+        });
+    });
+    Object.values(archived).forEach(h => {
+        history.push({
+            season: { id: h.seasonId, name: h.seasonName || 'Archived season', year: h.year, currency: h.currency },
+            squad: h.squad || null,
+            player: h,
+            transferLabels: ['archived']
+        });
+    });
+
+    currentSeasons.forEach(season => {
+        const entry = findPlayerInSeason(season, playerId);
+        const transfers = season.transfers || {};
+        const lists = Object.values(TRANSFER_KEYS).filter(key =>
+            Array.isArray(transfers[key]) && transfers[key].some(p => p && p.id === playerId));
+        if (!entry && lists.length === 0) return;
+        history.push({
+            season,
+            squad: entry ? entry.squad : null,
+            player: entry ? entry.player : transfers[lists[0]].find(p => p && p.id === playerId),
+            transferLabels: lists.map(key => TRANSFER_LABELS[key])
+        });
+    });
+    return history;
+}
+
+function destroyPlayerHistoryCharts() {
+    Object.values(playerHistoryCharts).forEach(chart => {
+        if (chart) chart.destroy();
+    });
+    playerHistoryCharts = {};
 }
 
-/**
- * Show season validation error
- */
-function showSeasonError(fieldId, message) {
-    const errorElement = document.getElementById(fieldId + 'Error');
-    errorElement.textContent = message;
-    errorElement.classList.remove('hidden');
+function renderPlayerHistoryChart(canvasId, labels, datasets, scales) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || typeof Chart === 'undefined') return;
+    playerHistoryCharts[canvasId] = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels,
+            datasets: datasets.map(ds => Object.assign({ tension: 0.2, spanGaps: true, pointRadius: 3 }, ds))
+        },
+        options: {
+            responsive: true,
+            interaction: { mode: 'index', intersect: false },
+            scales
+        }
+    });
 }
 
 /**
- * Clear season validation errors
+ * Open the profile of a player with a per-season table and development charts
  */
-function clearSeasonErrors() {
-    document.querySelectorAll('#seasonForm .text-red-500').forEach(el => {
-        el.classList.add('hidden');
+function openPlayerHistory(playerId) {
+    const history = getPlayerHistory(playerId);
+    if (history.length === 0) return alert('Player not found in any season.');
+
+    const latest = history[history.length - 1].player;
+    // attributes are shown as of the selected season when the player is in it
+    const profile = history.find(h => h.season.id === currentSeasonId) || history[history.length - 1];
+    const value = (n) => (n === undefined || n === null || n === '') ? null : Number(n);
+    const squadLabels = { main_squad: 'Main Squad', youth_academy: 'Youth Academy' };
+    const rows = history.map(({ season, squad, player, transferLabels }) => {
+        const currency = CURRENCY_SYMBOLS[season.currency] || '$';
+        const status = [squad ? squadLabels[squad] : ''].concat(transferLabels).filter(Boolean).join(', ');
+        return `
+            <tr class="${season.id === currentSeasonId ? 'bg-gray-50 font-medium' : ''}">
+                <td>${escapeHtml(season.name)}</td>
+                <td>${escapeHtml(status)}</td>
+                <td>${escapeHtml(player.age || '-')}</td>
+                <td>${escapeHtml(player.overall || '-')}</td>
+                <td>${escapeHtml(player.potential || '-')}</td>
+                <td>${currency}${formatNumber(player.value)}</td>
+                <td>${currency}${formatNumber(player.wage)}</td>
+                <td>${escapeHtml(player.appearances || 0)}</td>
+                <td>${escapeHtml(player.goals || 0)}</td>
+                <td>${escapeHtml(player.assists || 0)}</td>
+                <td>${escapeHtml(player.avgRating || '-')}</td>
+            </tr>`;
+    }).join('');
+
+    document.getElementById('playerHistoryTitle').textContent = `${latest.firstName || ''} ${latest.lastName || ''}`.trim() || 'Player History';
+    document.getElementById('playerHistoryContent').innerHTML = `
+        <div class="text-sm text-gray-500 mb-4">${renderNationalityHTML(latest.nationality)} • ${escapeHtml(latest.role || '-')} • ${history.length} season(s)</div>
+        ${hasPlayerAttributes(profile.player) ? `<h4 class="font-medium text-sm mb-2">Attributes · ${escapeHtml(profile.season.name)}</h4>${renderPlayerAttributesHTML(profile.player)}` : ''}
+        <div class="overflow-x-auto mb-6">
+            <table class="report-table">
+                <thead>
+                    <tr><th>Season</th><th>Squad</th><th>Age</th><th>OVR</th><th>POT</th><th>Value</th><th>Wage</th><th>App</th><th>G</th><th>A</th><th>Rating</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <div class="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <div class="bg-gray-50 p-3 rounded">
+                <h4 class="font-medium mb-2 text-sm">Overall / Potential</h4>
+                <canvas id="playerHistoryRatingChart" width="300" height="200"></canvas>
+            </div>
+            <div class="bg-gray-50 p-3 rounded">
+                <h4 class="font-medium mb-2 text-sm">Value / Wage</h4>
+                <canvas id="playerHistoryValueChart" width="300" height="200"></canvas>
+            </div>
+            <div class="bg-gray-50 p-3 rounded">
+                <h4 class="font-medium mb-2 text-sm">Performance</h4>
+                <canvas id="playerHistoryStatsChart" width="300" height="200"></canvas>
+            </div>
+        </div>
+    `;
+    document.getElementById('playerHistoryModal').classList.remove('hidden');
+
+    destroyPlayerHistoryCharts();
+    const labels = history.map(h => h.season.name);
+    const series = key => history.map(h => value(h.player[key]));
+    renderPlayerHistoryChart('playerHistoryRatingChart', labels, [
+        { label: 'OVR', data: series('overall'), borderColor: '#111827', backgroundColor: '#111827' },
+        { label: 'POT', data: series('potential'), borderColor: '#60A5FA', backgroundColor: '#60A5FA', borderDash: [6, 4] }
+    ], { y: { suggestedMin: 40, suggestedMax: 99 } });
+    renderPlayerHistoryChart('playerHistoryValueChart', labels, [
+        { label: 'Value', data: series('value'), borderColor: '#10B981', backgroundColor: '#10B981', yAxisID: 'y' },
+        { label: 'Wage', data: series('wage'), borderColor: '#F59E0B', backgroundColor: '#F59E0B', yAxisID: 'y1' }
+    ], {
+        y: { beginAtZero: true, title: { display: true, text: 'Value' } },
+        y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Wage' } }
+    });
+    renderPlayerHistoryChart('playerHistoryStatsChart', labels, [
+        { label: 'Apps', data: series('appearances'), borderColor: '#6B7280', backgroundColor: '#6B7280' },
+        { label: 'Goals', data: series('goals'), borderColor: '#EF4444', backgroundColor: '#EF4444' },
+        { label: 'Assists', data: series('assists'), borderColor: '#3B82F6', backgroundColor: '#3B82F6' },
+        { label: 'Avg Rating', data: series('avgRating'), borderColor: '#8B5CF6', backgroundColor: '#8B5CF6', yAxisID: 'y1' }
+    ], {
+        y: { beginAtZero: true },
+        y1: { min: 0, max: 10, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'Rating' } }
     });
 }
 
+function closePlayerHistory() {
+    destroyPlayerHistoryCharts();
+    document.getElementById('playerHistoryModal').classList.add('hidden');
+}
+
 /**
- * Open player modal
+ * Player comparison
+ * 2-4 players from any squad or transfer list of any season, side by side with a radar chart.
+ * Players are referenced by { seasonId, list, playerId } so the view always shows the stored data.
  */
-function openPlayerModal(playerId = null) {
-    editingPlayerId = playerId;
-    const modal = document.getElementById('playerModal');
-    const title = document.getElementById('modalTitle');
-    const form = document.getElementById('playerForm');
-    
-    if (playerId) {
-        const player = getCurrentPlayers()[playerId];
-        title.textContent = 'Edit Player';
-        populatePlayerForm(player);
-    } else {
-        title.textContent = 'Add Player';
-        form.reset();
+const COMPARE_MAX_PLAYERS = 4;
+const COMPARE_COLORS = ['#111827', '#EF4444', '#3B82F6', '#10B981'];
+let compareSelection = [];
+let comparePicker = { seasonId: null, list: 'main_squad' };
+let compareChart = null;
+
+// Table rows; `better` marks which value gets highlighted, `money` values are only compared in the same currency
+const COMPARE_FIELDS = [
+    { label: 'Nationality', html: p => p.nationality ? renderNationalityHTML(p.nationality, 16) : '-' },
+    { label: 'Role', text: p => p.role || '-' },
+    { label: 'Role types', text: p => getRoleTypeLabels(p).join(', ') || '-' },
+    { label: 'Playstyles', text: p => getPlaystyleLabels(p).join(', ') || '-' },
+    { key: 'overall', label: 'Overall', better: 'high' },
+    { key: 'potential', label: 'Potential', better: 'high' },
+    { key: 'age', label: 'Age' },
+    { key: 'contractEnd', label: 'Contract', better: 'high' },
+    { key: 'skills', label: 'Skills', better: 'high' },
+    { key: 'weakFoot', label: 'Weak Foot', better: 'high' },
+    { label: 'Foot', text: p => p.foot || '-' },
+    { key: 'totalStats', label: 'Total Stats', better: 'high' },
+    { key: 'value', label: 'Value', better: 'high', money: true },
+    { key: 'wage', label: 'Wage', better: 'low', money: true },
+    { key: 'appearances', label: 'Appearances', better: 'high' },
+    { key: 'goals', label: 'Goals', better: 'high' },
+    { key: 'assists', label: 'Assists', better: 'high' },
+    { key: 'cleanSheets', label: 'Clean Sheets', better: 'high' },
+    { key: 'yellowCards', label: 'Yellow Cards', better: 'low' },
+    { key: 'redCards', label: 'Red Cards', better: 'low' },
+    { key: 'avgRating', label: 'Avg Rating', better: 'high' }
+];
+
+function getCompareLists() {
+    return Object.assign({ main_squad: 'Main Squad', youth_academy: 'Youth Academy' }, TRANSFER_LABELS);
+}
+
+function getComparePlayers(season, list) {
+    if (!season) return [];
+    if (list === 'main_squad' || list === 'youth_academy') {
+        return Object.values((season.roster && season.roster[list] && season.roster[list].players) || {});
     }
-    
-    modal.classList.remove('hidden');
+    const transfers = season.transfers || {};
+    return (Array.isArray(transfers[list]) ? transfers[list] : []).filter(p => p && p.id);
+}
+
+function resolveCompareEntry(ref) {
+    const season = currentSeasons.find(s => s.id === ref.seasonId);
+    const player = getComparePlayers(season, ref.list).find(p => p.id === ref.playerId);
+    return player ? { season, list: ref.list, player } : null;
 }
 
 /**
- * Open player modal in 'transfer-only' mode. When saved, the player will be
- * added as a snapshot to the specified transfer list (without adding to any squad).
+ * Add a player of the current season to the comparison and open it
  */
-function openTransferPlayerModal(listKey) {
-    // Clear any editing player id and set transfer key
-    editingPlayerId = null;
-    editingTransferKey = listKey;
-    const modal = document.getElementById('playerModal');
-    const title = document.getElementById('modalTitle');
-    const form = document.getElementById('playerForm');
+function addToCompare(playerId, list = currentSquad) {
+    const ref = { seasonId: currentSeasonId, list, playerId };
+    if (!compareSelection.some(r => r.seasonId === ref.seasonId && r.list === ref.list && r.playerId === ref.playerId)) {
+        if (compareSelection.length >= COMPARE_MAX_PLAYERS) {
+            alert(`You can compare up to ${COMPARE_MAX_PLAYERS} players. Remove one first.`);
+        } else {
+            compareSelection.push(ref);
+        }
+    }
+    openCompareModal();
+}
 
-    title.textContent = 'Add Player (To Buy)';
-    form.reset();
-    modal.classList.remove('hidden');
+function removeFromCompare(index) {
+    compareSelection.splice(index, 1);
+    renderCompareModal();
+}
+
+function setComparePicker(field, value) {
+    comparePicker[field] = value;
+    renderCompareModal();
+}
+
+function addCompareFromPicker() {
+    const select = document.getElementById('comparePlayerSelect');
+    if (!select || !select.value) return;
+    if (compareSelection.length >= COMPARE_MAX_PLAYERS) return alert(`You can compare up to ${COMPARE_MAX_PLAYERS} players. Remove one first.`);
+    const ref = { seasonId: comparePicker.seasonId, list: comparePicker.list, playerId: select.value };
+    if (!compareSelection.some(r => r.seasonId === ref.seasonId && r.list === ref.list && r.playerId === ref.playerId)) compareSelection.push(ref);
+    renderCompareModal();
+}
+
+function openCompareModal() {
+    if (!comparePicker.seasonId || !currentSeasons.some(s => s.id === comparePicker.seasonId)) comparePicker.seasonId = currentSeasonId;
+    document.getElementById('compareModal').classList.remove('hidden');
+    renderCompareModal();
+}
+
+function closeCompareModal() {
+    if (compareChart) compareChart.destroy();
+    compareChart = null;
+    document.getElementById('compareModal').classList.add('hidden');
+}
+
+function renderComparePickerHTML() {
+    const lists = getCompareLists();
+    const season = currentSeasons.find(s => s.id === comparePicker.seasonId);
+    const players = getComparePlayers(season, comparePicker.list);
+    const seasonOptions = currentSeasons.map(s =>
+        `<option value="${escapeHtml(s.id)}" ${s.id === comparePicker.seasonId ? 'selected' : ''}>${escapeHtml(s.name)}</option>`).join('');
+    const listOptions = Object.entries(lists).map(([value, label]) =>
+        `<option value="${value}" ${value === comparePicker.list ? 'selected' : ''}>${label}</option>`).join('');
+    const playerOptions = players.map(p =>
+        `<option value="${escapeHtml(p.id)}">${escapeHtml(`${p.firstName || ''} ${p.lastName || ''}`.trim())} (${escapeHtml(p.role || '-')}, ${escapeHtml(p.overall || '-')})</option>`).join('');
+    return `
+        <div class="flex flex-wrap items-center gap-2 text-sm mb-4">
+            <select onchange="setComparePicker('seasonId', this.value)" class="border border-gray-300 rounded px-2 py-1">${seasonOptions}</select>
+            <select onchange="setComparePicker('list', this.value)" class="border border-gray-300 rounded px-2 py-1">${listOptions}</select>
+            <select id="comparePlayerSelect" class="border border-gray-300 rounded px-2 py-1 flex-1 min-w-0" ${players.length ? '' : 'disabled'}>${playerOptions || '<option value="">No players</option>'}</select>
+            <button onclick="addCompareFromPicker()" class="bg-black text-white px-3 py-1 rounded hover:bg-gray-800 disabled:opacity-40" ${players.length && compareSelection.length < COMPARE_MAX_PLAYERS ? '' : 'disabled'}>Add</button>
+        </div>`;
 }
 
 /**
- * Populate player form with data
+ * Indexes of the best value in a row, or none when fewer than two values differ
  */
-function populatePlayerForm(player) {
-    document.getElementById('firstName').value = player.firstName || '';
-    document.getElementById('lastName').value = player.lastName || '';
-    document.getElementById('nationality').value = player.nationality || '';
-    document.getElementById('role').value = player.role || '';
-    // Populate role types container (support legacy single fields)
-    try {
-        const container = document.getElementById('roleTypesContainer');
-        if (container) {
-            container.innerHTML = '';
-            // If player has new-style array, use it; otherwise map legacy fields
-            const roleTypes = Array.isArray(player.roleTypes) ? player.roleTypes : (player.roleType ? [{ type: player.roleType, focus: player.roleFocus || '', level: player.roleTypeLevel || '' }] : []);
-            if (roleTypes.length === 0) {
-                // add an empty row so user can add
-                const row = createRoleTypeRow(player.role || '', {});
-                container.appendChild(row);
-            } else {
-                roleTypes.forEach(rt => {
-                    const row = createRoleTypeRow(player.role || '', { type: rt.type || '', focus: rt.focus || '', level: rt.level || rt.level || '' });
-                    container.appendChild(row);
-                });
-            }
+function getCompareBest(values, better) {
+    const numbers = values.filter(v => v !== null);
+    if (!better || numbers.length < 2 || numbers.every(v => v === numbers[0])) return [];
+    const best = better === 'low' ? Math.min(...numbers) : Math.max(...numbers);
+    return values.map((v, i) => v === best ? i : -1).filter(i => i >= 0);
+}
+
+function renderCompareTableHTML(entries) {
+    const lists = getCompareLists();
+    const numberOf = (player, key) => isBlank(player[key]) || isNaN(Number(player[key])) ? null : Number(player[key]);
+    const sameCurrency = entries.every(e => e.season.currency === entries[0].season.currency);
+    const cell = (content, highlight) => `<td class="${highlight ? 'bg-green-100 font-semibold' : ''}">${content}</td>`;
+
+    const rows = COMPARE_FIELDS.map(field => {
+        if (!field.key) {
+            return `<tr><th>${field.label}</th>${entries.map(e => cell(field.html ? field.html(e.player) : escapeHtml(field.text(e.player)), false)).join('')}</tr>`;
         }
-    } catch (e) { console.warn('populatePlayerForm roleTypes error', e); }
-    // Populate playstyles container
-    try {
-        const psContainer = document.getElementById('playstylesContainer');
-        if (psContainer) {
-            psContainer.innerHTML = '';
-            const playstyles = Array.isArray(player.playstyles) ? player.playstyles : [];
-            if (playstyles.length === 0) {
-                const row = createPlaystyleRow({});
-                psContainer.appendChild(row);
-            } else {
-                playstyles.forEach(ps => {
-                    // Mental playstyles do not support '+' (level '2')
-                    let lvl = ps.level || '';
-                    if ((ps.category || '') === 'Mental' && lvl === '2') lvl = '';
-                    const row = createPlaystyleRow({ category: ps.category || '', name: ps.name || '', level: lvl });
-                    psContainer.appendChild(row);
-                });
+        const values = entries.map(e => numberOf(e.player, field.key));
+        const best = field.money && !sameCurrency ? [] : getCompareBest(values, field.better);
+        return `<tr><th>${field.label}</th>${entries.map((e, i) => {
+            const value = values[i];
+            const display = value === null ? '-' : field.money ? `${CURRENCY_SYMBOLS[e.season.currency] || '$'}${formatNumber(value)}` : escapeHtml(value);
+            return cell(display, best.includes(i));
+        }).join('')}</tr>`;
+    });
+
+    // attribute rows only for attributes at least one of the players has
+    PLAYER_ATTRIBUTES.filter(a => entries.some(e => getPlayerAttribute(e.player, a.key) !== null)).forEach(a => {
+        const values = entries.map(e => getPlayerAttribute(e.player, a.key));
+        const best = getCompareBest(values, 'high');
+        rows.push(`<tr><th class="${a.face ? '' : 'font-normal text-gray-600'}">${a.label}</th>${values.map((v, i) => cell(v === null ? '-' : v, best.includes(i))).join('')}</tr>`);
+    });
+
+    return `
+        <table class="report-table">
+            <thead>
+                <tr><th></th>${entries.map((e, i) => `
+                    <th>
+                        <div class="flex items-start justify-between gap-2">
+                            <div>
+                                <div style="color:${COMPARE_COLORS[i]}">${escapeHtml(`${e.player.firstName || ''} ${e.player.lastName || ''}`.trim())}</div>
+                                <div class="text-xs font-normal text-gray-500">${escapeHtml(e.season.name)} · ${lists[e.list] || e.list}</div>
+                            </div>
+                            <button onclick="removeFromCompare(${i})" class="text-gray-400 hover:text-black font-normal" title="Remove">✕</button>
+                        </div>
+                    </th>`).join('')}</tr>
+            </thead>
+            <tbody>${rows.join('')}</tbody>
+        </table>`;
+}
+
+/**
+ * Radar of the numeric ratings on a 0-100 scale (skills/weak foot x20, rating x10); tooltips show the real values
+ */
+function renderCompareChart(entries) {
+    if (compareChart) compareChart.destroy();
+    compareChart = null;
+    const canvas = document.getElementById('compareRadarChart');
+    if (!canvas || typeof Chart === 'undefined' || entries.length === 0) return;
+
+    const numberOf = value => isBlank(value) || isNaN(Number(value)) ? null : Number(value);
+    const axes = [
+        { label: 'Overall', get: p => numberOf(p.overall), scale: 1 },
+        { label: 'Potential', get: p => numberOf(p.potential), scale: 1 },
+        { label: 'Skills', get: p => numberOf(p.skills), scale: 20 },
+        { label: 'Weak Foot', get: p => numberOf(p.weakFoot), scale: 20 },
+        { label: 'Avg Rating', get: p => numberOf(p.avgRating), scale: 10 }
+    ].concat(PLAYER_ATTRIBUTES
+        .filter(a => a.face && entries.some(e => getPlayerAttribute(e.player, a.key) !== null))
+        .map(a => ({ label: a.label, get: p => getPlayerAttribute(p, a.key), scale: 1 })));
+
+    compareChart = new Chart(canvas.getContext('2d'), {
+        type: 'radar',
+        data: {
+            labels: axes.map(a => a.label),
+            datasets: entries.map((e, i) => {
+                const raw = axes.map(a => a.get(e.player));
+                return {
+                    label: `${e.player.firstName || ''} ${e.player.lastName || ''}`.trim(),
+                    data: raw.map((v, j) => v === null ? null : v * axes[j].scale),
+                    rawValues: raw,
+                    borderColor: COMPARE_COLORS[i],
+                    backgroundColor: `${COMPARE_COLORS[i]}22`,
+                    pointBackgroundColor: COMPARE_COLORS[i],
+                    spanGaps: true
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            scales: { r: { min: 0, max: 100, ticks: { stepSize: 20 } } },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: ctx => `${ctx.dataset.label}: ${ctx.dataset.rawValues[ctx.dataIndex] ?? '-'}`
+                    }
+                }
             }
         }
-    } catch (e) { console.warn('populatePlayerForm playstyles error', e); }
-    document.getElementById('overall').value = player.overall || '';
-    document.getElementById('potential').value = player.potential || '';
-    document.getElementById('age').value = player.age || '';
-    // contractEnd is stored as a single digit number; display as string if present
-    document.getElementById('contractEnd').value = (player.contractEnd !== undefined && player.contractEnd !== null && player.contractEnd !== '') ? String(player.contractEnd) : '';
-    document.getElementById('skills').value = player.skills || '';
-    document.getElementById('weakFoot').value = player.weakFoot || '';
-    document.getElementById('foot').value = player.foot || '';
-    document.getElementById('totalStats').value = player.totalStats || '';
-    document.getElementById('value').value = player.value || '';
-    document.getElementById('wage').value = player.wage || '';
-    document.getElementById('appearances').value = player.appearances || '';
-    document.getElementById('goals').value = player.goals || '';
-    document.getElementById('assists').value = player.assists || '';
-    document.getElementById('cleanSheets').value = player.cleanSheets || '';
-    document.getElementById('yellowCards').value = player.yellowCards || '';
-    document.getElementById('redCards').value = player.redCards || '';
-    document.getElementById('avgRating').value = player.avgRating || '';
+    });
+}
 
-    // Show selected flag if available
-    const selectedImg = document.getElementById('selectedFlag');
-    const selectedText = document.getElementById('selectedFlagText');
-    if (selectedImg && selectedText) {
-        const nat = (player.nationality || '').trim();
-        if (nat) {
-            selectedImg.src = `flags/${nat}.svg`;
-            selectedImg.style.display = '';
-            selectedText.textContent = nat;
-        } else {
-            selectedImg.style.display = 'none';
-            selectedText.textContent = 'Select nationality';
-        }
-    }
+function renderCompareModal() {
+    const container = document.getElementById('compareContent');
+    if (!container) return;
+    // players deleted meanwhile drop out of the comparison
+    const entries = [];
+    compareSelection = compareSelection.filter(ref => {
+        const entry = resolveCompareEntry(ref);
+        if (entry) entries.push(entry);
+        return !!entry;
+    });
+
+    container.innerHTML = `
+        ${renderComparePickerHTML()}
+        ${entries.length ? `
+            <div class="grid grid-cols-1 lg:grid-cols-5 gap-4">
+                <div class="lg:col-span-3 overflow-x-auto">${renderCompareTableHTML(entries)}</div>
+                <div class="lg:col-span-2"><canvas id="compareRadarChart" width="320" height="320"></canvas></div>
+            </div>
+            ${entries.length < 2 ? '<div class="text-sm text-gray-500 mt-2">Add at least one more player to compare.</div>' : ''}`
+            : '<div class="text-sm text-gray-500">Pick up to 4 players from any season, squad or transfer list.</div>'}
+    `;
+    renderCompareChart(entries);
 }
 
 /**
- * Close player modal
+ * Show storage information modal
  */
-function closePlayerModal() {
-    document.getElementById('playerModal').classList.add('hidden');
-    document.getElementById('playerForm').reset();
-    editingPlayerId = null;
-    editingTransferKey = null;
-    clearPlayerErrors();
+async function showStorageInfo() {
+    const modal = document.getElementById('storageModal');
+    const infoContainer = document.getElementById('storageInfo');
+    
+    // Calculate storage usage
+    const storageUsage = await calculateStorageUsage();
+    const careerUsage = await calculateCareerUsage();
+    const careerRows = careerUsage.map(c => `
+        <tr class="border-t ${c.id === currentCareerId ? 'font-semibold' : ''}">
+            <td class="py-1 pr-2">${escapeHtml(c.name)}${c.id === currentCareerId ? ' (current)' : ''}</td>
+            <td class="py-1 px-2 text-right">${c.seasons}</td>
+            <td class="py-1 px-2 text-right">${c.players}</td>
+            <td class="py-1 pl-2 text-right">${formatBytes(c.bytes)}</td>
+        </tr>
+    `).join('');
+    
+    infoContainer.innerHTML = `
+        <div class="text-sm space-y-2">
+            <div class="flex justify-between">
+                <span>Storage backend:</span>
+                <span class="font-medium">${storageUsage.backend}</span>
+            </div>
+            <div class="flex justify-between">
+                <span>Current career size:</span>
+                <span class="font-medium">${storageUsage.currentSize}</span>
+            </div>
+            <div class="flex justify-between">
+                <span>Storage used by this site:</span>
+                <span class="font-medium">${storageUsage.totalUsed}</span>
+            </div>
+            <div class="flex justify-between">
+                <span>Available quota:</span>
+                <span class="font-medium">${storageUsage.quota}</span>
+            </div>
+            <div class="flex justify-between">
+                <span>Seasons in this career:</span>
+                <span class="font-medium">${currentSeasons.length}</span>
+            </div>
+            <div class="flex justify-between">
+                <span>Players in this career:</span>
+                <span class="font-medium">${storageUsage.totalPlayers}</span>
+            </div>
+            <div class="w-full bg-gray-200 rounded-full h-2 mt-3">
+                <div class="bg-${storageUsage.warningLevel === 'high' ? 'red' : storageUsage.warningLevel === 'medium' ? 'yellow' : 'green'}-600 h-2 rounded-full" 
+                     style="width: ${storageUsage.percentage}%"></div>
+            </div>
+            <div class="text-xs text-gray-600 text-center">
+                ${storageUsage.percentage}% of ${storageUsage.quotaSource}
+            </div>
+            ${storageUsage.warningLevel === 'high' ? 
+                '<div class="text-red-600 text-sm mt-2">⚠️ Storage is nearly full. Consider exporting data and removing old seasons.</div>' : 
+                storageUsage.warningLevel === 'medium' ? 
+                '<div class="text-yellow-600 text-sm mt-2">⚠️ Storage usage is moderate. Consider regular backups.</div>' : 
+                '<div class="text-green-600 text-sm mt-2">✅ Storage usage is healthy.</div>'
+            }
+            <table class="w-full text-sm mt-4">
+                <thead>
+                    <tr class="text-left text-gray-600">
+                        <th class="py-1 pr-2 font-medium">Career</th>
+                        <th class="py-1 px-2 font-medium text-right">Seasons</th>
+                        <th class="py-1 px-2 font-medium text-right">Players</th>
+                        <th class="py-1 pl-2 font-medium text-right">Size</th>
+                    </tr>
+                </thead>
+                <tbody>${careerRows}</tbody>
+            </table>
+        </div>
+    `;
+    
+    modal.classList.remove('hidden');
+    renderSnapshotsPanel();
+}
 
-    // Reset flag picker display
-    const selectedImg = document.getElementById('selectedFlag');
-    const selectedText = document.getElementById('selectedFlagText');
-    if (selectedImg && selectedText) {
-        selectedImg.style.display = 'none';
-        selectedText.textContent = 'Select nationality';
+/**
+ * Close storage modal
+ */
+function closeStorageModal() {
+    document.getElementById('storageModal').classList.add('hidden');
+}
+
+/**
+ * Clear all storage data
+ */
+async function clearStorage() {
+    if (confirm('This will permanently delete ALL your data including all careers, seasons and players. A snapshot of each career is kept so you can restore it from Storage Info.\n\nAre you sure you want to continue?')) {
+        if (confirm('Last chance! This will erase everything. Export your data first if you want to keep it.')) {
+            try {
+                for (const career of careers) {
+                    await createSnapshot('Before clear storage', 'event', await readCareerSeasons(career.id), career.id);
+                }
+                // wait for pending writes so they can't re-create records after the clear
+                await storageWriteQueue;
+                if (storageBackend === 'indexedDB') await clearDatabase();
+                else await Promise.all(careers.map(c => deleteCareerData(c.id)));
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
+                localStorage.removeItem(CAREERS_STORAGE_KEY);
+            } catch (error) {
+                console.error('Error clearing storage:', error);
+                alert('Error clearing stored data.');
+                return;
+            }
+            currentSeasons = [];
+            currentSeasonId = null;
+            currentSquad = 'main_squad';
+            clearHistory();
+
+            // start over with a fresh default career
+            careers = [];
+            currentCareerId = null;
+            lastDailySnapshotDate = null;
+            try { await loadCareers(); } catch (e) { console.warn('Could not create default career', e); }
+            
+            renderCareerSwitcher();
+            renderSeasonTabs();
+            renderPlayers();
+            closeStorageModal();
+            
+            alert('All data has been cleared. You can now start fresh, import a backup or restore a snapshot.');
+        }
     }
 }
 
 /**
- * Save player
+ * Calculate storage usage statistics.
+ * Uses the Storage API estimate (real usage and quota for this origin) when available,
+ * otherwise estimates localStorage usage against a conservative 5MB limit.
  */
-function savePlayer() {
-    const formData = getPlayerFormData();
-    
-    clearPlayerErrors();
-    
-    // Validation
-    if (!validatePlayerForm(formData)) {
-        return;
-    }
-    
-    const season = getCurrentSeason();
-    if (!season) return;
-    // If editingTransferKey is set, create a snapshot and add to that transfer list
-    if (editingTransferKey) {
-        const transfers = getSeasonTransfers(season);
-        const snapshot = Object.assign({ id: generateId() }, formData);
-        // prevent duplicate snapshot ids (should be unique since generated)
-        if (!transfers[editingTransferKey].some(item => item.id && item.id.toString() === snapshot.id.toString())) {
-            transfers[editingTransferKey].push(snapshot);
+async function calculateStorageUsage() {
+    try {
+        const dataString = JSON.stringify({ seasons: currentSeasons });
+        const currentSizeBytes = new Blob([dataString]).size;
+        
+        let totalUsedBytes = 0;
+        let quotaBytes = 5 * 1024 * 1024; // 5MB, conservative localStorage estimate
+        let quotaSource = 'estimated localStorage capacity';
+
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            totalUsedBytes = estimate.usage || 0;
+            if (estimate.quota) {
+                quotaBytes = estimate.quota;
+                quotaSource = 'browser storage quota';
+            }
+        } else {
+            // Estimate total localStorage usage
+            for (let key in localStorage) {
+                if (localStorage.hasOwnProperty(key)) {
+                    totalUsedBytes += localStorage[key].length + key.length;
+                }
+            }
         }
-        saveToStorage();
-        renderTransfers();
-        editingTransferKey = null;
-        closePlayerModal();
-        return;
-    }
-
-    if (editingPlayerId) {
-        // Edit existing player
-        const player = season.roster[currentSquad].players[editingPlayerId];
-        Object.assign(player, formData);
-    } else {
-        // Add new player
-        const newPlayer = {
-            id: generateId(),
-            squad: currentSquad === 'main_squad' ? 'Main Squad' : 'Youth Academy',
-            ...formData
+        
+        // Count total players
+        let totalPlayers = 0;
+        currentSeasons.forEach(season => {
+            if (season.roster) {
+                ['main_squad', 'youth_academy'].forEach(squadType => {
+                    if (season.roster[squadType] && season.roster[squadType].players) {
+                        totalPlayers += Object.keys(season.roster[squadType].players).length;
+                    }
+                });
+            }
+        });
+        
+        // one decimal so small usage against large quotas doesn't show as 0%
+        const percentage = Math.round((totalUsedBytes / quotaBytes) * 1000) / 10;
+        
+        let warningLevel = 'low';
+        if (percentage >= 80) warningLevel = 'high';
+        else if (percentage >= 50) warningLevel = 'medium';
+        
+        return {
+            backend: storageBackend === 'indexedDB' ? 'IndexedDB' : 'localStorage',
+            currentSize: formatBytes(currentSizeBytes),
+            totalUsed: formatBytes(totalUsedBytes),
+            quota: formatBytes(quotaBytes),
+            quotaSource,
+            percentage: Math.min(percentage, 100),
+            warningLevel,
+            totalPlayers
+        };
+    } catch (error) {
+        return {
+            backend: storageBackend === 'indexedDB' ? 'IndexedDB' : 'localStorage',
+            currentSize: 'Unknown',
+            totalUsed: 'Unknown',
+            quota: 'Unknown',
+            quotaSource: 'storage capacity',
+            percentage: 0,
+            warningLevel: 'low',
+            totalPlayers: 0
         };
-        season.roster[currentSquad].players[newPlayer.id] = newPlayer;
-    }
-    // Normalize object insertion order so grouping and index-based reordering
-    // behave consistently after role changes.
-    normalizePlayerOrder(season, currentSquad);
-    
-    saveToStorage();
-    renderPlayers();
-    // If charts panel is visible, refresh charts to reflect changes
-    if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
-        renderCharts();
     }
-    closePlayerModal();
 }
 
 /**
- * Get form data as object
+ * Size, season and player counts of every career (other careers are read from storage)
  */
-function getPlayerFormData() {
-    const roleTypesContainer = document.getElementById('roleTypesContainer');
-    const roleTypes = [];
-    if (roleTypesContainer) {
-        const rows = roleTypesContainer.querySelectorAll('.role-type-row');
-        rows.forEach(r => {
-            const type = r.querySelector('.roleTypeSelect') ? r.querySelector('.roleTypeSelect').value : '';
-            const focus = r.querySelector('.roleFocusSelect') ? r.querySelector('.roleFocusSelect').value : '';
-            const level = r.querySelector('.roleLevelSelect') ? r.querySelector('.roleLevelSelect').value : '';
-            if (type) roleTypes.push({ type, focus, level });
-        });
-    }
-    // collect playstyles
-    const playstylesContainer = document.getElementById('playstylesContainer');
-    const playstyles = [];
-    if (playstylesContainer) {
-        const rows = playstylesContainer.querySelectorAll('.playstyle-row');
-        rows.forEach(r => {
-            const category = r.querySelector('.playstyleCategorySelect') ? r.querySelector('.playstyleCategorySelect').value : '';
-            const name = r.querySelector('.playstyleNameSelect') ? r.querySelector('.playstyleNameSelect').value : '';
-            const level = r.querySelector('.playstyleLevelSelect') ? r.querySelector('.playstyleLevelSelect').value : '';
-            if (name) playstyles.push({ category, name, level });
-        });
-    }
-
-    return {
-        firstName: document.getElementById('firstName').value.trim(),
-        lastName: document.getElementById('lastName').value.trim(),
-        nationality: document.getElementById('nationality').value.trim(),
-        role: document.getElementById('role').value,
-        // new fields
-        // roleTypes: array of {type, focus, level}
-        roleTypes: roleTypes,
-    playstyles: playstyles,
-        overall: parseInt(document.getElementById('overall').value) || 0,
-        potential: parseInt(document.getElementById('potential').value) || 0,
-        age: parseInt(document.getElementById('age').value) || 0,
-    // store contractEnd as Number when possible; leave empty string as ''
-    contractEnd: (function(){ const v = document.getElementById('contractEnd').value; if (v === '' || v === null || v === undefined) return ''; const n = Number(v); return Number.isNaN(n) ? '' : n; })(),
-        skills: parseInt(document.getElementById('skills').value) || 0,
-        weakFoot: parseInt(document.getElementById('weakFoot').value) || 0,
-        foot: document.getElementById('foot').value,
-        totalStats: parseInt(document.getElementById('totalStats').value) || 0,
-        value: parseInt(document.getElementById('value').value) || 0,
-        wage: parseInt(document.getElementById('wage').value) || 0,
-        appearances: parseInt(document.getElementById('appearances').value) || 0,
-        goals: parseInt(document.getElementById('goals').value) || 0,
-        assists: parseInt(document.getElementById('assists').value) || 0,
-        cleanSheets: parseInt(document.getElementById('cleanSheets').value) || 0,
-        yellowCards: parseInt(document.getElementById('yellowCards').value) || 0,
-        redCards: parseInt(document.getElementById('redCards').value) || 0,
-        avgRating: parseFloat(document.getElementById('avgRating').value) || 0
-    };
+async function calculateCareerUsage() {
+    return Promise.all(careers.map(async career => {
+        let seasons = [];
+        try {
+            seasons = await readCareerSeasons(career.id);
+        } catch (e) {
+            console.warn('Could not read career', career.name, e);
+        }
+        return {
+            id: career.id,
+            name: career.name,
+            seasons: seasons.length,
+            players: seasons.reduce((sum, season) => sum + getSeasonRosterEntries(season).length, 0),
+            bytes: new Blob([JSON.stringify({ seasons })]).size
+        };
+    }));
 }
 
 /**
- * Validate player form
+ * Format bytes to human readable format
  */
-function validatePlayerForm(data) {
-    let isValid = true;
-    
-    if (!data.firstName) {
-        showPlayerError('firstName', 'First name is required');
-        isValid = false;
-    }
-    
-    if (!data.lastName) {
-        showPlayerError('lastName', 'Last name is required');
-        isValid = false;
-    }
+function formatBytes(bytes) {
+    if (bytes === 0) return '0 Bytes';
     
-    if (!data.role) {
-        showPlayerError('role', 'Role is required');
-        isValid = false;
-    }
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
     
-    return isValid;
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
 /**
- * Show player validation error
+ * Export the current career as JSON
  */
-function showPlayerError(fieldId, message) {
-    const errorElement = document.getElementById(fieldId + 'Error');
-    errorElement.textContent = message;
-    errorElement.classList.remove('hidden');
+function exportData() {
+    const career = getCurrentCareer();
+    const data = { schemaVersion: storedSchemaVersion, career: { name: career ? career.name : '' }, seasons: currentSeasons };
+    const dataStr = JSON.stringify(data, null, 2);
+    const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
+    
+    const careerSlug = career ? career.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : '';
+    const exportFileDefaultName = `cmutils_${careerSlug ? `${careerSlug}_` : ''}export_${new Date().toISOString().split('T')[0]}.json`;
+    
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', dataUri);
+    linkElement.setAttribute('download', exportFileDefaultName);
+    linkElement.click();
 }
 
 /**
- * Clear player validation errors
+ * XLSX export
+ * The current career as an Office Open XML workbook, written as XML parts into the ZIP writer's
+ * archive: one roster sheet per season (Main Squad and Youth Academy), then Transfers, Season
+ * Records and Player Awards sheets. Numbers become numeric cells, so value, wage and ratings can
+ * be summed and pivoted; everything else is an inline string.
  */
-function clearPlayerErrors() {
-    document.querySelectorAll('#playerForm .text-red-500').forEach(el => {
-        el.classList.add('hidden');
-    });
+const XLSX_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const XLSX_REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function xlsxColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    return name;
 }
 
 /**
- * Edit player
+ * Worksheet XML for rows of values; the first row is a bold, frozen header
  */
-function editPlayer(playerId) {
-    openPlayerModal(playerId);
+function xlsxSheetXml(rows) {
+    const rowsXml = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            if (value === undefined || value === null || value === '') return '';
+            const ref = `${xlsxColumnName(c)}${r + 1}`;
+            const style = r === 0 ? ' s="1"' : '';
+            if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    return `${XML_HEADER}<worksheet xmlns="${XLSX_NS}"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${rowsXml}</sheetData></worksheet>`;
 }
 
 /**
- * Delete player
+ * Build an .xlsx blob from [{ name, rows }]. Sheet names are made valid and unique.
  */
-function deletePlayer(playerId) {
-    if (confirm('Are you sure you want to delete this player?')) {
-        const season = getCurrentSeason();
-        if (season) {
-            delete season.roster[currentSquad].players[playerId];
-            saveToStorage();
-            renderPlayers();
-        }
-    }
+function createXlsxBlob(sheets) {
+    const used = new Set();
+    const names = sheets.map(sheet => {
+        const base = (String(sheet.name).replace(/[\[\]:*?\/\\]/g, '-').trim() || 'Sheet').slice(0, 31);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base.slice(0, 31 - ` (${n})`.length)} (${n})`;
+        used.add(name.toLowerCase());
+        return name;
+    });
+
+    const contentTypes = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>';
+    const rootRels = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${XLSX_REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+    const workbook = `${XML_HEADER}<workbook xmlns="${XLSX_NS}" xmlns:r="${XLSX_REL_NS}"><sheets>` +
+        names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>';
+    const workbookRels = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="${XLSX_REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="${XLSX_REL_NS}/styles" Target="styles.xml"/></Relationships>`;
+    // style 0: default, style 1: bold header
+    const styles = `${XML_HEADER}<styleSheet xmlns="${XLSX_NS}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>';
+
+    return new Blob([createZipBlob([
+        { name: '[Content_Types].xml', content: contentTypes },
+        { name: '_rels/.rels', content: rootRels },
+        { name: 'xl/workbook.xml', content: workbook },
+        { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+        { name: 'xl/styles.xml', content: styles }
+    ].concat(sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: xlsxSheetXml(sheet.rows) }))))],
+    { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
 }
 
 /**
- * Promote player from youth academy to main squad
+ * Sheets of the workbook export for a list of seasons
  */
-function promotePlayer(playerId) {
-    if (currentSquad !== 'youth_academy') {
-        alert('This action is only available for youth academy players.');
-        return;
-    }
-    
-    const season = getCurrentSeason();
-    if (!season) {
-        alert('No season selected.');
-        return;
-    }
-    
-    const player = season.roster.youth_academy.players[playerId];
-    if (!player) {
-        alert('Player not found.');
-        return;
-    }
-    
-    if (confirm(`Are you sure you want to promote ${player.firstName} ${player.lastName} to the main squad?\n\nThis player will be moved from Youth Academy to Main Squad.`)) {
-        // Add to main squad
-        season.roster.main_squad.players[playerId] = player;
-        // Remove from youth academy
-        delete season.roster.youth_academy.players[playerId];
-    // Normalize ordering in both squads so the moved player is placed
-    // consistently within the main squad grouping
-    normalizePlayerOrder(season, 'main_squad');
-    normalizePlayerOrder(season, 'youth_academy');
-        saveToStorage();
-        renderPlayers();
-        if (document.getElementById('chartsPanel') && !document.getElementById('chartsPanel').classList.contains('hidden')) {
-            renderCharts();
-        }
-        
-    // Show success message
-    alert(`${player.firstName} ${player.lastName} has been promoted to the main squad.`);
-    }
+function buildCareerWorkbookSheets(seasons) {
+    const playerHeader = CSV_PLAYER_FIELDS.map(f => f.label);
+    const squadLabels = { main_squad: 'Main Squad', youth_academy: 'Youth Academy' };
+
+    const rosterSheets = seasons.map(season => ({
+        name: season.name || 'Season',
+        rows: [['Squad'].concat(playerHeader)].concat(
+            getSeasonRosterEntries(season).map(({ squad, player }) => [squadLabels[squad]].concat(playerCsvRow(player)))
+        )
+    }));
+
+    const transferRows = [['Season', 'List'].concat(playerHeader)];
+    seasons.forEach(season => {
+        const transfers = season.transfers || {};
+        Object.values(TRANSFER_KEYS).forEach(key => {
+            (Array.isArray(transfers[key]) ? transfers[key] : []).forEach(player => {
+                transferRows.push([season.name, TRANSFER_LABELS[key]].concat(playerCsvRow(player)));
+            });
+        });
+    });
+
+    const recordRows = [['Season', 'Wins', 'Draws', 'Losses', 'Goals For', 'Goals Against', 'League Trophies', 'Domestic Trophies', 'International Trophies']];
+    seasons.forEach(season => {
+        const record = computeSeasonRecord(season) || {};
+        const trophies = computeSeasonTrophies(season);
+        recordRows.push([season.name, record.wins, record.draws, record.losses, record.goalsFor, record.goalsAgainst,
+            trophies.league.join(', '), trophies.domestic.join(', '), trophies.international.join(', ')]);
+    });
+
+    const awardRows = [['Season', 'Player', 'Award', 'Appearances', 'Goals', 'Assists', 'Avg Rating', 'Overall', 'Note']];
+    seasons.forEach(season => {
+        computePlayerAwards(season).forEach(a => {
+            awardRows.push([season.name, a.name, a.awardName, a.appearances, a.goals, a.assists, a.avgRating, a.overall, a.note]);
+        });
+    });
+
+    return rosterSheets.concat([
+        { name: 'Transfers', rows: transferRows },
+        { name: 'Season Records', rows: recordRows },
+        { name: 'Player Awards', rows: awardRows }
+    ]);
 }
 
 /**
- * Show charts panel
+ * Export every season of the current career as an .xlsx workbook
  */
-function showCharts() {
-    document.getElementById('chartsPanel').classList.remove('hidden');
-    renderCharts();
+function exportCareerXLSX() {
+    if (currentSeasons.length === 0) return alert('There are no seasons to export.');
+    try {
+        const career = getCurrentCareer();
+        const blob = createXlsxBlob(buildCareerWorkbookSheets(currentSeasons));
+        const careerSlug = career ? career.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') : '';
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.setAttribute('href', url);
+        a.setAttribute('download', `cmutils_${careerSlug ? `${careerSlug}_` : ''}${new Date().toISOString().split('T')[0]}.xlsx`);
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+        console.error('exportCareerXLSX', e);
+        alert('Error creating the Excel workbook.');
+    }
 }
 
 /**
- * Hide charts panel
+ * Printable squad report
+ * Renders the current season into #printReport (roster by position group, record, trophies,
+ * awards and chart images). While the report is open, the print stylesheet hides the rest of the
+ * page, so the browser's print dialog can print it or save it as PDF.
  */
-function hideCharts() {
-    document.getElementById('chartsPanel').classList.add('hidden');
-    destroyCharts();
+const PRINT_REPORT_CHARTS = [
+    { key: 'ageChart', title: () => 'Average Age by Position' },
+    { key: 'positionStatChart', title: () => `Average ${selectedOptionText('statSelect', 'Overall')} by Position` },
+    { key: 'generalDonutChart', title: () => `Distribution by ${selectedOptionText('generalStatSelect', 'Nationality')}` }
+];
+
+function selectedOptionText(selectId, fallback) {
+    const select = document.getElementById(selectId);
+    return select && select.selectedIndex >= 0 ? select.options[select.selectedIndex].text : fallback;
 }
 
 /**
- * Show transfers panel
+ * Render the charts of the current squad and return them as PNG data URLs.
+ * The charts panel is shown just long enough to draw them when it is closed.
  */
-function showTransfers() {
-    document.getElementById('transfersPanel').classList.remove('hidden');
-    renderTransfers();
+function captureChartImages() {
+    const panel = document.getElementById('chartsPanel');
+    if (!panel || typeof Chart === 'undefined') return [];
+    const wasHidden = panel.classList.contains('hidden');
+    if (wasHidden) panel.classList.remove('hidden');
+    const images = [];
+    try {
+        renderCharts();
+        PRINT_REPORT_CHARTS.forEach(({ key, title }) => {
+            const chart = charts[key];
+            if (!chart) return;
+            // Skip the animation so the image shows the finished chart
+            chart.stop();
+            chart.update('none');
+            images.push({ title: title(), src: chart.toBase64Image() });
+        });
+    } catch (e) {
+        console.warn('captureChartImages', e);
+    }
+    if (wasHidden) hideCharts();
+    return images;
+}
+
+function renderPrintRosterHTML(players, currency) {
+    const groups = {};
+    Object.values(players).forEach(p => {
+        const group = getPositionGroup(p.role);
+        (groups[group] = groups[group] || []).push(p);
+    });
+    const groupNames = Object.keys(POSITION_GROUPS).concat('Unknown').filter(g => groups[g] && groups[g].length);
+    if (groupNames.length === 0) return '<p class="text-sm text-gray-500">No players.</p>';
+
+    return groupNames.map(groupName => {
+        const colors = GROUP_COLORS[groupName] || { color: '#9CA3AF', light: '#F3F4F6' };
+        const rows = groups[groupName].map(p => `
+            <tr>
+                <td class="font-medium">${escapeHtml(`${p.firstName || ''} ${p.lastName || ''}`.trim())}</td>
+                <td>${p.nationality ? renderNationalityHTML(p.nationality, 14) : '-'}</td>
+                <td>${escapeHtml(p.role || '-')}</td>
+                <td>${escapeHtml(formatRoleTypesCell(p)) || '-'}</td>
+                <td>${escapeHtml(formatPlaystylesCell(p)) || '-'}</td>
+                <td>${p.age || '-'}</td>
+                <td>${p.overall || '-'}</td>
+                <td>${p.potential || '-'}</td>
+                <td>${p.appearances || 0}</td>
+                <td>${p.goals || 0}</td>
+                <td>${p.assists || 0}</td>
+                <td>${p.avgRating || '-'}</td>
+                <td>${currency}${formatNumber(p.value)}</td>
+                <td>${currency}${formatNumber(p.wage)}</td>
+                <td>${p.contractEnd || '-'}</td>
+            </tr>`).join('');
+        return `
+            <table class="report-table">
+                <thead>
+                    <tr><th colspan="15" style="background:${colors.light};border-left:4px solid ${colors.color};">${escapeHtml(groupName)} (${groups[groupName].length})</th></tr>
+                    <tr>
+                        <th>Player</th><th>Nationality</th><th>Role</th><th>Role types</th><th>Playstyles</th>
+                        <th>Age</th><th>OVR</th><th>POT</th><th>App</th><th>G</th><th>A</th><th>Rating</th>
+                        <th>Value</th><th>Wage</th><th>Contract</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }).join('');
+}
+
+function renderPrintReportHTML(season, chartImages) {
+    const career = getCurrentCareer();
+    const currency = CURRENCY_SYMBOLS[season.currency] || '$';
+    const record = computeSeasonRecord(season);
+    const trophies = computeSeasonTrophies(season);
+    const awards = computePlayerAwards(season);
+    const listOrDash = items => items.length ? items.map(escapeHtml).join(', ') : '-';
+    const squads = [['main_squad', 'Main Squad'], ['youth_academy', 'Youth Academy']];
+
+    return `
+        <header class="report-block mb-4">
+            <h1 class="text-2xl font-bold">${escapeHtml(season.name)}${career ? ` <span class="text-gray-500 font-normal">· ${escapeHtml(career.name)}</span>` : ''}</h1>
+            <p class="text-sm text-gray-500">Squad report · ${new Date().toLocaleDateString()}</p>
+        </header>
+        <section class="report-block grid grid-cols-3 gap-4 mb-6 text-sm">
+            <div>
+                <h2 class="font-semibold mb-1">Season Record</h2>
+                ${record ? `<p>W ${record.wins} · D ${record.draws} · L ${record.losses}</p><p>Goals ${record.goalsFor}:${record.goalsAgainst}</p>` : '<p>-</p>'}
+            </div>
+            <div>
+                <h2 class="font-semibold mb-1">Trophies</h2>
+                <p>League: ${listOrDash(trophies.league)}</p>
+                <p>Domestic: ${listOrDash(trophies.domestic)}</p>
+                <p>International: ${listOrDash(trophies.international)}</p>
+            </div>
+            <div>
+                <h2 class="font-semibold mb-1">Player Awards</h2>
+                ${awards.length ? `<ul>${awards.map(a => `<li>${escapeHtml(a.awardName)}: ${escapeHtml(a.name)}</li>`).join('')}</ul>` : '<p>-</p>'}
+            </div>
+        </section>
+        ${squads.map(([squad, label], i) => `
+            <section class="${i > 0 ? 'report-page-break ' : ''}mb-6">
+                <h2 class="text-lg font-semibold mb-2">${label}</h2>
+                ${renderPrintRosterHTML(season.roster && season.roster[squad] ? season.roster[squad].players || {} : {}, currency)}
+            </section>`).join('')}
+        ${chartImages.length ? `
+            <section class="report-page-break">
+                <h2 class="text-lg font-semibold mb-2">Charts (${currentSquad === 'main_squad' ? 'Main Squad' : 'Youth Academy'})</h2>
+                <div class="grid grid-cols-2 gap-4">
+                    ${chartImages.map(img => `
+                        <figure class="report-block">
+                            <figcaption class="text-sm font-medium mb-1">${escapeHtml(img.title)}</figcaption>
+                            <img src="${img.src}" alt="${escapeHtml(img.title)}" class="report-chart">
+                        </figure>`).join('')}
+                </div>
+            </section>` : ''}
+    `;
 }
 
 /**
- * Hide transfers panel
+ * Open the print report for the current season
  */
-function hideTransfers() {
-    document.getElementById('transfersPanel').classList.add('hidden');
+function openPrintReport() {
+    const season = getCurrentSeason();
+    if (!season) return alert('Please select a season first.');
+    const report = document.getElementById('printReport');
+    const content = document.getElementById('printReportContent');
+    if (!report || !content) return;
+
+    content.innerHTML = renderPrintReportHTML(season, captureChartImages());
+    report.classList.remove('hidden');
+    document.body.classList.add('print-report-open');
+}
+
+function closePrintReport() {
+    const report = document.getElementById('printReport');
+    if (report) report.classList.add('hidden');
+    const content = document.getElementById('printReportContent');
+    if (content) content.innerHTML = '';
+    document.body.classList.remove('print-report-open');
 }
 
 /**
- * Show season stats panel
+ * Share as image
+ * Player cards (one player or the whole squad) are drawn on a canvas and downloaded as PNG,
+ * without any network access: flags come from the bundled flags/ folder.
  */
-function showSeasonStats() {
-    const el = document.getElementById('seasonStatsPanel');
-    if (!el) return;
-    el.classList.remove('hidden');
-    try { renderSeasonStatsPanel(getCurrentSeason()); } catch (e) { console.warn(e); }
+const SHARE_CARD_WIDTH = 420;
+const SHARE_CARD_HEIGHT = 250;
+const SHARE_GAP = 16;
+const SHARE_SQUAD_COLUMNS = 3;
+const SHARE_FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+// Some browsers refuse canvases above ~16.7M pixels, so large squads are drawn at a lower scale
+const SHARE_MAX_PIXELS = 16000000;
+
+function loadShareImage(src) {
+    return new Promise(resolve => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = src;
+    });
+}
+
+/** Flag images for the given players keyed by flag filename; missing files are left out */
+async function loadShareFlags(players) {
+    const files = Array.from(new Set(players.filter(p => p.nationality).map(p => resolveNationality(p.nationality).flagFile)));
+    const flags = {};
+    await Promise.all(files.map(async file => {
+        const img = await loadShareImage(`flags/${file}.svg`);
+        if (img) flags[file] = img;
+    }));
+    return flags;
+}
+
+function createShareCanvas(width, height) {
+    const scale = Math.min(2, Math.sqrt(SHARE_MAX_PIXELS / (width * height)));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(width * scale);
+    canvas.height = Math.floor(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#F3F4F6';
+    ctx.fillRect(0, 0, width, height);
+    return { canvas, ctx };
+}
+
+/** Shorten text with an ellipsis so it fits into maxWidth */
+function fitCanvasText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let out = text;
+    while (out.length > 1 && ctx.measureText(`${out}…`).width > maxWidth) out = out.slice(0, -1);
+    return `${out}…`;
+}
+
+function roundedRectPath(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
 }
 
 /**
- * Hide season stats panel
+ * Draw one player card at (x, y): name, flag, role, OVR/POT, role types, playstyles, key stats and value/wage
  */
-function hideSeasonStats() {
-    const el = document.getElementById('seasonStatsPanel');
-    if (!el) return;
-    el.classList.add('hidden');
+function drawSharePlayerCard(ctx, player, x, y, currency, flags) {
+    const w = SHARE_CARD_WIDTH;
+    const h = SHARE_CARD_HEIGHT;
+    const pad = 20;
+    const colors = GROUP_COLORS[getPositionGroup(player.role)] || { color: '#9CA3AF', light: '#F3F4F6' };
+
+    // Card background with a header band and a stripe in the position group colour
+    ctx.save();
+    roundedRectPath(ctx, x, y, w, h, 12);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fill();
+    ctx.clip();
+    ctx.fillStyle = colors.light;
+    ctx.fillRect(x, y, w, 72);
+    ctx.fillStyle = colors.color;
+    ctx.fillRect(x, y, 6, h);
+    ctx.restore();
+    ctx.strokeStyle = '#E5E7EB';
+    ctx.lineWidth = 1;
+    roundedRectPath(ctx, x, y, w, h, 12);
+    ctx.stroke();
+
+    // OVR / POT
+    ctx.textAlign = 'center';
+    [['OVR', player.overall, x + w - 90], ['POT', player.potential, x + w - 40]].forEach(([label, value, cx]) => {
+        ctx.fillStyle = '#111827';
+        ctx.font = `bold 26px ${SHARE_FONT}`;
+        ctx.fillText(String(value || '-'), cx, y + 38);
+        ctx.fillStyle = '#6B7280';
+        ctx.font = `11px ${SHARE_FONT}`;
+        ctx.fillText(label, cx, y + 56);
+    });
+    ctx.textAlign = 'left';
+
+    // Name, flag, nationality and role
+    const headerWidth = w - 130;
+    ctx.fillStyle = '#111827';
+    ctx.font = `bold 20px ${SHARE_FONT}`;
+    ctx.fillText(fitCanvasText(ctx, `${player.firstName || ''} ${player.lastName || ''}`.trim() || '-', headerWidth - pad), x + pad, y + 32);
+    const nationality = player.nationality ? resolveNationality(player.nationality) : null;
+    const flag = nationality ? flags[nationality.flagFile] : null;
+    let tx = x + pad;
+    if (flag) {
+        ctx.drawImage(flag, tx, y + 44, 24, 15);
+        tx += 30;
+    }
+    ctx.fillStyle = '#4B5563';
+    ctx.font = `13px ${SHARE_FONT}`;
+    ctx.fillText(fitCanvasText(ctx, `${nationality ? nationality.name : 'Unknown'} • ${player.role || '-'}`, x + headerWidth - tx), tx, y + 56);
+
+    // Role types and playstyles
+    [['Roles', getRoleTypeLabels(player), y + 98], ['Playstyles', getPlaystyleLabels(player), y + 120]].forEach(([label, items, ty]) => {
+        ctx.fillStyle = '#6B7280';
+        ctx.font = `bold 12px ${SHARE_FONT}`;
+        ctx.fillText(label, x + pad, ty);
+        ctx.fillStyle = '#111827';
+        ctx.font = `12px ${SHARE_FONT}`;
+        ctx.fillText(fitCanvasText(ctx, items.length ? items.join(' • ') : '-', w - pad * 2 - 76), x + pad + 76, ty);
+    });
+
+    ctx.strokeStyle = '#F3F4F6';
+    ctx.beginPath();
+    ctx.moveTo(x + pad, y + 136);
+    ctx.lineTo(x + w - pad, y + 136);
+    ctx.stroke();
+
+    // Key stats, then value / wage / contract in a second row
+    const contract = (player.contractEnd !== undefined && player.contractEnd !== null && player.contractEnd !== '') ? player.contractEnd : '-';
+    const statRows = [
+        [['Age', player.age || '-'], ['Apps', player.appearances || 0], ['Goals', player.goals || 0], ['Assists', player.assists || 0], ['Rating', player.avgRating || '-']],
+        [['Value', `${currency}${formatNumber(player.value)}`], ['Wage', `${currency}${formatNumber(player.wage)}`], ['Contract', contract]]
+    ];
+    // Column widths as fractions of the row; money needs more room than the contract year
+    const columnShares = [[0.2, 0.2, 0.2, 0.2, 0.2], [0.4, 0.35, 0.25]];
+    statRows.forEach((stats, row) => {
+        const ty = y + 158 + row * 50;
+        let sx = x + pad;
+        stats.forEach(([label, value], col) => {
+            const colWidth = (w - pad * 2) * columnShares[row][col];
+            ctx.fillStyle = '#6B7280';
+            ctx.font = `11px ${SHARE_FONT}`;
+            ctx.fillText(label, sx, ty);
+            ctx.fillStyle = '#111827';
+            ctx.font = `bold 16px ${SHARE_FONT}`;
+            ctx.fillText(fitCanvasText(ctx, String(value), colWidth - 8), sx, ty + 20);
+            sx += colWidth;
+        });
+    });
 }
 
-// Season stats edit modal handlers
-function openSeasonStatsEditModal() {
-    const season = getCurrentSeason();
-    if (!season) return alert('No season selected');
-    // Populate structured fields
-    document.getElementById('recordWins').value = '';
-    document.getElementById('recordDraws').value = '';
-    document.getElementById('recordLosses').value = '';
-    document.getElementById('recordGF').value = '';
-    document.getElementById('recordGA').value = '';
+function renderPlayerShareCanvas(player, currency, flags) {
+    const { canvas, ctx } = createShareCanvas(SHARE_CARD_WIDTH + SHARE_GAP * 2, SHARE_CARD_HEIGHT + SHARE_GAP * 2);
+    drawSharePlayerCard(ctx, player, SHARE_GAP, SHARE_GAP, currency, flags);
+    return canvas;
+}
 
-    // If the season has aggregated matches data, use it to fill record fields
-    if (season.matches && Array.isArray(season.matches) && season.matches.length > 0) {
-        const m0 = season.matches[0];
-        if ('wins' in m0 || 'goals_for' in m0) {
-            document.getElementById('recordWins').value = m0.wins || m0.won || '';
-            document.getElementById('recordDraws').value = m0.draws || m0.spares || m0.spare || '';
-            document.getElementById('recordLosses').value = m0.losses || m0.loss || '';
-            document.getElementById('recordGF').value = m0.goals_for || m0.goalsFor || '';
-            document.getElementById('recordGA').value = m0.goals_against || m0.goalsAgainst || '';
-            // populate extended fields (only if inputs exist in the modal)
-            function setIfExists(id, value) {
-                const el = document.getElementById(id);
-                if (!el) return;
-                el.value = value == null ? '' : value;
-            }
+function renderSquadShareCanvas(title, players, currency, flags) {
+    const headerHeight = 56;
+    const columns = Math.max(1, Math.min(SHARE_SQUAD_COLUMNS, players.length));
+    const rows = Math.max(1, Math.ceil(players.length / columns));
+    const width = SHARE_GAP + columns * (SHARE_CARD_WIDTH + SHARE_GAP);
+    const height = headerHeight + rows * (SHARE_CARD_HEIGHT + SHARE_GAP);
+    const { canvas, ctx } = createShareCanvas(width, height);
+
+    ctx.fillStyle = '#111827';
+    ctx.font = `bold 24px ${SHARE_FONT}`;
+    ctx.fillText(fitCanvasText(ctx, title, width - SHARE_GAP * 2), SHARE_GAP, 38);
+    players.forEach((player, i) => {
+        const x = SHARE_GAP + (i % columns) * (SHARE_CARD_WIDTH + SHARE_GAP);
+        const y = headerHeight + Math.floor(i / columns) * (SHARE_CARD_HEIGHT + SHARE_GAP);
+        drawSharePlayerCard(ctx, player, x, y, currency, flags);
+    });
+    return canvas;
+}
 
-            setIfExists('totalsGames', m0.totals_games || m0.totalsGames || '');
-            setIfExists('totalsGamesHome', m0.totals_games_at_home || m0.totals_games_home || '');
-            setIfExists('totalsGamesAway', m0.totals_games_away || '');
-            setIfExists('winsHome', m0.wins_at_home || m0.winsHome || '');
-            setIfExists('drawsHome', m0.spares_at_home || m0.draws_at_home || '');
-            setIfExists('lossesHome', m0.loss_at_home || m0.losses_at_home || '');
-            setIfExists('winsAway', m0.wins_away || '');
-            setIfExists('drawsAway', m0.spares_away || '');
-            setIfExists('lossesAway', m0.loss_away || '');
-            setIfExists('goalsForHome', m0.goals_for_home || '');
-            setIfExists('goalsAgainstHome', m0.goals_against_home || '');
-            setIfExists('goalsForAway', m0.goals_for_away || '');
-            setIfExists('goalsAgainstAway', m0.goals_against_away || '');
-            setIfExists('cleanSheetsTotal', m0.clean_sheets || '');
-            setIfExists('cleanSheetsHome', m0.clean_sheets_home || '');
-            setIfExists('cleanSheetsAway', m0.clean_sheets_away || '');
-            setIfExists('recordSpares', m0.spares || m0.draws || '');
+function canvasToPngBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        try {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode PNG')), 'image/png');
+        } catch (e) {
+            reject(e);
         }
-    }
+    });
+}
 
-    const trophiesContainer = document.getElementById('trophiesContainer');
-    trophiesContainer.innerHTML = '';
-    const trophies = season.trophies || [];
-    if (Array.isArray(trophies)) {
-        trophies.forEach((t, idx) => {
-            addTrophyRow(trophiesContainer, t.name || t, t.scope || '', idx === 0);
-        });
-    } else if (typeof trophies === 'object') {
-        // show object as entries
-        Object.keys(trophies).forEach(k => {
-            const arr = trophies[k] || [];
-            arr.forEach((t, idx) => addTrophyRow(trophiesContainer, t.name || t || '', k || '', false));
-        });
+/**
+ * Draw with flags and download the PNG. When the page is opened from file:// the flag images
+ * taint the canvas in some browsers, so the image is drawn again without them.
+ */
+async function downloadShareImage(players, draw, filename) {
+    const flags = await loadShareFlags(players);
+    let blob;
+    try {
+        blob = await canvasToPngBlob(draw(flags));
+    } catch (e) {
+        console.warn('Share image: retrying without flags', e);
+        blob = await canvasToPngBlob(draw({}));
     }
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.setAttribute('href', url);
+    a.setAttribute('download', filename);
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-    const awardsContainer = document.getElementById('awardsContainer');
-    awardsContainer.innerHTML = '';
-    const awards = season.playerAwards || [];
-    (Array.isArray(awards) ? awards : []).forEach(a => addAwardRow(awardsContainer, a));
-
-    document.getElementById('seasonStatsEditModal').classList.remove('hidden');
+function shareImageSlug(text) {
+    return (text || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
 }
 
-function closeSeasonStatsEditModal() {
-    document.getElementById('seasonStatsEditModal').classList.add('hidden');
+/**
+ * Download a player card of the current squad as PNG
+ */
+async function sharePlayerImage(playerId) {
+    const season = getCurrentSeason();
+    const player = getCurrentPlayers()[playerId];
+    if (!season || !player) return;
+    const currency = CURRENCY_SYMBOLS[season.currency] || '$';
+    try {
+        await downloadShareImage([player], flags => renderPlayerShareCanvas(player, currency, flags),
+            `cmutils_${shareImageSlug(`${player.firstName} ${player.lastName}`)}.png`);
+    } catch (e) {
+        console.error('sharePlayerImage', e);
+        alert('Error creating the image.');
+    }
 }
 
-function saveSeasonStatsEdits() {
+/**
+ * Download the current squad (players in position group order) as one PNG
+ */
+async function shareSquadImage() {
     const season = getCurrentSeason();
-    if (!season) return alert('No season selected');
+    if (!season) return alert('Please select a season first.');
+    const playersArray = Object.values(getCurrentPlayers());
+    if (playersArray.length === 0) return alert('There are no players in this squad.');
+    const groupOrder = Object.keys(POSITION_GROUPS).concat('Unknown');
+    const players = playersArray.slice().sort((a, b) => groupOrder.indexOf(getPositionGroup(a.role)) - groupOrder.indexOf(getPositionGroup(b.role)));
+    const currency = CURRENCY_SYMBOLS[season.currency] || '$';
+    const squadLabel = currentSquad === 'main_squad' ? 'Main Squad' : 'Youth Academy';
     try {
-        // record
-        const w = parseInt(document.getElementById('recordWins').value) || 0;
-        const d = parseInt(document.getElementById('recordDraws').value) || 0;
-        const l = parseInt(document.getElementById('recordLosses').value) || 0;
-        const gf = parseInt(document.getElementById('recordGF').value) || 0;
-        const ga = parseInt(document.getElementById('recordGA').value) || 0;
+        await downloadShareImage(players, flags => renderSquadShareCanvas(`${season.name} · ${squadLabel}`, players, currency, flags),
+            `cmutils_${shareImageSlug(season.name)}_${currentSquad}.png`);
+    } catch (e) {
+        console.error('shareSquadImage', e);
+        alert('Error creating the image.');
+    }
+}
 
-        // write aggregated summary into season.matches[0] (preserves historical structures)
-        if (!season.matches || !Array.isArray(season.matches)) season.matches = [];
-        // helper to safely read optional numeric inputs
-        function getIntIfExists(id) {
-            const el = document.getElementById(id);
-            if (!el) return undefined;
-            const v = parseInt(el.value);
-            return isNaN(v) ? undefined : v;
+/**
+ * Import data from JSON file
+ * Opens the import preview, where the file can be merged item by item or replace all data.
+ */
+function importData(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        let data;
+        try {
+            data = JSON.parse(e.target.result);
+        } catch (error) {
+            alert('Error reading file. Please make sure it\'s a valid JSON file.');
+            return;
         }
+        // any JSON goes to the preview, whose validation report explains what is wrong with it
+        openImportModal(data, file.name);
+    };
+    
+    reader.readAsText(file);
+    
+    // Reset file input
+    event.target.value = '';
+}
 
-        season.matches[0] = Object.assign({}, season.matches[0] || {}, {
-            totals_games: (w + d + l),
-            wins: w,
-            draws: d,
-            losses: l,
-            goals_for: gf,
-            goals_against: ga,
-            totals_games_at_home: getIntIfExists('totalsGamesHome'),
-            totals_games_away: getIntIfExists('totalsGamesAway'),
-            wins_at_home: getIntIfExists('winsHome'),
-            spares_at_home: getIntIfExists('drawsHome'),
-            loss_at_home: getIntIfExists('lossesHome'),
-            wins_away: getIntIfExists('winsAway'),
-            spares_away: getIntIfExists('drawsAway'),
-            loss_away: getIntIfExists('lossesAway'),
-            goals_for_home: getIntIfExists('goalsForHome'),
-            goals_against_home: getIntIfExists('goalsAgainstHome'),
-            goals_for_away: getIntIfExists('goalsForAway'),
-            goals_against_away: getIntIfExists('goalsAgainstAway'),
-            clean_sheets: getIntIfExists('cleanSheetsTotal'),
-            clean_sheets_home: getIntIfExists('cleanSheetsHome'),
-            clean_sheets_away: getIntIfExists('cleanSheetsAway'),
-            spares: getIntIfExists('recordSpares')
-        });
+/**
+ * Import preview / merge
+ * Incoming seasons are matched to existing ones by season id, and incoming players to the target
+ * season's players by player id. Every item gets an action that is only applied on "Merge selected".
+ */
+const IMPORT_SEASON_ACTIONS = {
+    new: { add: 'Add as new season', merge: 'Merge players into current season', skip: 'Skip' },
+    conflict: { merge: 'Merge players into existing season', overwrite: 'Overwrite existing season', duplicate: 'Add as a copy', skip: 'Skip' }
+};
+const IMPORT_PLAYER_ACTIONS = {
+    new: { add: 'Add', skip: 'Skip' },
+    conflict: { skip: 'Skip', overwrite: 'Overwrite', duplicate: 'Add as copy' }
+};
+let pendingImport = null; // { fileName, data, migrationReport, validation, ignoreErrors, seasons, seasonActions[], playerActions[{playerId: action}] }
+
+function openImportModal(data, fileName) {
+    // files without a seasons list are only validated, so the report names the root problem
+    const importable = isPlainObject(data) && Array.isArray(data.seasons);
+    const migrationReport = importable ? migrateData(data) : null;
+    const validation = validateImportData(data);
+    if (migrationReport && migrationReport.failed) {
+        validation.errors.unshift({ path: 'schemaVersion', message: `upgrading the file to schema version ${migrationReport.failed.version} failed (${migrationReport.failed.error}), so it stays at version ${migrationReport.toVersion}` });
+    }
+    // work on a cleaned copy so the preview never mutates the parsed file
+    const seasons = importable ? validateAndCleanSeasons(JSON.parse(JSON.stringify(data.seasons))) : [];
+    pendingImport = {
+        fileName,
+        data,
+        migrationReport,
+        validation,
+        ignoreErrors: false,
+        seasons,
+        seasonActions: seasons.map(s => currentSeasons.some(c => c.id === s.id) ? 'merge' : 'add'),
+        playerActions: seasons.map(() => ({}))
+    };
+    renderImportPreview();
+    document.getElementById('importModal').classList.remove('hidden');
+}
 
-        // trophies
-        const trophiesContainer = document.getElementById('trophiesContainer');
-        const trophyEls = trophiesContainer.querySelectorAll('[data-trophy-row]');
-        const newTrophies = [];
-        trophyEls.forEach(el => {
-            const name = el.querySelector('.trophy-name').value.trim();
-            const scope = el.querySelector('.trophy-scope').value.trim();
-            if (name) newTrophies.push({ name, scope });
-        });
-        season.trophies = newTrophies;
+function closeImportModal() {
+    pendingImport = null;
+    document.getElementById('importModal').classList.add('hidden');
+}
 
-        // awards
-        const awardsContainer = document.getElementById('awardsContainer');
-        const awardEls = awardsContainer.querySelectorAll('[data-award-row]');
-        const newAwards = [];
-        awardEls.forEach(el => {
-            const playerId = el.querySelector('.award-playerId').value.trim();
-            const awardName = el.querySelector('.award-name').value.trim();
-            const note = el.querySelector('.award-note').value.trim();
-            if (awardName) newAwards.push({ playerId: playerId || null, awardName, note: note || '' });
-        });
-        season.playerAwards = newAwards;
+function getSeasonRosterEntries(season) {
+    const entries = [];
+    ['main_squad', 'youth_academy'].forEach(squad => {
+        const players = season.roster && season.roster[squad] ? season.roster[squad].players || {} : {};
+        Object.values(players).forEach(player => entries.push({ squad, player }));
+    });
+    return entries;
+}
+
+function findPlayerInSeason(season, playerId) {
+    if (!season) return null;
+    return getSeasonRosterEntries(season).find(entry => entry.player.id === playerId) || null;
+}
 
-        saveToStorage();
-        renderSeasonTabs();
-        renderPlayers();
-        try { renderSeasonStatsPanel(season); } catch (e) { console.warn(e); }
-        closeSeasonStatsEditModal();
-    } catch (e) {
-        console.warn('saveSeasonStatsEdits error', e);
-        alert('Error saving season edits.');
+/**
+ * Season that incoming players of season `index` are merged into (matching id, else the current season)
+ */
+function getImportTargetSeason(index) {
+    const incoming = pendingImport.seasons[index];
+    return currentSeasons.find(s => s.id === incoming.id) || getCurrentSeason();
+}
+
+/**
+ * Players a merge of incoming season `index` meets: the target season as it is now, plus what
+ * earlier seasons of the same file add to or overwrite in it. Several incoming seasons can merge
+ * into one target, and the later ones must see the players the earlier ones bring in.
+ * Returns [{ squad, player, importedFrom }] (importedFrom: name of the incoming season, if any).
+ */
+function getImportStagedRoster(index) {
+    const target = getImportTargetSeason(index);
+    if (!target) return [];
+    let entries = getSeasonRosterEntries(target);
+    for (let i = 0; i < index; i++) {
+        const action = pendingImport.seasonActions[i];
+        const earlier = pendingImport.seasons[i];
+        if (action === 'overwrite' && earlier.id === target.id) {
+            entries = getSeasonRosterEntries(earlier).map(e => Object.assign({ importedFrom: earlier.name }, e));
+        } else if (action === 'merge' && getImportTargetSeason(i) === target) {
+            getSeasonRosterEntries(earlier).forEach(({ squad, player }) => {
+                const matchIndex = entries.findIndex(e => e.player.id === player.id);
+                const playerAction = getImportPlayerAction(i, player.id, matchIndex >= 0 ? 'conflict' : 'new');
+                // skipped players change nothing, copies get a new id
+                if (playerAction === 'skip' || playerAction === 'duplicate') return;
+                if (matchIndex >= 0) entries.splice(matchIndex, 1);
+                entries.push({ squad, player, importedFrom: earlier.name });
+            });
+        }
     }
+    return entries;
 }
 
-// helpers to add/remove trophy and award rows
-function addTrophyRow(container, name = '', scope = '') {
-    const idx = Math.random().toString(36).slice(2,8);
-    const row = document.createElement('div');
-    row.setAttribute('data-trophy-row', idx);
-    row.className = 'flex gap-2 items-center';
-    row.innerHTML = `
-        <input class="trophy-name border border-gray-300 rounded px-2 py-1" value="${escapeHtml(name)}" placeholder="Trophy name">
-        <input class="trophy-scope border border-gray-300 rounded px-2 py-1" value="${escapeHtml(scope)}" placeholder="scope (league/domestic/international)">
-        <button type="button" class="text-red-600 remove-trophy">Remove</button>
-    `;
-    container.appendChild(row);
-    row.querySelector('.remove-trophy').addEventListener('click', () => row.remove());
+function findStagedImportPlayer(roster, playerId) {
+    return roster.find(entry => entry.player.id === playerId) || null;
 }
 
-function addAwardRow(container, award = {}) {
-    const idx = Math.random().toString(36).slice(2,8);
-    const row = document.createElement('div');
-    row.setAttribute('data-award-row', idx);
-    row.className = 'grid grid-cols-1 md:grid-cols-4 gap-2 items-center';
-    // Build player select from current season players
-    const season = getCurrentSeason();
-    let playerSelectHtml = '';
-    if (season && season.roster) {
-        const playersObj = Object.assign({}, (season.roster.main_squad && season.roster.main_squad.players) || {}, (season.roster.youth_academy && season.roster.youth_academy.players) || {});
-        playerSelectHtml += `<select class="award-playerId border border-gray-300 rounded px-2 py-1"><option value="">-- Select player --</option>`;
-        Object.keys(playersObj).forEach(pid => {
-            const p = playersObj[pid] || {};
-            const name = `${p.firstName || ''} ${p.lastName || ''}`.trim() || pid;
-            const role = p.role ? ` (${p.role})` : '';
-            const selected = String(pid) === String(award.playerId) ? 'selected' : '';
-            playerSelectHtml += `<option value="${escapeHtml(pid)}" ${selected}>${escapeHtml(name + role)}</option>`;
-        });
-        playerSelectHtml += '</select>';
-    } else {
-        // fallback to text input if no season/players
-        playerSelectHtml = `<input class="award-playerId border border-gray-300 rounded px-2 py-1" value="${escapeHtml(award.playerId || '')}" placeholder="playerId">`;
-    }
+// Whether a later incoming season merges into the same target as season `index`
+function hasLaterImportMerge(index) {
+    const target = getImportTargetSeason(index);
+    return pendingImport.seasons.some((s, i) => i > index && pendingImport.seasonActions[i] === 'merge' && getImportTargetSeason(i) === target);
+}
 
-    row.innerHTML = `
-        ${playerSelectHtml}
-        <input class="award-name border border-gray-300 rounded px-2 py-1" value="${escapeHtml(award.awardName || '')}" placeholder="award name">
-        <input class="award-note border border-gray-300 rounded px-2 py-1" value="${escapeHtml(award.note || '')}" placeholder="note">
-        <div><button type="button" class="text-red-600 remove-award">Remove</button></div>
-    `;
-    container.appendChild(row);
-    row.querySelector('.remove-award').addEventListener('click', () => row.remove());
+function getImportPlayerAction(index, playerId, kind) {
+    const chosen = pendingImport.playerActions[index][playerId];
+    if (chosen && IMPORT_PLAYER_ACTIONS[kind][chosen]) return chosen;
+    return kind === 'conflict' ? 'skip' : 'add';
 }
 
-function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+function setImportIgnoreErrors(value) {
+    if (pendingImport) pendingImport.ignoreErrors = !!value;
+}
 
 /**
- * Render charts
+ * Block the import while validation errors are unacknowledged
  */
-function renderCharts() {
-    const players = getCurrentPlayers();
-    const playersArray = Object.values(players);
-    
-    if (playersArray.length === 0) {
-        return;
+function canCommitImport() {
+    if (pendingImport.seasons.length === 0) {
+        alert('The file contains no seasons to import.');
+        return false;
     }
-    
-    renderAgeChart(playersArray);
-    renderRoleChart(playersArray);
-    // Position stat chart
-    renderPositionStatChart(playersArray);
-    // General categorical distribution donut (nationality, role, foot, contract year)
-    renderGeneralDonutChart(playersArray);
+    const errors = pendingImport.validation.errors;
+    if (errors.length > 0 && !pendingImport.ignoreErrors) {
+        alert(`The file has ${errors.length} validation error(s). Fix the file, or tick "Import anyway" to import it with default values.`);
+        return false;
+    }
+    return true;
+}
+
+function setImportSeasonAction(index, action) {
+    if (!pendingImport) return;
+    pendingImport.seasonActions[index] = action;
+    renderImportPreview();
+}
+
+function setImportPlayerAction(index, playerId, action) {
+    if (!pendingImport) return;
+    pendingImport.playerActions[index][playerId] = action;
+    // the conflicts of later seasons merging into the same target depend on this choice
+    if (pendingImport.seasonActions[index] === 'merge' && hasLaterImportMerge(index)) renderImportPreview();
 }
 
 /**
- * Render average of selected stat by position (role code)
+ * Apply one action to every conflicting player of an incoming season
  */
-function renderPositionStatChart(players) {
-    const select = document.getElementById('statSelect');
-    const stat = select ? select.value : 'overall';
-    const ctxEl = document.getElementById('positionStatChart');
-    if (!ctxEl) return;
-    const ctx = ctxEl.getContext('2d');
-
-    // destroy existing chart
-    if (charts.positionStatChart) charts.positionStatChart.destroy();
+function setImportConflictActions(index, action) {
+    if (!pendingImport) return;
+    const roster = getImportStagedRoster(index);
+    getSeasonRosterEntries(pendingImport.seasons[index]).forEach(({ player }) => {
+        if (findStagedImportPlayer(roster, player.id)) pendingImport.playerActions[index][player.id] = action;
+    });
+    renderImportPreview();
+}
 
-    // compute averages per position
-    // compute group averages for position groups
-    const averages = computeGroupAverages(players.reduce((acc, p) => { acc[p.id || generateId()] = p; return acc; }, {}));
-    // Use POSITION_GROUPS order for labels so charts match other chart ordering
-    const labels = Object.keys(POSITION_GROUPS).filter(g => averages[g]);
-    // include any extra groups at the end
-    const extra = Object.keys(averages).filter(k => !labels.includes(k)).sort();
-    labels.push(...extra);
-    const data = [];
-    const bg = [];
+function renderImportOptions(options, selected) {
+    return Object.entries(options).map(([value, label]) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
+}
 
-    labels.forEach(pos => {
-        const a = averages[pos];
-        let value = 0;
-        if (stat === 'nationality') {
-            value = a.nationalityCount || 0;
-        } else if (stat === 'foot') {
-            value = a.footCount || 0;
-        } else if (stat === 'contractEnd') {
-            // contractEnd avg is stored as a numeric value (digit or rounded decimal)
-            value = a.contractEnd !== null && a.contractEnd !== undefined && a.contractEnd !== '' ? Number(a.contractEnd) : 0;
-        } else {
-            value = Number(a[stat]) || 0;
+function renderImportPreview() {
+    const container = document.getElementById('importPreview');
+    if (!container || !pendingImport) return;
+
+    const squadLabels = { main_squad: 'Main', youth_academy: 'Youth' };
+    const totalPlayers = pendingImport.seasons.reduce((sum, s) => sum + getSeasonRosterEntries(s).length, 0);
+
+    const blocks = pendingImport.seasons.map((season, index) => {
+        const existing = currentSeasons.find(s => s.id === season.id);
+        const seasonOptions = Object.assign({}, IMPORT_SEASON_ACTIONS[existing ? 'conflict' : 'new']);
+        if (!existing && !getCurrentSeason()) delete seasonOptions.merge;
+        const seasonAction = seasonOptions[pendingImport.seasonActions[index]] ? pendingImport.seasonActions[index] : Object.keys(seasonOptions)[0];
+        pendingImport.seasonActions[index] = seasonAction;
+        const entries = getSeasonRosterEntries(season);
+
+        let playersHtml = '';
+        if (seasonAction === 'merge') {
+            const target = getImportTargetSeason(index);
+            const roster = getImportStagedRoster(index);
+            let conflicts = 0;
+            const rows = entries.map(({ squad, player }) => {
+                const match = findStagedImportPlayer(roster, player.id);
+                const kind = match ? 'conflict' : 'new';
+                if (match) conflicts++;
+                const action = getImportPlayerAction(index, player.id, kind);
+                const conflictText = match
+                    ? `<span class="text-orange-600">conflicts with ${escapeHtml(match.player.firstName)} ${escapeHtml(match.player.lastName)} (${squadLabels[match.squad]}, OVR ${match.player.overall || '-'}${match.importedFrom ? `, from "${escapeHtml(match.importedFrom)}" of this file` : ''})</span>`
+                    : '<span class="text-green-600">new</span>';
+                return `
+                    <div class="flex justify-between items-center gap-2 py-1 border-b border-gray-100 text-sm">
+                        <div>
+                            <span class="font-medium">${escapeHtml(player.firstName)} ${escapeHtml(player.lastName)}</span>
+                            <span class="text-gray-500">${escapeHtml(player.role || '')} • ${squadLabels[squad]} • OVR ${player.overall || '-'}</span>
+                            <div class="text-xs">${conflictText}</div>
+                        </div>
+                        <select onchange="setImportPlayerAction(${index}, '${player.id}', this.value)" class="border border-gray-300 rounded px-2 py-1 text-sm">
+                            ${renderImportOptions(IMPORT_PLAYER_ACTIONS[kind], action)}
+                        </select>
+                    </div>
+                `;
+            }).join('');
+            const bulk = conflicts > 0 ? `
+                <div class="flex items-center gap-2 text-xs text-gray-600 mb-1">
+                    <span>All ${conflicts} conflict(s):</span>
+                    ${Object.entries(IMPORT_PLAYER_ACTIONS.conflict).map(([value, label]) =>
+                        `<button onclick="setImportConflictActions(${index}, '${value}')" class="underline hover:text-black">${label}</button>`
+                    ).join('')}
+                </div>` : '';
+            playersHtml = `
+                <div class="mt-3">
+                    <div class="text-xs text-gray-500 mb-1">Into "${escapeHtml(target ? target.name : '')}". Transfers, notes and stats are only imported with whole seasons.</div>
+                    ${bulk}
+                    <div class="max-h-60 overflow-y-auto">${rows || '<div class="text-sm text-gray-500">No players in this season.</div>'}</div>
+                </div>
+            `;
         }
 
-    data.push(value);
-    // color by position group using GROUP_COLORS mapping
-    const color = GROUP_COLORS[pos] ? GROUP_COLORS[pos].color : '#9CA3AF';
-    bg.push(color);
-    });
+        const badge = existing
+            ? `<span class="text-xs bg-orange-100 text-orange-800 px-2 py-0.5 rounded">Same id as "${escapeHtml(existing.name)}"</span>`
+            : '<span class="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded">New season</span>';
 
-    charts.positionStatChart = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels,
-            datasets: [{
-                label: `Average ${stat} by Position Group`,
-                data,
-                backgroundColor: bg,
-                borderColor: bg,
-                borderWidth: 1
-            }]
-        },
-        options: {
-            responsive: true,
-            plugins: { legend: { display: false } },
-            scales: { y: { beginAtZero: true } }
-        }
-    });
+        return `
+            <div class="border border-gray-200 rounded p-3 mb-3">
+                <div class="flex justify-between items-center gap-2">
+                    <div>
+                        <div class="font-semibold">${escapeHtml(season.name)} <span class="text-gray-500 font-normal">(${season.year})</span></div>
+                        <div class="text-xs text-gray-500 mt-1">${entries.length} player(s) • ${badge}</div>
+                    </div>
+                    <select onchange="setImportSeasonAction(${index}, this.value)" class="border border-gray-300 rounded px-2 py-1 text-sm">
+                        ${renderImportOptions(seasonOptions, seasonAction)}
+                    </select>
+                </div>
+                ${playersHtml}
+            </div>
+        `;
+    }).join('');
+
+    const upgrades = formatMigrationReport(pendingImport.migrationReport);
+    const upgradeHtml = upgrades.length ? `
+        <div class="text-sm bg-yellow-50 border border-yellow-200 rounded p-3 mb-4">
+            <div class="font-medium mb-1">Upgraded from schema version ${pendingImport.migrationReport.fromVersion} to ${pendingImport.migrationReport.toVersion}</div>
+            <ul class="list-disc pl-5">${upgrades.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+        </div>` : '';
+
+    container.innerHTML = `
+        ${upgradeHtml}
+        ${renderImportValidation(pendingImport.validation, pendingImport.ignoreErrors)}
+        <div class="text-sm text-gray-600 mb-4">
+            <strong>${escapeHtml(pendingImport.fileName)}</strong> contains ${pendingImport.seasons.length} season(s) and ${totalPlayers} player(s).
+            Conflicts are detected by season id and player id.
+        </div>
+        ${blocks || '<div class="text-sm text-gray-500">The file contains no seasons.</div>'}
+    `;
 }
 
 /**
- * Render average age by position chart
+ * Apply the chosen per-season and per-player actions
  */
-function renderAgeChart(players) {
-    const ctx = document.getElementById('ageChart').getContext('2d');
-    
-    // Destroy existing chart
-    if (charts.ageChart) {
-        charts.ageChart.destroy();
+function commitMergeImport() {
+    if (!pendingImport || !canCommitImport()) return;
+    if (pendingImport.seasonActions.every(a => a === 'skip')) {
+        alert('Nothing selected to import.');
+        return;
     }
-    
-    // Calculate average age by position group
-    const ageData = {};
-    Object.entries(POSITION_GROUPS).forEach(([groupName, positions]) => {
-        const groupPlayers = players.filter(p => positions.includes(p.role));
-        if (groupPlayers.length > 0) {
-            const avgAge = groupPlayers.reduce((sum, p) => sum + (p.age || 0), 0) / groupPlayers.length;
-            ageData[groupName] = Math.round(avgAge * 10) / 10;
+
+    createSnapshot('Before import');
+    const clone = obj => JSON.parse(JSON.stringify(obj));
+    const counts = { seasonsAdded: 0, seasonsOverwritten: 0, playersAdded: 0, playersOverwritten: 0 };
+    let firstTouchedId = null;
+
+    pendingImport.seasons.forEach((season, index) => {
+        const action = pendingImport.seasonActions[index];
+        if (action === 'skip') return;
+
+        if (action === 'add' || action === 'duplicate') {
+            const copy = clone(season);
+            if (action === 'duplicate') {
+                copy.id = generateId();
+                copy.name = `${copy.name} (imported)`;
+            }
+            currentSeasons.push(copy);
+            counts.seasonsAdded++;
+            firstTouchedId = firstTouchedId || copy.id;
+        } else if (action === 'overwrite') {
+            const existingIndex = currentSeasons.findIndex(s => s.id === season.id);
+            currentSeasons[existingIndex] = clone(season);
+            counts.seasonsOverwritten++;
+            firstTouchedId = firstTouchedId || season.id;
+        } else if (action === 'merge') {
+            const target = getImportTargetSeason(index);
+            if (!target) return;
+            getSeasonRosterEntries(season).forEach(({ squad, player }) => {
+                const match = findPlayerInSeason(target, player.id);
+                const playerAction = getImportPlayerAction(index, player.id, match ? 'conflict' : 'new');
+                if (playerAction === 'skip') return;
+
+                const copy = clone(player);
+                if (playerAction === 'duplicate') copy.id = generateId();
+                if (playerAction === 'overwrite') {
+                    delete target.roster[match.squad].players[match.player.id];
+                    counts.playersOverwritten++;
+                } else {
+                    counts.playersAdded++;
+                }
+                target.roster[squad].players[copy.id] = copy;
+            });
+            normalizePlayerOrder(target, 'main_squad');
+            normalizePlayerOrder(target, 'youth_academy');
+            applyMatchLogStats(target);
+            firstTouchedId = firstTouchedId || target.id;
         }
     });
+
+    if (firstTouchedId) currentSeasonId = firstTouchedId;
+    const fileName = pendingImport.fileName;
+    closeImportModal();
+
+    saveToStorage(`Merge import ${fileName}`);
+    refreshAllViews();
+    hideCharts();
+
+    alert(`Import complete.\n\nSeasons added: ${counts.seasonsAdded}\nSeasons overwritten: ${counts.seasonsOverwritten}\nPlayers added: ${counts.playersAdded}\nPlayers overwritten: ${counts.playersOverwritten}`);
+}
+
+/**
+ * Import the pending file as a new career and switch to it
+ */
+async function commitNewCareerImport() {
+    if (!pendingImport || !canCommitImport()) return;
+    const fileCareer = pendingImport.data.career && pendingImport.data.career.name;
+    const name = prompt('Name of the new career:', fileCareer || pendingImport.fileName.replace(/\.json$/i, ''));
+    if (!name || !name.trim()) return;
+
+    const seasons = pendingImport.seasons;
+    const migrationReport = pendingImport.migrationReport;
+    closeImportModal();
+
+    const career = addCareer(name.trim());
+    await switchCareer(career.id);
+    adoptSchemaVersion(migrationReport);
+    currentSeasons = seasons;
+    currentSeasonId = currentSeasons.length > 0 ? currentSeasons[0].id : null;
+    resetHistoryBaseline();
+    saveToStorage();
+    refreshAllViews();
+
+    alert(`Imported ${seasons.length} season(s) into the new career "${career.name}".`);
+}
+
+/**
+ * Replace all data of the current career with the pending import file
+ */
+function commitReplaceImport() {
+    if (!pendingImport || !canCommitImport()) return;
+    const career = getCurrentCareer();
+    if (!confirm(`This will replace all data of the career "${career ? career.name : ''}". Are you sure?`)) return;
+
+    // the cleaned copy built for the preview, not the raw file
+    const seasons = pendingImport.seasons;
+    const migrationReport = pendingImport.migrationReport;
+    closeImportModal();
+
+    createSnapshot('Before import');
+    adoptSchemaVersion(migrationReport);
+    currentSeasons = seasons;
+    currentSeasonId = currentSeasons.length > 0 ? currentSeasons[0].id : null;
+    currentSquad = 'main_squad';
     
-    charts.ageChart = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: Object.keys(ageData),
-            datasets: [{
-                label: 'Average Age',
-                data: Object.values(ageData),
-                backgroundColor: Object.keys(ageData).map(g => (GROUP_COLORS[g] ? GROUP_COLORS[g].color : '#9CA3AF')),
-                borderColor: Object.keys(ageData).map(g => (GROUP_COLORS[g] ? GROUP_COLORS[g].color : '#6B7280')),
-                borderWidth: 1
-            }]
-        },
-        options: {
-            responsive: true,
-            plugins: {
-                legend: {
-                    display: false
-                }
-            },
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    title: {
-                        display: true,
-                        text: 'Age'
-                    }
-                }
-            }
+    saveToStorage('Import data');
+    renderSeasonTabs();
+    renderPlayers();
+    hideCharts();
+    
+    alert('Data imported successfully!');
+}
+
+/**
+ * CSV
+ * One writer and one reader for every CSV export and import. Fields are escaped per RFC 4180
+ * (fields containing the delimiter, a quote or a line break are quoted, quotes are doubled, rows
+ * end with CRLF). The delimiter and the UTF-8 byte order mark Excel needs to show accented names
+ * are user options, kept in localStorage and set next to the season stats export.
+ */
+const CSV_OPTIONS_STORAGE_KEY = 'cmutils_csv_options';
+const CSV_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+function getCsvOptions() {
+    let stored = null;
+    try { stored = JSON.parse(localStorage.getItem(CSV_OPTIONS_STORAGE_KEY) || 'null'); } catch (e) { /* use defaults */ }
+    return {
+        delimiter: stored && CSV_DELIMITERS[stored.delimiter] ? stored.delimiter : 'comma',
+        bom: !!(stored && stored.bom)
+    };
+}
+
+function setCsvOptions(changes) {
+    const options = Object.assign(getCsvOptions(), changes);
+    try { localStorage.setItem(CSV_OPTIONS_STORAGE_KEY, JSON.stringify(options)); } catch (e) { console.warn('Could not save CSV options', e); }
+}
+
+function escapeCsvField(value, delimiter) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows (arrays of values, header first) with the current CSV options
+ */
+function toCSV(rows, options = getCsvOptions()) {
+    const delimiter = CSV_DELIMITERS[options.delimiter] || ',';
+    const body = rows.map(row => row.map(value => escapeCsvField(value, delimiter)).join(delimiter)).join('\r\n');
+    return `${options.bom ? '\uFEFF' : ''}${body}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of cells. Reads everything toCSV() writes: an optional byte order
+ * mark, quoted fields with doubled quotes, delimiters and line breaks, CRLF or LF line ends.
+ * Without an explicit delimiter (',', ';' or tab) it is detected from the header line.
+ */
+function parseCSV(text, delimiter = null) {
+    text = String(text).replace(/^\uFEFF/, '');
+    if (!delimiter) {
+        const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const count = d => header.split(d).length;
+        delimiter = Object.values(CSV_DELIMITERS).reduce((best, d) => count(d) > count(best) ? d : best, ',');
+    }
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch !== '"') field += ch;
+            else if (text[i + 1] === '"') { field += '"'; i++; }
+            else quoted = false;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
         }
-    });
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * CSV player import
+ * Players from a spreadsheet are added to the Main Squad, the Youth Academy or one of the "to buy"
+ * transfer lists of the current season. Every CSV column is mapped to a player form field (guessed
+ * from the header), each row is checked with the same rules as JSON imports and rows with errors
+ * are skipped. Role types and playstyles use the exportSeasonStatsCSV() syntax:
+ * "Type++:Focus | Type+:Focus" and "Category:Name+ | Name".
+ */
+const CSV_PLAYER_FIELDS = [
+    { key: 'firstName', label: 'First name', aliases: ['first', 'forename'] },
+    { key: 'lastName', label: 'Last name', aliases: ['last', 'surname'] },
+    { key: 'nationality', label: 'Nationality', aliases: ['nation', 'country'] },
+    { key: 'role', label: 'Role', aliases: ['position', 'pos'] },
+    { key: 'roleTypes', label: 'Role types', aliases: ['roletype'] },
+    { key: 'playstyles', label: 'Playstyles', aliases: ['playstyle'] },
+    { key: 'overall', label: 'Overall', aliases: ['ovr'] },
+    { key: 'potential', label: 'Potential', aliases: ['pot'] },
+    { key: 'age', label: 'Age', aliases: [] },
+    { key: 'contractEnd', label: 'Contract (years left)', aliases: ['contract'] },
+    { key: 'skills', label: 'Skill moves', aliases: ['sm'] },
+    { key: 'weakFoot', label: 'Weak foot', aliases: ['wf'] },
+    { key: 'foot', label: 'Preferred foot', aliases: ['preferredfoot'] },
+    { key: 'totalStats', label: 'Total stats', aliases: ['total'] },
+    { key: 'value', label: 'Value', aliases: [] },
+    { key: 'wage', label: 'Wage', aliases: [] },
+    { key: 'appearances', label: 'Appearances', aliases: ['apps'] },
+    { key: 'goals', label: 'Goals', aliases: [] },
+    { key: 'assists', label: 'Assists', aliases: [] },
+    { key: 'cleanSheets', label: 'Clean sheets', aliases: [] },
+    { key: 'yellowCards', label: 'Yellow cards', aliases: ['yellows'] },
+    { key: 'redCards', label: 'Red cards', aliases: ['reds'] },
+    { key: 'avgRating', label: 'Average rating', aliases: ['rating', 'avg'] }
+];
+const CSV_IMPORT_TARGETS = {
+    main_squad: 'Main Squad',
+    youth_academy: 'Youth Academy',
+    toBuyClub: 'To Buy (Club)',
+    toBuyReleased: 'To Buy (Released)'
+};
+let pendingCsvImport = null; // { fileName, headers, rows, mapping: [field key or ''], target }
+
+function normalizeCsvHeader(header) {
+    return String(header).toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
 }
 
 /**
- * Render role distribution chart
+ * Guess the player field of every column from its header; each field is used once
  */
-function renderRoleChart(players) {
-    const ctx = document.getElementById('roleChart').getContext('2d');
-    
-    // Destroy existing chart
-    if (charts.roleChart) {
-        charts.roleChart.destroy();
-    }
-    
-    // Count players by role
-    const roleCounts = {};
-    players.forEach(player => {
-        const role = player.role || 'Unknown';
-        roleCounts[role] = (roleCounts[role] || 0) + 1;
+function guessCsvMapping(headers) {
+    const used = new Set();
+    return headers.map(header => {
+        const name = normalizeCsvHeader(header);
+        const field = CSV_PLAYER_FIELDS.find(f => !used.has(f.key) &&
+            [f.key, f.label].concat(f.aliases).some(candidate => normalizeCsvHeader(candidate) === name));
+        if (!field) return '';
+        used.add(field.key);
+        return field.key;
     });
-    
-    charts.roleChart = new Chart(ctx, {
-        type: 'doughnut',
-        data: {
-            labels: Object.keys(roleCounts),
-            datasets: [{
-                data: Object.values(roleCounts),
-                // Map each role to its position group color, fallback to gray
-                backgroundColor: Object.keys(roleCounts).map(role => {
-                    // find which group contains this role
-                    for (const [groupName, positions] of Object.entries(POSITION_GROUPS)) {
-                        if (positions.includes(role)) return GROUP_COLORS[groupName].color;
-                    }
-                    return '#9CA3AF';
-                }),
-                borderWidth: 2,
-                borderColor: '#ffffff'
-            }]
-        },
-        options: {
-            responsive: true,
-            plugins: {
-                legend: {
-                    position: 'right'
-                }
-            }
-        }
+}
+
+/**
+ * "Type++:Focus | Type" -> [{ type, focus, level }], matched case-insensitively to the role's definitions
+ */
+function parseRoleTypesCell(text, role) {
+    const defs = ROLE_DEFINITIONS[role] || [];
+    return String(text || '').split('|').map(part => part.trim()).filter(Boolean).map(part => {
+        const colon = part.indexOf(':');
+        const head = (colon === -1 ? part : part.slice(0, colon)).trim();
+        const focus = colon === -1 ? '' : part.slice(colon + 1).trim();
+        const [, type, plus] = head.match(/^(.*?)\s*(\+{0,2})$/);
+        const def = defs.find(d => d.type.toLowerCase() === type.toLowerCase() && (!focus || (d.focus || '').toLowerCase() === focus.toLowerCase()));
+        return {
+            type: def ? def.type : type,
+            focus: def && focus ? def.focus : focus,
+            level: plus === '++' ? '2' : plus === '+' ? '1' : ''
+        };
     });
 }
 
 /**
- * Render donut chart showing total value (or count fallback) by position group.
- * Uses GROUP_COLORS for slice colors so groups match other visuals.
+ * "Category:Name+ | Name" -> [{ category, name, level }]; a missing category is looked up by name
  */
+function parsePlaystylesCell(text) {
+    return String(text || '').split('|').map(part => part.trim()).filter(Boolean).map(part => {
+        const colon = part.indexOf(':');
+        const category = colon === -1 ? '' : part.slice(0, colon).trim();
+        const rest = (colon === -1 ? part : part.slice(colon + 1)).trim();
+        const plus = rest.endsWith('+');
+        const name = plus ? rest.slice(0, -1).trim() : rest;
+        const def = PLAYSTYLE_DEFINITIONS.find(d => d.name.toLowerCase() === name.toLowerCase());
+        return {
+            category: def ? def.category : category,
+            name: def ? def.name : name,
+            level: plus ? '2' : '1'
+        };
+    });
+}
 
 /**
- * Render a general donut chart for categorical distributions (nationality, role, foot, contract year)
+ * Inverse of parseRoleTypesCell(); also handles the legacy single roleType fields
  */
-function renderGeneralDonutChart(players) {
-    const select = document.getElementById('generalStatSelect');
-    const stat = select ? select.value : 'nationality';
-    const ctxEl = document.getElementById('generalDonutChart');
-    if (!ctxEl) return;
-    const ctx = ctxEl.getContext('2d');
+function formatRoleTypesCell(player) {
+    const roleTypes = Array.isArray(player.roleTypes) && player.roleTypes.length
+        ? player.roleTypes
+        : player.roleType ? [{ type: player.roleType, focus: player.roleFocus, level: player.roleTypeLevel }] : [];
+    return roleTypes.filter(Boolean).map(rt => {
+        const levelSuffix = rt.level === '1' ? '+' : rt.level === '2' ? '++' : '';
+        const focus = rt.focus ? `:${rt.focus}` : '';
+        return `${rt.type || ''}${levelSuffix}${focus}`;
+    }).join(' | ');
+}
 
-    // destroy existing chart
-    if (charts.generalDonutChart) charts.generalDonutChart.destroy();
+/**
+ * Inverse of parsePlaystylesCell(); also handles the legacy single playstyle fields
+ */
+function formatPlaystylesCell(player) {
+    const playstyles = Array.isArray(player.playstyles) && player.playstyles.length
+        ? player.playstyles
+        : player.playstyle ? [{ category: player.playstyleCategory, name: player.playstyle, level: player.playstyleLevel }] : [];
+    return playstyles.filter(Boolean).map(ps => {
+        const levelSuffix = ps.level === '2' ? '+' : '';
+        const cat = ps.category ? `${ps.category}:` : '';
+        return `${cat}${ps.name || ''}${levelSuffix}`;
+    }).join(' | ');
+}
 
-    // build counts
-    const counts = {};
-    const inc = k => { counts[k] = (counts[k] || 0) + 1; };
+/**
+ * One CSV row per player with every CSV_PLAYER_FIELDS column, readable by the CSV importer
+ */
+function playerCsvRow(player) {
+    return CSV_PLAYER_FIELDS.map(({ key }) => {
+        if (key === 'roleTypes') return formatRoleTypesCell(player);
+        if (key === 'playstyles') return formatPlaystylesCell(player);
+        return player[key] ?? '';
+    });
+}
 
-    players.forEach(p => {
-        // categorical
-        if (stat === 'nationality') { inc(p.nationality || 'Unknown'); return; }
-        if (stat === 'role') { inc(p.role || 'Unknown'); return; }
-        if (stat === 'foot') { inc(p.foot || 'Unknown'); return; }
-        if (stat === 'contractEnd') {
-            if (p.contractEnd !== undefined && p.contractEnd !== null && p.contractEnd !== '') {
-                const c = Number(p.contractEnd);
-                if (!isNaN(c)) inc(String(c)); else inc('Unknown');
-            } else inc('Unknown');
-            return;
-        }
+function parseCsvNumber(text) {
+    if (isBlank(text)) return undefined;
+    let n = Number(text);
+    // decimal comma as written by European spreadsheets (7,5)
+    if (isNaN(n) && /^-?\d+,\d+$/.test(text)) n = Number(text.replace(',', '.'));
+    return isNaN(n) ? text : n;
+}
 
-        // numeric: show every single value for overall/potential (e.g. 80,85,90)
-        if (stat === 'overall' || stat === 'potential') {
-            const val = parseInt(p[stat]);
-            if (!val || isNaN(val) || val <= 0) { inc('Unknown'); return; }
-            inc(String(val));
-            return;
-        }
+function parseCsvNationality(text) {
+    const value = String(text || '').trim();
+    if (!value || COUNTRY_MAP[value.toUpperCase()]) return value.toUpperCase();
+    const code = Object.keys(COUNTRY_MAP).find(c => COUNTRY_MAP[c].name.toLowerCase() === value.toLowerCase());
+    return code || value;
+}
 
-        // skills and weakFoot: treat as exact counts (1-5)
-        if (stat === 'skills' || stat === 'weakFoot') {
-            const v = p[stat];
-            if (v === null || v === undefined || v === '') { inc('Unknown'); return; }
-            inc(String(v));
-            return;
-        }
+/**
+ * Build and check the player of one CSV row. Returns { rowNumber, player, errors, warnings }.
+ */
+function buildCsvPlayer(cells, mapping, rowNumber, existingNames) {
+    const raw = {};
+    mapping.forEach((key, col) => { if (key) raw[key] = (cells[col] || '').trim(); });
+
+    const role = (raw.role || '').toUpperCase();
+    const foot = raw.foot || '';
+    const player = {
+        id: generateId(),
+        firstName: raw.firstName || '',
+        lastName: raw.lastName || '',
+        nationality: parseCsvNationality(raw.nationality),
+        role,
+        roleTypes: parseRoleTypesCell(raw.roleTypes, role),
+        playstyles: parsePlaystylesCell(raw.playstyles),
+        foot: /^l/i.test(foot) ? 'Left' : /^r/i.test(foot) ? 'Right' : foot
+    };
+    Object.keys(PLAYER_NUMBER_RULES).forEach(field => { player[field] = parseCsvNumber(raw[field]); });
 
-        // fallback
-        inc('Unknown');
-    });
+    const errors = [];
+    const warnings = [];
+    const report = {
+        error: (path, message) => errors.push({ path: path.replace(/^\$\.?/, ''), message }),
+        warn: (path, message) => warnings.push({ path: path.replace(/^\$\.?/, ''), message })
+    };
+    validatePlayer(player, player.id, '$', { playerPaths: {} }, report);
 
-    // sort keys by count desc and include all categories (no 'Other' grouping)
-    const entries = Object.entries(counts).sort((a,b) => b[1] - a[1]);
-    const labels = entries.map(e => e[0]);
-    const data = entries.map(e => e[1]);
+    const fullName = `${player.firstName} ${player.lastName}`.trim().toLowerCase();
+    if (fullName && existingNames.has(fullName)) report.warn('$', 'a player with this name is already in the target list');
 
-    // build colors (reuse GROUP_COLORS when possible, otherwise generate palette)
-    const palette = ['#4F46E5','#10B981','#F59E0B','#EF4444','#3B82F6','#8B5CF6','#06B6D4','#F97316','#14B8A6','#6366F1','#9CA3AF'];
-    const bg = labels.map((lbl, i) => {
-        // try match group color by label (if label matches a POSITION_GROUP name)
-        if (GROUP_COLORS[lbl]) return GROUP_COLORS[lbl].color;
-        // try to map common values
-        if (/^Unknown$/i.test(lbl)) return '#9CA3AF';
-        return palette[i % palette.length];
+    // same defaults as the player form (numbers 0, contract left empty)
+    if (!player.firstName && player.lastName) player.firstName = 'Unknown';
+    if (player.firstName && !player.lastName) player.lastName = 'Player';
+    Object.keys(PLAYER_NUMBER_RULES).forEach(field => {
+        if (player[field] === undefined) player[field] = field === 'contractEnd' ? '' : 0;
     });
+    return { rowNumber, player, errors, warnings };
+}
 
-    charts.generalDonutChart = new Chart(ctx, {
-        type: 'doughnut',
-        data: {
-            labels,
-            datasets: [{
-                data,
-                backgroundColor: bg,
-                borderColor: '#ffffff',
-                borderWidth: 2
-            }]
-        },
-        options: {
-            responsive: true,
-            plugins: {
-                legend: { position: 'right' },
-                tooltip: {
-                    // Disable built-in tooltip when showing nationality so only the custom tooltip appears.
-                    // For other stats keep the normal built-in Chart.js tooltip enabled.
-                    enabled: (stat !== 'nationality'),
-                    external: function(context) {
-                        // Only show the rich custom tooltip for nationality stat
-                        if (stat !== 'nationality') {
-                            // If a custom tooltip element exists from a previous hover, hide it
-                            const existing = document.getElementById('chartjs-tooltip-general');
-                            if (existing) existing.style.opacity = 0;
-                            return;
-                        }
+/**
+ * Names already in the import target of the current season (lower-case "first last")
+ */
+function getCsvTargetNames(target) {
+    const season = getCurrentSeason();
+    if (!season) return new Set();
+    const players = target === 'main_squad' || target === 'youth_academy'
+        ? Object.values((season.roster[target] && season.roster[target].players) || {})
+        : (getSeasonTransfers(season)[target] || []);
+    return new Set(players.map(p => `${p.firstName || ''} ${p.lastName || ''}`.trim().toLowerCase()));
+}
 
-                        const tooltipModel = context.tooltip;
-                        let tooltipEl = document.getElementById('chartjs-tooltip-general');
+function buildCsvImportRows() {
+    if (!pendingCsvImport) return [];
+    const existingNames = getCsvTargetNames(pendingCsvImport.target);
+    return pendingCsvImport.rows.map((cells, i) => buildCsvPlayer(cells, pendingCsvImport.mapping, i + 2, existingNames));
+}
 
-                        // Create tooltip element if not present
-                        if (!tooltipEl) {
-                            tooltipEl = document.createElement('div');
-                            tooltipEl.id = 'chartjs-tooltip-general';
-                            tooltipEl.style.position = 'absolute';
-                            tooltipEl.style.zIndex = 9999;
-                            tooltipEl.style.pointerEvents = 'none';
-                            tooltipEl.style.transition = 'opacity 0.08s ease';
-                            document.body.appendChild(tooltipEl);
-                        }
+function importPlayersCSV(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    if (!getCurrentSeason()) {
+        alert('Please create or select a season first.');
+        event.target.value = '';
+        return;
+    }
 
-                        // Hide if no tooltip
-                        if (tooltipModel.opacity === 0) {
-                            tooltipEl.style.opacity = 0;
-                            return;
-                        }
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const rows = parseCSV(e.target.result);
+        if (rows.length < 2) {
+            alert('The CSV file needs a header row and at least one player row.');
+            return;
+        }
+        const headers = rows[0].map(h => h.trim());
+        pendingCsvImport = {
+            fileName: file.name,
+            headers,
+            rows: rows.slice(1),
+            mapping: guessCsvMapping(headers),
+            target: currentSquad
+        };
+        renderCsvImportPreview();
+        document.getElementById('csvImportModal').classList.remove('hidden');
+    };
+    reader.readAsText(file);
 
-                        // Use first dataPoint if present
-                        const dp = (tooltipModel.dataPoints && tooltipModel.dataPoints[0]) || null;
-                        if (!dp) { tooltipEl.style.opacity = 0; return; }
+    // Reset file input
+    event.target.value = '';
+}
 
-                        const label = dp.label || 'Unknown';
-                        const value = Number(dp.parsed || dp.raw || dp.formattedValue || 0);
+function closeCsvImportModal() {
+    pendingCsvImport = null;
+    document.getElementById('csvImportModal').classList.add('hidden');
+}
 
-                        // Compute total for percent
-                        const chart = context.chart;
-                        const dataset = (chart.data && chart.data.datasets && chart.data.datasets[0]) || null;
-                        const total = dataset ? dataset.data.reduce((s, v) => s + Number(v || 0), 0) : 0;
-                        const percent = total ? Math.round((value / total) * 100) : 0;
+function setCsvImportTarget(target) {
+    if (!pendingCsvImport || !CSV_IMPORT_TARGETS[target]) return;
+    pendingCsvImport.target = target;
+    renderCsvImportPreview();
+}
 
-                        // Resolve country mapping to get display name and flag filename
-                        let mapping = COUNTRY_MAP[label] || COUNTRY_MAP[label.toUpperCase()];
-                        // If not found by code, try matching by English name (case-insensitive)
-                        if (!mapping) {
-                            const byName = Object.values(COUNTRY_MAP).find(c => (c.name || '').toLowerCase() === String(label || '').toLowerCase());
-                            if (byName) mapping = byName;
-                        }
+/**
+ * Map a column to a field; a field mapped to another column is unmapped there
+ */
+function setCsvColumnMapping(column, key) {
+    if (!pendingCsvImport) return;
+    pendingCsvImport.mapping = pendingCsvImport.mapping.map((current, i) => {
+        if (i === column) return key;
+        return key && current === key ? '' : current;
+    });
+    renderCsvImportPreview();
+}
 
-                        let displayName = label;
-                        let flagFile = label;
-                        if (mapping) {
-                            displayName = mapping.name || label;
-                            flagFile = mapping.flag || label;
-                        } else {
-                            // fallback heuristics: 3-letter codes -> first 2 letters; 2-letter codes use directly
-                            const L = (label || '').toString();
-                            if (L.length === 3) flagFile = L.substring(0,2).toUpperCase();
-                            else if (L.length === 2) flagFile = L.toUpperCase();
-                        }
+function renderCsvImportPreview() {
+    const container = document.getElementById('csvImportPreview');
+    if (!container || !pendingCsvImport) return;
+
+    const { headers, mapping, target } = pendingCsvImport;
+    const results = buildCsvImportRows();
+    const ready = results.filter(r => r.errors.length === 0);
+    const skipped = results.length - ready.length;
+
+    const targetOptions = Object.entries(CSV_IMPORT_TARGETS).map(([value, label]) =>
+        `<option value="${value}" ${value === target ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    const fieldOptions = selected => ['<option value="">— ignore —</option>'].concat(CSV_PLAYER_FIELDS.map(f =>
+        `<option value="${f.key}" ${f.key === selected ? 'selected' : ''}>${f.label}</option>`
+    )).join('');
+    const mappingRows = headers.map((header, col) => {
+        const sample = pendingCsvImport.rows[0] ? pendingCsvImport.rows[0][col] || '' : '';
+        return `
+            <div class="flex items-center gap-2 py-1 border-b border-gray-100 text-sm">
+                <div class="w-1/3 font-medium truncate" title="${escapeHtml(header)}">${escapeHtml(header) || `<span class="text-gray-400">Column ${col + 1}</span>`}</div>
+                <div class="w-1/3 text-gray-500 truncate" title="${escapeHtml(sample)}">${escapeHtml(sample)}</div>
+                <select onchange="setCsvColumnMapping(${col}, this.value)" class="w-1/3 border border-gray-300 rounded px-2 py-1 text-sm">${fieldOptions(mapping[col])}</select>
+            </div>
+        `;
+    }).join('');
 
-                        const imgSrc = `flags/${flagFile}.svg`;
+    const missing = [];
+    if (!mapping.includes('role')) missing.push('Role');
+    if (!mapping.includes('firstName') && !mapping.includes('lastName')) missing.push('First name or Last name');
+    const missingHtml = missing.length
+        ? `<div class="text-sm bg-red-50 border border-red-200 rounded p-2 mt-2 text-red-800">Map a column to: ${missing.join(', ')}.</div>`
+        : '';
+
+    const issueList = (issues, colorClass) => issues.map(issue =>
+        `<div class="text-xs ${colorClass}">${issue.path ? `<code>${escapeHtml(issue.path)}</code> ` : ''}${escapeHtml(issue.message)}</div>`
+    ).join('');
+    const previewRows = results.map(({ rowNumber, player, errors, warnings }) => {
+        const status = errors.length
+            ? '<span class="text-xs bg-red-100 text-red-800 px-2 py-0.5 rounded">Skipped</span>'
+            : warnings.length
+                ? '<span class="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded">Warnings</span>'
+                : '<span class="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded">Ready</span>';
+        return `
+            <div class="py-1 border-b border-gray-100 text-sm">
+                <div class="flex justify-between items-center gap-2">
+                    <div>
+                        <span class="text-gray-400">Row ${rowNumber}</span>
+                        <span class="font-medium">${escapeHtml(player.firstName)} ${escapeHtml(player.lastName)}</span>
+                        <span class="text-gray-500">${escapeHtml(player.role || '-')} • OVR ${escapeHtml(player.overall || '-')}</span>
+                    </div>
+                    ${status}
+                </div>
+                ${issueList(errors, 'text-red-700')}${issueList(warnings, 'text-yellow-800')}
+            </div>
+        `;
+    }).join('');
 
-                        // Build HTML
-                        tooltipEl.innerHTML = `
-                            <div style="display:flex;align-items:center;gap:8px;padding:6px 8px;background:rgba(255,255,255,0.98);border:1px solid rgba(0,0,0,0.08);box-shadow:0 4px 12px rgba(0,0,0,0.12);border-radius:6px;font-family:inherit;font-size:13px;color:#111">
-                                <img src="${imgSrc}" alt="${escapeHtml(displayName)}" style="width:22px;height:14px;object-fit:cover;flex-shrink:0;" onerror="this.style.display='none'" />
-                                <div style="line-height:1">
-                                    <div style="font-weight:600">${escapeHtml(displayName)}</div>
-                                    <div style="font-size:12px;color:#555">${value} (${percent}%)</div>
-                                </div>
-                            </div>
-                        `;
+    container.innerHTML = `
+        <div class="text-sm text-gray-600 mb-3">${escapeHtml(pendingCsvImport.fileName)}: ${results.length} row(s). Players are added to the season "${escapeHtml(getCurrentSeason().name)}".</div>
+        <label class="flex items-center gap-2 text-sm mb-4">
+            <span class="font-medium">Import into</span>
+            <select onchange="setCsvImportTarget(this.value)" class="border border-gray-300 rounded px-2 py-1 text-sm">${targetOptions}</select>
+        </label>
+        <div class="mb-4">
+            <div class="flex text-xs text-gray-500 mb-1"><div class="w-1/3">CSV column</div><div class="w-1/3">First row</div><div class="w-1/3">Player field</div></div>
+            <div class="max-h-60 overflow-y-auto">${mappingRows}</div>
+            ${missingHtml}
+        </div>
+        <div class="text-sm font-medium mb-1">${ready.length} player(s) ready${skipped ? `, ${skipped} row(s) with errors will be skipped` : ''}</div>
+        <div class="max-h-72 overflow-y-auto">${previewRows}</div>
+    `;
 
-                        // Position tooltip near the caret
-                        const canvasRect = chart.canvas.getBoundingClientRect();
-                        const left = canvasRect.left + window.pageXOffset + (tooltipModel.caretX || 0);
-                        const top = canvasRect.top + window.pageYOffset + (tooltipModel.caretY || 0);
-                        tooltipEl.style.left = (left + 12) + 'px';
-                        tooltipEl.style.top = (top + 12) + 'px';
-                        tooltipEl.style.opacity = 1;
-                    }
-                }
-            }
-        }
-    });
+    const confirmBtn = document.getElementById('confirmCsvImportBtn');
+    if (confirmBtn) {
+        confirmBtn.disabled = ready.length === 0;
+        confirmBtn.textContent = `Import ${ready.length} Player(s)`;
+    }
+}
+
+/**
+ * Add the valid rows of the pending CSV to the chosen squad or transfer list of the current season
+ */
+function commitCsvImport() {
+    if (!pendingCsvImport) return;
+    const season = getCurrentSeason();
+    if (!season) return alert('No season selected');
+    const players = buildCsvImportRows().filter(r => r.errors.length === 0).map(r => r.player);
+    if (players.length === 0) return alert('There are no valid rows to import.');
+
+    const { target, fileName } = pendingCsvImport;
+    const label = CSV_IMPORT_TARGETS[target];
+    const skipped = pendingCsvImport.rows.length - players.length;
+    closeCsvImportModal();
+
+    createSnapshot('Before CSV import');
+    addPlayersToImportTarget(season, target, players);
+
+    saveToStorage(`Import ${players.length} player(s) from ${fileName}`);
+    renderPlayers();
+    renderTransfers();
+    alert(`Imported ${players.length} player(s) into ${label}.${skipped ? ` ${skipped} row(s) with errors were skipped.` : ''}`);
 }
 
 /**
- * Destroy all charts
+ * Add players to a squad or transfer list (a CSV_IMPORT_TARGETS key) of the season
  */
-function destroyCharts() {
-    Object.values(charts).forEach(chart => {
-        if (chart) chart.destroy();
-    });
-    charts = {};
+function addPlayersToImportTarget(season, target, players) {
+    if (target === 'main_squad' || target === 'youth_academy') {
+        players.forEach(player => {
+            season.roster[target].players[player.id] = Object.assign({ id: player.id, squad: CSV_IMPORT_TARGETS[target] }, player);
+        });
+        normalizePlayerOrder(season, target);
+        applyMatchLogStats(season);
+    } else {
+        const transfers = getSeasonTransfers(season);
+        if (!Array.isArray(transfers[target])) transfers[target] = [];
+        players.forEach(player => transfers[target].push(player));
+    }
 }
 
 /**
- * Show storage information modal
+ * Share links
+ * A player, a squad or a whole season is packed into the URL fragment (#share=...): players as rows
+ * of CSV_PLAYER_FIELDS values in JSON, deflate-raw compressed and base64url encoded. Opening such a
+ * link shows a read-only preview that can add the players to the current season.
  */
-function showStorageInfo() {
-    const modal = document.getElementById('storageModal');
-    const infoContainer = document.getElementById('storageInfo');
-    
-    // Calculate storage usage
-    const storageUsage = calculateStorageUsage();
-    
-    infoContainer.innerHTML = `
-        <div class="text-sm space-y-2">
-            <div class="flex justify-between">
-                <span>Current data size:</span>
-                <span class="font-medium">${storageUsage.currentSize}</span>
-            </div>
-            <div class="flex justify-between">
-                <span>Estimated storage used:</span>
-                <span class="font-medium">${storageUsage.totalUsed}</span>
-            </div>
-            <div class="flex justify-between">
-                <span>Number of seasons:</span>
-                <span class="font-medium">${currentSeasons.length}</span>
-            </div>
-            <div class="flex justify-between">
-                <span>Total players:</span>
-                <span class="font-medium">${storageUsage.totalPlayers}</span>
-            </div>
-            <div class="w-full bg-gray-200 rounded-full h-2 mt-3">
-                <div class="bg-${storageUsage.warningLevel === 'high' ? 'red' : storageUsage.warningLevel === 'medium' ? 'yellow' : 'green'}-600 h-2 rounded-full" 
-                     style="width: ${storageUsage.percentage}%"></div>
-            </div>
-            <div class="text-xs text-gray-600 text-center">
-                ${storageUsage.percentage}% of estimated localStorage capacity
-            </div>
-            ${storageUsage.warningLevel === 'high' ? 
-                '<div class="text-red-600 text-sm mt-2">⚠️ Storage is nearly full. Consider exporting data and removing old seasons.</div>' : 
-                storageUsage.warningLevel === 'medium' ? 
-                '<div class="text-yellow-600 text-sm mt-2">⚠️ Storage usage is moderate. Consider regular backups.</div>' : 
-                '<div class="text-green-600 text-sm mt-2">✅ Storage usage is healthy.</div>'
-            }
-        </div>
-    `;
-    
-    modal.classList.remove('hidden');
+const SHARE_LINK_PREFIX = '#share=';
+const SHARE_LINK_VERSION = 1;
+// Chat apps cut longer messages (e.g. Discord at 2000 characters)
+const SHARE_LINK_CHAT_LIMIT = 2000;
+let pendingShareLink = null; // { kind: 'player' | 'squad' | 'season', playerId } while the share link modal is open
+let pendingLinkImport = null; // { payload, target } while a shared link is previewed
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform) {
+    return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
 }
 
 /**
- * Close storage modal
+ * 'z' + compressed JSON, or 'j' + plain JSON in browsers without CompressionStream
  */
-function closeStorageModal() {
-    document.getElementById('storageModal').classList.add('hidden');
+async function encodeSharePayload(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (typeof CompressionStream === 'undefined') return `j${bytesToBase64Url(bytes)}`;
+    return `z${bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
+
+async function decodeSharePayload(text) {
+    const format = text.charAt(0);
+    let bytes = base64UrlToBytes(text.slice(1));
+    if (format === 'z') {
+        if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open compressed share links.');
+        bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (format !== 'j') {
+        throw new Error(`unknown share link format "${format}"`);
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
 }
 
 /**
- * Clear all storage data
+ * The slice of the current season to share. Field keys are stored once so links keep working
+ * when CSV_PLAYER_FIELDS changes.
  */
-function clearStorage() {
-    if (confirm('This will permanently delete ALL your data including all seasons and players. This cannot be undone.\n\nAre you sure you want to continue?')) {
-        if (confirm('Last chance! This will erase everything. Export your data first if you want to keep it.')) {
-            localStorage.removeItem('cmutils_data');
-            currentSeasons = [];
-            currentSeasonId = null;
-            currentSquad = 'main_squad';
-            
-            renderSeasonTabs();
-            renderPlayers();
-            closeStorageModal();
-            
-            alert('All data has been cleared. You can now start fresh or import a backup.');
-        }
+function buildSharePayload(kind, playerId) {
+    const season = getCurrentSeason();
+    const toRows = players => players.map(player => playerCsvRow(player).map(value => String(value)));
+    const squadPlayers = squad => Object.values((season.roster[squad] && season.roster[squad].players) || {});
+    const payload = {
+        v: SHARE_LINK_VERSION,
+        kind,
+        season: { name: season.name, currency: season.currency },
+        fields: CSV_PLAYER_FIELDS.map(f => f.key),
+        squads: {}
+    };
+
+    if (kind === 'player') {
+        const entry = findPlayerInSeason(season, playerId);
+        if (entry) payload.squads[entry.squad] = toRows([entry.player]);
+    } else if (kind === 'squad') {
+        payload.squads[currentSquad] = toRows(squadPlayers(currentSquad));
+    } else {
+        ['main_squad', 'youth_academy'].forEach(squad => { payload.squads[squad] = toRows(squadPlayers(squad)); });
+        payload.season.record = computeSeasonRecord(season);
+        payload.season.trophies = computeSeasonTrophies(season);
+        payload.season.awards = computePlayerAwards(season).map(a => [a.awardName, a.name]);
     }
+    return payload;
+}
+
+// based on the full page address, since location.origin is "null" when the app is opened from a file
+function shareLinkForPayload(encoded) {
+    return `${location.href.split('#')[0]}${SHARE_LINK_PREFIX}${encoded}`;
 }
 
 /**
- * Calculate storage usage statistics
+ * Open the share link modal for the current squad/season, or for one player of the current squad
  */
-function calculateStorageUsage() {
+function openShareLinkModal(playerId = null) {
+    if (!getCurrentSeason()) return alert('Please select a season first.');
+    pendingShareLink = { kind: playerId ? 'player' : 'squad', playerId };
+    document.getElementById('shareLinkModal').classList.remove('hidden');
+    renderShareLinkModal();
+}
+
+function closeShareLinkModal() {
+    pendingShareLink = null;
+    document.getElementById('shareLinkModal').classList.add('hidden');
+}
+
+function setShareLinkKind(kind) {
+    if (!pendingShareLink) return;
+    pendingShareLink = Object.assign({}, pendingShareLink, { kind });
+    renderShareLinkModal();
+}
+
+async function renderShareLinkModal() {
+    const container = document.getElementById('shareLinkContent');
+    const season = getCurrentSeason();
+    if (!container || !pendingShareLink || !season) return;
+
+    const request = pendingShareLink;
+    const squadLabel = currentSquad === 'main_squad' ? 'Main Squad' : 'Youth Academy';
+    const player = request.playerId ? (findPlayerInSeason(season, request.playerId) || {}).player : null;
+    const options = [];
+    if (player) options.push(['player', `Player: ${player.firstName} ${player.lastName}`]);
+    options.push(['squad', `${squadLabel} (${Object.keys(getCurrentPlayers()).length} players)`]);
+    options.push(['season', `Season ${season.name}: both squads, record, trophies and awards`]);
+
+    container.innerHTML = `
+        <div class="space-y-1 mb-4">
+            ${options.map(([kind, label]) => `
+                <label class="flex items-center gap-2 text-sm">
+                    <input type="radio" name="shareLinkKind" value="${kind}" ${kind === request.kind ? 'checked' : ''} onchange="setShareLinkKind(this.value)">
+                    <span>${escapeHtml(label)}</span>
+                </label>`).join('')}
+        </div>
+        <input type="text" id="shareLinkInput" readonly class="w-full border border-gray-300 rounded px-3 py-2 text-sm font-mono" value="Creating link…">
+        <div id="shareLinkInfo" class="text-xs text-gray-500 mt-1"></div>
+    `;
+
     try {
-        const dataString = JSON.stringify({ seasons: currentSeasons });
-        const currentSizeBytes = new Blob([dataString]).size;
-        
-        // Estimate total localStorage usage
-        let totalUsedBytes = 0;
-        for (let key in localStorage) {
-            if (localStorage.hasOwnProperty(key)) {
-                totalUsedBytes += localStorage[key].length + key.length;
-            }
-        }
-        
-        // Count total players
-        let totalPlayers = 0;
-        currentSeasons.forEach(season => {
-            if (season.roster) {
-                ['main_squad', 'youth_academy'].forEach(squadType => {
-                    if (season.roster[squadType] && season.roster[squadType].players) {
-                        totalPlayers += Object.keys(season.roster[squadType].players).length;
-                    }
-                });
-            }
-        });
-        
-        // Estimate localStorage limit (typically 5-10MB, we'll use 5MB as conservative estimate)
-        const estimatedLimit = 5 * 1024 * 1024; // 5MB
-        const percentage = Math.round((totalUsedBytes / estimatedLimit) * 100);
-        
-        let warningLevel = 'low';
-        if (percentage >= 80) warningLevel = 'high';
-        else if (percentage >= 50) warningLevel = 'medium';
-        
-        return {
-            currentSize: formatBytes(currentSizeBytes),
-            totalUsed: formatBytes(totalUsedBytes),
-            percentage: Math.min(percentage, 100),
-            warningLevel,
-            totalPlayers
-        };
-    } catch (error) {
-        return {
-            currentSize: 'Unknown',
-            totalUsed: 'Unknown',
-            percentage: 0,
-            warningLevel: 'low',
-            totalPlayers: 0
-        };
+        const link = shareLinkForPayload(await encodeSharePayload(buildSharePayload(request.kind, request.playerId)));
+        if (pendingShareLink !== request) return;
+        document.getElementById('shareLinkInput').value = link;
+        document.getElementById('shareLinkInfo').innerHTML = `${formatNumber(link.length)} characters. The link opens a read-only preview; nothing is uploaded.${location.protocol === 'file:'
+            ? ' The app is opened from a file, so the link only works where the same file exists.' : ''}${link.length > SHARE_LINK_CHAT_LIMIT
+            ? ` <span class="text-yellow-800">Links longer than ${formatNumber(SHARE_LINK_CHAT_LIMIT)} characters may not fit in one chat message.</span>` : ''}`;
+    } catch (e) {
+        console.error('renderShareLinkModal', e);
+        document.getElementById('shareLinkInput').value = '';
+        document.getElementById('shareLinkInfo').textContent = 'Error creating the link.';
     }
 }
 
+async function copyShareLink() {
+    const input = document.getElementById('shareLinkInput');
+    // nothing to copy while the link is being created or failed
+    if (!input || !input.value.includes(SHARE_LINK_PREFIX)) return;
+    try {
+        await navigator.clipboard.writeText(input.value);
+    } catch (e) {
+        input.select();
+        document.execCommand('copy');
+    }
+    alert('Link copied to the clipboard.');
+}
+
+function clearShareLinkHash() {
+    if (location.hash.startsWith(SHARE_LINK_PREFIX)) history.replaceState(null, '', `${location.pathname}${location.search}`);
+}
+
 /**
- * Format bytes to human readable format
+ * Preview the share link in the address bar, if any
  */
-function formatBytes(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+async function openShareLinkFromUrl() {
+    if (!location.hash.startsWith(SHARE_LINK_PREFIX)) return;
+    let payload;
+    try {
+        payload = await decodeSharePayload(location.hash.slice(SHARE_LINK_PREFIX.length));
+    } catch (e) {
+        console.warn('openShareLinkFromUrl', e);
+        clearShareLinkHash();
+        return alert('This share link is incomplete or damaged.');
+    }
+    if (!isPlainObject(payload) || !Array.isArray(payload.fields) || !isPlainObject(payload.squads) || !isPlainObject(payload.season)) {
+        clearShareLinkHash();
+        return alert('This is not a CMutils share link.');
+    }
+    if (Number(payload.v) > SHARE_LINK_VERSION) {
+        clearShareLinkHash();
+        return alert('This share link was created by a newer version of CMutils.');
+    }
+
+    pendingLinkImport = { payload, target: 'original' };
+    renderLinkImportPreview();
+    document.getElementById('linkImportModal').classList.remove('hidden');
+}
+
+function closeLinkImportModal() {
+    pendingLinkImport = null;
+    document.getElementById('linkImportModal').classList.add('hidden');
+    clearShareLinkHash();
+}
+
+function setLinkImportTarget(target) {
+    if (!pendingLinkImport) return;
+    pendingLinkImport.target = target;
+    renderLinkImportPreview();
 }
 
 /**
- * Export data as JSON
+ * Shared players checked like CSV rows. Returns [{ squad, rowNumber, player, errors, warnings }].
  */
-function exportData() {
-    const data = { seasons: currentSeasons };
-    const dataStr = JSON.stringify(data, null, 2);
-    const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
-    
-    const exportFileDefaultName = `cmutils_export_${new Date().toISOString().split('T')[0]}.json`;
-    
-    const linkElement = document.createElement('a');
-    linkElement.setAttribute('href', dataUri);
-    linkElement.setAttribute('download', exportFileDefaultName);
-    linkElement.click();
+function buildLinkImportRows() {
+    if (!pendingLinkImport) return [];
+    const { payload, target } = pendingLinkImport;
+    const mapping = payload.fields.map(key => CSV_PLAYER_FIELDS.some(f => f.key === key) ? key : '');
+    const rows = [];
+    ['main_squad', 'youth_academy'].forEach(squad => {
+        const list = Array.isArray(payload.squads[squad]) ? payload.squads[squad] : [];
+        const existingNames = getCsvTargetNames(target === 'original' ? squad : target);
+        list.filter(Array.isArray).forEach((cells, i) => {
+            const row = buildCsvPlayer(cells.map(value => String(value ?? '')), mapping, i + 1, existingNames);
+            rows.push(Object.assign({ squad }, row));
+        });
+    });
+    return rows;
+}
+
+function renderLinkImportPreview() {
+    const container = document.getElementById('linkImportPreview');
+    if (!container || !pendingLinkImport) return;
+
+    const { payload, target } = pendingLinkImport;
+    const shared = payload.season;
+    const currency = CURRENCY_SYMBOLS[shared.currency] || '$';
+    const rows = buildLinkImportRows();
+    const ready = rows.filter(r => r.errors.length === 0);
+    const invalid = rows.length - ready.length;
+    const squadLabels = { main_squad: 'Main Squad', youth_academy: 'Youth Academy' };
+    const seasonName = `"${escapeHtml(shared.name || 'Unnamed Season')}"`;
+    const intro = payload.kind === 'season' ? `The season ${seasonName}` : `${payload.kind === 'player' ? 'A player' : 'Players'} shared from the season ${seasonName}`;
+
+    let seasonHtml = '';
+    if (payload.kind === 'season') {
+        const record = isPlainObject(shared.record) ? shared.record : null;
+        const trophies = isPlainObject(shared.trophies) ? shared.trophies : {};
+        const trophyList = key => Array.isArray(trophies[key]) && trophies[key].length ? trophies[key].map(escapeHtml).join(', ') : '-';
+        const awards = Array.isArray(shared.awards) ? shared.awards.filter(Array.isArray) : [];
+        seasonHtml = `
+            <div class="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm bg-gray-50 rounded p-3 mb-4">
+                <div>
+                    <div class="font-medium">Record</div>
+                    ${record ? `W ${Number(record.wins) || 0} · D ${Number(record.draws) || 0} · L ${Number(record.losses) || 0}<br>Goals ${Number(record.goalsFor) || 0}:${Number(record.goalsAgainst) || 0}` : '-'}
+                </div>
+                <div>
+                    <div class="font-medium">Trophies</div>
+                    League: ${trophyList('league')}<br>Domestic: ${trophyList('domestic')}<br>International: ${trophyList('international')}
+                </div>
+                <div>
+                    <div class="font-medium">Awards</div>
+                    ${awards.length ? awards.map(([award, name]) => `${escapeHtml(award)}: ${escapeHtml(name)}`).join('<br>') : '-'}
+                </div>
+            </div>`;
+    }
+
+    const rosterHtml = Object.keys(squadLabels).map(squad => {
+        const squadRows = ready.filter(r => r.squad === squad);
+        if (squadRows.length === 0) return '';
+        const players = {};
+        squadRows.forEach(r => { players[r.player.id] = r.player; });
+        return `
+            <div class="mb-4">
+                <div class="font-medium mb-1">${squadLabels[squad]}</div>
+                <div class="overflow-x-auto">${renderPrintRosterHTML(players, currency)}</div>
+            </div>`;
+    }).join('');
+    const invalidHtml = invalid ? `
+        <div class="text-sm bg-red-50 border border-red-200 rounded p-2 mb-4 text-red-800">
+            ${invalid} player(s) in the link are invalid and will be skipped:
+            ${rows.filter(r => r.errors.length).map(r => escapeHtml(`${r.player.firstName} ${r.player.lastName}`.trim() || `#${r.rowNumber}`)).join(', ')}
+        </div>` : '';
+
+    const season = getCurrentSeason();
+    let importHtml;
+    if (!season) {
+        importHtml = '<div class="text-sm text-gray-600">Create or select a season to add these players.</div>';
+    } else {
+        const targetOptions = [['original', 'Same squad as shared']].concat(Object.entries(CSV_IMPORT_TARGETS)).map(([value, label]) =>
+            `<option value="${value}" ${value === target ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        const duplicates = ready.filter(r => {
+            const name = `${r.player.firstName} ${r.player.lastName}`.trim().toLowerCase();
+            return getCsvTargetNames(target === 'original' ? r.squad : target).has(name);
+        }).length;
+        importHtml = `
+            <label class="flex items-center gap-2 text-sm">
+                <span class="font-medium">Add to "${escapeHtml(season.name)}":</span>
+                <select onchange="setLinkImportTarget(this.value)" class="border border-gray-300 rounded px-2 py-1 text-sm">${targetOptions}</select>
+            </label>
+            ${duplicates ? `<div class="text-xs text-yellow-800 mt-1">${duplicates} player(s) have the same name as a player already in the target list.</div>` : ''}`;
+    }
+
+    container.innerHTML = `
+        <div class="text-sm text-gray-600 mb-3">${intro} (read-only).</div>
+        ${seasonHtml}
+        ${invalidHtml}
+        ${rosterHtml || '<div class="text-sm text-gray-600 mb-4">The link contains no players.</div>'}
+        <div class="border-t pt-3">${importHtml}</div>
+    `;
+
+    const confirmBtn = document.getElementById('confirmLinkImportBtn');
+    if (confirmBtn) {
+        confirmBtn.disabled = !season || ready.length === 0;
+        confirmBtn.textContent = `Add ${ready.length} Player(s)`;
+    }
 }
 
 /**
- * Import data from JSON file
+ * Add the valid shared players to the current season
  */
-function importData(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const data = JSON.parse(e.target.result);
-            
-            if (data.seasons && Array.isArray(data.seasons)) {
-                if (confirm('This will replace all current data. Are you sure?')) {
-                    currentSeasons = data.seasons;
-                    currentSeasonId = currentSeasons.length > 0 ? currentSeasons[0].id : null;
-                    currentSquad = 'main_squad';
-                    
-                    saveToStorage();
-                    renderSeasonTabs();
-                    renderPlayers();
-                    hideCharts();
-                    
-                    alert('Data imported successfully!');
-                }
-            } else {
-                alert('Invalid file format. Please select a valid CMutils export file.');
-            }
-        } catch (error) {
-            alert('Error reading file. Please make sure it\'s a valid JSON file.');
-        }
-    };
-    
-    reader.readAsText(file);
-    
-    // Reset file input
-    event.target.value = '';
+function commitLinkImport() {
+    if (!pendingLinkImport) return;
+    const season = getCurrentSeason();
+    if (!season) return alert('No season selected');
+    const rows = buildLinkImportRows().filter(r => r.errors.length === 0);
+    if (rows.length === 0) return alert('There are no valid players to add.');
+
+    const { target } = pendingLinkImport;
+    closeLinkImportModal();
+
+    createSnapshot('Before adding players from a link');
+    const byDestination = {};
+    rows.forEach(r => {
+        const destination = target === 'original' ? r.squad : target;
+        (byDestination[destination] = byDestination[destination] || []).push(r.player);
+    });
+    Object.entries(byDestination).forEach(([destination, players]) => addPlayersToImportTarget(season, destination, players));
+
+    saveToStorage(`Add ${rows.length} player(s) from a share link`);
+    renderPlayers();
+    renderTransfers();
+    alert(`Added ${rows.length} player(s) to ${Object.keys(byDestination).map(d => CSV_IMPORT_TARGETS[d]).join(' and ')}.`);
 }
 
 // Make functions available globally for onclick handlers
@@ -3965,12 +10065,14 @@ function computeSeasonRecord(season) {
         if (!season || !season.matches) return null;
 
         let wins = 0, draws = 0, losses = 0, gf = 0, ga = 0;
+        // a match log replaces the aggregated summary entry
+        const logged = getLoggedMatches(season);
 
         if (Array.isArray(season.matches)) {
-            season.matches.forEach(m => {
+            (logged.length ? logged : season.matches).forEach(m => {
                 if (m == null) return;
                 // Aggregated season summary shape (e.g. wins, spares/draws, loss, goals_for, goals_against)
-                if ('wins' in m || 'goals_for' in m || 'goals_for' in m) {
+                if (isMatchSummary(m)) {
                     const w = Number(m.wins || 0);
                     const d = Number(m.draws || m.spares || m.spare || 0);
                     const l = Number(m.losses || m.loss || 0);
@@ -3983,38 +10085,22 @@ function computeSeasonRecord(season) {
                     ga += gag;
                     return;
                 }
-                if ('result' in m) {
-                    const r = (m.result || '').toUpperCase();
-                    if (r === 'W') wins++;
-                    else if (r === 'D') draws++;
-                    else if (r === 'L') losses++;
-                    gf += Number(m.goalsFor || m.goals || 0);
-                    ga += Number(m.goalsAgainst || m.goalsAgainst || 0) || Number(m.goalsAgainst || 0);
-                } else if ('homeGoals' in m || 'awayGoals' in m) {
-                    // array form
-                    const home = Number(m.homeGoals || 0);
-                    const away = Number(m.awayGoals || 0);
-                    const our = m.ourTeam ? (home) : (away);
-                    const opp = m.ourTeam ? (away) : (home);
-                    if (our > opp) wins++;
-                    else if (our === opp) draws++;
-                    else losses++;
-                    gf += our;
-                    ga += opp;
-                } else {
-                    // unknown shape: try to derive from goalsFor/goalsAgainst
-                    const gfor = Number(m.goalsFor || m.goals_for || 0);
-                    const gagainst = Number(m.goalsAgainst || m.goals_against || 0);
-                    if (gfor > gagainst) wins++;
-                    else if (gfor === gagainst) draws++;
-                    else losses++;
-                    gf += gfor;
-                    ga += gagainst;
-                }
+                // single match, same reading as the match log table and its home/away splits
+                const { goalsFor, goalsAgainst, result } = normalizeMatch(m);
+                if (result === 'W') wins++;
+                else if (result === 'D') draws++;
+                else losses++;
+                gf += goalsFor;
+                ga += goalsAgainst;
             });
         }
 
-        return { wins, draws, losses, goalsFor: gf, goalsAgainst: ga };
+        const record = { wins, draws, losses, goalsFor: gf, goalsAgainst: ga };
+        if (logged.length) {
+            const splits = computeMatchLogSplits(logged);
+            Object.assign(record, { fromLog: true, played: splits.total.played, cleanSheets: splits.total.cleanSheets, home: splits.home, away: splits.away });
+        }
+        return record;
     } catch (e) {
         console.warn('computeSeasonRecord error', e);
         return null;
@@ -4114,9 +10200,20 @@ function renderSeasonStatsPanel(season) {
                 <div><strong>Losses</strong><div>${rec.losses}</div></div>
                 <div><strong>Goals For</strong><div>${rec.goalsFor}</div></div>
                 <div><strong>Goals Against</strong><div>${rec.goalsAgainst}</div></div>
-            </div>`;
+            </div>${rec.fromLog ? `
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-2 text-sm mt-2">
+                <div><strong>Played</strong> ${rec.played} · <strong>Clean Sheets</strong> ${rec.cleanSheets}</div>
+                ${['home', 'away'].map(venue => {
+                    const s = rec[venue];
+                    return `<div><strong>${MATCH_VENUE_LABELS[venue]}</strong> ${s.wins}W ${s.draws}D ${s.losses}L · ${s.goalsFor}–${s.goalsAgainst} · ${s.cleanSheets} clean sheet${s.cleanSheets === 1 ? '' : 's'}</div>`;
+                }).join('')}
+            </div>
+            <div class="text-xs text-gray-500 mt-1">Derived from ${rec.played} logged match${rec.played === 1 ? '' : 'es'}.</div>` : ''}`;
         }
 
+        const matchLogEl = document.getElementById('matchLogList');
+        if (matchLogEl) matchLogEl.innerHTML = renderMatchLogHTML(season);
+
         // Note: extended aggregated match fields were intentionally removed to simplify the season stats panel.
 
         function renderList(el, items) {
@@ -4175,94 +10272,187 @@ function exportSeasonStatsJSON() {
     } catch (e) { console.warn('exportSeasonStatsJSON', e); }
 }
 
+/**
+ * Minimal ZIP writer for multi-file downloads. Files are stored uncompressed (CSV exports are
+ * small) with UTF-8 names; files is a list of { name, content } with string content.
+ */
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function createZipBlob(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);       // version needed
+        local.setUint16(6, 0x0800, true);   // UTF-8 file names
+        local.setUint16(8, 0, true);        // stored
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local.buffer, name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);       // version made by
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);  // extra, comment, disk and attributes stay 0
+        central.push(entry.buffer, name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(parts.concat(central, [end.buffer]), { type: 'application/zip' });
+}
+
 function exportSeasonStatsCSV() {
     try {
         const season = getCurrentSeason();
         if (!season) return alert('No season selected');
         const record = computeSeasonRecord(season) || { wins: '', draws: '', losses: '', goalsFor: '', goalsAgainst: '' };
         const awards = computePlayerAwards(season) || [];
-
-        // helper to format roleTypes for CSV
-        function formatRoleTypesForExport(player) {
-            const parts = [];
-            if (Array.isArray(player.roleTypes) && player.roleTypes.length) {
-                player.roleTypes.forEach(rt => {
-                    if (!rt) return;
-                    const levelSuffix = rt.level === '1' ? '+' : rt.level === '2' ? '++' : '';
-                    const focus = rt.focus ? `:${rt.focus}` : '';
-                    parts.push(`${rt.type || ''}${levelSuffix}${focus}`);
-                });
-            } else if (player.roleType) {
-                const levelSuffix = player.roleTypeLevel === '1' ? '+' : player.roleTypeLevel === '2' ? '++' : '';
-                const focus = player.roleFocus ? `:${player.roleFocus}` : '';
-                parts.push(`${player.roleType || ''}${levelSuffix}${focus}`);
-            }
-            return parts.join(' | ');
-        }
-
-        // helper to format playstyles for CSV
-        function formatPlaystylesForExport(player) {
-            const parts = [];
-            if (Array.isArray(player.playstyles) && player.playstyles.length) {
-                player.playstyles.forEach(ps => {
-                    if (!ps) return;
-                    const levelSuffix = ps.level === '2' ? '+' : '';
-                    const cat = ps.category ? `${ps.category}:` : '';
-                    parts.push(`${cat}${ps.name || ''}${levelSuffix}`);
-                });
-            } else if (player.playstyle) {
-                const levelSuffix = player.playstyleLevel === '2' ? '+' : '';
-                const cat = player.playstyleCategory ? `${player.playstyleCategory}:` : '';
-                parts.push(`${cat}${player.playstyle || ''}${levelSuffix}`);
-            }
-            return parts.join(' | ');
-        }
+        const playerFields = CSV_PLAYER_FIELDS.map(f => f.key);
 
         // season_record.csv
-        const recCsv = ['wins,draws,losses,goalsFor,goalsAgainst', `${record.wins},${record.draws},${record.losses},${record.goalsFor},${record.goalsAgainst}`].join('\n');
-
-        // player_awards.csv header
-        const hdr = ['playerId,name,awardName,appearances,goals,assists,avgRating,overall,note'];
-        const rows = awards.map(a => [a.playerId || '', '"' + (a.name || '') + '"', '"' + (a.awardName || '') + '"', a.appearances ?? '', a.goals ?? '', a.assists ?? '', a.avgRating ?? '', a.overall ?? '', '"' + (a.note || '') + '"'].join(','));
-        const awardsCsv = hdr.concat(rows).join('\n');
-
-        // players.csv - include basic player info and roleTypes
-        const playersAll = Object.assign({}, (season.roster && season.roster.main_squad && season.roster.main_squad.players) || {}, (season.roster && season.roster.youth_academy && season.roster.youth_academy.players) || {});
-        const playersHdr = ['id,firstName,lastName,role,roleTypes,playstyles,overall,potential,age,contractEnd,value,wage'];
-        const playersRows = Object.values(playersAll).map(p => [
-            p.id || '',
-            '"' + (p.firstName || '') + '"',
-            '"' + (p.lastName || '') + '"',
-            '"' + (p.role || '') + '"',
-            '"' + formatRoleTypesForExport(p) + '"',
-            '"' + formatPlaystylesForExport(p) + '"',
-            p.overall ?? '',
-            p.potential ?? '',
-            p.age ?? '',
-            (p.contractEnd !== undefined && p.contractEnd !== null && p.contractEnd !== '') ? p.contractEnd : '',
-            p.value ?? '',
-            p.wage ?? ''
-        ].join(','));
-        const playersCsv = playersHdr.concat(playersRows).join('\n');
-
-        // create multi-part download by zipping into a single blob with separators
-        const combined = `=== season_record.csv ===\n${recCsv}\n\n=== player_awards.csv ===\n${awardsCsv}\n\n=== players.csv ===\n${playersCsv}`;
-        const uri = 'data:text/csv;charset=utf-8,' + encodeURIComponent(combined);
+        const recCsv = toCSV([
+            ['wins', 'draws', 'losses', 'goalsFor', 'goalsAgainst'],
+            [record.wins, record.draws, record.losses, record.goalsFor, record.goalsAgainst]
+        ]);
+
+        // matches.csv - the match log by date
+        const matchesCsv = toCSV([['id', 'date', 'competition', 'opponent', 'venue', 'goalsFor', 'goalsAgainst', 'result', 'scorers', 'assists']].concat(
+            sortMatchesByDate(getLoggedMatches(season)).map(m => {
+                const { goalsFor, goalsAgainst, venue, result } = normalizeMatch(m);
+                return [m.id, m.date, m.competition, m.opponent, venue, goalsFor, goalsAgainst, result,
+                    formatMatchContributors(season, m, 'goals'), formatMatchContributors(season, m, 'assists')];
+            })
+        ));
+
+        // player_awards.csv
+        const awardsCsv = toCSV([['playerId', 'name', 'awardName', 'appearances', 'goals', 'assists', 'avgRating', 'overall', 'note']].concat(
+            awards.map(a => [a.playerId, a.name, a.awardName, a.appearances, a.goals, a.assists, a.avgRating, a.overall, a.note])
+        ));
+
+        // players.csv - the same columns the CSV importer maps, so the file can be imported again
+        const playersCsv = toCSV([['id', 'squad'].concat(playerFields)].concat(
+            getSeasonRosterEntries(season).map(({ player }) => [player.id, player.squad].concat(playerCsvRow(player)))
+        ));
+
+        // transfers.csv - one row per player in any transfer list
+        const transfers = getSeasonTransfers(season);
+        const transfersRows = [];
+        Object.keys(transfers).forEach(listKey => {
+            (Array.isArray(transfers[listKey]) ? transfers[listKey] : []).forEach(p => {
+                transfersRows.push([listKey, p.id].concat(playerCsvRow(p)));
+            });
+        });
+        const transfersCsv = toCSV([['list', 'id'].concat(playerFields)].concat(transfersRows));
+
+        // notes.csv
+        const notesCsv = toCSV([['id', 'title', 'content', 'createdAt', 'updatedAt']].concat(
+            (Array.isArray(season.notes) ? season.notes : []).map(n => [n.id, n.title, n.content, n.createdAt, n.updatedAt])
+        ));
+
+        const blob = createZipBlob([
+            { name: 'season_record.csv', content: recCsv },
+            { name: 'matches.csv', content: matchesCsv },
+            { name: 'player_awards.csv', content: awardsCsv },
+            { name: 'players.csv', content: playersCsv },
+            { name: 'transfers.csv', content: transfersCsv },
+            { name: 'notes.csv', content: notesCsv }
+        ]);
+        const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
-        a.setAttribute('href', uri);
-        a.setAttribute('download', `season_stats_${season.name || season.id || 'export'}.csv`);
+        a.setAttribute('href', url);
+        a.setAttribute('download', `season_stats_${String(season.name || season.id || 'export').replace(/[^\w.-]+/g, '_')}.zip`);
         a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     } catch (e) { console.warn('exportSeasonStatsCSV', e); }
 }
 
 window.editPlayer = editPlayer;
 window.deletePlayer = deletePlayer;
+window.sharePlayerImage = sharePlayerImage;
+window.openShareLinkModal = openShareLinkModal;
+window.openPlayerHistory = openPlayerHistory;
+window.addToCompare = addToCompare;
+window.setPlayerSort = setPlayerSort;
+window.clearPlayerFilters = clearPlayerFilters;
+window.togglePlayerSelection = togglePlayerSelection;
+window.toggleSelectAllPlayers = toggleSelectAllPlayers;
+window.toggleTableColumn = toggleTableColumn;
+window.moveTableColumn = moveTableColumn;
+window.applyColumnPreset = applyColumnPreset;
+window.saveColumnPreset = saveColumnPreset;
+window.deleteColumnPreset = deleteColumnPreset;
+window.openMatchModal = openMatchModal;
+window.deleteMatch = deleteMatch;
+window.removeFromCompare = removeFromCompare;
+window.setComparePicker = setComparePicker;
+window.addCompareFromPicker = addCompareFromPicker;
 window.promotePlayer = promotePlayer;
 window.movePlayerUp = movePlayerUp;
 window.movePlayerDown = movePlayerDown;
 window.deleteSeason = deleteSeason;
 window.openPlayerModal = openPlayerModal;
 window.showStorageInfo = showStorageInfo;
+window.undo = undo;
+window.redo = redo;
+window.restoreSnapshot = restoreSnapshot;
+window.resolveSyncConflict = resolveSyncConflict;
+window.downloadSnapshot = downloadSnapshot;
+window.deleteSnapshot = deleteSnapshot;
+window.setImportSeasonAction = setImportSeasonAction;
+window.setImportPlayerAction = setImportPlayerAction;
+window.setImportConflictActions = setImportConflictActions;
+window.setImportIgnoreErrors = setImportIgnoreErrors;
+window.setCsvImportTarget = setCsvImportTarget;
+window.setCsvColumnMapping = setCsvColumnMapping;
+window.setShareLinkKind = setShareLinkKind;
+window.setLinkImportTarget = setLinkImportTarget;
 window.addPlayerToTransferList = addPlayerToTransferList;
 window.addPlayerCopyToBuyList = addPlayerCopyToBuyList;
 window.removeFromTransferList = removeFromTransferList;